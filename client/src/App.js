@@ -17,6 +17,9 @@ import LoginPage from './pages/LoginPage';
 import DashboardPage from './pages/DashboardPage';
 import CategoryPage from './pages/CategoryPage';
 import EmailPage from './pages/EmailPage';
+import SettingsPage from './pages/SettingsPage';
+import RulesPage from './pages/RulesPage';
+import SubscriptionsPage from './pages/SubscriptionsPage';
 import AuthCallbackPage from './pages/AuthCallbackPage';
 import LoadingPage from './pages/LoadingPage';
 
@@ -84,6 +87,18 @@ function App() {
             path="/email/:emailId"
             element={<ProtectedRoute element={<EmailPage />} />}
           />
+          <Route
+            path="/settings"
+            element={<ProtectedRoute element={<SettingsPage />} />}
+          />
+          <Route
+            path="/rules"
+            element={<ProtectedRoute element={<RulesPage />} />}
+          />
+          <Route
+            path="/subscriptions"
+            element={<ProtectedRoute element={<SubscriptionsPage />} />}
+          />
 
           {/* Default redirect */}
           <Route path="/" element={<Navigate to="/dashboard" replace />} />
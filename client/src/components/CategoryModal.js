@@ -5,7 +5,11 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { FaTimes } from 'react-icons/fa';
+import { toast } from 'react-toastify';
+import { FaTimes, FaEye } from 'react-icons/fa';
+import * as api from '../services/api';
+import PreviewDiff from './PreviewDiff';
+import { flattenTree, getDescendantIds } from '../utils/categoryTree';
 
 const COLORS = [
   '#3b82f6', // blue
@@ -18,10 +22,14 @@ const COLORS = [
   '#14b8a6', // teal
 ];
 
-function CategoryModal({ category, onSave, onClose }) {
+function CategoryModal({ category, categories = [], onSave, onClose }) {
   const [name, setName] = useState('');
   const [description, setDescription] = useState('');
   const [color, setColor] = useState('#3b82f6');
+  const [syncToGmail, setSyncToGmail] = useState(false);
+  const [parentId, setParentId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
 
   /**
    * Initialize with category data if editing
@@ -31,9 +39,51 @@ function CategoryModal({ category, onSave, onClose }) {
       setName(category.name);
       setDescription(category.description);
       setColor(category.color);
+      setSyncToGmail(!!category.syncToGmail);
+      setParentId(category.parentId || '');
     }
   }, [category]);
 
+  /**
+   * Previews go stale as soon as the name or description changes
+   */
+  useEffect(() => {
+    setPreview(null);
+  }, [name, description, parentId]);
+
+  // A category can't be moved under itself or one of its subcategories
+  const excludedParents = category
+    ? new Set([category._id, ...getDescendantIds(categories, category._id)])
+    : new Set();
+  const parentOptions = flattenTree(categories).filter(
+    ({ category: option }) => !excludedParents.has(option._id)
+  );
+
+  /**
+   * Re-classify recent emails with the draft description, without saving it
+   */
+  const handlePreview = async () => {
+    if (!name.trim() || !description.trim()) {
+      return;
+    }
+
+    try {
+      setPreviewing(true);
+      const response = await api.previewCategory({
+        categoryId: category?._id,
+        name,
+        description,
+        parentId: parentId || null,
+      });
+      setPreview(response.data);
+    } catch (error) {
+      console.error('Error previewing category:', error);
+      toast.error(error.response?.data?.error || 'Failed to preview changes');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
   /**
    * Handle form submission
    */
@@ -48,12 +98,18 @@ function CategoryModal({ category, onSave, onClose }) {
       name,
       description,
       color,
+      syncToGmail,
+      parentId: parentId || null,
     });
   };
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
+      <div
+        className={`bg-white rounded-lg shadow-xl w-full max-h-full overflow-y-auto ${
+          preview ? 'max-w-2xl' : 'max-w-md'
+        }`}
+      >
         {/* Header */}
         <div className="flex justify-between items-center p-6 border-b border-gray-200">
           <h2 className="text-xl font-bold text-gray-900">
@@ -92,6 +148,29 @@ function CategoryModal({ category, onSave, onClose }) {
             />
           </div>
 
+          {/* Parent */}
+          {parentOptions.length > 0 && (
+            <div>
+              <label className="label">Inside</label>
+              <select
+                value={parentId}
+                onChange={(e) => setParentId(e.target.value)}
+                className="input"
+              >
+                <option value="">Top level</option>
+                {parentOptions.map(({ category: option, depth }) => (
+                  <option key={option._id} value={option._id}>
+                    {`${'\u00a0\u00a0'.repeat(depth)}${option.name}`}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Emails are sorted into the most specific category, so a category with
+                subcategories only collects their emails.
+              </p>
+            </div>
+          )}
+
           {/* Color Picker */}
           <div>
             <label className="label">Color</label>
@@ -112,6 +191,40 @@ function CategoryModal({ category, onSave, onClose }) {
             </div>
           </div>
 
+          {/* Gmail Sync */}
+          <div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={syncToGmail}
+                onChange={(e) => setSyncToGmail(e.target.checked)}
+                className="w-4 h-4"
+              />
+              Show as a label in Gmail
+            </label>
+            <p className="text-xs text-gray-500 mt-1">
+              Emails in this category get a Gmail label, and labeling an email in Gmail moves
+              it here. Turning this off removes the label from Gmail.
+            </p>
+          </div>
+
+          {/* Preview */}
+          <div>
+            <button
+              type="button"
+              onClick={handlePreview}
+              disabled={previewing || !name.trim() || !description.trim()}
+              className="text-sm text-blue-600 hover:text-blue-800 font-medium flex items-center gap-2 disabled:opacity-50"
+            >
+              <FaEye /> {previewing ? 'Re-sorting recent emails...' : 'Preview changes'}
+            </button>
+            {preview && (
+              <div className="mt-3">
+                <PreviewDiff preview={preview} />
+              </div>
+            )}
+          </div>
+
           {/* Buttons */}
           <div className="flex gap-3 pt-4">
             <button
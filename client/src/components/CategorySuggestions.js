@@ -0,0 +1,151 @@
+// client/src/components/CategorySuggestions.js
+/**
+ * Category suggestions component
+ * Shows new categories proposed from groups of emails that fit no category, and lets the
+ * user create one (optionally moving its emails) or dismiss it
+ */
+
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { FaLightbulb, FaSync, FaPlus, FaTimes } from 'react-icons/fa';
+import * as api from '../services/api';
+
+function CategorySuggestions({ suggestions, onChange, onRefresh, refreshing }) {
+  // Suggestions whose emails should stay where they are when accepted
+  const [keepEmails, setKeepEmails] = useState(new Set());
+  const [busyId, setBusyId] = useState(null);
+
+  /**
+   * Toggle moving a suggestion's emails into the new category
+   */
+  const toggleMoveEmails = (suggestion) => {
+    const next = new Set(keepEmails);
+    if (next.has(suggestion._id)) {
+      next.delete(suggestion._id);
+    } else {
+      next.add(suggestion._id);
+    }
+    setKeepEmails(next);
+  };
+
+  /**
+   * Create the suggested category
+   */
+  const handleAccept = async (suggestion) => {
+    try {
+      setBusyId(suggestion._id);
+      const response = await api.acceptCategorySuggestion(suggestion._id, {
+        moveEmails: !keepEmails.has(suggestion._id),
+      });
+      const { moved } = response.data;
+      toast.success(
+        `Created "${suggestion.name}"${moved ? ` and moved ${moved} emails into it` : ''}`
+      );
+      onChange();
+    } catch (error) {
+      console.error('Error accepting suggestion:', error);
+      toast.error(error.response?.data?.error || 'Failed to create category');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Dismiss a suggestion
+   */
+  const handleDismiss = async (suggestion) => {
+    try {
+      setBusyId(suggestion._id);
+      await api.dismissCategorySuggestion(suggestion._id);
+      onChange();
+    } catch (error) {
+      console.error('Error dismissing suggestion:', error);
+      toast.error('Failed to dismiss suggestion');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="card p-6 mb-8">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <FaLightbulb /> Suggested Categories
+        </h2>
+        <button
+          onClick={onRefresh}
+          disabled={refreshing}
+          className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+        >
+          <FaSync className={refreshing ? 'animate-spin' : ''} />
+          {refreshing ? 'Looking...' : 'Find new'}
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Groups of emails that don't fit any of your categories well. Checked daily.
+      </p>
+
+      {suggestions.length === 0 ? (
+        <p className="text-sm text-gray-500">No suggestions right now.</p>
+      ) : (
+        <div className="space-y-3">
+          {suggestions.map((suggestion) => (
+            <div
+              key={suggestion._id}
+              className="p-4 bg-gray-50 rounded-lg border border-gray-200"
+            >
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <div
+                      className="w-3 h-3 rounded-full flex-shrink-0"
+                      style={{ backgroundColor: suggestion.color }}
+                    />
+                    <p className="font-semibold text-gray-900">{suggestion.name}</p>
+                    <span className="text-xs text-gray-500">{suggestion.emailCount} emails</span>
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">{suggestion.description}</p>
+                  <ul className="mt-2 space-y-0.5">
+                    {suggestion.examples.map((example) => (
+                      <li key={example.emailId} className="text-xs text-gray-500 truncate">
+                        {example.from} — {example.subject}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                <button
+                  onClick={() => handleDismiss(suggestion)}
+                  disabled={busyId === suggestion._id}
+                  className="text-gray-400 hover:text-gray-700"
+                  title="Dismiss"
+                >
+                  <FaTimes />
+                </button>
+              </div>
+
+              <div className="flex items-center gap-4 mt-3">
+                <button
+                  onClick={() => handleAccept(suggestion)}
+                  disabled={busyId === suggestion._id}
+                  className="btn-primary flex items-center gap-2 text-sm disabled:opacity-50"
+                >
+                  <FaPlus /> Create category
+                </button>
+                <label className="text-xs text-gray-700 flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={!keepEmails.has(suggestion._id)}
+                    onChange={() => toggleMoveEmails(suggestion)}
+                  />
+                  Move these emails into it
+                </label>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CategorySuggestions;
@@ -0,0 +1,43 @@
+// client/src/components/ConfidenceBadge.js
+/**
+ * Confidence badge component
+ * Shows how sure the sort was about an email's category
+ */
+
+import React from 'react';
+
+function ConfidenceBadge({ email, threshold }) {
+  if (email.manuallyCategorized) {
+    return (
+      <span className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600">Manual</span>
+    );
+  }
+
+  if (email.classificationStatus === 'unclassified') {
+    return (
+      <span className="text-xs px-2 py-0.5 rounded bg-orange-100 text-orange-700">
+        Unclassified
+      </span>
+    );
+  }
+
+  if (email.confidenceScore == null) {
+    return null;
+  }
+
+  const percent = Math.round(email.confidenceScore * 100);
+  const low = threshold != null && email.confidenceScore < threshold;
+
+  return (
+    <span
+      title={low ? 'Below your review threshold' : 'Classification confidence'}
+      className={`text-xs px-2 py-0.5 rounded ${
+        low ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-700'
+      }`}
+    >
+      {percent}%
+    </span>
+  );
+}
+
+export default ConfidenceBadge;
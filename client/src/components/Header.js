@@ -5,7 +5,15 @@
  */
 
 import React, { useState } from 'react';
-import { FaUser, FaSignOutAlt, FaChevronDown } from 'react-icons/fa';
+import { Link } from 'react-router-dom';
+import {
+  FaUser,
+  FaSignOutAlt,
+  FaChevronDown,
+  FaCog,
+  FaFilter,
+  FaEnvelopeOpenText,
+} from 'react-icons/fa';
 
 function Header({ user, onLogout }) {
   const [showMenu, setShowMenu] = useState(false);
@@ -47,6 +55,27 @@ function Header({ user, onLogout }) {
               <p className="text-sm font-medium text-gray-900">{user?.name}</p>
               <p className="text-xs text-gray-500">{user?.email}</p>
             </div>
+            <Link
+              to="/settings"
+              onClick={() => setShowMenu(false)}
+              className="w-full text-left px-4 py-2 text-gray-700 hover:bg-gray-100 flex items-center gap-2 text-sm font-medium"
+            >
+              <FaCog /> Settings
+            </Link>
+            <Link
+              to="/rules"
+              onClick={() => setShowMenu(false)}
+              className="w-full text-left px-4 py-2 text-gray-700 hover:bg-gray-100 flex items-center gap-2 text-sm font-medium"
+            >
+              <FaFilter /> Rules
+            </Link>
+            <Link
+              to="/subscriptions"
+              onClick={() => setShowMenu(false)}
+              className="w-full text-left px-4 py-2 text-gray-700 hover:bg-gray-100 flex items-center gap-2 text-sm font-medium"
+            >
+              <FaEnvelopeOpenText /> Subscriptions
+            </Link>
             <button
               onClick={() => {
                 setShowMenu(false);
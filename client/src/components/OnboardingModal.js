@@ -0,0 +1,231 @@
+// client/src/components/OnboardingModal.js
+/**
+ * Onboarding modal
+ * Lets a new user start from a starter pack, pick templates, or have the AI suggest
+ * categories from their inbox
+ */
+
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { FaTimes, FaMagic } from 'react-icons/fa';
+import * as api from '../services/api';
+
+function OnboardingModal({ onDone, onSkip }) {
+  const [templates, setTemplates] = useState([]);
+  const [packs, setPacks] = useState([]);
+  const [tab, setTab] = useState('packs');
+  const [activePack, setActivePack] = useState(null);
+  const [suggestions, setSuggestions] = useState(null);
+  const [suggesting, setSuggesting] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // Chosen categories by name
+  const [selected, setSelected] = useState(new Map());
+
+  /**
+   * Load the template library
+   */
+  useEffect(() => {
+    const loadTemplates = async () => {
+      try {
+        const response = await api.getCategoryTemplates();
+        setTemplates(response.data.templates);
+        setPacks(response.data.packs);
+      } catch (error) {
+        console.error('Error loading templates:', error);
+        toast.error('Failed to load category templates');
+      }
+    };
+
+    loadTemplates();
+  }, []);
+
+  /**
+   * Select every template of a starter pack
+   */
+  const handlePickPack = (pack) => {
+    setActivePack(pack.key);
+    setSelected(
+      new Map(
+        templates
+          .filter((template) => pack.templates.includes(template.key))
+          .map((template) => [template.name, template])
+      )
+    );
+  };
+
+  /**
+   * Add or remove one category from the selection
+   */
+  const toggleSelected = (entry) => {
+    const next = new Map(selected);
+    if (next.has(entry.name)) {
+      next.delete(entry.name);
+    } else {
+      next.set(entry.name, entry);
+    }
+    setSelected(next);
+  };
+
+  /**
+   * Ask the AI for categories that fit the user's inbox
+   */
+  const handleSuggest = async () => {
+    try {
+      setSuggesting(true);
+      const response = await api.suggestCategories();
+      setSuggestions(response.data.suggestions);
+      setSelected(new Map(response.data.suggestions.map((s) => [s.name, s])));
+
+      if (response.data.sampled === 0) {
+        toast.info('No emails to learn from yet');
+      }
+    } catch (error) {
+      console.error('Error suggesting categories:', error);
+      toast.error(error.response?.data?.error || 'Failed to suggest categories');
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
+  /**
+   * Create the selected categories
+   */
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      const categories = Array.from(selected.values()).map(
+        ({ name, description, color, icon }) => ({ name, description, color, icon })
+      );
+      const response = await api.importCategories(categories);
+      toast.success(`Added ${response.data.created.length} categories`);
+      onDone();
+    } catch (error) {
+      console.error('Error creating categories:', error);
+      toast.error(error.response?.data?.error || 'Failed to create categories');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Render a selectable category row
+   */
+  const renderOption = (entry) => (
+    <label
+      key={entry.name}
+      className="flex items-start gap-3 p-3 rounded-lg border border-gray-200 hover:bg-gray-50 cursor-pointer"
+    >
+      <input
+        type="checkbox"
+        checked={selected.has(entry.name)}
+        onChange={() => toggleSelected(entry)}
+        className="w-4 h-4 mt-1"
+      />
+      <div
+        className="w-3 h-3 rounded-full mt-1.5 flex-shrink-0"
+        style={{ backgroundColor: entry.color }}
+      />
+      <div>
+        <p className="font-medium text-gray-900">{entry.name}</p>
+        <p className="text-sm text-gray-600">{entry.description}</p>
+      </div>
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-full flex flex-col">
+        {/* Header */}
+        <div className="flex justify-between items-center p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Set up your categories</h2>
+            <p className="text-sm text-gray-600">
+              Emails are sorted into these. You can edit or add more at any time.
+            </p>
+          </div>
+          <button onClick={onSkip} className="text-gray-500 hover:text-gray-700">
+            <FaTimes />
+          </button>
+        </div>
+
+        {/* Tabs */}
+        <div className="flex gap-4 px-6 pt-4 border-b border-gray-200">
+          {[
+            { key: 'packs', label: 'Starter packs' },
+            { key: 'suggest', label: 'Suggest from my inbox' },
+          ].map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              className={`pb-2 text-sm font-medium border-b-2 ${
+                tab === key
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {/* Body */}
+        <div className="p-6 overflow-y-auto flex-1 space-y-4">
+          {tab === 'packs' ? (
+            <>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {packs.map((pack) => (
+                  <button
+                    key={pack.key}
+                    onClick={() => handlePickPack(pack)}
+                    className={`text-left p-4 rounded-lg border-2 transition-colors ${
+                      activePack === pack.key
+                        ? 'border-blue-600 bg-blue-50'
+                        : 'border-gray-200 hover:border-gray-300'
+                    }`}
+                  >
+                    <p className="font-semibold text-gray-900">{pack.name}</p>
+                    <p className="text-sm text-gray-600">{pack.description}</p>
+                  </button>
+                ))}
+              </div>
+              <div className="space-y-2">{templates.map(renderOption)}</div>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={handleSuggest}
+                disabled={suggesting}
+                className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+              >
+                <FaMagic className={suggesting ? 'animate-pulse' : ''} />
+                {suggesting ? 'Reading your recent emails...' : 'Suggest categories'}
+              </button>
+              {suggestions && suggestions.length === 0 && (
+                <p className="text-sm text-gray-600">
+                  No suggestions this time. Try a starter pack instead.
+                </p>
+              )}
+              {suggestions && <div className="space-y-2">{suggestions.map(renderOption)}</div>}
+            </>
+          )}
+        </div>
+
+        {/* Buttons */}
+        <div className="flex gap-3 p-6 border-t border-gray-200">
+          <button onClick={onSkip} className="flex-1 btn-secondary">
+            Skip for now
+          </button>
+          <button
+            onClick={handleCreate}
+            disabled={saving || selected.size === 0}
+            className="flex-1 btn-primary disabled:opacity-50"
+          >
+            {saving ? 'Adding...' : `Add ${selected.size} categor${selected.size === 1 ? 'y' : 'ies'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OnboardingModal;
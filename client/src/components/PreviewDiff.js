@@ -0,0 +1,101 @@
+// client/src/components/PreviewDiff.js
+/**
+ * Preview diff component
+ * Shows which emails a draft rule or category would move between categories
+ */
+
+import React, { useState } from 'react';
+import { FaArrowRight } from 'react-icons/fa';
+
+const ACTION_LABELS = {
+  archive: 'archive',
+  markRead: 'mark read',
+  skipAI: 'skip AI',
+  delete: 'trash',
+};
+
+function PreviewDiff({ preview }) {
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  const emails = showUnchanged ? preview.emails : preview.emails.filter((email) => email.moved);
+  const unchangedCount = preview.emails.length - preview.changed;
+
+  return (
+    <div className="space-y-3">
+      {/* Summary */}
+      <p className="text-sm text-gray-700">
+        <strong>{preview.changed}</strong> of {preview.sampled} recent email
+        {preview.sampled !== 1 ? 's' : ''} would move
+        {preview.matched != null && ` • rule matches ${preview.matched}`}
+      </p>
+
+      {preview.moves.length > 0 && (
+        <ul className="space-y-1">
+          {preview.moves.map((move) => (
+            <li
+              key={`${move.from._id}:${move.to._id}`}
+              className="text-sm text-gray-700 flex items-center gap-2"
+            >
+              <span className="text-red-700">{move.from.name}</span>
+              <FaArrowRight className="text-gray-400 text-xs" />
+              <span className="text-green-700">{move.to.name}</span>
+              <span className="text-xs bg-gray-200 px-2 py-0.5 rounded">{move.count}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Email Diff */}
+      {emails.length > 0 && (
+        <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-200">
+          {emails.map((email) => (
+            <div key={email._id} className="p-2 text-sm">
+              <p className="font-medium text-gray-900 truncate">{email.subject || '(no subject)'}</p>
+              <p className="text-xs text-gray-500 truncate">{email.from}</p>
+              <p className="text-xs mt-1 flex items-center gap-2 flex-wrap">
+                {email.moved ? (
+                  <>
+                    <span className="bg-red-50 text-red-700 px-1 rounded line-through">
+                      {email.before.name}
+                    </span>
+                    <FaArrowRight className="text-gray-400" />
+                    <span className="bg-green-50 text-green-700 px-1 rounded">
+                      {email.after.name}
+                    </span>
+                  </>
+                ) : (
+                  <span className="text-gray-600">Stays in {email.before.name}</span>
+                )}
+                {email.actions &&
+                  Object.keys(ACTION_LABELS)
+                    .filter((key) => email.actions[key])
+                    .map((key) => (
+                      <span key={key} className="bg-gray-100 text-gray-700 px-1 rounded">
+                        {ACTION_LABELS[key]}
+                      </span>
+                    ))}
+              </p>
+              {email.reasoning && (
+                <p className="text-xs text-gray-500 mt-1">{email.reasoning}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {unchangedCount > 0 && (
+        <button
+          type="button"
+          onClick={() => setShowUnchanged(!showUnchanged)}
+          className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+        >
+          {showUnchanged
+            ? 'Only show emails that move'
+            : `Also show ${unchangedCount} matched email${unchangedCount !== 1 ? 's' : ''} that stay put`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PreviewDiff;
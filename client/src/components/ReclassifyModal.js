@@ -0,0 +1,139 @@
+// client/src/components/ReclassifyModal.js
+/**
+ * Reclassify modal
+ * Dialog for re-sorting already imported emails after categories change
+ */
+
+import React, { useState } from 'react';
+import { FaTimes } from 'react-icons/fa';
+
+function ReclassifyModal({ categories, accounts, onSubmit, onClose }) {
+  const [categoryId, setCategoryId] = useState('');
+  const [accountId, setAccountId] = useState('');
+  const [after, setAfter] = useState('');
+  const [before, setBefore] = useState('');
+  const [confidenceBelow, setConfidenceBelow] = useState('');
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    onSubmit({
+      categoryId: categoryId || undefined,
+      accountId: accountId || undefined,
+      after: after || undefined,
+      before: before || undefined,
+      confidenceBelow: confidenceBelow ? parseFloat(confidenceBelow) / 100 : undefined,
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
+        {/* Header */}
+        <div className="flex justify-between items-center p-6 border-b border-gray-200">
+          <h2 className="text-xl font-bold text-gray-900">Re-sort Emails</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <FaTimes />
+          </button>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            Runs your current categories and rules over emails you already imported.
+            Emails you moved by hand are never changed.
+          </p>
+
+          {/* Category */}
+          <div>
+            <label className="label">Emails in</label>
+            <select
+              value={categoryId}
+              onChange={(e) => setCategoryId(e.target.value)}
+              className="input"
+            >
+              <option value="">All categories</option>
+              <option value="uncategorized">Uncategorized</option>
+              <option value="unclassified">Unclassified (needs review)</option>
+              {categories.map((category) => (
+                <option key={category._id} value={category._id}>
+                  {category.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Account */}
+          {accounts.length > 1 && (
+            <div>
+              <label className="label">Account</label>
+              <select
+                value={accountId}
+                onChange={(e) => setAccountId(e.target.value)}
+                className="input"
+              >
+                <option value="">All accounts</option>
+                {accounts.map((account) => (
+                  <option key={account._id} value={account._id}>
+                    {account.email}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Date Range */}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="label">Received after</label>
+              <input
+                type="date"
+                value={after}
+                onChange={(e) => setAfter(e.target.value)}
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="label">Received before</label>
+              <input
+                type="date"
+                value={before}
+                onChange={(e) => setBefore(e.target.value)}
+                className="input"
+              />
+            </div>
+          </div>
+
+          {/* Confidence */}
+          <div>
+            <label className="label">Only when confidence is below (%)</label>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={confidenceBelow}
+              onChange={(e) => setConfidenceBelow(e.target.value)}
+              placeholder="Any confidence"
+              className="input"
+            />
+          </div>
+
+          {/* Buttons */}
+          <div className="flex gap-3 pt-4">
+            <button type="button" onClick={onClose} className="flex-1 btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" className="flex-1 btn-primary">
+              Re-sort
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default ReclassifyModal;
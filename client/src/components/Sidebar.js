@@ -4,12 +4,102 @@
  * Left navigation sidebar with categories and accounts
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { FaFolderOpen, FaHome, FaTrash } from 'react-icons/fa';
+import {
+  FaFolderOpen,
+  FaHome,
+  FaTrash,
+  FaClipboardCheck,
+  FaChevronRight,
+  FaChevronDown,
+} from 'react-icons/fa';
+import { getChildren } from '../utils/categoryTree';
 
-function Sidebar({ categories, accounts, onDeleteCategory }) {
+// Collapsed categories are remembered across pages and visits
+const COLLAPSED_KEY = 'collapsedCategories';
+
+/**
+ * Load the IDs of collapsed categories
+ * @returns {Set<string>} Collapsed category IDs
+ */
+function loadCollapsed() {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(COLLAPSED_KEY)) || []);
+  } catch (error) {
+    return new Set();
+  }
+}
+
+function Sidebar({ categories, accounts, reviewCount = 0, onDeleteCategory }) {
   const location = useLocation();
+  const [collapsed, setCollapsed] = useState(loadCollapsed);
+
+  /**
+   * Expand or collapse a category
+   */
+  const toggleCollapsed = (categoryId) => {
+    const next = new Set(collapsed);
+    if (next.has(categoryId)) {
+      next.delete(categoryId);
+    } else {
+      next.add(categoryId);
+    }
+    setCollapsed(next);
+    localStorage.setItem(COLLAPSED_KEY, JSON.stringify(Array.from(next)));
+  };
+
+  /**
+   * Render the categories under a parent, with their expanded subcategories
+   */
+  const renderCategories = (parentId, depth) =>
+    getChildren(categories, parentId).map((category) => {
+      const hasChildren = getChildren(categories, category._id).length > 0;
+      const isCollapsed = collapsed.has(category._id);
+
+      return (
+        <div key={category._id}>
+          <div className="group flex items-center" style={{ paddingLeft: `${depth * 12}px` }}>
+            <button
+              type="button"
+              onClick={() => toggleCollapsed(category._id)}
+              className={`w-5 text-xs text-gray-400 hover:text-gray-600 ${
+                hasChildren ? '' : 'invisible'
+              }`}
+            >
+              {isCollapsed ? <FaChevronRight /> : <FaChevronDown />}
+            </button>
+            <Link
+              to={`/category/${category._id}`}
+              className={`flex-1 min-w-0 flex items-center gap-2 px-2 py-2 rounded-lg transition-colors ${
+                location.pathname === `/category/${category._id}`
+                  ? 'bg-blue-100 text-blue-600'
+                  : 'text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <div
+                className="w-3 h-3 rounded-full flex-shrink-0"
+                style={{ backgroundColor: category.color }}
+              />
+              <span className="flex-1 truncate">{category.name}</span>
+              <span className="text-xs bg-gray-200 px-2 py-1 rounded group-hover:bg-gray-300 transition-colors">
+                {category.totalEmailCount}
+              </span>
+            </Link>
+            {onDeleteCategory && (
+              <button
+                type="button"
+                onClick={() => onDeleteCategory(category)}
+                className="ml-1 text-xs text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100"
+              >
+                <FaTrash />
+              </button>
+            )}
+          </div>
+          {hasChildren && !isCollapsed && renderCategories(category._id, depth + 1)}
+        </div>
+      );
+    });
 
   return (
     <aside className="w-64 bg-white border-r border-gray-200 overflow-y-auto">
@@ -26,6 +116,24 @@ function Sidebar({ categories, accounts, onDeleteCategory }) {
           <FaHome /> Dashboard
         </Link>
 
+        {/* Review Queue Link */}
+        <Link
+          to="/category/review"
+          className={`mt-1 flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-colors ${
+            location.pathname === '/category/review'
+              ? 'bg-blue-100 text-blue-600'
+              : 'text-gray-700 hover:bg-gray-100'
+          }`}
+        >
+          <FaClipboardCheck />
+          <span className="flex-1">Needs review</span>
+          {reviewCount > 0 && (
+            <span className="text-xs bg-yellow-200 text-yellow-900 px-2 py-1 rounded">
+              {reviewCount}
+            </span>
+          )}
+        </Link>
+
         {/* Categories Section */}
         <div className="mt-8">
           <h3 className="text-xs uppercase font-semibold text-gray-500 px-4 mb-3">
@@ -35,29 +143,7 @@ function Sidebar({ categories, accounts, onDeleteCategory }) {
           {categories.length === 0 ? (
             <p className="text-xs text-gray-500 px-4">No categories yet</p>
           ) : (
-            <nav className="space-y-1">
-              {categories.map((category) => (
-                <div key={category._id} className="group">
-                  <Link
-                    to={`/category/${category._id}`}
-                    className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
-                      location.pathname === `/category/${category._id}`
-                        ? 'bg-blue-100 text-blue-600'
-                        : 'text-gray-700 hover:bg-gray-100'
-                    }`}
-                  >
-                    <div
-                      className="w-3 h-3 rounded-full"
-                      style={{ backgroundColor: category.color }}
-                    />
-                    <span className="flex-1 truncate">{category.name}</span>
-                    <span className="text-xs bg-gray-200 px-2 py-1 rounded group-hover:bg-gray-300 transition-colors">
-                      {category.emailCount}
-                    </span>
-                  </Link>
-                </div>
-              ))}
-            </nav>
+            <nav className="space-y-1">{renderCategories(null, 0)}</nav>
           )}
         </div>
 
@@ -0,0 +1,42 @@
+// client/src/components/TagChips.js
+/**
+ * Tag chips component
+ * Renders an email's tags as small colored chips, optionally removable
+ */
+
+import React from 'react';
+import { FaTimes } from 'react-icons/fa';
+
+function TagChips({ tags, onRemove }) {
+  if (!tags || tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {tags.map((tag) => (
+        <span
+          key={tag._id}
+          className="text-xs px-2 py-0.5 rounded-full text-white flex items-center gap-1"
+          style={{ backgroundColor: tag.color }}
+        >
+          {tag.name}
+          {onRemove && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                onRemove(tag);
+              }}
+              className="hover:text-gray-200"
+            >
+              <FaTimes className="text-[10px]" />
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default TagChips;
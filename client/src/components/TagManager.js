@@ -0,0 +1,181 @@
+// client/src/components/TagManager.js
+/**
+ * Tag manager component
+ * Lists the user's tags and lets them create, configure and delete tags
+ */
+
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { FaPlus, FaTrash, FaTag } from 'react-icons/fa';
+import * as api from '../services/api';
+
+const COLORS = ['#6b7280', '#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
+
+function TagManager({ tags, onChange }) {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [color, setColor] = useState(COLORS[0]);
+  const [mirrorToGmail, setMirrorToGmail] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Create a tag
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!name.trim()) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await api.createTag({ name, description, color, mirrorToGmail });
+      toast.success('Tag created');
+      setName('');
+      setDescription('');
+      setMirrorToGmail(false);
+      onChange();
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      toast.error(error.response?.data?.error || 'Failed to create tag');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Toggle a boolean setting of a tag
+   */
+  const handleToggle = async (tag, field) => {
+    try {
+      await api.updateTag(tag._id, { [field]: !tag[field] });
+      onChange();
+    } catch (error) {
+      console.error('Error updating tag:', error);
+      toast.error(error.response?.data?.error || 'Failed to update tag');
+    }
+  };
+
+  /**
+   * Delete a tag
+   */
+  const handleDelete = async (tag) => {
+    if (!window.confirm(`Delete tag "${tag.name}"? It will be removed from every email.`)) {
+      return;
+    }
+
+    try {
+      await api.deleteTag(tag._id);
+      toast.success('Tag deleted');
+      onChange();
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      toast.error('Failed to delete tag');
+    }
+  };
+
+  return (
+    <div className="card p-6 mb-8">
+      <h2 className="text-xl font-bold text-gray-900 mb-2 flex items-center gap-2">
+        <FaTag /> Tags
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Tags go alongside an email's category, so a flight receipt can be both Travel and
+        Receipts. The AI adds auto tags while sorting.
+      </p>
+
+      {tags.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {tags.map((tag) => (
+            <div
+              key={tag._id}
+              className="flex items-center justify-between p-2 bg-gray-50 rounded-lg border border-gray-200"
+            >
+              <div className="flex items-center gap-2 min-w-0">
+                <span
+                  className="text-xs px-2 py-0.5 rounded-full text-white"
+                  style={{ backgroundColor: tag.color }}
+                >
+                  {tag.name}
+                </span>
+                <span className="text-xs text-gray-500 truncate">{tag.description}</span>
+              </div>
+              <div className="flex items-center gap-4 flex-shrink-0">
+                <label className="text-xs text-gray-700 flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={tag.autoApply}
+                    onChange={() => handleToggle(tag, 'autoApply')}
+                  />
+                  Auto
+                </label>
+                <label className="text-xs text-gray-700 flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={tag.mirrorToGmail}
+                    onChange={() => handleToggle(tag, 'mirrorToGmail')}
+                  />
+                  Gmail label
+                </label>
+                <button
+                  onClick={() => handleDelete(tag)}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Tag name"
+          className="text-sm border border-gray-300 rounded-lg px-2 py-1 w-36"
+        />
+        <input
+          type="text"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          placeholder="When should it apply? (optional)"
+          className="text-sm border border-gray-300 rounded-lg px-2 py-1 flex-1 min-w-0"
+        />
+        <div className="flex gap-1">
+          {COLORS.map((c) => (
+            <button
+              key={c}
+              type="button"
+              onClick={() => setColor(c)}
+              className={`w-5 h-5 rounded-full border-2 ${
+                color === c ? 'border-gray-900' : 'border-transparent'
+              }`}
+              style={{ backgroundColor: c }}
+            />
+          ))}
+        </div>
+        <label className="text-xs text-gray-700 flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={mirrorToGmail}
+            onChange={(e) => setMirrorToGmail(e.target.checked)}
+          />
+          Gmail label
+        </label>
+        <button
+          type="submit"
+          disabled={saving || !name.trim()}
+          className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+        >
+          <FaPlus /> Add Tag
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default TagManager;
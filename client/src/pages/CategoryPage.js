@@ -1,10 +1,11 @@
 // client/src/pages/CategoryPage.js
 /**
  * Category page
- * Shows all emails in a specific category with bulk actions
+ * Shows all emails in a specific category with bulk actions, or the "Needs review"
+ * queue of low-confidence emails with keyboard-driven accept/reassign
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import {
@@ -12,14 +13,25 @@ import {
   FaTrash,
   FaLink,
   FaCheck,
-  FaSync,
 } from 'react-icons/fa';
 import * as api from '../services/api';
+import { getLeafCategories } from '../utils/categoryTree';
 
 import Header from '../components/Header';
 import Sidebar from '../components/Sidebar';
+import ConfidenceBadge from '../components/ConfidenceBadge';
+import TagChips from '../components/TagChips';
 import { useAuth } from '../context/AuthContext';
 
+// Virtual category listing low-confidence and unclassified emails
+const REVIEW_CATEGORY = {
+  _id: 'review',
+  name: 'Needs review',
+  description:
+    'Emails sorted with low confidence or left unclassified. Keys: j/k move, a accept, 1-9 move to a category, x select, Enter open.',
+  color: '#f59e0b',
+};
+
 function CategoryPage() {
   const { categoryId } = useParams();
   const navigate = useNavigate();
@@ -29,8 +41,16 @@ function CategoryPage() {
   const [emails, setEmails] = useState([]);
   const [categories, setCategories] = useState([]);
   const [accounts, setAccounts] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [tagFilter, setTagFilter] = useState('');
   const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(false);
+  const [review, setReview] = useState({ count: 0, threshold: null });
+  const [focusedIndex, setFocusedIndex] = useState(0);
+
+  const isReview = categoryId === 'review';
+  // Review shortcuts and "Move to" only offer categories emails can be sorted into
+  const leafCategories = getLeafCategories(categories);
 
   const [selectedEmails, setSelectedEmails] = useState(new Set());
   const [page, setPage] = useState(0);
@@ -42,7 +62,7 @@ function CategoryPage() {
    */
   useEffect(() => {
     loadData();
-  }, [categoryId, page]);
+  }, [categoryId, page, tagFilter]);
 
   /**
    * Load all data
@@ -51,16 +71,22 @@ function CategoryPage() {
     try {
       setLoading(true);
 
-      // Load categories and accounts
-      const [catRes, accRes] = await Promise.all([
+      // Load categories, accounts, tags and the review queue size
+      const [catRes, accRes, reviewRes, tagsRes] = await Promise.all([
         api.getCategories(),
         api.getAccounts(),
+        api.getReviewSummary(),
+        api.getTags(),
       ]);
       setCategories(catRes.data);
       setAccounts(accRes.data);
+      setReview(reviewRes.data);
+      setTags(tagsRes.data);
 
       // Load specific category
-      const categoryData = catRes.data.find((c) => c._id === categoryId);
+      const categoryData = isReview
+        ? REVIEW_CATEGORY
+        : catRes.data.find((c) => c._id === categoryId);
       if (!categoryData) {
         toast.error('Category not found');
         navigate('/dashboard');
@@ -71,12 +97,14 @@ function CategoryPage() {
       // Load emails in category
       const emailsRes = await api.getEmails({
         categoryId,
+        tagIds: tagFilter || undefined,
         limit,
         page,
       });
       setEmails(emailsRes.data.emails);
       setTotalEmails(emailsRes.data.total);
       setSelectedEmails(new Set());
+      setFocusedIndex((index) => Math.min(index, Math.max(0, emailsRes.data.emails.length - 1)));
     } catch (error) {
       console.error('Error loading data:', error);
       toast.error('Failed to load data');
@@ -165,6 +193,120 @@ function CategoryPage() {
     }
   };
 
+  /**
+   * Accept the current category of review emails
+   */
+  const handleAccept = async (emailIds) => {
+    const accepted = emails.filter((e) => emailIds.includes(e._id) && e.categoryId);
+    if (accepted.length === 0) {
+      toast.warning('Unclassified emails need a category: press 1-9 or use Move to');
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      await api.acceptReviewedEmails(accepted.map((e) => e._id));
+      toast.success(`Accepted ${accepted.length} email(s)`);
+      loadData();
+    } catch (error) {
+      console.error('Error accepting emails:', error);
+      toast.error(error.response?.data?.error || 'Failed to accept emails');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  /**
+   * Move emails to another category
+   */
+  const handleReassign = async (emailIds, targetCategoryId) => {
+    if (emailIds.length === 0 || !targetCategoryId) {
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      await api.recategorizeEmails(emailIds, targetCategoryId);
+      const target = categories.find((c) => c._id === targetCategoryId);
+      toast.success(`Moved ${emailIds.length} email(s) to ${target?.name || 'category'}`);
+      loadData();
+    } catch (error) {
+      console.error('Error moving emails:', error);
+      toast.error(error.response?.data?.error || 'Failed to move emails');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  /**
+   * Add a tag to emails
+   */
+  const handleAddTag = async (emailIds, tagId) => {
+    if (emailIds.length === 0 || !tagId) {
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      await api.updateEmailTags(emailIds, { add: [tagId] });
+      const tag = tags.find((t) => t._id === tagId);
+      toast.success(`Tagged ${emailIds.length} email(s) with ${tag?.name || 'tag'}`);
+      loadData();
+    } catch (error) {
+      console.error('Error tagging emails:', error);
+      toast.error(error.response?.data?.error || 'Failed to tag emails');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  /**
+   * Keyboard shortcuts for working through the review queue
+   * Rebuilt every render so it always sees the current emails, selection and handlers
+   */
+  const handleReviewKeyRef = useRef(null);
+  handleReviewKeyRef.current = (e) => {
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) || e.metaKey || e.ctrlKey) {
+      return;
+    }
+    if (processing || emails.length === 0) {
+      return;
+    }
+
+    const focused = emails[focusedIndex];
+    // Actions apply to the selection when there is one, otherwise to the focused email
+    const targetIds = selectedEmails.size > 0 ? Array.from(selectedEmails) : [focused._id];
+
+    if (e.key === 'j' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      setFocusedIndex(Math.min(emails.length - 1, focusedIndex + 1));
+    } else if (e.key === 'k' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setFocusedIndex(Math.max(0, focusedIndex - 1));
+    } else if (e.key === 'x') {
+      toggleEmailSelection(focused._id);
+    } else if (e.key === 'a') {
+      handleAccept(targetIds);
+    } else if (e.key === 'Enter' || e.key === 'o') {
+      navigate(`/email/${focused._id}`);
+    } else if (/^[1-9]$/.test(e.key)) {
+      const target = leafCategories[parseInt(e.key) - 1];
+      if (target) {
+        handleReassign(targetIds, target._id);
+      }
+    }
+  };
+
+  useEffect(() => {
+    if (!isReview) {
+      return undefined;
+    }
+
+    const handleKeyDown = (e) => handleReviewKeyRef.current(e);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isReview]);
+
   /**
    * Handle logout
    */
@@ -180,7 +322,7 @@ function CategoryPage() {
   if (loading) {
     return (
       <div className="flex h-screen bg-gray-100">
-        <Sidebar categories={categories} accounts={accounts} />
+        <Sidebar categories={categories} accounts={accounts} reviewCount={review.count} />
         <div className="flex-1 flex flex-col">
           <Header user={user} onLogout={handleLogout} />
           <div className="flex-1 flex items-center justify-center">
@@ -201,7 +343,7 @@ function CategoryPage() {
   return (
     <div className="flex h-screen bg-gray-100">
       {/* Sidebar */}
-      <Sidebar categories={categories} accounts={accounts} />
+      <Sidebar categories={categories} accounts={accounts} reviewCount={review.count} />
 
       {/* Main Content */}
       <div className="flex-1 flex flex-col overflow-hidden">
@@ -235,14 +377,25 @@ function CategoryPage() {
               </div>
             </div>
 
+            {/* Review Shortcuts */}
+            {isReview && leafCategories.length > 0 && (
+              <p className="text-xs text-gray-500 mb-4">
+                Move to:{' '}
+                {leafCategories
+                  .slice(0, 9)
+                  .map((c, i) => `${i + 1} ${c.name}`)
+                  .join(' · ')}
+              </p>
+            )}
+
             {/* Bulk Actions */}
-            {emails.length > 0 && (
+            {(emails.length > 0 || tagFilter) && (
               <div className="card p-4 mb-6 flex items-center justify-between">
                 <div className="flex items-center gap-4">
                   <label className="flex items-center gap-2 cursor-pointer">
                     <input
                       type="checkbox"
-                      checked={selectedEmails.size === emails.length}
+                      checked={emails.length > 0 && selectedEmails.size === emails.length}
                       onChange={toggleSelectAll}
                       className="w-4 h-4"
                     />
@@ -252,10 +405,70 @@ function CategoryPage() {
                         : 'Select all'}
                     </span>
                   </label>
+                  {tags.length > 0 && (
+                    <select
+                      value={tagFilter}
+                      onChange={(e) => {
+                        setTagFilter(e.target.value);
+                        setPage(0);
+                      }}
+                      className="text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                    >
+                      <option value="">All tags</option>
+                      {tags.map((t) => (
+                        <option key={t._id} value={t._id}>
+                          {t.name}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                 </div>
 
                 {selectedEmails.size > 0 && (
                   <div className="flex gap-3">
+                    {isReview && (
+                      <>
+                        <button
+                          onClick={() => handleAccept(Array.from(selectedEmails))}
+                          disabled={processing}
+                          className="btn-primary flex items-center gap-2 disabled:opacity-50"
+                        >
+                          <FaCheck /> Accept
+                        </button>
+                        <select
+                          value=""
+                          onChange={(e) => handleReassign(Array.from(selectedEmails), e.target.value)}
+                          disabled={processing}
+                          className="text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                        >
+                          <option value="" disabled>
+                            Move to...
+                          </option>
+                          {leafCategories.map((c) => (
+                            <option key={c._id} value={c._id}>
+                              {c.name}
+                            </option>
+                          ))}
+                        </select>
+                      </>
+                    )}
+                    {tags.length > 0 && (
+                      <select
+                        value=""
+                        onChange={(e) => handleAddTag(Array.from(selectedEmails), e.target.value)}
+                        disabled={processing}
+                        className="text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                      >
+                        <option value="" disabled>
+                          Add tag...
+                        </option>
+                        {tags.map((t) => (
+                          <option key={t._id} value={t._id}>
+                            {t.name}
+                          </option>
+                        ))}
+                      </select>
+                    )}
                     <button
                       onClick={handleUnsubscribeEmails}
                       disabled={processing}
@@ -278,14 +491,22 @@ function CategoryPage() {
             {/* Emails List */}
             {emails.length === 0 ? (
               <div className="text-center py-12 card">
-                <p className="text-gray-600">No emails in this category yet</p>
+                <p className="text-gray-600">
+                  {isReview
+                    ? 'Nothing to review'
+                    : tagFilter
+                      ? 'No emails with this tag'
+                      : 'No emails in this category yet'}
+                </p>
               </div>
             ) : (
               <div className="space-y-3">
-                {emails.map((email) => (
+                {emails.map((email, index) => (
                   <div
                     key={email._id}
-                    className="card p-4 hover:shadow-md transition-shadow"
+                    className={`card p-4 hover:shadow-md transition-shadow ${
+                      isReview && index === focusedIndex ? 'ring-2 ring-blue-400' : ''
+                    }`}
                   >
                     <div className="flex items-start gap-4">
                       <input
@@ -305,13 +526,31 @@ function CategoryPage() {
                             </p>
                             <p className="text-sm text-gray-600">{email.from}</p>
                           </div>
-                          <span className="text-xs text-gray-500">
-                            {new Date(email.receivedAt).toLocaleDateString()}
-                          </span>
+                          <div className="flex items-center gap-2 flex-shrink-0">
+                            {/* Show the category in the review queue and for emails of subcategories */}
+                            {email.categoryId &&
+                              (isReview || email.categoryId._id !== categoryId) && (
+                                <span
+                                  className="text-xs px-2 py-0.5 rounded text-white"
+                                  style={{ backgroundColor: email.categoryId.color }}
+                                >
+                                  {email.categoryId.name}
+                                </span>
+                              )}
+                            <ConfidenceBadge email={email} threshold={review.threshold} />
+                            <span className="text-xs text-gray-500">
+                              {new Date(email.receivedAt).toLocaleDateString()}
+                            </span>
+                          </div>
                         </div>
                         <p className="text-sm text-gray-700 line-clamp-2">
                           {email.aiSummary}
                         </p>
+                        {email.tagIds?.length > 0 && (
+                          <div className="mt-2">
+                            <TagChips tags={email.tagIds} />
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
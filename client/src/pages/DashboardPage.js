@@ -4,36 +4,75 @@
  * Main application page showing categories, accounts, and controls
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { FaPlus, FaSync, FaSignOutAlt, FaCog, FaUser } from 'react-icons/fa';
+import {
+  FaPlus,
+  FaSync,
+  FaSignOutAlt,
+  FaCog,
+  FaUser,
+  FaRandom,
+  FaArrowUp,
+  FaArrowDown,
+  FaMagic,
+} from 'react-icons/fa';
 import * as api from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { flattenTree, getChildren } from '../utils/categoryTree';
 
 import Header from '../components/Header';
 import Sidebar from '../components/Sidebar';
 import CategoryModal from '../components/CategoryModal';
 import AccountModal from '../components/AccountModal';
+import ReclassifyModal from '../components/ReclassifyModal';
+import TagManager from '../components/TagManager';
+import OnboardingModal from '../components/OnboardingModal';
+import CategorySuggestions from '../components/CategorySuggestions';
+
+const SYNC_INTERVALS = [
+  { value: 'off', label: 'Manual sync' },
+  { value: '5m', label: 'Every 5 minutes' },
+  { value: '15m', label: 'Every 15 minutes' },
+  { value: '30m', label: 'Every 30 minutes' },
+  { value: 'hourly', label: 'Hourly' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'cron', label: 'Custom (cron)' },
+];
 
 function DashboardPage() {
   const navigate = useNavigate();
-  const { user, logout } = useAuth();
+  const { user, logout, updateUser } = useAuth();
 
   const [categories, setCategories] = useState([]);
   const [accounts, setAccounts] = useState([]);
+  const [reviewCount, setReviewCount] = useState(0);
+  const [tags, setTags] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [syncing, setSyncing] = useState(false);
+  const [reclassifying, setReclassifying] = useState(false);
+  const [refreshingSuggestions, setRefreshingSuggestions] = useState(false);
 
   const [showCategoryModal, setShowCategoryModal] = useState(false);
   const [showAccountModal, setShowAccountModal] = useState(false);
+  const [showReclassifyModal, setShowReclassifyModal] = useState(false);
+  const [showOnboarding, setShowOnboarding] = useState(false);
   const [editingCategory, setEditingCategory] = useState(null);
 
+  // Stops job polling once the page is left
+  const mountedRef = useRef(true);
+
   /**
    * Load categories and accounts on mount
    */
   useEffect(() => {
+    mountedRef.current = true;
     loadData();
+    return () => {
+      mountedRef.current = false;
+    };
   }, []);
 
   /**
@@ -42,13 +81,24 @@ function DashboardPage() {
   const loadData = async () => {
     try {
       setLoading(true);
-      const [categoriesRes, accountsRes] = await Promise.all([
+      const [categoriesRes, accountsRes, reviewRes, tagsRes, suggestionsRes] = await Promise.all([
         api.getCategories(),
         api.getAccounts(),
+        api.getReviewSummary(),
+        api.getTags(),
+        api.getCategorySuggestions(),
       ]);
 
       setCategories(categoriesRes.data);
       setAccounts(accountsRes.data);
+      setReviewCount(reviewRes.data.count);
+      setTags(tagsRes.data);
+      setSuggestions(suggestionsRes.data);
+
+      // First login: offer starter categories until the user picks some or skips
+      if (categoriesRes.data.length === 0 && user && !user.onboardingCompletedAt) {
+        setShowOnboarding(true);
+      }
     } catch (error) {
       console.error('Error loading data:', error);
       toast.error('Failed to load categories and accounts');
@@ -57,6 +107,47 @@ function DashboardPage() {
     }
   };
 
+  /**
+   * Close onboarding after categories were added
+   */
+  const handleOnboardingDone = () => {
+    setShowOnboarding(false);
+    updateUser({ ...user, onboardingCompletedAt: new Date().toISOString() });
+    loadData();
+  };
+
+  /**
+   * Close onboarding without adding categories, so it isn't offered again
+   */
+  const handleOnboardingSkip = async () => {
+    setShowOnboarding(false);
+    if (user.onboardingCompletedAt) {
+      return;
+    }
+
+    try {
+      const response = await api.completeOnboarding();
+      updateUser({ ...user, onboardingCompletedAt: response.data.onboardingCompletedAt });
+    } catch (error) {
+      console.error('Error completing onboarding:', error);
+    }
+  };
+
+  /**
+   * Poll sync jobs until none of them is queued or running
+   */
+  const waitForJobs = async (jobIds) => {
+    while (mountedRef.current) {
+      const responses = await Promise.all(jobIds.map((id) => api.getJob(id)));
+      const jobs = responses.map((res) => res.data);
+      if (jobs.every((job) => !['queued', 'running'].includes(job.state))) {
+        return jobs;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 3000));
+    }
+    return [];
+  };
+
   /**
    * Handle sync emails
    */
@@ -64,14 +155,131 @@ function DashboardPage() {
     try {
       setSyncing(true);
       const response = await api.syncEmails();
-      toast.success(`Synced emails: ${response.data.results.length} accounts processed`);
+      const jobs = await waitForJobs(response.data.jobs.map((job) => job.jobId));
+      if (!mountedRef.current) return;
+
+      const processed = jobs.reduce((sum, job) => sum + (job.counts?.processed || 0), 0);
+      const failed = jobs.filter((job) => job.state === 'failed').length;
+      if (failed > 0) {
+        toast.warning(`Synced ${processed} emails, ${failed} account(s) failed`);
+      } else {
+        toast.success(`Synced emails: ${processed} new across ${jobs.length} account(s)`);
+      }
       // Reload categories as email counts may have changed
       loadData();
     } catch (error) {
       console.error('Error syncing emails:', error);
       toast.error('Failed to sync emails');
     } finally {
-      setSyncing(false);
+      if (mountedRef.current) {
+        setSyncing(false);
+      }
+    }
+  };
+
+  /**
+   * Handle re-sorting already imported emails
+   */
+  const handleReclassify = async (filter) => {
+    setShowReclassifyModal(false);
+
+    try {
+      setReclassifying(true);
+      const response = await api.reclassifyEmails(filter);
+      toast.info('Re-sorting emails in the background');
+      const [job] = await waitForJobs([response.data.jobId]);
+      if (!mountedRef.current || !job) return;
+
+      const { moved = 0, unchanged = 0, failed = 0 } = job.counts || {};
+      if (job.state === 'failed') {
+        toast.error('Re-sorting failed');
+      } else {
+        toast.success(
+          `Re-sorted emails: ${moved} moved, ${unchanged} unchanged${failed ? `, ${failed} failed` : ''}`
+        );
+      }
+      // Reload categories as email counts have been recomputed
+      loadData();
+    } catch (error) {
+      console.error('Error re-sorting emails:', error);
+      toast.error(error.response?.data?.error || 'Failed to re-sort emails');
+    } finally {
+      if (mountedRef.current) {
+        setReclassifying(false);
+      }
+    }
+  };
+
+  /**
+   * Look for new category suggestions now instead of waiting for the daily run
+   */
+  const handleRefreshSuggestions = async () => {
+    try {
+      setRefreshingSuggestions(true);
+      const response = await api.refreshCategorySuggestions();
+      const [job] = await waitForJobs([response.data.jobId]);
+      if (!mountedRef.current || !job) return;
+
+      if (job.state === 'failed') {
+        toast.error('Looking for new categories failed');
+      } else if (!job.counts?.suggested) {
+        toast.info('No new categories to suggest');
+      }
+      loadData();
+    } catch (error) {
+      console.error('Error refreshing suggestions:', error);
+      toast.error(error.response?.data?.error || 'Failed to look for new categories');
+    } finally {
+      if (mountedRef.current) {
+        setRefreshingSuggestions(false);
+      }
+    }
+  };
+
+  /**
+   * Handle importing the last six months of mail for an account
+   * Resumes an interrupted import instead of starting over
+   */
+  const handleBackfill = async (account) => {
+    const resume = ['running', 'stopped', 'error'].includes(account.backfill?.status);
+
+    try {
+      if (resume) {
+        await api.backfillEmails(account._id, { resume: true });
+        toast.info('Resuming history import');
+      } else {
+        const after = new Date();
+        after.setMonth(after.getMonth() - 6);
+        await api.backfillEmails(account._id, { after: after.toISOString() });
+        toast.info('Importing the last 6 months of mail in the background');
+      }
+      loadData();
+    } catch (error) {
+      console.error('Error starting backfill:', error);
+      toast.error(error.response?.data?.error || 'Failed to start history import');
+    }
+  };
+
+  /**
+   * Handle changing an account's automatic sync schedule
+   */
+  const handleScheduleChange = async (account, interval) => {
+    let cron;
+    if (interval === 'cron') {
+      cron = window.prompt(
+        'Cron expression (e.g. */10 * * * * for every 10 minutes)',
+        account.syncSchedule?.cron || ''
+      );
+      if (!cron) return;
+    }
+
+    try {
+      await api.updateAccountSchedule(account._id, { interval, cron });
+      toast.success(interval === 'off' ? 'Automatic sync disabled' : 'Sync schedule updated');
+      loadData();
+    } catch (error) {
+      console.error('Error updating sync schedule:', error);
+      toast.error(error.response?.data?.error || 'Failed to update sync schedule');
     }
   };
 
@@ -82,7 +290,6 @@ function DashboardPage() {
     try {
       await api.stopSyncEmails();
       toast.info('Stop sync requested');
-      setSyncing(false);
       loadData();
     } catch (error) {
       console.error('Error stopping sync:', error);
@@ -108,23 +315,69 @@ function DashboardPage() {
       loadData();
     } catch (error) {
       console.error('Error saving category:', error);
-      toast.error('Failed to save category');
+      toast.error(error.response?.data?.error || 'Failed to save category');
     }
   };
 
   /**
    * Handle delete category
+   * Subcategories are either moved up a level or deleted along with it
    */
-  const handleDeleteCategory = async (categoryId) => {
-    if (window.confirm('Delete this category? Emails will be moved to uncategorized.')) {
-      try {
-        await api.deleteCategory(categoryId);
-        toast.success('Category deleted');
-        loadData();
-      } catch (error) {
-        console.error('Error deleting category:', error);
-        toast.error('Failed to delete category');
+  const handleDeleteCategory = async (category) => {
+    const target = category.parentId ? 'its parent category' : 'uncategorized';
+    if (!window.confirm(`Delete "${category.name}"? Its emails will be moved to ${target}.`)) {
+      return;
+    }
+
+    let mode = 'promote';
+    const children = getChildren(categories, category._id);
+    if (
+      children.length > 0 &&
+      window.confirm(
+        `Also delete its ${children.length} subcategor${children.length === 1 ? 'y' : 'ies'}? ` +
+          'Their emails will become uncategorized. Cancel keeps them and moves them up a level.'
+      )
+    ) {
+      mode = 'cascade';
+    }
+
+    try {
+      const response = await api.deleteCategory(category._id, mode);
+      toast.success('Category deleted');
+      const { disabledRules = [] } = response.data;
+      if (disabledRules.length > 0) {
+        toast.warning(
+          `Disabled ${disabledRules.length} rule(s) that only moved emails to this category: ` +
+            disabledRules.map((rule) => rule.name).join(', ')
+        );
       }
+      loadData();
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      toast.error('Failed to delete category');
+    }
+  };
+
+  /**
+   * Move a category one place up or down among its siblings
+   */
+  const handleMoveCategory = async (category, offset) => {
+    const siblings = getChildren(categories, category.parentId || null);
+    const index = siblings.findIndex((c) => c._id === category._id);
+    const swapWith = index + offset;
+    if (swapWith < 0 || swapWith >= siblings.length) {
+      return;
+    }
+
+    const ordered = siblings.map((c) => c._id);
+    [ordered[index], ordered[swapWith]] = [ordered[swapWith], ordered[index]];
+
+    try {
+      await api.reorderCategories(category.parentId || null, ordered);
+      loadData();
+    } catch (error) {
+      console.error('Error reordering categories:', error);
+      toast.error('Failed to reorder categories');
     }
   };
 
@@ -167,6 +420,7 @@ function DashboardPage() {
       <Sidebar
         categories={categories}
         accounts={accounts}
+        reviewCount={reviewCount}
         onDeleteCategory={handleDeleteCategory}
       />
 
@@ -234,15 +488,53 @@ function DashboardPage() {
                             ? new Date(account.lastSyncAt).toLocaleDateString()
                             : 'Never'}
                         </p>
+                        {account.syncSchedule?.nextRunAt && (
+                          <p className="text-xs text-gray-500">
+                            Next automatic sync:{' '}
+                            {new Date(account.syncSchedule.nextRunAt).toLocaleString()}
+                          </p>
+                        )}
+                        {account.backfill && account.backfill.status !== 'idle' && (
+                          <p className="text-xs text-gray-500">
+                            History import: {account.backfill.status} •{' '}
+                            {account.backfill.processed || 0}
+                            {account.backfill.estimatedTotal
+                              ? ` of ~${account.backfill.estimatedTotal}`
+                              : ''}{' '}
+                            imported
+                          </p>
+                        )}
                       </div>
-                      {!account.isPrimary && (
+                      <div className="flex items-center gap-4">
+                        <select
+                          value={account.syncSchedule?.interval || 'off'}
+                          onChange={(e) => handleScheduleChange(account, e.target.value)}
+                          className="text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                        >
+                          {SYNC_INTERVALS.map((option) => (
+                            <option key={option.value} value={option.value}>
+                              {option.label}
+                            </option>
+                          ))}
+                        </select>
                         <button
-                          onClick={() => handleDisconnectAccount(account._id, account.isPrimary)}
-                          className="text-red-600 hover:text-red-800 text-sm font-medium"
+                          onClick={() => handleBackfill(account)}
+                          disabled={account.syncStatus === 'syncing'}
+                          className="text-blue-600 hover:text-blue-800 text-sm font-medium disabled:opacity-50"
                         >
-                          Disconnect
+                          {['running', 'stopped', 'error'].includes(account.backfill?.status)
+                            ? 'Resume import'
+                            : 'Import history'}
                         </button>
-                      )}
+                        {!account.isPrimary && (
+                          <button
+                            onClick={() => handleDisconnectAccount(account._id, account.isPrimary)}
+                            className="text-red-600 hover:text-red-800 text-sm font-medium"
+                          >
+                            Disconnect
+                          </button>
+                        )}
+                      </div>
                     </div>
                   ))}
                 </div>
@@ -255,9 +547,43 @@ function DashboardPage() {
               </button>
             </div>
 
+            {/* Tags */}
+            <TagManager tags={tags} onChange={loadData} />
+
+            {/* Category Suggestions */}
+            {categories.length > 0 && (
+              <CategorySuggestions
+                suggestions={suggestions}
+                onChange={loadData}
+                onRefresh={handleRefreshSuggestions}
+                refreshing={refreshingSuggestions}
+              />
+            )}
+
             {/* Categories Grid */}
             <div>
-              <h2 className="text-xl font-bold text-gray-900 mb-4">Categories</h2>
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-bold text-gray-900">Categories</h2>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setShowOnboarding(true)}
+                    className="btn-secondary flex items-center gap-2"
+                  >
+                    <FaMagic />
+                    Templates
+                  </button>
+                  {categories.length > 0 && (
+                    <button
+                      onClick={() => setShowReclassifyModal(true)}
+                      disabled={reclassifying}
+                      className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+                    >
+                      <FaRandom className={reclassifying ? 'animate-spin' : ''} />
+                      {reclassifying ? 'Re-sorting...' : 'Re-sort Emails'}
+                    </button>
+                  )}
+                </div>
+              </div>
               {loading ? (
                 <div className="text-center py-12">
                   <div className="inline-block animate-spin text-4xl mb-2">⏳</div>
@@ -266,19 +592,24 @@ function DashboardPage() {
               ) : categories.length === 0 ? (
                 <div className="text-center py-12 card">
                   <p className="text-gray-600 mb-4">No categories yet</p>
-                  <button
-                    onClick={() => {
-                      setEditingCategory(null);
-                      setShowCategoryModal(true);
-                    }}
-                    className="btn-primary"
-                  >
-                    Create your first category
-                  </button>
+                  <div className="flex justify-center gap-3">
+                    <button onClick={() => setShowOnboarding(true)} className="btn-secondary">
+                      Start from a template
+                    </button>
+                    <button
+                      onClick={() => {
+                        setEditingCategory(null);
+                        setShowCategoryModal(true);
+                      }}
+                      className="btn-primary"
+                    >
+                      Create your first category
+                    </button>
+                  </div>
                 </div>
               ) : (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                  {categories.map((category) => (
+                  {flattenTree(categories).map(({ category }) => (
                     <div
                       key={category._id}
                       onClick={() => navigate(`/category/${category._id}`)}
@@ -293,17 +624,42 @@ function DashboardPage() {
                             {category.name[0].toUpperCase()}
                           </span>
                         </div>
-                        <button
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            setEditingCategory(category);
-                            setShowCategoryModal(true);
-                          }}
-                          className="text-gray-400 hover:text-gray-600"
-                        >
-                          <FaCog />
-                        </button>
+                        <div className="flex items-center gap-2">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleMoveCategory(category, -1);
+                            }}
+                            className="text-gray-300 hover:text-gray-600"
+                          >
+                            <FaArrowUp />
+                          </button>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleMoveCategory(category, 1);
+                            }}
+                            className="text-gray-300 hover:text-gray-600"
+                          >
+                            <FaArrowDown />
+                          </button>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setEditingCategory(category);
+                              setShowCategoryModal(true);
+                            }}
+                            className="text-gray-400 hover:text-gray-600"
+                          >
+                            <FaCog />
+                          </button>
+                        </div>
                       </div>
+                      {category.parentId && (
+                        <p className="text-xs text-gray-500 truncate">
+                          {category.path.split(' > ').slice(0, -1).join(' > ')}
+                        </p>
+                      )}
                       <h3 className="font-bold text-gray-900 mb-1">
                         {category.name}
                       </h3>
@@ -311,8 +667,10 @@ function DashboardPage() {
                         {category.description}
                       </p>
                       <div className="text-sm text-gray-500">
-                        {category.emailCount} email
-                        {category.emailCount !== 1 ? 's' : ''}
+                        {category.totalEmailCount} email
+                        {category.totalEmailCount !== 1 ? 's' : ''}
+                        {category.totalEmailCount !== category.emailCount &&
+                          ` (${category.emailCount} directly)`}
                       </div>
                     </div>
                   ))}
@@ -327,6 +685,7 @@ function DashboardPage() {
       {showCategoryModal && (
         <CategoryModal
           category={editingCategory}
+          categories={categories}
           onSave={handleSaveCategory}
           onClose={() => {
             setShowCategoryModal(false);
@@ -335,6 +694,19 @@ function DashboardPage() {
         />
       )}
 
+      {showOnboarding && (
+        <OnboardingModal onDone={handleOnboardingDone} onSkip={handleOnboardingSkip} />
+      )}
+
+      {showReclassifyModal && (
+        <ReclassifyModal
+          categories={categories}
+          accounts={accounts}
+          onSubmit={handleReclassify}
+          onClose={() => setShowReclassifyModal(false)}
+        />
+      )}
+
       {showAccountModal && (
         <AccountModal
           onClose={() => setShowAccountModal(false)}
@@ -10,6 +10,7 @@ import { toast } from 'react-toastify';
 import { FaArrowLeft, FaTrash } from 'react-icons/fa';
 import DOMPurify from 'isomorphic-dompurify';
 import * as api from '../services/api';
+import TagChips from '../components/TagChips';
 
 function EmailPage() {
   const { emailId } = useParams();
@@ -17,11 +18,17 @@ function EmailPage() {
 
   const [email, setEmail] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [showWhy, setShowWhy] = useState(false);
+  const [decisions, setDecisions] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
 
   /**
    * Load email
    */
   useEffect(() => {
+    setShowWhy(false);
+    setDecisions(null);
     loadEmail();
   }, [emailId]);
 
@@ -31,8 +38,14 @@ function EmailPage() {
   const loadEmail = async () => {
     try {
       setLoading(true);
-      const response = await api.getEmail(emailId);
+      const [response, catRes, tagsRes] = await Promise.all([
+        api.getEmail(emailId),
+        api.getCategories(),
+        api.getTags(),
+      ]);
       setEmail(response.data);
+      setCategories(catRes.data);
+      setTags(tagsRes.data);
     } catch (error) {
       console.error('Error loading email:', error);
       toast.error('Failed to load email');
@@ -42,6 +55,62 @@ function EmailPage() {
     }
   };
 
+  /**
+   * Move the email to another category
+   * The correction is remembered and used when sorting similar emails
+   */
+  const handleMoveToCategory = async (categoryId) => {
+    if (!categoryId || categoryId === email.categoryId) return;
+
+    try {
+      await api.recategorizeEmails([emailId], categoryId);
+      const category = categories.find((c) => c._id === categoryId);
+      toast.success(`Moved to ${category?.name}`);
+      setDecisions(null);
+      setShowWhy(false);
+      await loadEmail();
+    } catch (error) {
+      console.error('Error moving email:', error);
+      toast.error('Failed to move email');
+    }
+  };
+
+  /**
+   * Add or remove a tag on the email
+   */
+  const handleUpdateTags = async (changes) => {
+    try {
+      await api.updateEmailTags([emailId], changes);
+      const response = await api.getEmail(emailId);
+      setEmail(response.data);
+    } catch (error) {
+      console.error('Error updating tags:', error);
+      toast.error(error.response?.data?.error || 'Failed to update tags');
+    }
+  };
+
+  /**
+   * Toggle the "Why is this here?" panel, loading the decision history once
+   */
+  const handleToggleWhy = async () => {
+    if (showWhy) {
+      setShowWhy(false);
+      return;
+    }
+
+    setShowWhy(true);
+    if (decisions) return;
+
+    try {
+      const response = await api.getClassificationHistory(emailId);
+      setDecisions(response.data.decisions);
+    } catch (error) {
+      console.error('Error loading classification history:', error);
+      toast.error('Failed to load classification history');
+      setShowWhy(false);
+    }
+  };
+
   /**
    * Handle delete email
    */
@@ -136,6 +205,24 @@ function EmailPage() {
               <p className="text-gray-700">{email.aiSummary}</p>
             </div>
 
+            {/* Needs Review */}
+            {email.classificationStatus === 'unclassified' && (
+              <div className="mb-6 p-4 bg-orange-50 rounded-lg border border-orange-200">
+                <h3 className="font-semibold text-gray-900 mb-2">
+                  Unclassified — needs review
+                </h3>
+                <p className="text-sm text-gray-700">
+                  The AI response for this email could not be used, so it was
+                  left out of every category until it is reviewed.
+                </p>
+                {email.aiError?.message && (
+                  <p className="text-xs text-gray-500 mt-2">
+                    {email.aiError.message}
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Category Info */}
             {email.aiCategory && (
               <div className="mb-6 p-4 bg-purple-50 rounded-lg border border-purple-200">
@@ -154,6 +241,124 @@ function EmailPage() {
               </div>
             )}
 
+            {/* Move To Category */}
+            {categories.length > 0 && (
+              <div className="mb-6 flex items-center gap-3">
+                <label className="text-sm font-medium text-gray-700">
+                  Move to:
+                </label>
+                <select
+                  value={email.categoryId || ''}
+                  onChange={(e) => handleMoveToCategory(e.target.value)}
+                  className="input max-w-xs"
+                >
+                  <option value="" disabled>
+                    Choose a category
+                  </option>
+                  {categories.map((category) => (
+                    <option key={category._id} value={category._id}>
+                      {category.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => navigate(`/rules?fromEmail=${emailId}`)}
+                  className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  Create rule from this email
+                </button>
+              </div>
+            )}
+
+            {/* Tags */}
+            {tags.length > 0 && (
+              <div className="mb-6 flex flex-wrap items-center gap-3">
+                <label className="text-sm font-medium text-gray-700">Tags:</label>
+                <TagChips
+                  tags={email.tagIds}
+                  onRemove={(tag) => handleUpdateTags({ remove: [tag._id] })}
+                />
+                <select
+                  value=""
+                  onChange={(e) => handleUpdateTags({ add: [e.target.value] })}
+                  className="text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                >
+                  <option value="" disabled>
+                    Add tag...
+                  </option>
+                  {tags
+                    .filter((tag) => !(email.tagIds || []).some((t) => t._id === tag._id))
+                    .map((tag) => (
+                      <option key={tag._id} value={tag._id}>
+                        {tag.name}
+                      </option>
+                    ))}
+                </select>
+              </div>
+            )}
+
+            {/* Why Is This Here? */}
+            <div className="mb-6">
+              <button
+                onClick={handleToggleWhy}
+                className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+              >
+                {showWhy ? 'Hide details' : 'Why is this here?'}
+              </button>
+
+              {showWhy && (
+                <div className="mt-3 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                  {!decisions ? (
+                    <p className="text-sm text-gray-500">Loading...</p>
+                  ) : decisions.length === 0 ? (
+                    <p className="text-sm text-gray-500">
+                      No classification decisions were recorded for this email.
+                    </p>
+                  ) : (
+                    <ul className="space-y-4">
+                      {decisions.map((decision) => (
+                        <li
+                          key={decision._id}
+                          className="text-sm text-gray-700 border-b border-gray-200 pb-3 last:border-0 last:pb-0"
+                        >
+                          <div className="flex justify-between mb-1">
+                            <strong>
+                              {decision.categoryName || 'Unclassified'}
+                              {decision.confidence != null &&
+                                ` (${(decision.confidence * 100).toFixed(0)}%)`}
+                            </strong>
+                            <span className="text-xs text-gray-500">
+                              {new Date(decision.createdAt).toLocaleString()}
+                            </span>
+                          </div>
+                          {decision.reasoning && (
+                            <p className="mb-1">{decision.reasoning}</p>
+                          )}
+                          {decision.error && (
+                            <p className="mb-1 text-orange-700">{decision.error}</p>
+                          )}
+                          <p className="text-xs text-gray-500">
+                            {decision.source} · {decision.provider || 'unknown'}
+                            {decision.model && ` / ${decision.model}`}
+                            {decision.promptVersion && ` · ${decision.promptVersion}`}
+                            {decision.latencyMs != null && ` · ${decision.latencyMs} ms`}
+                            {decision.usage?.inputTokens != null &&
+                              ` · ${decision.usage.inputTokens} in / ${decision.usage.outputTokens} out tokens`}
+                          </p>
+                          {decision.candidateCategories?.length > 0 && (
+                            <p className="text-xs text-gray-500">
+                              Candidates:{' '}
+                              {decision.candidateCategories.map((c) => c.name).join(', ')}
+                            </p>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+
             {/* Full Email Content */}
             <div className="border-t pt-6">
               <h3 className="font-semibold text-gray-900 mb-4">Full Email</h3>
@@ -177,8 +382,9 @@ function EmailPage() {
             {email.hasUnsubscribeLink && (
               <div className="mt-6 p-4 bg-yellow-50 rounded-lg border border-yellow-200">
                 <p className="text-sm text-gray-700">
-                  ✓ This email has an unsubscribe link. Use bulk unsubscribe
-                  from the category page to automatically unsubscribe.
+                  ✓ This email has an unsubscribe link
+                  {email.unsubscribeOptions?.oneClick && ' and supports one-click unsubscribe'}. Use
+                  bulk unsubscribe from the category page to automatically unsubscribe.
                 </p>
               </div>
             )}
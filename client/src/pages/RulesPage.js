@@ -0,0 +1,656 @@
+// client/src/pages/RulesPage.js
+/**
+ * Rules page
+ * Lets the user manage deterministic sorting rules that run before the AI
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { FaArrowLeft, FaPlus, FaTrash, FaEdit, FaEye } from 'react-icons/fa';
+import * as api from '../services/api';
+import PreviewDiff from '../components/PreviewDiff';
+
+const FIELDS = [
+  { value: 'from', label: 'From' },
+  { value: 'to', label: 'To' },
+  { value: 'subject', label: 'Subject' },
+  { value: 'body', label: 'Body' },
+  { value: 'header', label: 'Header' },
+  { value: 'hasUnsubscribe', label: 'Has unsubscribe link' },
+  { value: 'account', label: 'Account' },
+];
+
+const OPERATORS = [
+  { value: 'contains', label: 'contains' },
+  { value: 'equals', label: 'equals' },
+  { value: 'regex', label: 'matches regex' },
+  { value: 'domain', label: 'is from domain' },
+];
+
+// Fields the server runs regular expressions on
+const REGEX_FIELDS = ['from', 'to', 'subject', 'header'];
+
+const ACTION_FLAGS = [
+  { key: 'archive', label: 'Archive in Gmail' },
+  { key: 'markRead', label: 'Mark as read' },
+  { key: 'skipAI', label: 'Skip AI (no summary)' },
+  { key: 'delete', label: 'Move to trash' },
+];
+
+const emptyCondition = () => ({ field: 'from', header: '', operator: 'contains', value: '', negate: false });
+
+const emptyRule = () => ({
+  name: '',
+  enabled: true,
+  priority: 0,
+  matchType: 'all',
+  conditions: [emptyCondition()],
+  actions: { categoryId: '', archive: false, markRead: false, skipAI: false, delete: false },
+  stopProcessing: false,
+});
+
+/**
+ * Copy a rule from the API into editable form state
+ */
+const toForm = (rule) => ({
+  name: rule.name,
+  enabled: rule.enabled,
+  priority: rule.priority,
+  matchType: rule.matchType,
+  conditions: rule.conditions.map((condition) => ({
+    field: condition.field,
+    header: condition.header || '',
+    operator: condition.operator || 'contains',
+    value: condition.value || '',
+    negate: !!condition.negate,
+  })),
+  actions: {
+    categoryId: rule.actions?.categoryId?._id || rule.actions?.categoryId || '',
+    archive: !!rule.actions?.archive,
+    markRead: !!rule.actions?.markRead,
+    skipAI: !!rule.actions?.skipAI,
+    delete: !!rule.actions?.delete,
+  },
+  stopProcessing: !!rule.stopProcessing,
+});
+
+/**
+ * Extract the bare address from a From header
+ */
+const extractAddress = (from) => {
+  const match = (from || '').match(/<([^>]+)>/);
+  return (match ? match[1] : from || '').trim();
+};
+
+function RulesPage() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const [rules, setRules] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Rule being edited: null when the editor is closed
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+
+  /**
+   * Load rules on mount
+   */
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  /**
+   * Start a new rule matching an email's sender and category
+   */
+  const prefillFromEmail = useCallback(
+    async (emailId) => {
+      try {
+        const response = await api.getEmail(emailId);
+        const email = response.data;
+        const address = extractAddress(email.from);
+        const rule = emptyRule();
+
+        rule.name = `Emails from ${address}`;
+        rule.conditions = [{ ...emptyCondition(), operator: 'equals', value: address }];
+        rule.actions.categoryId = email.categoryId?._id || email.categoryId || '';
+
+        setEditingId(null);
+        setForm(rule);
+      } catch (error) {
+        console.error('Error loading email for rule:', error);
+        toast.error('Failed to load email');
+      } finally {
+        setSearchParams({}, { replace: true });
+      }
+    },
+    [setSearchParams]
+  );
+
+  /**
+   * Prefill a new rule from an email when opened with ?fromEmail=<id>
+   */
+  useEffect(() => {
+    const emailId = searchParams.get('fromEmail');
+    if (emailId) {
+      prefillFromEmail(emailId);
+    }
+  }, [searchParams, prefillFromEmail]);
+
+  /**
+   * Previews go stale as soon as the rule being edited changes
+   */
+  useEffect(() => {
+    setPreview(null);
+  }, [form]);
+
+  /**
+   * Load rules, categories and accounts
+   */
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [rulesRes, categoriesRes, accountsRes] = await Promise.all([
+        api.getRules(),
+        api.getCategories(),
+        api.getAccounts(),
+      ]);
+
+      setRules(rulesRes.data);
+      setCategories(categoriesRes.data);
+      setAccounts(accountsRes.data);
+    } catch (error) {
+      console.error('Error loading rules:', error);
+      toast.error('Failed to load rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Update a top-level form field
+   */
+  const updateForm = (changes) => {
+    setForm((current) => ({ ...current, ...changes }));
+  };
+
+  /**
+   * Update one condition of the form
+   */
+  const updateCondition = (index, changes) => {
+    setForm((current) => ({
+      ...current,
+      conditions: current.conditions.map((condition, i) =>
+        i === index ? { ...condition, ...changes } : condition
+      ),
+    }));
+  };
+
+  /**
+   * Remove one condition from the form
+   */
+  const removeCondition = (index) => {
+    setForm((current) => ({
+      ...current,
+      conditions: current.conditions.filter((_, i) => i !== index),
+    }));
+  };
+
+  /**
+   * Update the form actions
+   */
+  const updateActions = (changes) => {
+    setForm((current) => ({ ...current, actions: { ...current.actions, ...changes } }));
+  };
+
+  /**
+   * Convert the form into the rule shape the API expects
+   */
+  const toRequest = () => ({
+    ...form,
+    priority: parseInt(form.priority) || 0,
+    actions: { ...form.actions, categoryId: form.actions.categoryId || null },
+  });
+
+  /**
+   * Run the rule being edited over recent emails, without saving it
+   */
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true);
+      const response = await api.previewRule({ rule: toRequest(), ruleId: editingId });
+      setPreview(response.data);
+    } catch (error) {
+      console.error('Error previewing rule:', error);
+      toast.error(error.response?.data?.error || 'Failed to preview rule');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  /**
+   * Save the rule being edited
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const data = toRequest();
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await api.updateRule(editingId, data);
+        toast.success('Rule updated');
+      } else {
+        await api.createRule(data);
+        toast.success('Rule created');
+      }
+      setForm(null);
+      setEditingId(null);
+      loadData();
+    } catch (error) {
+      console.error('Error saving rule:', error);
+      toast.error(error.response?.data?.error || 'Failed to save rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Enable or disable a rule
+   */
+  const handleToggle = async (rule) => {
+    try {
+      await api.updateRule(rule._id, { enabled: !rule.enabled });
+      setRules((current) =>
+        current.map((r) => (r._id === rule._id ? { ...r, enabled: !rule.enabled } : r))
+      );
+    } catch (error) {
+      console.error('Error toggling rule:', error);
+      toast.error(error.response?.data?.error || 'Failed to update rule');
+    }
+  };
+
+  /**
+   * Delete a rule
+   */
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete rule "${rule.name}"?`)) {
+      return;
+    }
+
+    try {
+      await api.deleteRule(rule._id);
+      setRules((current) => current.filter((r) => r._id !== rule._id));
+      toast.success('Rule deleted');
+    } catch (error) {
+      console.error('Error deleting rule:', error);
+      toast.error('Failed to delete rule');
+    }
+  };
+
+  /**
+   * Describe a condition in one line
+   */
+  const describeCondition = (condition) => {
+    const negate = condition.negate ? 'not ' : '';
+    if (condition.field === 'hasUnsubscribe') {
+      return `${negate}${condition.value === 'false' ? 'has no' : 'has an'} unsubscribe link`;
+    }
+    if (condition.field === 'account') {
+      const account = accounts.find((a) => a._id === condition.value);
+      return `${negate}received on ${account?.email || 'unknown account'}`;
+    }
+    const field = condition.field === 'header' ? condition.header : condition.field;
+    const operator = OPERATORS.find((o) => o.value === condition.operator)?.label;
+    return `${field} ${negate}${operator} "${condition.value}"`;
+  };
+
+  /**
+   * Describe a rule's actions in one line
+   */
+  const describeActions = (rule) => {
+    const parts = [];
+    if (rule.actions?.categoryId) {
+      parts.push(`sort into ${rule.actions.categoryId.name || 'category'}`);
+    }
+    ACTION_FLAGS.forEach((flag) => {
+      if (rule.actions?.[flag.key]) parts.push(flag.label.toLowerCase());
+    });
+    if (rule.stopProcessing) parts.push('stop processing more rules');
+    return parts.join(', ');
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+        <div className="text-center">
+          <div className="inline-block animate-spin text-4xl mb-2">⏳</div>
+          <p className="text-gray-600">Loading rules...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4">
+      <div className="max-w-3xl mx-auto">
+        {/* Back Button */}
+        <button
+          onClick={() => navigate(-1)}
+          className="text-blue-600 hover:text-blue-800 flex items-center gap-2 mb-6"
+        >
+          <FaArrowLeft /> Back
+        </button>
+
+        <div className="card">
+          <div className="flex items-center justify-between mb-2">
+            <h1 className="text-2xl font-bold text-gray-900">Sorting Rules</h1>
+            {!form && (
+              <button
+                onClick={() => {
+                  setEditingId(null);
+                  setForm(emptyRule());
+                }}
+                className="btn-primary flex items-center gap-2"
+              >
+                <FaPlus /> New Rule
+              </button>
+            )}
+          </div>
+          <p className="text-sm text-gray-600 mb-6">
+            Rules run in priority order (lowest first) before the AI sees an email. The first
+            matching rule that sets a category wins.
+          </p>
+
+          {/* Rule Editor */}
+          {form && (
+            <form onSubmit={handleSave} className="space-y-4 mb-8 p-4 bg-gray-50 rounded-lg border border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">
+                {editingId ? 'Edit Rule' : 'New Rule'}
+              </h2>
+
+              <div className="grid grid-cols-3 gap-4">
+                <div className="col-span-2">
+                  <label className="label">Name</label>
+                  <input
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => updateForm({ name: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div>
+                  <label className="label">Priority</label>
+                  <input
+                    type="number"
+                    value={form.priority}
+                    onChange={(e) => updateForm({ priority: e.target.value })}
+                    className="input"
+                  />
+                </div>
+              </div>
+
+              {/* Conditions */}
+              <div>
+                <label className="label">
+                  Match{' '}
+                  <select
+                    value={form.matchType}
+                    onChange={(e) => updateForm({ matchType: e.target.value })}
+                    className="border border-gray-300 rounded px-1 bg-white"
+                  >
+                    <option value="all">all</option>
+                    <option value="any">any</option>
+                  </select>{' '}
+                  of these conditions
+                </label>
+
+                <div className="space-y-2">
+                  {form.conditions.map((condition, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <select
+                        value={condition.field}
+                        onChange={(e) =>
+                          updateCondition(index, {
+                            field: e.target.value,
+                            value: e.target.value === 'hasUnsubscribe' ? 'true' : '',
+                            ...(condition.operator === 'regex' &&
+                              !REGEX_FIELDS.includes(e.target.value) && { operator: 'contains' }),
+                          })
+                        }
+                        className="text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                      >
+                        {FIELDS.map((field) => (
+                          <option key={field.value} value={field.value}>
+                            {field.label}
+                          </option>
+                        ))}
+                      </select>
+
+                      {condition.field === 'header' && (
+                        <input
+                          type="text"
+                          value={condition.header}
+                          onChange={(e) => updateCondition(index, { header: e.target.value })}
+                          placeholder="List-Id"
+                          className="text-sm border border-gray-300 rounded-lg px-2 py-1 w-28"
+                        />
+                      )}
+
+                      {condition.field === 'hasUnsubscribe' ? (
+                        <select
+                          value={condition.value}
+                          onChange={(e) => updateCondition(index, { value: e.target.value })}
+                          className="flex-1 text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                        >
+                          <option value="true">yes</option>
+                          <option value="false">no</option>
+                        </select>
+                      ) : condition.field === 'account' ? (
+                        <select
+                          value={condition.value}
+                          onChange={(e) => updateCondition(index, { value: e.target.value })}
+                          className="flex-1 text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                        >
+                          <option value="">Select account</option>
+                          {accounts.map((account) => (
+                            <option key={account._id} value={account._id}>
+                              {account.email}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <>
+                          <select
+                            value={condition.operator}
+                            onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                            className="text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white"
+                          >
+                            {OPERATORS.filter(
+                              (operator) =>
+                                operator.value !== 'regex' || REGEX_FIELDS.includes(condition.field)
+                            ).map((operator) => (
+                              <option key={operator.value} value={operator.value}>
+                                {operator.label}
+                              </option>
+                            ))}
+                          </select>
+                          <input
+                            type="text"
+                            value={condition.value}
+                            onChange={(e) => updateCondition(index, { value: e.target.value })}
+                            className="flex-1 text-sm border border-gray-300 rounded-lg px-2 py-1"
+                          />
+                        </>
+                      )}
+
+                      <label className="text-xs text-gray-600 flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={condition.negate}
+                          onChange={(e) => updateCondition(index, { negate: e.target.checked })}
+                        />
+                        Not
+                      </label>
+
+                      <button
+                        type="button"
+                        onClick={() => removeCondition(index)}
+                        disabled={form.conditions.length === 1}
+                        className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+
+                <button
+                  type="button"
+                  onClick={() => updateForm({ conditions: [...form.conditions, emptyCondition()] })}
+                  className="mt-2 text-blue-600 hover:text-blue-800 text-sm font-medium"
+                >
+                  + Add condition
+                </button>
+              </div>
+
+              {/* Actions */}
+              <div>
+                <label className="label">Then</label>
+                <select
+                  value={form.actions.categoryId}
+                  onChange={(e) => updateActions({ categoryId: e.target.value })}
+                  className="input mb-2"
+                >
+                  <option value="">Don't change category</option>
+                  {categories.map((category) => (
+                    <option key={category._id} value={category._id}>
+                      Sort into {category.name}
+                    </option>
+                  ))}
+                </select>
+
+                <div className="grid grid-cols-2 gap-2">
+                  {ACTION_FLAGS.map((flag) => (
+                    <label key={flag.key} className="text-sm text-gray-700 flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={form.actions[flag.key]}
+                        onChange={(e) => updateActions({ [flag.key]: e.target.checked })}
+                      />
+                      {flag.label}
+                    </label>
+                  ))}
+                  <label className="text-sm text-gray-700 flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={form.stopProcessing}
+                      onChange={(e) => updateForm({ stopProcessing: e.target.checked })}
+                    />
+                    Stop processing more rules
+                  </label>
+                </div>
+              </div>
+
+              {preview && <PreviewDiff preview={preview} />}
+
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={handlePreview}
+                  disabled={previewing}
+                  className="btn-secondary flex items-center gap-2"
+                >
+                  <FaEye /> {previewing ? 'Previewing...' : 'Preview'}
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? 'Saving...' : 'Save Rule'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setForm(null);
+                    setEditingId(null);
+                  }}
+                  className="btn-secondary"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {/* Rule List */}
+          {rules.length === 0 ? (
+            <p className="text-gray-600">No rules yet. Every email is sorted by the AI.</p>
+          ) : (
+            <div className="space-y-3">
+              {rules.map((rule) => (
+                <div
+                  key={rule._id}
+                  className={`p-3 rounded-lg border border-gray-200 ${
+                    rule.enabled ? 'bg-white' : 'bg-gray-50 opacity-60'
+                  }`}
+                >
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900">
+                        <span className="text-xs text-gray-500 mr-2">#{rule.priority}</span>
+                        {rule.name}
+                      </p>
+                      <p className="text-xs text-gray-600 mt-1">
+                        If {rule.matchType === 'any' ? 'any' : 'all'} of:{' '}
+                        {rule.conditions.map(describeCondition).join('; ')}
+                      </p>
+                      <p className="text-xs text-gray-600">Then: {describeActions(rule)}</p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Matched {rule.matchCount || 0} email{rule.matchCount !== 1 ? 's' : ''}
+                        {rule.lastMatchedAt
+                          ? ` • last on ${new Date(rule.lastMatchedAt).toLocaleDateString()}`
+                          : ''}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3 flex-shrink-0">
+                      <label className="text-sm text-gray-700 flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={rule.enabled}
+                          onChange={() => handleToggle(rule)}
+                        />
+                        Enabled
+                      </label>
+                      <button
+                        onClick={() => {
+                          setEditingId(rule._id);
+                          setForm(toForm(rule));
+                        }}
+                        className="text-gray-400 hover:text-gray-600"
+                      >
+                        <FaEdit />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(rule)}
+                        className="text-gray-400 hover:text-red-600"
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RulesPage;
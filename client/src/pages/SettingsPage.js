@@ -0,0 +1,310 @@
+// client/src/pages/SettingsPage.js
+/**
+ * Settings page
+ * Lets the user choose the AI provider and model used to sort their email, and the
+ * confidence below which sorted emails are queued for review. Category sets can be
+ * exported to and imported from a JSON file here too
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { FaArrowLeft, FaDownload, FaUpload } from 'react-icons/fa';
+import * as api from '../services/api';
+
+function SettingsPage() {
+  const navigate = useNavigate();
+
+  const [settings, setSettings] = useState(null);
+  const [provider, setProvider] = useState('');
+  const [model, setModel] = useState('');
+  const [threshold, setThreshold] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const importInputRef = useRef(null);
+
+  /**
+   * Copy settings from an API response into the form
+   */
+  const applySettings = useCallback((data) => {
+    setSettings(data);
+    setProvider(data.ai.provider || '');
+    setModel(data.ai.model || '');
+    setThreshold(
+      data.review.confidenceThreshold != null ? Math.round(data.review.confidenceThreshold * 100) : ''
+    );
+  }, []);
+
+  /**
+   * Load settings and available providers
+   */
+  const loadSettings = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.getSettings();
+      applySettings(response.data);
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      toast.error('Failed to load settings');
+    } finally {
+      setLoading(false);
+    }
+  }, [applySettings]);
+
+  /**
+   * Load settings
+   */
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  /**
+   * Save AI settings
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await api.updateAISettings({
+        provider: provider || null,
+        model: model.trim() || null,
+      });
+      applySettings(response.data);
+      toast.success('AI settings saved');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      toast.error(error.response?.data?.error || 'Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Save the review threshold
+   */
+  const handleSaveReview = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await api.updateReviewSettings({
+        confidenceThreshold: threshold === '' ? null : parseFloat(threshold) / 100,
+      });
+      applySettings(response.data);
+      toast.success('Review settings saved');
+    } catch (error) {
+      console.error('Error saving review settings:', error);
+      toast.error(error.response?.data?.error || 'Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Download the user's categories as a JSON file
+   */
+  const handleExportCategories = async () => {
+    try {
+      const response = await api.exportCategories();
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], {
+        type: 'application/json',
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'categories.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting categories:', error);
+      toast.error('Failed to export categories');
+    }
+  };
+
+  /**
+   * Create categories from an exported JSON file
+   */
+  const handleImportCategories = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      setImporting(true);
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch {
+        toast.error('That file is not valid JSON');
+        return;
+      }
+
+      const response = await api.importCategories(data.categories);
+      const { created, skipped } = response.data;
+      toast.success(
+        `Imported ${created.length} categories` +
+          (skipped.length > 0 ? `, skipped ${skipped.length} that already exist` : '')
+      );
+    } catch (error) {
+      console.error('Error importing categories:', error);
+      toast.error(error.response?.data?.error || 'Failed to import categories');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+        <div className="text-center">
+          <div className="inline-block animate-spin text-4xl mb-2">⏳</div>
+          <p className="text-gray-600">Loading settings...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!settings) {
+    return null;
+  }
+
+  const selectedProvider = settings.providers.find(
+    (p) => p.name === (provider || settings.defaultProvider)
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4">
+      <div className="max-w-2xl mx-auto">
+        {/* Back Button */}
+        <button
+          onClick={() => navigate(-1)}
+          className="text-blue-600 hover:text-blue-800 flex items-center gap-2 mb-6"
+        >
+          <FaArrowLeft /> Back
+        </button>
+
+        <div className="card">
+          <h1 className="text-2xl font-bold text-gray-900 mb-6">Settings</h1>
+
+          {/* AI Provider */}
+          <form onSubmit={handleSave} className="space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">AI Provider</h2>
+
+            <div>
+              <label className="label">Provider</label>
+              <select
+                value={provider}
+                onChange={(e) => setProvider(e.target.value)}
+                className="input"
+              >
+                <option value="">
+                  Server default (
+                  {settings.providers.find((p) => p.name === settings.defaultProvider)?.label})
+                </option>
+                {settings.providers.map((p) => (
+                  <option key={p.name} value={p.name} disabled={!p.configured}>
+                    {p.label}
+                    {!p.configured ? ' (not configured)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="label">Model</label>
+              <input
+                type="text"
+                value={model}
+                onChange={(e) => setModel(e.target.value)}
+                placeholder={selectedProvider?.defaultModel}
+                className="input"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Leave empty to use the provider's default model.
+              </p>
+            </div>
+
+            <p className="text-sm text-gray-600">
+              Currently sorting with{' '}
+              <strong>
+                {settings.providers.find((p) => p.name === settings.ai.effectiveProvider)?.label}
+              </strong>{' '}
+              ({settings.ai.effectiveModel})
+            </p>
+
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </form>
+
+          {/* Review Queue */}
+          <form onSubmit={handleSaveReview} className="space-y-4 mt-8 pt-6 border-t border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Review Queue</h2>
+
+            <div>
+              <label className="label">Review emails sorted with confidence below (%)</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={threshold}
+                onChange={(e) => setThreshold(e.target.value)}
+                placeholder={String(Math.round(settings.review.defaultThreshold * 100))}
+                className="input"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Leave empty to use the default. Emails the AI couldn't classify are always
+                queued for review.
+              </p>
+            </div>
+
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </form>
+
+          {/* Categories */}
+          <div className="space-y-4 mt-8 pt-6 border-t border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Categories</h2>
+            <p className="text-sm text-gray-600">
+              Save your categories to a file, or load categories from one. Categories you
+              already have are left as they are.
+            </p>
+
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={handleExportCategories}
+                className="btn-secondary flex items-center gap-2"
+              >
+                <FaDownload /> Export
+              </button>
+              <button
+                type="button"
+                onClick={() => importInputRef.current.click()}
+                disabled={importing}
+                className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+              >
+                <FaUpload /> {importing ? 'Importing...' : 'Import'}
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImportCategories}
+                className="hidden"
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SettingsPage;
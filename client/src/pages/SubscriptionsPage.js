@@ -0,0 +1,462 @@
+// client/src/pages/SubscriptionsPage.js
+/**
+ * Subscriptions page
+ * Shows who is mailing the user and how much, sorted by volume, with actions to unsubscribe,
+ * archive or block each sender, and whether unsubscribing worked
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import {
+  FaArrowLeft,
+  FaChevronDown,
+  FaChevronRight,
+  FaArchive,
+  FaBan,
+} from 'react-icons/fa';
+import * as api from '../services/api';
+
+const STATUS_LABELS = {
+  active: { label: 'Subscribed', className: 'bg-gray-100 text-gray-700' },
+  'unsubscribe-requested': { label: 'Unsubscribe requested', className: 'bg-yellow-100 text-yellow-800' },
+  confirmed: { label: 'Unsubscribed', className: 'bg-green-100 text-green-800' },
+  'still-sending': { label: 'Unsubscribe failed', className: 'bg-red-100 text-red-800' },
+};
+
+// Weeks the volume chart covers
+const WEEKS = 8;
+
+// What the page a browser attempt ended on said
+const OUTCOME_LABELS = {
+  confirmed: 'Page confirmed the unsubscribe',
+  failed: 'Page reported a failure',
+  'needs-manual': 'Needs manual action',
+};
+
+const FILTERS = [{ value: '', label: 'All' }].concat(
+  Object.entries(STATUS_LABELS).map(([value, { label }]) => ({ value, label }))
+);
+
+/**
+ * Format a date for the list
+ */
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+/**
+ * Weekly volume as a small bar chart, oldest week first
+ */
+function VolumeChart({ weekly }) {
+  const max = Math.max(...weekly, 1);
+
+  return (
+    <div className="flex items-end gap-0.5 h-6" title={`Emails per week: ${weekly.join(', ')}`}>
+      {weekly.map((count, index) => (
+        <div
+          key={index}
+          className="w-1.5 bg-blue-400 rounded-sm"
+          style={{ height: `${Math.max((count / max) * 100, count > 0 ? 10 : 2)}%` }}
+        />
+      ))}
+    </div>
+  );
+}
+
+function SubscriptionsPage() {
+  const navigate = useNavigate();
+
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  // Expanded subscription with its attempts, including screenshots
+  const [expanded, setExpanded] = useState(null);
+  const [pageHtml, setPageHtml] = useState(null);
+
+  /**
+   * Load subscriptions on mount
+   */
+  useEffect(() => {
+    loadSubscriptions();
+  }, []);
+
+  /**
+   * Load subscriptions with their sender statistics
+   */
+  const loadSubscriptions = async () => {
+    try {
+      setLoading(true);
+      const response = await api.getSubscriptionSenders({ weeks: WEEKS });
+      setSubscriptions(response.data);
+    } catch (error) {
+      console.error('Error loading subscriptions:', error);
+      toast.error('Failed to load subscriptions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Update one subscription in the list, keeping its sender statistics
+   */
+  const replaceSubscription = (updated) => {
+    // The stored counts lag behind the statistics, which are computed from the emails
+    const changes = { ...updated };
+    ['emailCount', 'firstEmailAt', 'lastEmailAt', 'attempts'].forEach((field) => delete changes[field]);
+    setSubscriptions((current) =>
+      current.map((s) => (s._id === updated._id ? { ...s, ...changes } : s))
+    );
+  };
+
+  /**
+   * Show or hide the attempt history of a subscription
+   */
+  const handleToggleExpanded = async (subscription) => {
+    setPageHtml(null);
+    if (expanded?._id === subscription._id) {
+      setExpanded(null);
+      return;
+    }
+
+    try {
+      const response = await api.getSubscription(subscription._id);
+      setExpanded(response.data);
+    } catch (error) {
+      console.error('Error loading subscription:', error);
+      toast.error('Failed to load unsubscribe attempts');
+    }
+  };
+
+  /**
+   * Unsubscribe, or try again
+   */
+  const handleUnsubscribe = async (subscription) => {
+    try {
+      setBusyId(subscription._id);
+      const response = await api.unsubscribeSubscription(subscription._id);
+      const { result, subscription: updated } = response.data;
+
+      if (result?.status === 'success') {
+        toast.success(`Unsubscribe requested (${result.method})`);
+      } else {
+        toast.error(result?.reason || 'Unsubscribe failed');
+      }
+      replaceSubscription(updated);
+      if (expanded?._id === subscription._id) {
+        setExpanded((await api.getSubscription(subscription._id)).data);
+      }
+    } catch (error) {
+      console.error('Error unsubscribing:', error);
+      toast.error(error.response?.data?.error || 'Failed to unsubscribe');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Update a subscription setting
+   */
+  const handleUpdate = async (subscription, data) => {
+    try {
+      const response = await api.updateSubscription(subscription._id, data);
+      replaceSubscription(response.data);
+    } catch (error) {
+      console.error('Error updating subscription:', error);
+      toast.error(error.response?.data?.error || 'Failed to update subscription');
+    }
+  };
+
+  /**
+   * Archive every inbox email from a sender
+   */
+  const handleArchiveAll = async (subscription) => {
+    try {
+      setBusyId(subscription._id);
+      const response = await api.archiveSubscriptionEmails(subscription._id);
+      toast.success(`Archived ${response.data.archived} email(s)`);
+      replaceSubscription({ _id: subscription._id, inboxCount: 0 });
+    } catch (error) {
+      console.error('Error archiving emails:', error);
+      toast.error(error.response?.data?.error || 'Failed to archive emails');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Block or unblock a sender
+   */
+  const handleToggleBlock = async (subscription) => {
+    const name = subscription.senderName || subscription.senderAddress;
+    if (
+      !subscription.blocked &&
+      !window.confirm(`Block ${name}? New mail from this sender will be moved to the trash.`)
+    ) {
+      return;
+    }
+
+    try {
+      setBusyId(subscription._id);
+      if (subscription.blocked) {
+        await api.unblockSubscription(subscription._id);
+        toast.success(`Unblocked ${name}`);
+      } else {
+        await api.blockSubscription(subscription._id);
+        toast.success(`Blocked ${name}`);
+      }
+      replaceSubscription({ _id: subscription._id, blocked: !subscription.blocked });
+    } catch (error) {
+      console.error('Error blocking sender:', error);
+      toast.error(error.response?.data?.error || 'Failed to update block');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Show the HTML of the page an attempt ended on, as text
+   */
+  const handleShowHtml = async (attempt) => {
+    try {
+      const response = await api.getSubscriptionAttemptHtml(expanded._id, attempt._id);
+      setPageHtml(response.data.html);
+    } catch (error) {
+      console.error('Error loading page HTML:', error);
+      toast.error('Failed to load page HTML');
+    }
+  };
+
+  const visibleSubscriptions = statusFilter
+    ? subscriptions.filter((subscription) => subscription.status === statusFilter)
+    : subscriptions;
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4">
+      <div className="max-w-5xl mx-auto">
+        {/* Back Button */}
+        <button
+          onClick={() => navigate(-1)}
+          className="text-blue-600 hover:text-blue-800 flex items-center gap-2 mb-6"
+        >
+          <FaArrowLeft /> Back
+        </button>
+
+        <div className="card">
+          <div className="flex justify-between items-center mb-2">
+            <h1 className="text-2xl font-bold text-gray-900">Subscriptions</h1>
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+            >
+              {FILTERS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <p className="text-sm text-gray-600 mb-6">
+            Mailing lists you receive, most frequent first, over the last {WEEKS} weeks. After an
+            unsubscribe we watch for more mail: senders that keep mailing are flagged and their
+            mail is archived.
+          </p>
+
+          {loading ? (
+            <div className="text-center py-12">
+              <div className="inline-block animate-spin text-4xl mb-2">⏳</div>
+              <p className="text-gray-600">Loading subscriptions...</p>
+            </div>
+          ) : visibleSubscriptions.length === 0 ? (
+            <p className="text-center text-gray-600 py-12">No subscriptions found</p>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {visibleSubscriptions.map((subscription) => {
+                const status = STATUS_LABELS[subscription.status];
+                const isExpanded = expanded?._id === subscription._id;
+
+                return (
+                  <div key={subscription._id} className="py-3">
+                    <div className="flex items-center gap-4">
+                      <button
+                        onClick={() => handleToggleExpanded(subscription)}
+                        className="text-gray-500 hover:text-gray-700"
+                      >
+                        {isExpanded ? <FaChevronDown /> : <FaChevronRight />}
+                      </button>
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-gray-900 truncate">
+                          {subscription.senderName || subscription.senderAddress}
+                        </p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {subscription.listId || subscription.senderAddress} · last{' '}
+                          {formatDate(subscription.lastEmailAt)}
+                        </p>
+                      </div>
+                      <VolumeChart weekly={subscription.weekly} />
+                      <div className="w-28 text-xs text-gray-600">
+                        <p>
+                          <span className="font-medium text-gray-900">
+                            {subscription.perWeek.toFixed(1)}
+                          </span>{' '}
+                          / week
+                        </p>
+                        <p>
+                          {Math.round(subscription.readRate * 100)}% read ·{' '}
+                          {subscription.emailCount} total
+                        </p>
+                      </div>
+                      <span className={`text-xs px-2 py-1 rounded-full ${status.className}`}>
+                        {status.label}
+                        {subscription.status === 'still-sending' &&
+                          ` (${subscription.emailsAfterUnsubscribe} since)`}
+                      </span>
+                      <label className="text-xs text-gray-700 flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={subscription.autoArchive}
+                          onChange={() =>
+                            handleUpdate(subscription, { autoArchive: !subscription.autoArchive })
+                          }
+                        />
+                        Auto-archive
+                      </label>
+                      {subscription.status === 'active' || subscription.status === 'still-sending' ? (
+                        <button
+                          onClick={() => handleUnsubscribe(subscription)}
+                          disabled={busyId === subscription._id || !subscription.canUnsubscribe}
+                          title={subscription.canUnsubscribe ? undefined : 'No unsubscribe link found'}
+                          className="btn-secondary text-sm disabled:opacity-50"
+                        >
+                          {busyId === subscription._id
+                            ? 'Unsubscribing...'
+                            : subscription.status === 'active'
+                            ? 'Unsubscribe'
+                            : 'Try again'}
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => handleUpdate(subscription, { status: 'active' })}
+                          className="text-xs text-gray-500 hover:text-gray-700"
+                          title="Use this if you subscribed again"
+                        >
+                          Mark subscribed
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleArchiveAll(subscription)}
+                        disabled={busyId === subscription._id || subscription.inboxCount === 0}
+                        className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                        title={`Archive ${subscription.inboxCount} email(s) in the inbox`}
+                      >
+                        <FaArchive />
+                      </button>
+                      <button
+                        onClick={() => handleToggleBlock(subscription)}
+                        disabled={busyId === subscription._id}
+                        className={`disabled:opacity-30 ${
+                          subscription.blocked ? 'text-red-600' : 'text-gray-500 hover:text-red-600'
+                        }`}
+                        title={subscription.blocked ? 'Blocked: click to unblock' : 'Block sender'}
+                      >
+                        <FaBan />
+                      </button>
+                    </div>
+
+                    {/* Attempt history */}
+                    {isExpanded && (
+                      <div className="ml-8 mt-3 space-y-3">
+                        {expanded.unsubscribeRequestedAt && (
+                          <p className="text-xs text-gray-600">
+                            Unsubscribe requested {formatDate(expanded.unsubscribeRequestedAt)}
+                            {expanded.confirmedAt && `, confirmed ${formatDate(expanded.confirmedAt)}`}
+                            {expanded.stillSendingAt &&
+                              `, mail still arriving since ${formatDate(expanded.stillSendingAt)}`}
+                          </p>
+                        )}
+                        {expanded.attempts.length === 0 ? (
+                          <p className="text-xs text-gray-500">No unsubscribe attempts yet</p>
+                        ) : (
+                          expanded.attempts
+                            .slice()
+                            .reverse()
+                            .map((attempt) => (
+                              <div
+                                key={attempt._id}
+                                className="p-3 bg-gray-50 rounded-lg border border-gray-200 text-xs"
+                              >
+                                <p className="text-gray-700">
+                                  <span className={attempt.success ? 'text-green-700' : 'text-red-700'}>
+                                    {attempt.success ? '✓' : '✗'}
+                                  </span>{' '}
+                                  {new Date(attempt.at).toLocaleString()} · {attempt.method}
+                                  {attempt.error && ` · ${attempt.error}`}
+                                </p>
+                                {attempt.outcome && (
+                                  <p
+                                    className={
+                                      attempt.outcome === 'needs-manual'
+                                        ? 'text-yellow-800'
+                                        : 'text-gray-600'
+                                    }
+                                  >
+                                    {OUTCOME_LABELS[attempt.outcome]}
+                                  </p>
+                                )}
+                                {attempt.steps?.length > 0 && (
+                                  <ol className="list-decimal ml-4 text-gray-600">
+                                    {attempt.steps.map((step, index) => (
+                                      <li key={index}>{step}</li>
+                                    ))}
+                                  </ol>
+                                )}
+                                {attempt.finalUrl &&
+                                  (attempt.outcome === 'needs-manual' ? (
+                                    <a
+                                      href={attempt.finalUrl}
+                                      target="_blank"
+                                      rel="noopener noreferrer"
+                                      className="text-blue-600 hover:text-blue-800 truncate block"
+                                    >
+                                      Finish unsubscribing on the sender's page
+                                    </a>
+                                  ) : (
+                                    <p className="text-gray-500 truncate">{attempt.finalUrl}</p>
+                                  ))}
+                                {attempt.screenshot && (
+                                  <img
+                                    src={`data:image/jpeg;base64,${attempt.screenshot}`}
+                                    alt="Final unsubscribe page"
+                                    className="mt-2 max-w-sm border border-gray-200 rounded"
+                                  />
+                                )}
+                                {attempt.method === 'browser' && (
+                                  <button
+                                    onClick={() => handleShowHtml(attempt)}
+                                    className="mt-2 text-blue-600 hover:text-blue-800"
+                                  >
+                                    View page HTML
+                                  </button>
+                                )}
+                              </div>
+                            ))
+                        )}
+                        {pageHtml !== null && (
+                          <pre className="p-3 bg-gray-900 text-gray-100 rounded-lg text-xs max-h-64 overflow-auto whitespace-pre-wrap">
+                            {pageHtml || '(empty page)'}
+                          </pre>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SubscriptionsPage;
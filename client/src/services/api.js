@@ -82,10 +82,72 @@ export const createCategory = (data) => api.post('/categories', data);
  */
 export const updateCategory = (id, data) => api.put(`/categories/${id}`, data);
 
+/**
+ * Preview which emails a draft category would move, without saving it
+ * @param {object} data - { categoryId?, name, description, parentId?, limit? }
+ */
+export const previewCategory = (data) => api.post('/categories/preview', data);
+
+/**
+ * Get the category template library and starter packs
+ */
+export const getCategoryTemplates = () => api.get('/categories/templates');
+
+/**
+ * Propose categories from a sample of recent emails, without saving them
+ * @param {object} data - { limit? } emails to sample
+ */
+export const suggestCategories = (data = {}) => api.post('/categories/suggest', data);
+
+/**
+ * Export all categories as JSON
+ */
+export const exportCategories = () => api.get('/categories/export');
+
+/**
+ * Create categories in bulk; names that already exist are skipped
+ * @param {Array<object>} categories - { name, description, color?, icon?, syncToGmail?, parent? }
+ */
+export const importCategories = (categories) => api.post('/categories/import', { categories });
+
+/**
+ * Get pending suggestions for new categories, made from emails that fit no category
+ */
+export const getCategorySuggestions = () => api.get('/categories/suggestions');
+
+/**
+ * Cluster emails again in the background; returns { jobId }
+ */
+export const refreshCategorySuggestions = () => api.post('/categories/suggestions/refresh');
+
+/**
+ * Create the category of a suggestion
+ * @param {string} id - Suggestion ID
+ * @param {object} data - { name?, description?, color?, parentId?, moveEmails? }
+ */
+export const acceptCategorySuggestion = (id, data = {}) =>
+  api.post(`/categories/suggestions/${id}/accept`, data);
+
+/**
+ * Dismiss a suggestion so it isn't proposed again
+ */
+export const dismissCategorySuggestion = (id) => api.post(`/categories/suggestions/${id}/dismiss`);
+
+/**
+ * Reorder the subcategories of a parent
+ * @param {string|null} parentId - Parent ID (null for top-level categories)
+ * @param {Array<string>} categoryIds - Category IDs in their new order
+ */
+export const reorderCategories = (parentId, categoryIds) =>
+  api.put('/categories/reorder', { parentId, categoryIds });
+
 /**
  * Delete category
+ * @param {string} id - Category ID
+ * @param {string} mode - 'promote' moves subcategories up a level, 'cascade' deletes them too
  */
-export const deleteCategory = (id) => api.delete(`/categories/${id}`);
+export const deleteCategory = (id, mode = 'promote') =>
+  api.delete(`/categories/${id}`, { params: { mode } });
 
 // ============ Emails Endpoints ============
 
@@ -101,11 +163,26 @@ export const getEmails = (params) => api.get('/emails', { params });
 export const getEmail = (id) => api.get(`/emails/${id}`);
 
 /**
- * Sync new emails from Gmail
+ * Get the classification decisions behind an email
+ */
+export const getClassificationHistory = (id) =>
+  api.get(`/emails/${id}/classification-history`);
+
+/**
+ * Queue a sync of new emails from Gmail
+ * Resolves with the queued jobs; poll getJob for progress
  */
 export const syncEmails = (accountId) =>
   api.post('/emails/sync', accountId ? { accountId } : {});
 
+/**
+ * Import historical emails for an account
+ * @param {string} accountId - Account to backfill
+ * @param {object} options - { after, before, query, resume }
+ */
+export const backfillEmails = (accountId, options = {}) =>
+  api.post('/emails/backfill', { accountId, ...options });
+
 /**
  * Stop syncing emails
  */
@@ -136,6 +213,68 @@ export const unsubscribeFromEmails = (emailIds) =>
 export const recategorizeEmails = (emailIds, categoryId) =>
   api.put('/emails/recategorize', { emailIds, categoryId });
 
+/**
+ * Count the emails waiting for review
+ */
+export const getReviewSummary = () => api.get('/emails/review/summary');
+
+/**
+ * Accept the category of emails in the review queue
+ */
+export const acceptReviewedEmails = (emailIds) =>
+  api.post('/emails/review/accept', { emailIds });
+
+/**
+ * Re-classify stored emails in the background
+ * @param {object} filter - { categoryId, after, before, accountId, confidenceBelow }
+ */
+export const reclassifyEmails = (filter = {}) =>
+  api.post('/emails/reclassify', filter);
+
+/**
+ * Add and remove tags on emails
+ * @param {Array<string>} emailIds - Email IDs
+ * @param {object} changes - { add, remove } arrays of tag IDs
+ */
+export const updateEmailTags = (emailIds, { add = [], remove = [] }) =>
+  api.put('/emails/tags', { emailIds, add, remove });
+
+// ============ Tag Endpoints ============
+
+/**
+ * Get all tags
+ */
+export const getTags = () => api.get('/tags');
+
+/**
+ * Create tag
+ * @param {object} data - { name, description, color, autoApply, mirrorToGmail }
+ */
+export const createTag = (data) => api.post('/tags', data);
+
+/**
+ * Update tag
+ */
+export const updateTag = (id, data) => api.put(`/tags/${id}`, data);
+
+/**
+ * Delete tag
+ */
+export const deleteTag = (id) => api.delete(`/tags/${id}`);
+
+// ============ Jobs Endpoints ============
+
+/**
+ * Get sync job status
+ */
+export const getJob = (id) => api.get(`/jobs/${id}`);
+
+/**
+ * Get recent sync jobs
+ * @param {object} params - Query parameters (accountId, active, limit)
+ */
+export const getJobs = (params) => api.get('/jobs', { params });
+
 // ============ Accounts Endpoints ============
 
 /**
@@ -153,9 +292,125 @@ export const getAccount = (id) => api.get(`/accounts/${id}`);
  */
 export const getAccountStatus = (id) => api.get(`/accounts/${id}/status`);
 
+/**
+ * Set account automatic sync schedule
+ * @param {object} schedule - { interval, cron? }
+ */
+export const updateAccountSchedule = (id, schedule) =>
+  api.put(`/accounts/${id}/schedule`, schedule);
+
 /**
  * Disconnect account
  */
 export const disconnectAccount = (id) => api.delete(`/accounts/${id}`);
 
+// ============ Settings Endpoints ============
+
+/**
+ * Get user settings and available AI providers
+ */
+export const getSettings = () => api.get('/settings');
+
+/**
+ * Set AI provider and model
+ * @param {object} settings - { provider, model } (null resets to the server default)
+ */
+export const updateAISettings = (settings) => api.put('/settings/ai', settings);
+
+/**
+ * Set the confidence threshold of the review queue
+ * @param {object} settings - { confidenceThreshold } (null resets to the server default)
+ */
+export const updateReviewSettings = (settings) => api.put('/settings/review', settings);
+
+/**
+ * Mark the first-login onboarding as done
+ */
+export const completeOnboarding = () => api.put('/settings/onboarding');
+
+// ============ Rule Endpoints ============
+
+/**
+ * Get all sorting rules in evaluation order
+ */
+export const getRules = () => api.get('/rules');
+
+/**
+ * Get single rule
+ */
+export const getRule = (id) => api.get(`/rules/${id}`);
+
+/**
+ * Create sorting rule
+ * @param {object} data - { name, enabled, priority, matchType, conditions, actions, stopProcessing }
+ */
+export const createRule = (data) => api.post('/rules', data);
+
+/**
+ * Update sorting rule
+ */
+export const updateRule = (id, data) => api.put(`/rules/${id}`, data);
+
+/**
+ * Preview which emails a draft rule would move, without saving it
+ * @param {object} data - { rule, ruleId?, limit? }
+ */
+export const previewRule = (data) => api.post('/rules/preview', data);
+
+/**
+ * Delete sorting rule
+ */
+export const deleteRule = (id) => api.delete(`/rules/${id}`);
+
+// ============ Subscription Endpoints ============
+
+/**
+ * Get the mailing lists the user receives
+ * @param {object} params - Query parameters (status)
+ */
+export const getSubscriptions = (params) => api.get('/subscriptions', { params });
+
+/**
+ * Get per-sender volume, read rate and unsubscribe status, highest volume first
+ * @param {object} params - Query parameters (weeks)
+ */
+export const getSubscriptionSenders = (params) => api.get('/subscriptions/senders', { params });
+
+/**
+ * Get single subscription, with screenshots of its unsubscribe attempts
+ */
+export const getSubscription = (id) => api.get(`/subscriptions/${id}`);
+
+/**
+ * Get the HTML of the page an unsubscribe attempt ended on
+ */
+export const getSubscriptionAttemptHtml = (id, attemptId) =>
+  api.get(`/subscriptions/${id}/attempts/${attemptId}/html`);
+
+/**
+ * Update subscription
+ * @param {object} data - { autoArchive?, status? } (status can only be reset to 'active')
+ */
+export const updateSubscription = (id, data) => api.put(`/subscriptions/${id}`, data);
+
+/**
+ * Unsubscribe from a subscription
+ */
+export const unsubscribeSubscription = (id) => api.post(`/subscriptions/${id}/unsubscribe`);
+
+/**
+ * Archive every inbox email from a subscription
+ */
+export const archiveSubscriptionEmails = (id) => api.post(`/subscriptions/${id}/archive`);
+
+/**
+ * Block a subscription (its new mail is trashed by a rule)
+ */
+export const blockSubscription = (id) => api.post(`/subscriptions/${id}/block`);
+
+/**
+ * Unblock a subscription
+ */
+export const unblockSubscription = (id) => api.delete(`/subscriptions/${id}/block`);
+
 export default api;
\ No newline at end of file
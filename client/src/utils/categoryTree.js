@@ -0,0 +1,57 @@
+// client/src/utils/categoryTree.js
+/**
+ * Category tree helpers
+ * The API returns categories as a flat list in sibling order, linked by parentId
+ */
+
+/**
+ * Get the direct children of a category, in order
+ * @param {Array<object>} categories - All categories
+ * @param {string|null} parentId - Parent ID (null for top-level categories)
+ * @returns {Array<object>} Child categories
+ */
+export function getChildren(categories, parentId) {
+  return categories.filter((category) => (category.parentId || null) === parentId);
+}
+
+/**
+ * Flatten the tree depth-first, so every category follows its parent
+ * @param {Array<object>} categories - All categories
+ * @returns {Array<object>} { category, depth } entries
+ */
+export function flattenTree(categories) {
+  const entries = [];
+  const visit = (parentId, depth) => {
+    for (const category of getChildren(categories, parentId)) {
+      entries.push({ category, depth });
+      visit(category._id, depth + 1);
+    }
+  };
+  visit(null, 0);
+  return entries;
+}
+
+/**
+ * Get the IDs of every category below a category
+ * @param {Array<object>} categories - All categories
+ * @param {string} categoryId - Category ID
+ * @returns {Array<string>} Descendant IDs
+ */
+export function getDescendantIds(categories, categoryId) {
+  return getChildren(categories, categoryId).flatMap((child) => [
+    child._id,
+    ...getDescendantIds(categories, child._id),
+  ]);
+}
+
+/**
+ * Get the categories emails can be sorted into, in sidebar order
+ * Only categories without subcategories receive emails
+ * @param {Array<object>} categories - All categories
+ * @returns {Array<object>} Leaf categories
+ */
+export function getLeafCategories(categories) {
+  return flattenTree(categories)
+    .map((entry) => entry.category)
+    .filter((category) => getChildren(categories, category._id).length === 0);
+}
@@ -0,0 +1,85 @@
+// server/scripts/oneClickStandIn.js
+/**
+ * One-click unsubscribe stand-in
+ * A local HTTP server playing a mailing list sender that supports RFC 8058, so the one-click
+ * unsubscribe path can be tried offline.
+ *
+ * Run it with `node scripts/oneClickStandIn.js [port]` and point an email's
+ * List-Unsubscribe header at the printed URL, or require it and call startStandIn(). The
+ * server refuses to send unsubscribe requests to loopback hosts unless they are listed in
+ * UNSUBSCRIBE_ALLOWED_HOSTS (e.g. UNSUBSCRIBE_ALLOWED_HOSTS=127.0.0.1:8058).
+ */
+
+const http = require('http');
+
+const ONE_CLICK_BODY = 'List-Unsubscribe=One-Click';
+
+/**
+ * Start the stand-in server
+ * POST /unsubscribe/:id with the RFC 8058 body answers 200; any other body answers 400.
+ * GET /unsubscribe/:id serves a page with an Unsubscribe button, as senders without
+ * one-click do.
+ * @param {object} options - { port } (0 picks a free port)
+ * @returns {Promise<object>} { url, requests, close } where url is the base unsubscribe URL
+ *   and requests lists every unsubscribe request received as { method, path, body, headers }
+ */
+function startStandIn({ port = 0 } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      if (!req.url.startsWith('/unsubscribe/')) {
+        res.writeHead(404).end();
+        return;
+      }
+
+      requests.push({ method: req.method, path: req.url, body, headers: req.headers });
+
+      if (req.method === 'POST') {
+        const accepted = body.trim() === ONE_CLICK_BODY;
+        console.log(`${accepted ? '✅' : '❌'} POST ${req.url} ${JSON.stringify(body)}`);
+        res.writeHead(accepted ? 200 : 400, { 'Content-Type': 'text/plain' });
+        res.end(accepted ? 'Unsubscribed' : `Expected "${ONE_CLICK_BODY}"`);
+        return;
+      }
+
+      console.log(`GET ${req.url}`);
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(
+        '<html><body><form method="post">' +
+          `<input type="hidden" name="List-Unsubscribe" value="One-Click">` +
+          '<button type="submit">Unsubscribe</button></form></body></html>'
+      );
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/unsubscribe`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startStandIn({ port: parseInt(process.argv[2] || 8058) }).then(({ url }) => {
+    console.log(`📭 One-click unsubscribe stand-in listening on ${url}`);
+    console.log('Use these headers on a test email:');
+    console.log(`  List-Unsubscribe: <${url}/test-list>, <mailto:leave@example.com?subject=unsubscribe>`);
+    console.log(`  List-Unsubscribe-Post: ${ONE_CLICK_BODY}`);
+    console.log(`Start the server with UNSUBSCRIBE_ALLOWED_HOSTS=${new URL(url).host}`);
+  });
+}
+
+module.exports = {
+  startStandIn,
+};
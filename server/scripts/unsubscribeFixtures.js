@@ -0,0 +1,176 @@
+// server/scripts/unsubscribeFixtures.js
+/**
+ * Unsubscribe page fixtures
+ * A local HTTP server with the kinds of unsubscribe pages senders use (a single button, an
+ * address form, a preference center, a confirmation step, a CAPTCHA...), so the browser
+ * unsubscribe flow can be tried offline.
+ *
+ * `node scripts/unsubscribeFixtures.js [port]` serves the pages; with `--check` it runs the
+ * browser unsubscribe against every page and compares the outcome with the expected one
+ * (exits with 1 on a mismatch). Pages live in scripts/fixtures/unsubscribe; jest runs the same
+ * check in tests/unsubscribePage.test.js when Chrome is available.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'unsubscribe');
+
+// Address the fixtures expect in their email fields
+const FIXTURE_ADDRESS = 'subscriber@example.com';
+
+// Fixture pages and the outcome the browser unsubscribe should reach on each
+const FIXTURES = [
+  { name: 'one-button', expected: 'confirmed' },
+  { name: 'email-form', expected: 'confirmed' },
+  { name: 'preferences', expected: 'confirmed' },
+  { name: 'confirm-step', expected: 'confirmed' },
+  { name: 'script-button', expected: 'confirmed' },
+  { name: 'already', expected: 'confirmed' },
+  { name: 'expired', expected: 'failed' },
+  { name: 'captcha', expected: 'needs-manual' },
+  { name: 'login', expected: 'needs-manual' },
+];
+
+// Form submissions: path -> handler(form) returning the page to answer with (null for 204)
+const SUBMISSIONS = {
+  '/one-button/submit': () => 'confirmed',
+  '/email-form/submit': (form) => (form.get('addr') === FIXTURE_ADDRESS ? 'confirmed' : 'error'),
+  '/preferences/submit': (form) =>
+    form.get('scope') === 'all' && form.getAll('topic').length === 0
+      ? 'confirmed'
+      : 'preferences-saved',
+  '/confirm-step/submit': (form) => (form.get('answer') === 'yes' ? 'confirmed' : 'error'),
+  '/script-button/submit': () => null,
+  '/captcha/submit': () => 'error',
+  '/login/submit': () => 'error',
+  '/already/resubscribe': () => 'error',
+};
+
+/**
+ * Start the fixture server
+ * GET /<fixture> serves scripts/fixtures/unsubscribe/<fixture>.html (nested paths join with
+ * "-", so /confirm-step/confirm serves confirm-step-confirm.html); form posts are answered by
+ * SUBMISSIONS.
+ * @param {object} options - { port } (0 picks a free port)
+ * @returns {Promise<object>} { url, requests, close } where requests lists every form post
+ *   received as { path, form }
+ */
+function startFixtures({ port = 0 } = {}) {
+  const requests = [];
+
+  const sendPage = (res, name, status = 200) => {
+    const file = path.join(FIXTURE_DIR, `${name}.html`);
+    if (!/^[a-z-]+$/.test(name) || !fs.existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'text/html' });
+    fs.createReadStream(file).pipe(res);
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      const urlPath = req.url.split('?')[0];
+
+      if (req.method === 'POST') {
+        const form = new URLSearchParams(body);
+        requests.push({ path: urlPath, form: Object.fromEntries(form) });
+        const handler = SUBMISSIONS[urlPath];
+        if (!handler) {
+          sendPage(res, 'error', 404);
+          return;
+        }
+        const page = handler(form);
+        if (page) {
+          sendPage(res, page);
+        } else {
+          res.writeHead(204).end();
+        }
+        return;
+      }
+
+      sendPage(res, urlPath.replace(/^\/+|\/+$/g, '').replace(/\//g, '-'));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Run the browser unsubscribe against every fixture
+ * Pattern rules judge the final pages; the AI provider is not asked
+ * @returns {Promise<boolean>} True when every fixture reached its expected outcome
+ */
+async function checkFixtures() {
+  process.env.UNSUBSCRIBE_PAGE_AI = 'false';
+  process.env.UNSUBSCRIBE_SETTLE_TIMEOUT_MS = process.env.UNSUBSCRIBE_SETTLE_TIMEOUT_MS || '2000';
+  const { unsubscribeViaWeb } = require('../src/services/unsubscribe');
+
+  const fixtures = await startFixtures();
+  process.env.UNSUBSCRIBE_ALLOWED_HOSTS = new URL(fixtures.url).host;
+  let passed = 0;
+
+  try {
+    for (const { name, expected } of FIXTURES) {
+      const attempt = await unsubscribeViaWeb(`${fixtures.url}/${name}`, {
+        emailId: name,
+        address: FIXTURE_ADDRESS,
+      });
+      const ok = attempt.outcome === expected;
+      if (ok) passed++;
+
+      console.log(`${ok ? '✅' : '❌'} ${name}: ${attempt.outcome} (expected ${expected})`);
+      for (const step of attempt.steps || []) {
+        console.log(`     ${step}`);
+      }
+      if (attempt.error) {
+        console.log(`     ${attempt.error}`);
+      }
+    }
+  } finally {
+    await fixtures.close();
+  }
+
+  console.log(`${passed}/${FIXTURES.length} fixtures passed`);
+  return passed === FIXTURES.length;
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--check')) {
+    checkFixtures().then(
+      (ok) => process.exit(ok ? 0 : 1),
+      (error) => {
+        console.error(error);
+        process.exit(1);
+      }
+    );
+  } else {
+    startFixtures({ port: parseInt(process.argv[2] || 8059) }).then(({ url }) => {
+      console.log(`🧪 Unsubscribe page fixtures on ${url}`);
+      FIXTURES.forEach(({ name, expected }) => console.log(`  ${url}/${name} (${expected})`));
+    });
+  }
+}
+
+module.exports = {
+  FIXTURES,
+  FIXTURE_ADDRESS,
+  startFixtures,
+  checkFixtures,
+};
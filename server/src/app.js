@@ -18,12 +18,21 @@ const { connectDB, ensureConnection } = require('./config/database');
 const passportConfig = require('./config/passport');
 const { errorHandler } = require('./middleware/errorHandler');
 const { verifyJWT } = require('./middleware/auth');
+const jobService = require('./services/jobs');
+const schedulerService = require('./services/scheduler');
+const pushService = require('./services/push');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const categoryRoutes = require('./routes/categories');
 const emailRoutes = require('./routes/emails');
 const accountRoutes = require('./routes/accounts');
+const jobRoutes = require('./routes/jobs');
+const webhookRoutes = require('./routes/webhooks');
+const settingsRoutes = require('./routes/settings');
+const ruleRoutes = require('./routes/rules');
+const tagRoutes = require('./routes/tags');
+const subscriptionRoutes = require('./routes/subscriptions');
 
 // Initialize Express app
 const app = express();
@@ -91,6 +100,8 @@ const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || 900000), // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || 100),
   message: 'Too many requests from this IP, please try again later.',
+  // Pub/Sub deliveries all come from Google's IPs
+  skip: (req) => req.path.startsWith('/webhooks/'),
 });
 app.use('/api/', limiter);
 
@@ -119,6 +130,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/emails', emailRoutes);
 app.use('/api/accounts', accountRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -137,6 +154,19 @@ async function startServer() {
     await connectDB();
     console.log('✅ Connected to MongoDB');
 
+    // Start the background sync worker (disable with SYNC_WORKER_ENABLED=false)
+    if (process.env.SYNC_WORKER_ENABLED !== 'false') {
+      jobService.startWorker();
+    }
+
+    // Start the automatic sync scheduler (disable with SYNC_SCHEDULER_ENABLED=false)
+    if (process.env.SYNC_SCHEDULER_ENABLED !== 'false') {
+      schedulerService.startScheduler();
+    }
+
+    // Register and renew Gmail push watches (only when GMAIL_PUBSUB_TOPIC is set)
+    pushService.startWatchRenewal();
+
     // Start listening on all interfaces (0.0.0.0) for Docker/containerized environments
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`✅ Server running on http://0.0.0.0:${PORT}`);
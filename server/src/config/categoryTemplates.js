@@ -0,0 +1,157 @@
+// server/src/config/categoryTemplates.js
+/**
+ * Category template library
+ * Ready-made categories with descriptions written for the classifier, grouped into
+ * starter packs offered on first login
+ */
+
+/**
+ * Category templates
+ * Descriptions say what belongs in the category and what doesn't, since the AI sorts on them.
+ * Keywords are only used by the local provider to suggest templates from a user's inbox
+ */
+const CATEGORY_TEMPLATES = [
+  {
+    key: 'newsletters',
+    name: 'Newsletters',
+    description:
+      'Recurring editorial content the user subscribed to: blog digests, Substack posts, industry news roundups and weekly updates. Not sales promotions or transactional mail.',
+    color: '#3b82f6',
+    icon: 'newspaper',
+    keywords: ['newsletter', 'digest', 'weekly', 'issue', 'edition', 'roundup', 'unsubscribe', 'read'],
+  },
+  {
+    key: 'promotions',
+    name: 'Promotions',
+    description:
+      'Marketing from stores and brands: sales, discount codes, coupons, product launches and "we miss you" emails. Not receipts for purchases the user made.',
+    color: '#f59e0b',
+    icon: 'tag',
+    keywords: ['sale', 'off', 'discount', 'offer', 'deal', 'coupon', 'code', 'shop', 'limited'],
+  },
+  {
+    key: 'receipts',
+    name: 'Receipts',
+    description:
+      'Proof of purchases and payments the user made: order confirmations, receipts, invoices they paid and subscription renewals. Not shipping updates or marketing.',
+    color: '#10b981',
+    icon: 'receipt',
+    keywords: ['receipt', 'order', 'invoice', 'payment', 'purchase', 'paid', 'total', 'subscription'],
+  },
+  {
+    key: 'shipping',
+    name: 'Shipping',
+    description:
+      'Delivery updates for orders: shipped, out for delivery, delivered, tracking numbers and delivery problems.',
+    color: '#14b8a6',
+    icon: 'truck',
+    keywords: ['shipped', 'delivery', 'delivered', 'tracking', 'package', 'parcel', 'courier'],
+  },
+  {
+    key: 'finance',
+    name: 'Finance',
+    description:
+      'Banking and money matters: bank statements, card alerts, transfers, investment and tax documents, bills due. Not store receipts.',
+    color: '#059669',
+    icon: 'bank',
+    keywords: ['bank', 'statement', 'account', 'balance', 'transfer', 'tax', 'card', 'bill', 'due'],
+  },
+  {
+    key: 'travel',
+    name: 'Travel',
+    description:
+      'Trips the user booked: flight, train, hotel and rental car confirmations, boarding passes, itineraries and check-in reminders.',
+    color: '#06b6d4',
+    icon: 'plane',
+    keywords: ['flight', 'booking', 'hotel', 'reservation', 'itinerary', 'boarding', 'trip', 'check'],
+  },
+  {
+    key: 'social',
+    name: 'Social',
+    description:
+      'Notifications from social networks and communities: new followers, mentions, comments, friend requests and event invites from platforms.',
+    color: '#ec4899',
+    icon: 'users',
+    keywords: ['mentioned', 'follower', 'comment', 'liked', 'friend', 'tagged', 'connection', 'post'],
+  },
+  {
+    key: 'work',
+    name: 'Work',
+    description:
+      'Mail from colleagues, clients and work tools about ongoing projects, tasks, documents and decisions that need the user\'s attention.',
+    color: '#6366f1',
+    icon: 'briefcase',
+    keywords: ['project', 'team', 'review', 'deadline', 'meeting', 'document', 'shared', 'task'],
+  },
+  {
+    key: 'meetings',
+    name: 'Meetings',
+    description:
+      'Calendar invitations, meeting updates, cancellations and scheduling back-and-forth.',
+    color: '#8b5cf6',
+    icon: 'calendar',
+    keywords: ['invitation', 'meeting', 'calendar', 'accepted', 'declined', 'call', 'schedule'],
+  },
+  {
+    key: 'recruiting',
+    name: 'Recruiting',
+    description:
+      'Job search and hiring: recruiter outreach, job alerts, application updates, interview scheduling and offers.',
+    color: '#ef4444',
+    icon: 'user-tie',
+    keywords: ['job', 'role', 'position', 'recruiter', 'application', 'interview', 'opportunity', 'hiring'],
+  },
+  {
+    key: 'security',
+    name: 'Security',
+    description:
+      'Account security notices: sign-in alerts, verification codes, password resets and two-factor prompts.',
+    color: '#dc2626',
+    icon: 'shield',
+    keywords: ['security', 'password', 'verification', 'code', 'sign', 'login', 'alert', 'verify'],
+  },
+  {
+    key: 'personal',
+    name: 'Personal',
+    description:
+      'Mail written personally to the user by friends and family. Not automated notifications or bulk mail.',
+    color: '#84cc16',
+    icon: 'heart',
+    keywords: ['hi', 'hey', 'love', 'family', 'weekend', 'dinner', 'thanks'],
+  },
+];
+
+/**
+ * Starter packs offered on first login
+ */
+const STARTER_PACKS = [
+  {
+    key: 'essentials',
+    name: 'Essentials',
+    description: 'A calm inbox: what you bought, what you read and what can wait.',
+    templates: ['newsletters', 'promotions', 'receipts', 'shipping', 'social', 'security'],
+  },
+  {
+    key: 'professional',
+    name: 'Professional',
+    description: 'For a work inbox full of projects, meetings and tools.',
+    templates: ['work', 'meetings', 'newsletters', 'security', 'receipts'],
+  },
+  {
+    key: 'job-seeker',
+    name: 'Job seeker',
+    description: 'Keeps recruiter mail and applications apart from everything else.',
+    templates: ['recruiting', 'meetings', 'newsletters', 'promotions', 'personal'],
+  },
+  {
+    key: 'life-admin',
+    name: 'Life admin',
+    description: 'Money, trips and orders in their own places.',
+    templates: ['finance', 'receipts', 'shipping', 'travel', 'personal', 'promotions'],
+  },
+];
+
+module.exports = {
+  CATEGORY_TEMPLATES,
+  STARTER_PACKS,
+};
@@ -35,6 +35,27 @@ const userSchema = new mongoose.Schema({
   googleRefreshToken: String,
   googleTokenExpiresAt: Date,
   // User preferences
+  // AI provider and model; unset fields fall back to AI_PROVIDER and the provider's default model
+  aiSettings: {
+    provider: {
+      type: String,
+      enum: ['anthropic', 'openai', 'local'],
+    },
+    model: String,
+  },
+  // Emails sorted with less confidence than this land in the "Needs review" queue
+  // (unset uses REVIEW_CONFIDENCE_THRESHOLD)
+  reviewSettings: {
+    confidenceThreshold: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+  },
+  // Set once the user picked starter categories or skipped the onboarding
+  onboardingCompletedAt: Date,
+  // Last time uncategorized emails were clustered into category suggestions
+  categorySuggestionsRunAt: Date,
   createdAt: {
     type: Date,
     default: Date.now,
@@ -71,6 +92,58 @@ const accountSchema = new mongoose.Schema({
     default: 'pending',
   },
   lastSyncAt: Date,
+  // Gmail history checkpoint for incremental sync
+  historyId: String,
+  // Emails that failed to import; the checkpoint moves on and they are retried on later syncs
+  importRetries: [
+    {
+      _id: false,
+      gmailId: String,
+      attempts: Number,
+      error: String,
+    },
+  ],
+  // Gmail push notification watch (users.watch)
+  watch: {
+    expiration: Date,
+    historyId: String,
+    lastNotificationAt: Date,
+    error: String,
+  },
+  // Automatic sync schedule
+  syncSchedule: {
+    interval: {
+      type: String,
+      enum: ['off', '5m', '15m', '30m', 'hourly', 'daily', 'cron'],
+      default: 'off',
+    },
+    // Cron expression, used when interval is 'cron'
+    cron: String,
+    nextRunAt: Date,
+  },
+  // Historical mail import progress (resumable)
+  backfill: {
+    status: {
+      type: String,
+      enum: ['idle', 'running', 'stopped', 'completed', 'error'],
+      default: 'idle',
+    },
+    query: String,
+    // Page token of the page currently being imported
+    pageToken: String,
+    pagesProcessed: {
+      type: Number,
+      default: 0,
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    estimatedTotal: Number,
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -99,10 +172,41 @@ const categorySchema = new mongoose.Schema({
     type: String,
     default: 'folder',
   },
+  // Parent category; null for top-level categories
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  // Order among siblings
+  position: {
+    type: Number,
+    default: 0,
+  },
+  // Emails directly in this category; parents aggregate their children's counts on read
   emailCount: {
     type: Number,
     default: 0,
   },
+  // Apply a Gmail label to the category's emails and pull label changes back on sync
+  syncToGmail: {
+    type: Boolean,
+    default: false,
+  },
+  // Gmail label owned by the category, per account
+  gmailLabels: [
+    {
+      _id: false,
+      accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Account',
+      },
+      labelId: String,
+      // False for a label that already existed in Gmail and was adopted; only labels we
+      // created are deleted again
+      created: Boolean,
+    },
+  ],
   createdAt: {
     type: Date,
     default: Date.now,
@@ -128,6 +232,13 @@ const emailSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
   },
+  // Any number of tags alongside the single category
+  tagIds: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tag',
+    },
+  ],
   // Gmail metadata
   gmailId: {
     type: String,
@@ -145,6 +256,34 @@ const emailSchema = new mongoose.Schema({
   aiSummary: String,
   aiCategory: String,
   confidenceScore: Number,
+  // Metadata extracted during AI analysis
+  aiMetadata: {
+    senderType: String,
+    actionRequired: Boolean,
+    dueDate: String,
+    keyEntities: [String],
+    language: String,
+  },
+  // Set when a user moved the email to a category by hand, or accepted its category on review
+  manuallyCategorized: {
+    type: Boolean,
+    default: false,
+  },
+  // When the email left the review queue
+  reviewedAt: Date,
+  // 'unclassified' when the AI response couldn't be used; the email needs review
+  classificationStatus: {
+    type: String,
+    enum: ['classified', 'unclassified'],
+    default: 'classified',
+  },
+  aiError: {
+    message: String,
+    rawResponse: String,
+    // Set when the AI provider was unavailable; these emails are reclassified once it's back
+    retryable: Boolean,
+    at: Date,
+  },
   // Status tracking
   isArchived: {
     type: Boolean,
@@ -158,8 +297,34 @@ const emailSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Message headers (bulky trace headers are dropped), names lowercase
+  headers: [
+    {
+      _id: false,
+      name: String,
+      value: String,
+    },
+  ],
   // Unsubscribe tracking
+  // First HTTP unsubscribe URL, or the first mailto: URI when there is none
   unsubscribeUrl: String,
+  // Every option from List-Unsubscribe; oneClick is set when the sender accepts an
+  // RFC 8058 POST to its HTTP URLs
+  unsubscribeOptions: {
+    httpUrls: [String],
+    mailto: [
+      {
+        _id: false,
+        address: String,
+        subject: String,
+        body: String,
+      },
+    ],
+    oneClick: {
+      type: Boolean,
+      default: false,
+    },
+  },
   hasUnsubscribeLink: {
     type: Boolean,
     default: false,
@@ -180,11 +345,522 @@ const emailSchema = new mongoose.Schema({
   },
 });
 
+const syncJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Not set for reclassify and suggest jobs, which can span every account
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: function () {
+      return !['reclassify', 'suggest'].includes(this.type);
+    },
+  },
+  type: {
+    type: String,
+    enum: ['sync', 'backfill', 'reclassify', 'suggest'],
+    default: 'sync',
+  },
+  // Options passed to processNewEmails (date range, query, resume), or the
+  // email filter of a reclassify job
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  state: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+  },
+  // What the job locks: "account:<accountId>", or "<type>:<userId>" for reclassify and suggest
+  // jobs; unique among queued jobs so parallel requests can't queue the same job twice
+  lockKey: String,
+  // Persistent stop flag, checked by whichever instance runs the job
+  cancelRequested: {
+    type: Boolean,
+    default: false,
+  },
+  counts: {
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    skipped: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    // Reclassify jobs only
+    moved: {
+      type: Number,
+      default: 0,
+    },
+    unchanged: {
+      type: Number,
+      default: 0,
+    },
+    // Suggest jobs only
+    suggested: {
+      type: Number,
+      default: 0,
+    },
+  },
+  // Per-email failures (capped)
+  errorLog: [
+    {
+      gmailId: String,
+      message: String,
+      at: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  // Fatal error that failed the whole job
+  error: String,
+  // Worker bookkeeping
+  workerId: String,
+  heartbeatAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+syncJobSchema.index({ state: 1, createdAt: 1 });
+syncJobSchema.index({ accountId: 1, state: 1 });
+syncJobSchema.index(
+  { lockKey: 1 },
+  { unique: true, partialFilterExpression: { state: 'queued', lockKey: { $type: 'string' } } }
+);
+
+// One document per classification decision, kept for debugging mis-sorts and comparing prompts
+const classificationDecisionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  emailId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Email',
+    required: true,
+  },
+  // ai: model decision, sender_override: repeated corrections for the sender,
+  // rule: a user-defined rule, manual: user recategorized
+  source: {
+    type: String,
+    enum: ['ai', 'sender_override', 'rule', 'manual'],
+    default: 'ai',
+  },
+  provider: String,
+  model: String,
+  promptVersion: String,
+  // Categories the model could choose from
+  candidateCategories: [
+    {
+      categoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+      },
+      name: String,
+    },
+  ],
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  },
+  categoryName: String,
+  confidence: Number,
+  reasoning: String,
+  status: {
+    type: String,
+    enum: ['classified', 'unclassified'],
+  },
+  error: String,
+  // Rules that matched the email
+  ruleIds: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rule',
+    },
+  ],
+  // Past corrections included in the prompt as few-shot examples
+  exampleIds: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CategoryCorrection',
+    },
+  ],
+  latencyMs: Number,
+  usage: {
+    inputTokens: Number,
+    outputTokens: Number,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+classificationDecisionSchema.index({ emailId: 1, createdAt: -1 });
+classificationDecisionSchema.index({ userId: 1, createdAt: -1 });
+
+// A manual recategorization, kept as a labeled example for future classifications
+const categoryCorrectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  emailId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Email',
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true,
+  },
+  previousCategoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  },
+  // Copy of the email fields used for matching and prompting
+  from: String,
+  senderAddress: String,
+  senderDomain: String,
+  subject: String,
+  snippet: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+categoryCorrectionSchema.index({ userId: 1, createdAt: -1 });
+categoryCorrectionSchema.index({ userId: 1, senderAddress: 1, createdAt: -1 });
+
+// User-defined sorting rule, evaluated before the AI
+const ruleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  // Lower runs first
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  // 'all' requires every condition to match, 'any' at least one
+  matchType: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all',
+  },
+  conditions: [
+    {
+      _id: false,
+      field: {
+        type: String,
+        enum: ['from', 'to', 'subject', 'body', 'header', 'hasUnsubscribe', 'account'],
+        required: true,
+      },
+      // Header name when field is 'header'
+      header: String,
+      operator: {
+        type: String,
+        enum: ['contains', 'equals', 'regex', 'domain'],
+        default: 'contains',
+      },
+      value: String,
+      // Invert the match ("does not contain")
+      negate: {
+        type: Boolean,
+        default: false,
+      },
+    },
+  ],
+  actions: {
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+    },
+    archive: {
+      type: Boolean,
+      default: false,
+    },
+    markRead: {
+      type: Boolean,
+      default: false,
+    },
+    skipAI: {
+      type: Boolean,
+      default: false,
+    },
+    delete: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // Don't evaluate lower-priority rules after this one matches
+  stopProcessing: {
+    type: Boolean,
+    default: false,
+  },
+  matchCount: {
+    type: Number,
+    default: 0,
+  },
+  lastMatchedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ruleSchema.index({ userId: 1, priority: 1 });
+
+const tagSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  // Shown to the AI when it suggests tags
+  description: String,
+  color: {
+    type: String,
+    default: '#6b7280',
+  },
+  // Let the AI add this tag during sorting
+  autoApply: {
+    type: Boolean,
+    default: true,
+  },
+  // Mirror the tag to a Gmail label on every account
+  mirrorToGmail: {
+    type: Boolean,
+    default: false,
+  },
+  // Gmail label created for the tag, per account
+  gmailLabels: [
+    {
+      _id: false,
+      accountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Account',
+      },
+      labelId: String,
+      // False for a label that already existed in Gmail and was adopted; only labels we
+      // created are deleted again
+      created: Boolean,
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+tagSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// A new category proposed from a cluster of emails that fit no existing category
+const categorySuggestionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+    required: true,
+  },
+  color: String,
+  // Emails in the cluster, moved into the category when the suggestion is accepted
+  emailIds: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Email',
+    },
+  ],
+  // A few emails from the cluster to show the user
+  examples: [
+    {
+      _id: false,
+      emailId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Email',
+      },
+      from: String,
+      subject: String,
+    },
+  ],
+  // Most common sender domains in the cluster
+  senders: [String],
+  // Dismissed suggestions are kept so the same name isn't proposed again
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'dismissed'],
+    default: 'pending',
+  },
+  // Category created when the suggestion was accepted
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+categorySuggestionSchema.index({ userId: 1, status: 1 });
+
+// A mailing list or bulk sender the user receives mail from, and the state of unsubscribing
+const subscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // "list:<List-Id>" when the sender sets a List-Id header, otherwise "from:<address>"
+  key: {
+    type: String,
+    required: true,
+  },
+  listId: String,
+  senderAddress: String,
+  senderName: String,
+  senderDomain: String,
+  // Account and email of the most recently imported email, used to unsubscribe
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+  },
+  lastEmailId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Email',
+  },
+  emailCount: {
+    type: Number,
+    default: 0,
+  },
+  firstEmailAt: Date,
+  lastEmailAt: Date,
+  // unsubscribe-requested: an unsubscribe went through and we're waiting for the mail to stop
+  // confirmed: nothing arrived for a while after the request
+  // still-sending: mail kept arriving after the grace period, so the unsubscribe failed
+  status: {
+    type: String,
+    enum: ['active', 'unsubscribe-requested', 'confirmed', 'still-sending'],
+    default: 'active',
+  },
+  unsubscribeRequestedAt: Date,
+  confirmedAt: Date,
+  // When the first email after the grace period arrived, and how many have since
+  stillSendingAt: Date,
+  emailsAfterUnsubscribe: {
+    type: Number,
+    default: 0,
+  },
+  // Archive mail that keeps arriving after an unsubscribe
+  autoArchive: {
+    type: Boolean,
+    default: true,
+  },
+  // Rule that trashes new mail from this sender, when the user blocked it
+  blockRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rule',
+  },
+  // Unsubscribe attempts, newest last (capped); browser attempts keep the final page
+  attempts: [
+    {
+      at: {
+        type: Date,
+        default: Date.now,
+      },
+      method: {
+        type: String,
+        enum: ['one-click', 'mailto', 'browser'],
+      },
+      success: Boolean,
+      // Browser attempts: what the final page said, and what was done to get there
+      outcome: {
+        type: String,
+        enum: ['confirmed', 'failed', 'needs-manual'],
+      },
+      steps: [String],
+      error: String,
+      finalUrl: String,
+      html: String,
+      // Base64 JPEG of the final page
+      screenshot: String,
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+subscriptionSchema.index({ userId: 1, key: 1 }, { unique: true });
+subscriptionSchema.index({ status: 1, unsubscribeRequestedAt: 1 });
+
 // Create models
 const User = mongoose.model('User', userSchema);
 const Account = mongoose.model('Account', accountSchema);
 const Category = mongoose.model('Category', categorySchema);
 const Email = mongoose.model('Email', emailSchema);
+const SyncJob = mongoose.model('SyncJob', syncJobSchema);
+const ClassificationDecision = mongoose.model('ClassificationDecision', classificationDecisionSchema);
+const CategoryCorrection = mongoose.model('CategoryCorrection', categoryCorrectionSchema);
+const Rule = mongoose.model('Rule', ruleSchema);
+const Tag = mongoose.model('Tag', tagSchema);
+const CategorySuggestion = mongoose.model('CategorySuggestion', categorySuggestionSchema);
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
 
 /**
  * Connect to MongoDB with serverless support
@@ -267,4 +943,11 @@ module.exports = {
   Account,
   Category,
   Email,
+  SyncJob,
+  ClassificationDecision,
+  CategoryCorrection,
+  Rule,
+  Tag,
+  CategorySuggestion,
+  Subscription,
 };
\ No newline at end of file
@@ -5,8 +5,12 @@
  */
 
 const express = require('express');
-const { Account } = require('../config/database');
+const { Account, Category, Tag } = require('../config/database');
 const { verifyJWT } = require('../middleware/auth');
+const schedulerService = require('../services/scheduler');
+const gmailService = require('../services/gmail');
+const jobService = require('../services/jobs');
+const subscriptionService = require('../services/subscriptions');
 
 const router = express.Router();
 
@@ -20,7 +24,7 @@ router.use(verifyJWT);
 router.get('/', async (req, res) => {
   try {
     const accounts = await Account.find({ userId: req.userId }).select(
-      'email isPrimary syncStatus lastSyncAt createdAt'
+      'email isPrimary syncStatus lastSyncAt createdAt syncSchedule backfill.status backfill.processed backfill.estimatedTotal'
     );
 
     res.json(accounts);
@@ -39,7 +43,7 @@ router.get('/:id', async (req, res) => {
     const account = await Account.findOne({
       _id: req.params.id,
       userId: req.userId,
-    }).select('email isPrimary syncStatus lastSyncAt createdAt');
+    }).select('email isPrimary syncStatus lastSyncAt createdAt syncSchedule');
 
     if (!account) {
       return res.status(404).json({ error: 'Account not found' });
@@ -52,6 +56,48 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Set automatic sync schedule
+ * PUT /api/accounts/:id/schedule
+ * Body: { interval: 'off' | '5m' | '15m' | '30m' | 'hourly' | 'daily' | 'cron', cron? }
+ */
+router.put('/:id/schedule', async (req, res) => {
+  try {
+    const { interval, cron } = req.body;
+
+    const account = await Account.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const schedule = {
+      interval: interval || 'off',
+      cron: interval === 'cron' ? cron : undefined,
+    };
+
+    let nextRunAt;
+    try {
+      nextRunAt = schedulerService.computeNextRunAt(schedule);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    account.syncSchedule = { ...schedule, nextRunAt };
+    await account.save();
+
+    res.json({
+      syncSchedule: account.syncSchedule,
+    });
+  } catch (error) {
+    console.error('Error updating sync schedule:', error);
+    res.status(500).json({ error: 'Failed to update sync schedule' });
+  }
+});
+
 /**
  * Disconnect account
  * DELETE /api/accounts/:id
@@ -73,6 +119,18 @@ router.delete('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Cannot delete primary account' });
     }
 
+    // Stop push notifications for this account
+    if (account.watch?.expiration) {
+      try {
+        await gmailService.stopWatch(account._id);
+      } catch (watchError) {
+        console.error('Error stopping Gmail watch (non-fatal):', watchError.message);
+      }
+    }
+
+    // Stop the account's queued and running jobs so the worker never picks them up again
+    await jobService.requestCancel({ userId: req.userId, accountId: account._id });
+
     // Delete account
     await Account.deleteOne({ _id: req.params.id });
 
@@ -80,6 +138,14 @@ router.delete('/:id', async (req, res) => {
     const { Email } = require('../config/database');
     await Email.deleteMany({ accountId: req.params.id });
 
+    // Move subscriptions to mail left in other accounts, or drop them
+    await subscriptionService.forgetAccount(req.userId, account._id);
+
+    // Forget the Gmail labels categories and tags own in this account
+    const labelsOfAccount = { $pull: { gmailLabels: { accountId: account._id } } };
+    await Category.updateMany({ userId: req.userId }, labelsOfAccount);
+    await Tag.updateMany({ userId: req.userId }, labelsOfAccount);
+
     res.json({ message: 'Account disconnected successfully' });
   } catch (error) {
     console.error('Error disconnecting account:', error);
@@ -96,15 +162,29 @@ router.get('/:id/status', async (req, res) => {
     const account = await Account.findOne({
       _id: req.params.id,
       userId: req.userId,
-    }).select('syncStatus lastSyncAt');
+    }).select('syncStatus lastSyncAt syncSchedule backfill');
 
     if (!account) {
       return res.status(404).json({ error: 'Account not found' });
     }
 
+    const backfill = account.backfill || {};
+
     res.json({
       syncStatus: account.syncStatus,
       lastSyncAt: account.lastSyncAt,
+      nextSyncAt: account.syncSchedule?.nextRunAt || null,
+      backfill: {
+        status: backfill.status || 'idle',
+        query: backfill.query,
+        pagesProcessed: backfill.pagesProcessed || 0,
+        processed: backfill.processed || 0,
+        estimatedTotal: backfill.estimatedTotal,
+        canResume: ['running', 'stopped', 'error'].includes(backfill.status),
+        error: backfill.error,
+        startedAt: backfill.startedAt,
+        completedAt: backfill.completedAt,
+      },
     });
   } catch (error) {
     console.error('Error fetching account status:', error);
@@ -10,6 +10,7 @@ const jwt = require('jsonwebtoken');
 const { User, Account } = require('../config/database');
 const { generateToken, verifyJWT } = require('../middleware/auth');
 const gmailService = require('../services/gmail');
+const pushService = require('../services/push');
 
 const router = express.Router();
 
@@ -25,6 +26,8 @@ router.get(
       'email',
       'https://www.googleapis.com/auth/gmail.readonly',
       'https://www.googleapis.com/auth/gmail.modify',
+      // Mailto unsubscribes are sent from the user's own address
+      'https://www.googleapis.com/auth/gmail.send',
     ],
     accessType: 'offline',
     prompt: 'consent', // Force consent screen to get refresh token
@@ -57,7 +60,17 @@ router.get(
       });
       console.log('📦 Existing account:', existingAccount ? 'YES' : 'NO');
 
-      if (!existingAccount) {
+      if (existingAccount) {
+        // Keep the primary account on the latest grant, so newly requested scopes take effect
+        await Account.updateOne(
+          { _id: existingAccount._id },
+          {
+            accessToken: user.googleAccessToken,
+            ...(user.googleRefreshToken && { refreshToken: user.googleRefreshToken }),
+            tokenExpiresAt: user.googleTokenExpiresAt,
+          }
+        );
+      } else {
         try {
           // Get Gmail profile for email address
           console.log('📧 Fetching Gmail profile...');
@@ -76,6 +89,11 @@ router.get(
 
           await account.save();
           console.log('✅ Account created');
+
+          // Start push notifications right away instead of waiting for the renewal loop
+          pushService
+            .registerWatch(account._id)
+            .catch((watchError) => console.error('⚠️ Gmail watch error (non-fatal):', watchError.message));
         } catch (profileError) {
           console.error('⚠️ Gmail profile error (non-fatal):', profileError.message);
           // Continue anyway - don't block the login
@@ -192,6 +210,7 @@ router.get('/me', verifyJWT, async (req, res) => {
       email: user.email,
       name: user.name,
       picture: user.picture,
+      onboardingCompletedAt: user.onboardingCompletedAt || null,
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -5,31 +5,301 @@
  */
 
 const express = require('express');
-const { Category } = require('../config/database');
+const { Category, Rule, Email, User, CategorySuggestion } = require('../config/database');
 const { verifyJWT } = require('../middleware/auth');
+const feedbackService = require('../services/feedback');
+const previewService = require('../services/preview');
+const labelService = require('../services/labels');
+const emailService = require('../services/email');
+const categoryService = require('../services/categories');
+const suggestionService = require('../services/categorySuggestions');
+const jobService = require('../services/jobs');
+const { getDescendantIds, withTreeInfo } = require('../utils/categoryTree');
+const { exactMatch } = require('../utils/regex');
 
 const router = express.Router();
 
 // Apply JWT verification to all routes
 router.use(verifyJWT);
 
+const DELETE_MODES = ['promote', 'cascade'];
+// Rule actions besides setting a category
+const RULE_FLAGS = ['archive', 'markRead', 'skipAI', 'delete'];
+
 /**
  * Get all categories for user
  * GET /api/categories
+ * Categories are a flat list in sibling order; each has its parentId, its path
+ * ("Finance > Invoices") and totalEmailCount, which includes its subcategories
  */
 router.get('/', async (req, res) => {
   try {
-    const categories = await Category.find({ userId: req.userId }).sort({
-      createdAt: -1,
-    });
+    const categories = await Category.find({ userId: req.userId })
+      .sort({ position: 1, createdAt: -1 })
+      .select('-gmailLabels');
 
-    res.json(categories);
+    res.json(withTreeInfo(categories));
   } catch (error) {
     console.error('Error fetching categories:', error);
     res.status(500).json({ error: 'Failed to fetch categories' });
   }
 });
 
+/**
+ * Preview a draft category name and description by re-classifying recent emails
+ * Nothing is saved
+ * POST /api/categories/preview
+ * Body: { categoryId?, name, description, parentId?, limit? } (categoryId when editing a saved
+ *   category)
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { categoryId, name, description, parentId, limit } = req.body;
+
+    if (!name || !description || !name.trim() || !description.trim()) {
+      return res.status(400).json({ error: 'Name and description are required' });
+    }
+
+    if (categoryId) {
+      const existing = await Category.exists({ _id: categoryId, userId: req.userId });
+      if (!existing) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+    }
+
+    const preview = await previewService.previewCategory(
+      req.userId,
+      { categoryId, name, description, parentId },
+      { limit }
+    );
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Error previewing category:', error);
+    res.status(500).json({ error: 'Failed to preview category' });
+  }
+});
+
+/**
+ * Get the category template library and starter packs
+ * GET /api/categories/templates
+ */
+router.get('/templates', (req, res) => {
+  res.json(categoryService.listTemplates());
+});
+
+/**
+ * Propose a category set from a sample of the user's recent emails
+ * Nothing is saved; chosen suggestions are created with POST /api/categories/import
+ * POST /api/categories/suggest
+ * Body: { limit? } emails to sample
+ */
+router.post('/suggest', async (req, res) => {
+  try {
+    const result = await categoryService.suggestCategories(req.userId, { limit: req.body.limit });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error suggesting categories:', error);
+    res.status(500).json({ error: 'Failed to suggest categories' });
+  }
+});
+
+/**
+ * Export the user's categories as JSON
+ * GET /api/categories/export
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const data = await categoryService.exportCategories(req.userId);
+
+    res.setHeader('Content-Disposition', 'attachment; filename="categories.json"');
+    res.json(data);
+  } catch (error) {
+    console.error('Error exporting categories:', error);
+    res.status(500).json({ error: 'Failed to export categories' });
+  }
+});
+
+/**
+ * Create categories in bulk from templates, suggestions or an export
+ * Names that already exist are skipped; parents are matched by name
+ * POST /api/categories/import
+ * Body: { categories: [{ name, description, color?, icon?, syncToGmail?, parent? }] }
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const { categories } = req.body;
+
+    const validationError = categoryService.validateImport(categories);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await categoryService.importCategories(req.userId, categories);
+
+    // Setting up categories finishes onboarding
+    await User.updateOne(
+      { _id: req.userId, onboardingCompletedAt: null },
+      { onboardingCompletedAt: new Date() }
+    );
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error importing categories:', error);
+    res.status(500).json({ error: 'Failed to import categories' });
+  }
+});
+
+/**
+ * Get new categories proposed from clusters of emails that fit no category
+ * GET /api/categories/suggestions
+ */
+router.get('/suggestions', async (req, res) => {
+  try {
+    const suggestions = await suggestionService.listSuggestions(req.userId);
+
+    res.json(suggestions);
+  } catch (error) {
+    console.error('Error fetching category suggestions:', error);
+    res.status(500).json({ error: 'Failed to fetch category suggestions' });
+  }
+});
+
+/**
+ * Cluster the user's emails again and replace the pending suggestions
+ * POST /api/categories/suggestions/refresh
+ * Runs as a background job; the number of suggestions is reported by GET /api/jobs/:id
+ */
+router.post('/suggestions/refresh', async (req, res) => {
+  try {
+    const { job, created } = await jobService.enqueueJob(req.userId, null, { type: 'suggest' });
+
+    if (!created) {
+      return res.status(409).json({ error: 'Suggestions are already being updated', jobId: job._id });
+    }
+
+    res.status(202).json({
+      message: 'Category suggestions queued',
+      jobId: job._id,
+    });
+  } catch (error) {
+    console.error('Error refreshing category suggestions:', error);
+    res.status(500).json({ error: 'Failed to refresh category suggestions' });
+  }
+});
+
+/**
+ * Create the category of a suggestion
+ * POST /api/categories/suggestions/:id/accept
+ * Body: { name?, description?, color?, parentId?, moveEmails? } (name and description default
+ *   to the suggestion's; moveEmails moves the clustered emails into the new category)
+ */
+router.post('/suggestions/:id/accept', async (req, res) => {
+  try {
+    const suggestion = await CategorySuggestion.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+      status: 'pending',
+    });
+
+    if (!suggestion) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    const name = (req.body.name || suggestion.name).trim();
+    const description = (req.body.description || suggestion.description).trim();
+    const { color, parentId, moveEmails } = req.body;
+
+    if (!name || !description) {
+      return res.status(400).json({ error: 'Name and description are required' });
+    }
+
+    const existing = await Category.findOne({
+      userId: req.userId,
+      name: exactMatch(name),
+    });
+
+    if (existing) {
+      return res.status(400).json({ error: 'Category with this name already exists' });
+    }
+
+    const parentError = await categoryService.validateParent(req.userId, parentId);
+    if (parentError) {
+      return res.status(400).json({ error: parentError });
+    }
+
+    const result = await suggestionService.acceptSuggestion(req.userId, suggestion, {
+      name,
+      description,
+      color,
+      parentId,
+      moveEmails: !!moveEmails,
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error accepting category suggestion:', error);
+    res.status(500).json({ error: 'Failed to accept category suggestion' });
+  }
+});
+
+/**
+ * Dismiss a suggestion; its name won't be proposed again
+ * POST /api/categories/suggestions/:id/dismiss
+ */
+router.post('/suggestions/:id/dismiss', async (req, res) => {
+  try {
+    const dismissed = await suggestionService.dismissSuggestion(req.userId, req.params.id);
+
+    if (!dismissed) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    res.json({ message: 'Suggestion dismissed' });
+  } catch (error) {
+    console.error('Error dismissing category suggestion:', error);
+    res.status(500).json({ error: 'Failed to dismiss category suggestion' });
+  }
+});
+
+/**
+ * Reorder the subcategories of a parent
+ * PUT /api/categories/reorder
+ * Body: { parentId, categoryIds } (parentId null for top-level categories; categoryIds in
+ *   their new order)
+ */
+router.put('/reorder', async (req, res) => {
+  try {
+    const { parentId = null, categoryIds } = req.body;
+
+    if (!Array.isArray(categoryIds) || categoryIds.length === 0) {
+      return res.status(400).json({ error: 'categoryIds must be a non-empty array' });
+    }
+
+    const siblings = await Category.countDocuments({
+      _id: { $in: categoryIds },
+      userId: req.userId,
+      parentId: parentId || null,
+    });
+
+    if (siblings !== new Set(categoryIds).size || siblings !== categoryIds.length) {
+      return res.status(400).json({ error: 'Every category must be a distinct child of the parent' });
+    }
+
+    await Category.bulkWrite(
+      categoryIds.map((id, position) => ({
+        updateOne: { filter: { _id: id }, update: { position } },
+      }))
+    );
+
+    res.json({ message: 'Categories reordered successfully' });
+  } catch (error) {
+    console.error('Error reordering categories:', error);
+    res.status(500).json({ error: 'Failed to reorder categories' });
+  }
+});
+
 /**
  * Get single category
  * GET /api/categories/:id
@@ -55,11 +325,11 @@ router.get('/:id', async (req, res) => {
 /**
  * Create new category
  * POST /api/categories
- * Body: { name, description, color?, icon? }
+ * Body: { name, description, color?, icon?, syncToGmail?, parentId? }
  */
 router.post('/', async (req, res) => {
   try {
-    const { name, description, color, icon } = req.body;
+    const { name, description, color, icon, syncToGmail, parentId } = req.body;
 
     // Validate required fields
     if (!name || !description) {
@@ -69,13 +339,18 @@ router.post('/', async (req, res) => {
     // Check for duplicate category names
     const existing = await Category.findOne({
       userId: req.userId,
-      name: { $regex: `^${name}$`, $options: 'i' },
+      name: exactMatch(name),
     });
 
     if (existing) {
       return res.status(400).json({ error: 'Category with this name already exists' });
     }
 
+    const parentError = await categoryService.validateParent(req.userId, parentId);
+    if (parentError) {
+      return res.status(400).json({ error: parentError });
+    }
+
     // Create category
     const category = new Category({
       userId: req.userId,
@@ -83,6 +358,9 @@ router.post('/', async (req, res) => {
       description,
       color: color || '#3b82f6',
       icon: icon || 'folder',
+      syncToGmail: !!syncToGmail,
+      parentId: parentId || null,
+      position: await categoryService.nextPosition(req.userId, parentId),
     });
 
     await category.save();
@@ -97,11 +375,14 @@ router.post('/', async (req, res) => {
 /**
  * Update category
  * PUT /api/categories/:id
- * Body: { name?, description?, color?, icon? }
+ * Body: { name?, description?, color?, icon?, syncToGmail?, parentId? }
+ * Setting parentId moves the category with its subcategories (null moves it to the top level).
+ * Renames are carried over to the category's Gmail labels. Turning Gmail sync on labels the
+ * emails already in the category; turning it off deletes the labels again.
  */
 router.put('/:id', async (req, res) => {
   try {
-    const { name, description, color, icon } = req.body;
+    const { name, description, color, icon, syncToGmail, parentId } = req.body;
 
     // Find category
     const category = await Category.findOne({
@@ -117,7 +398,7 @@ router.put('/:id', async (req, res) => {
     if (name && name !== category.name) {
       const existing = await Category.findOne({
         userId: req.userId,
-        name: { $regex: `^${name}$`, $options: 'i' },
+        name: exactMatch(name),
         _id: { $ne: req.params.id },
       });
 
@@ -126,15 +407,43 @@ router.put('/:id', async (req, res) => {
       }
     }
 
+    // Moving puts the category after its new siblings
+    const currentParentId = category.parentId ? category.parentId.toString() : null;
+    if (parentId !== undefined && (parentId || null) !== currentParentId) {
+      const parentError = await categoryService.validateParent(req.userId, parentId, category._id);
+      if (parentError) {
+        return res.status(400).json({ error: parentError });
+      }
+
+      category.parentId = parentId || null;
+      category.position = await categoryService.nextPosition(req.userId, parentId);
+    }
+
+    const renamed = !!name && name !== category.name;
+    const wasSynced = category.syncToGmail;
+
     // Update fields
     if (name) category.name = name;
     if (description) category.description = description;
     if (color) category.color = color;
     if (icon) category.icon = icon;
+    if (syncToGmail !== undefined) category.syncToGmail = !!syncToGmail;
 
     category.updatedAt = new Date();
     await category.save();
 
+    // Keep the Gmail labels in step with the category
+    if (wasSynced && !category.syncToGmail) {
+      await labelService.deleteCategoryLabels(category);
+    } else if (category.syncToGmail) {
+      if (renamed) {
+        await labelService.renameCategoryLabels(category);
+      }
+      if (!wasSynced) {
+        await labelService.labelCategoryEmails(category);
+      }
+    }
+
     res.json(category);
   } catch (error) {
     console.error('Error updating category:', error);
@@ -144,11 +453,20 @@ router.put('/:id', async (req, res) => {
 
 /**
  * Delete category
- * DELETE /api/categories/:id
- * Note: Emails in this category are moved to uncategorized
+ * DELETE /api/categories/:id?mode=promote|cascade
+ * promote (default): subcategories move up a level and the category's emails move to its
+ *   parent (uncategorized for top-level categories)
+ * cascade: subcategories are deleted too and all their emails become uncategorized
+ * Rules whose only action moved emails to a deleted category are disabled and listed in disabledRules
  */
 router.delete('/:id', async (req, res) => {
   try {
+    const mode = req.query.mode || 'promote';
+
+    if (!DELETE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${DELETE_MODES.join(', ')}` });
+    }
+
     const category = await Category.findOne({
       _id: req.params.id,
       userId: req.userId,
@@ -158,17 +476,76 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Category not found' });
     }
 
-    // Delete category
-    await Category.deleteOne({ _id: req.params.id });
+    const parent = category.parentId
+      ? await Category.findOne({ _id: category.parentId, userId: req.userId })
+      : null;
+
+    let deleted = [category];
+    if (mode === 'cascade') {
+      const all = await Category.find({ userId: req.userId });
+      const descendantIds = getDescendantIds(all, category._id);
+      deleted = [category, ...all.filter((cat) => descendantIds.includes(cat._id.toString()))];
+    } else {
+      // Subcategories keep their order, after the parent's current children
+      const children = await Category.find({ userId: req.userId, parentId: category._id }).sort({
+        position: 1,
+      });
+      const start = await categoryService.nextPosition(req.userId, category.parentId);
+      for (const [index, child] of children.entries()) {
+        await Category.updateOne(
+          { _id: child._id },
+          { parentId: category.parentId || null, position: start + index }
+        );
+      }
+    }
+    const deletedIds = deleted.map((cat) => cat._id);
+
+    // Delete categories
+    await Category.deleteMany({ _id: { $in: deletedIds } });
+
+    for (const deletedCategory of deleted) {
+      // Corrections to a deleted category can no longer be used as examples
+      await feedbackService.removeCategoryCorrections(deletedCategory._id);
+
+      // Its Gmail labels go too; Gmail keeps the emails themselves
+      await labelService.deleteCategoryLabels(deletedCategory);
+    }
+
+    // Emails and rules follow the category up to its parent when subcategories are promoted
+    const targetId = mode === 'promote' && parent ? parent._id : null;
+
+    // Rules that only set a deleted category would match and do nothing, so they are disabled
+    let disabledRules = [];
+    if (!targetId) {
+      disabledRules = await Rule.find({
+        userId: req.userId,
+        'actions.categoryId': { $in: deletedIds },
+        ...Object.fromEntries(RULE_FLAGS.map((flag) => [`actions.${flag}`, { $ne: true }])),
+      }).select('name');
+      if (disabledRules.length > 0) {
+        await Rule.updateMany({ _id: { $in: disabledRules.map((rule) => rule._id) } }, { enabled: false });
+      }
+    }
 
-    // Move emails in this category to uncategorized
-    const { Email } = require('../config/database');
-    await Email.updateMany(
-      { categoryId: req.params.id },
-      { categoryId: null }
+    // Rules keep their other actions but set the new target category
+    await Rule.updateMany(
+      { userId: req.userId, 'actions.categoryId': { $in: deletedIds } },
+      { 'actions.categoryId': targetId }
     );
 
-    res.json({ message: 'Category deleted successfully' });
+    // Move emails in deleted categories
+    await Email.updateMany({ categoryId: { $in: deletedIds } }, { categoryId: targetId });
+    if (targetId && parent.syncToGmail) {
+      await labelService.labelCategoryEmails(parent);
+    }
+
+    await emailService.recountCategories(req.userId);
+
+    res.json({
+      message: 'Category deleted successfully',
+      deleted: deletedIds.length,
+      disabledRules: disabledRules.map((rule) => ({ _id: rule._id, name: rule.name })),
+    });
   } catch (error) {
     console.error('Error deleting category:', error);
     res.status(500).json({ error: 'Failed to delete category' });
@@ -5,10 +5,18 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { Email, Account, Category } = require('../config/database');
 const { verifyJWT } = require('../middleware/auth');
 const emailService = require('../services/email');
 const unsubscribeService = require('../services/unsubscribe');
+const jobService = require('../services/jobs');
+const classificationLog = require('../services/classificationLog');
+const feedbackService = require('../services/feedback');
+const reviewService = require('../services/review');
+const tagService = require('../services/tags');
+const labelService = require('../services/labels');
+const { getDescendantIds } = require('../utils/categoryTree');
 
 const router = express.Router();
 
@@ -17,40 +25,68 @@ router.use(verifyJWT);
 
 /**
  * Get emails in a category
- * GET /api/emails?categoryId=xxx&limit=50&page=0&search=query
+ * GET /api/emails?categoryId=xxx&tagIds=a,b&limit=50&page=0&search=query
+ * categoryId may also be 'all', 'uncategorized', 'unclassified' or 'review'
+ * ('review' lists low-confidence and unclassified emails, least confident first).
+ * A category also lists the emails of its subcategories, matching its totalEmailCount.
+ * tagIds keeps emails that have every listed tag
  */
 router.get('/', async (req, res) => {
   try {
-    const { categoryId, limit = 50, page = 0, search } = req.query;
+    const { categoryId, tagIds, limit = 50, page = 0, search } = req.query;
     const skip = parseInt(page) * parseInt(limit);
 
     let query = { userId: req.userId, isArchived: { $ne: true } };
+    let sort = { receivedAt: -1 };
 
     // Filter by category if provided
-    if (categoryId && categoryId !== 'all') {
+    if (categoryId === 'review') {
+      ({ query } = await reviewService.getReviewQuery(req.userId));
+      sort = { confidenceScore: 1, receivedAt: -1 };
+    } else if (categoryId && categoryId !== 'all') {
       if (categoryId === 'uncategorized') {
         query.categoryId = null;
+      } else if (categoryId === 'unclassified') {
+        // Emails the AI couldn't classify, waiting for review
+        query.classificationStatus = 'unclassified';
       } else {
-        query.categoryId = categoryId;
+        const categories = await Category.find({ userId: req.userId }).select('_id parentId');
+        query.categoryId = { $in: [categoryId, ...getDescendantIds(categories, categoryId)] };
       }
     }
 
+    // Filter by tags if provided
+    if (tagIds) {
+      const ids = String(tagIds).split(',').filter(Boolean);
+      if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ error: 'Invalid tag ID' });
+      }
+      query.tagIds = { $all: ids };
+    }
+
     // Apply search filter
     if (search) {
-      query.$or = [
-        { subject: { $regex: search, $options: 'i' } },
-        { aiSummary: { $regex: search, $options: 'i' } },
-        { from: { $regex: search, $options: 'i' } },
-      ];
+      const searchFilter = {
+        $or: [
+          { subject: { $regex: search, $options: 'i' } },
+          { aiSummary: { $regex: search, $options: 'i' } },
+          { from: { $regex: search, $options: 'i' } },
+        ],
+      };
+      // The review query already uses $or
+      query = query.$or ? { $and: [query, searchFilter] } : { ...query, ...searchFilter };
     }
 
     // Execute query
     const emails = await Email.find(query)
-      .select('from subject aiSummary receivedAt isRead categoryId gmailId')
+      .select(
+        'from subject aiSummary receivedAt isRead categoryId tagIds gmailId classificationStatus confidenceScore manuallyCategorized'
+      )
       .limit(parseInt(limit))
       .skip(skip)
-      .sort({ receivedAt: -1 })
-      .populate('categoryId', 'name color');
+      .sort(sort)
+      .populate('categoryId', 'name color')
+      .populate('tagIds', 'name color');
 
     const total = await Email.countDocuments(query);
 
@@ -67,6 +103,57 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * Count the emails waiting for review
+ * GET /api/emails/review/summary
+ */
+router.get('/review/summary', async (req, res) => {
+  try {
+    const summary = await reviewService.getReviewSummary(req.userId);
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching review summary:', error);
+    res.status(500).json({ error: 'Failed to fetch review summary' });
+  }
+});
+
+/**
+ * Accept the category of emails in the review queue
+ * POST /api/emails/review/accept
+ * Body: { emailIds }
+ * Unclassified emails have no category to accept and must be reassigned instead
+ */
+router.post('/review/accept', async (req, res) => {
+  try {
+    const { emailIds } = req.body;
+
+    if (!Array.isArray(emailIds) || emailIds.length === 0) {
+      return res.status(400).json({ error: 'emailIds must be a non-empty array' });
+    }
+
+    const emails = await Email.find({
+      _id: { $in: emailIds },
+      userId: req.userId,
+    });
+
+    if (emails.length !== emailIds.length) {
+      return res.status(403).json({ error: 'Unauthorized access to some emails' });
+    }
+
+    if (emails.some((email) => !email.categoryId)) {
+      return res.status(400).json({ error: 'Emails without a category must be reassigned' });
+    }
+
+    const accepted = await reviewService.acceptEmails(req.userId, emails);
+
+    res.json({ message: 'Emails accepted', accepted });
+  } catch (error) {
+    console.error('Error accepting emails:', error);
+    res.status(500).json({ error: 'Failed to accept emails' });
+  }
+});
+
 /**
  * Get single email with full content
  * GET /api/emails/:id
@@ -87,89 +174,220 @@ router.get('/:id', async (req, res) => {
 });
 
 /**
- * Sync new emails from Gmail
+ * Get the classification decisions behind an email, newest first
+ * GET /api/emails/:id/classification-history
+ */
+router.get('/:id/classification-history', async (req, res) => {
+  try {
+    const email = await Email.findOne({ _id: req.params.id, userId: req.userId }).select('_id');
+
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const decisions = await classificationLog.getClassificationHistory(req.userId, email._id);
+
+    res.json({ emailId: email._id, decisions });
+  } catch (error) {
+    console.error('Error fetching classification history:', error);
+    res.status(500).json({ error: 'Failed to fetch classification history' });
+  }
+});
+
+/**
+ * Queue a sync of new emails from Gmail
  * POST /api/emails/sync
  * Body: { accountId? }
+ * Returns one job per account; poll GET /api/jobs/:id for progress
  */
 router.post('/sync', async (req, res) => {
   try {
     const { accountId } = req.body;
 
-    let accountIds = [];
-
-    if (accountId) {
-      // Sync specific account
-      accountIds = [accountId];
-    } else {
-      // Sync all accounts
-      const accounts = await Account.find({ userId: req.userId });
-      accountIds = accounts.map((a) => a._id.toString());
+    if (accountId && !mongoose.isValidObjectId(accountId)) {
+      return res.status(400).json({ error: 'Invalid account ID' });
     }
 
-    if (accountIds.length === 0) {
+    const accounts = await Account.find({
+      userId: req.userId,
+      ...(accountId && { _id: accountId }),
+    });
+
+    if (accounts.length === 0) {
       return res.status(400).json({ error: 'No accounts to sync' });
     }
 
-    // Process emails for each account
-    const results = [];
-    for (const accId of accountIds) {
-      try {
-        const processed = await emailService.processNewEmails(req.userId, accId);
-        results.push({
-          accountId: accId,
-          processed: processed.length,
-        });
-      } catch (error) {
-        console.error(`Error syncing account ${accId}:`, error);
-        results.push({
-          accountId: accId,
-          error: error.message,
-        });
-      }
+    const jobs = [];
+    for (const account of accounts) {
+      const { job, created } = await jobService.enqueueJob(req.userId, account._id);
+      jobs.push({
+        jobId: job._id,
+        accountId: account._id,
+        type: job.type,
+        state: job.state,
+        alreadyQueued: !created,
+      });
     }
 
-    res.json({
-      message: 'Sync completed',
-      results,
+    res.status(202).json({
+      message: 'Sync queued',
+      jobs,
     });
   } catch (error) {
-    console.error('Error syncing emails:', error);
+    console.error('Error queueing sync:', error);
     res.status(500).json({ error: 'Failed to sync emails' });
   }
 });
 
+/**
+ * Import historical emails page by page
+ * POST /api/emails/backfill
+ * Body: { accountId, after?, before?, query?, resume? }
+ * resume continues an interrupted backfill (409 when there is none). Runs as a background job; progress is reported by GET /api/jobs/:id
+ * and GET /api/accounts/:id/status
+ */
+router.post('/backfill', async (req, res) => {
+  try {
+    const { accountId, after, before, query, resume } = req.body;
+
+    if (!accountId) {
+      return res.status(400).json({ error: 'accountId is required' });
+    }
+
+    if (!mongoose.isValidObjectId(accountId)) {
+      return res.status(400).json({ error: 'Invalid account ID' });
+    }
+
+    if (!resume && !after && !before && !query) {
+      return res.status(400).json({ error: 'Provide a date range or query to backfill' });
+    }
+
+    const account = await Account.findOne({ _id: accountId, userId: req.userId });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (resume && !emailService.canResumeBackfill(account)) {
+      return res.status(409).json({ error: 'Nothing to resume: no interrupted backfill' });
+    }
+
+    // Validate the date range up front so the request fails instead of the background job
+    try {
+      emailService.buildBackfillQuery({ after, before, query });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { job, created } = await jobService.enqueueJob(req.userId, accountId, {
+      type: 'backfill',
+      options: { after, before, query, resume: !!resume },
+    });
+
+    if (!created) {
+      return res.status(409).json({ error: 'Account is already syncing', jobId: job._id });
+    }
+
+    res.status(202).json({
+      message: resume ? 'Backfill resumed' : 'Backfill queued',
+      accountId,
+      jobId: job._id,
+    });
+  } catch (error) {
+    console.error('Error starting backfill:', error);
+    res.status(500).json({ error: 'Failed to start backfill' });
+  }
+});
+
+/**
+ * Re-classify stored emails
+ * POST /api/emails/reclassify
+ * Body: { categoryId?, after?, before?, accountId?, confidenceBelow? }
+ * categoryId may also be 'uncategorized' or 'unclassified'. Manually categorized emails are
+ * never touched. Runs as a background job; moved/unchanged counts are reported by GET /api/jobs/:id
+ */
+router.post('/reclassify', async (req, res) => {
+  try {
+    const { categoryId, after, before, accountId, confidenceBelow } = req.body;
+    const filter = {};
+
+    if (categoryId) {
+      if (!['uncategorized', 'unclassified'].includes(categoryId)) {
+        const category = await Category.exists({ _id: categoryId, userId: req.userId });
+        if (!category) {
+          return res.status(404).json({ error: 'Category not found' });
+        }
+      }
+      filter.categoryId = categoryId;
+    }
+
+    for (const [key, value] of Object.entries({ after, before })) {
+      if (value) {
+        if (isNaN(new Date(value).getTime())) {
+          return res.status(400).json({ error: `Invalid date: ${value}` });
+        }
+        filter[key] = new Date(value).toISOString();
+      }
+    }
+
+    if (accountId) {
+      const account = await Account.exists({ _id: accountId, userId: req.userId });
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+      filter.accountId = accountId;
+    }
+
+    if (confidenceBelow != null && confidenceBelow !== '') {
+      const threshold = parseFloat(confidenceBelow);
+      if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+        return res.status(400).json({ error: 'confidenceBelow must be between 0 and 1' });
+      }
+      filter.confidenceBelow = threshold;
+    }
+
+    const { job, created } = await jobService.enqueueJob(req.userId, null, {
+      type: 'reclassify',
+      options: filter,
+    });
+
+    if (!created) {
+      return res.status(409).json({ error: 'Emails are already being re-classified', jobId: job._id });
+    }
+
+    res.status(202).json({
+      message: 'Re-classification queued',
+      jobId: job._id,
+    });
+  } catch (error) {
+    console.error('Error starting re-classification:', error);
+    res.status(500).json({ error: 'Failed to start re-classification' });
+  }
+});
+
 /**
  * Stop email sync
  * POST /api/emails/stop-sync
  * Body: { accountId? }
+ * Sets the persistent cancel flag on the account's active jobs
  */
 router.post('/stop-sync', async (req, res) => {
   try {
     const { accountId } = req.body;
 
-    let accountIds = [];
-
-    if (accountId) {
-      // Stop specific account sync
-      accountIds = [accountId];
-    } else {
-      // Stop all account syncs
-      const accounts = await Account.find({ userId: req.userId, syncStatus: 'syncing' });
-      accountIds = accounts.map((a) => a._id.toString());
-    }
+    const jobs = await jobService.requestCancel({
+      userId: req.userId,
+      type: { $in: ['sync', 'backfill'] },
+      ...(accountId && { accountId }),
+    });
 
-    if (accountIds.length === 0) {
+    if (jobs.length === 0) {
       return res.status(400).json({ error: 'No syncing accounts found' });
     }
 
-    // Request stop for each account
-    for (const accId of accountIds) {
-      emailService.requestStopSync(accId);
-    }
-
     res.json({
       message: 'Stop sync requested',
-      accountIds,
+      accountIds: [...new Set(jobs.map((job) => job.accountId.toString()))],
+      jobIds: jobs.map((job) => job._id),
     });
   } catch (error) {
     console.error('Error stopping sync:', error);
@@ -260,6 +478,52 @@ router.post('/unsubscribe', async (req, res) => {
   }
 });
 
+/**
+ * Add and remove tags on emails
+ * PUT /api/emails/tags
+ * Body: { emailIds, add?, remove? } (arrays of tag IDs)
+ */
+router.put('/tags', async (req, res) => {
+  try {
+    const { emailIds, add = [], remove = [] } = req.body;
+
+    if (!Array.isArray(emailIds) || emailIds.length === 0) {
+      return res.status(400).json({ error: 'emailIds must be a non-empty array' });
+    }
+
+    if (!Array.isArray(add) || !Array.isArray(remove) || add.length + remove.length === 0) {
+      return res.status(400).json({ error: 'Provide tag IDs to add or remove' });
+    }
+
+    if (![...add, ...remove].every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'Invalid tag ID' });
+    }
+    if (!emailIds.every((id) => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'Invalid email ID' });
+    }
+
+    const emails = await Email.find({
+      _id: { $in: emailIds },
+      userId: req.userId,
+    });
+
+    if (emails.length !== emailIds.length) {
+      return res.status(403).json({ error: 'Unauthorized access to some emails' });
+    }
+
+    const { error } = await tagService.updateEmailTags(req.userId, emails, { add, remove });
+
+    if (error) {
+      return res.status(404).json({ error });
+    }
+
+    res.json({ message: 'Tags updated successfully' });
+  } catch (error) {
+    console.error('Error updating email tags:', error);
+    res.status(500).json({ error: 'Failed to update tags' });
+  }
+});
+
 /**
  * Recategorize emails
  * PUT /api/emails/recategorize
@@ -283,12 +547,37 @@ router.put('/recategorize', async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized access to some emails' });
     }
 
-    // Update categories
+    let category = null;
+    if (categoryId) {
+      category = await Category.findOne({ _id: categoryId, userId: req.userId });
+      if (!category) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+    }
+
+    // Update categories; choosing a category resolves any pending review
     await Email.updateMany(
       { _id: { $in: emailIds } },
-      { categoryId: categoryId || null }
+      categoryId
+        ? {
+            categoryId,
+            manuallyCategorized: true,
+            reviewedAt: new Date(),
+            classificationStatus: 'classified',
+            $unset: { aiError: 1 },
+          }
+        : { categoryId: null, manuallyCategorized: true, reviewedAt: new Date() }
     );
 
+    // Keep the corrections so future emails like these are sorted the same way
+    if (categoryId) {
+      await feedbackService.recordCorrections(req.userId, emails, categoryId);
+    }
+    await classificationLog.recordManualDecisions(req.userId, emailIds, category);
+
+    // Move the category labels in Gmail for synced categories
+    await labelService.mirrorRecategorization(req.userId, emails, category);
+
     // Update category counts
     const oldCategories = new Set(
       emails.map((e) => e.categoryId?.toString()).filter(Boolean)
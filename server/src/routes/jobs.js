@@ -0,0 +1,83 @@
+// server/src/routes/jobs.js
+/**
+ * Job routes
+ * Exposes the state of queued sync and backfill jobs
+ */
+
+const express = require('express');
+const { SyncJob } = require('../config/database');
+const { verifyJWT } = require('../middleware/auth');
+const jobService = require('../services/jobs');
+
+const router = express.Router();
+
+// Apply JWT verification to all routes
+router.use(verifyJWT);
+
+/**
+ * Get recent jobs
+ * GET /api/jobs?accountId=xxx&active=true&limit=20
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { accountId, active, limit = 20 } = req.query;
+
+    const query = { userId: req.userId };
+    if (accountId) {
+      query.accountId = accountId;
+    }
+    if (active === 'true') {
+      query.state = { $in: ['queued', 'running'] };
+    }
+
+    const jobs = await SyncJob.find(query)
+      .select('-workerId -errorLog')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit), 100));
+
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+/**
+ * Get single job
+ * GET /api/jobs/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.userId, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+/**
+ * Cancel a job
+ * POST /api/jobs/:id/cancel
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const jobs = await jobService.requestCancel({ _id: req.params.id, userId: req.userId });
+
+    if (jobs.length === 0) {
+      return res.status(404).json({ error: 'No active job found' });
+    }
+
+    res.json({ message: 'Cancel requested' });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+// server/src/routes/rules.js
+/**
+ * Rule routes
+ * Handles CRUD operations for user-defined sorting rules
+ */
+
+const express = require('express');
+const { Rule } = require('../config/database');
+const { verifyJWT } = require('../middleware/auth');
+const rulesService = require('../services/rules');
+const previewService = require('../services/preview');
+
+const router = express.Router();
+
+// Apply JWT verification to all routes
+router.use(verifyJWT);
+
+/**
+ * Get all rules for user in evaluation order
+ * GET /api/rules
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await Rule.find({ userId: req.userId })
+      .sort({ priority: 1, createdAt: 1 })
+      .populate('actions.categoryId', 'name color');
+
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching rules:', error);
+    res.status(500).json({ error: 'Failed to fetch rules' });
+  }
+});
+
+/**
+ * Preview a draft rule against recent emails without saving it
+ * POST /api/rules/preview
+ * Body: { rule, ruleId?, limit? } (ruleId when previewing changes to a saved rule)
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { rule: draft, ruleId, limit } = req.body;
+
+    if (ruleId) {
+      const existing = await Rule.exists({ _id: ruleId, userId: req.userId });
+      if (!existing) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+    }
+
+    const { rule, error } = await rulesService.validateRule(req.userId, draft || {});
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const preview = await previewService.previewRule(req.userId, rule, { ruleId, limit });
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Error previewing rule:', error);
+    res.status(500).json({ error: 'Failed to preview rule' });
+  }
+});
+
+/**
+ * Get single rule
+ * GET /api/rules/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await Rule.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error fetching rule:', error);
+    res.status(500).json({ error: 'Failed to fetch rule' });
+  }
+});
+
+/**
+ * Create new rule
+ * POST /api/rules
+ * Body: { name, enabled?, priority?, matchType?, conditions, actions, stopProcessing? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { rule, error } = await rulesService.validateRule(req.userId, req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = new Rule({
+      userId: req.userId,
+      ...rule,
+    });
+    await created.save();
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    res.status(500).json({ error: 'Failed to create rule' });
+  }
+});
+
+/**
+ * Update rule
+ * PUT /api/rules/:id
+ * Body: full rule, or { enabled } alone to toggle it
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await Rule.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    // Fields that aren't sent keep their current values
+    const { rule, error } = await rulesService.validateRule(req.userId, {
+      ...existing.toObject(),
+      ...req.body,
+    });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    Object.assign(existing, rule, { updatedAt: new Date() });
+    await existing.save();
+
+    res.json(existing);
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    res.status(500).json({ error: 'Failed to update rule' });
+  }
+});
+
+/**
+ * Delete rule
+ * DELETE /api/rules/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await Rule.deleteOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ message: 'Rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    res.status(500).json({ error: 'Failed to delete rule' });
+  }
+});
+
+module.exports = router;
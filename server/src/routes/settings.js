@@ -0,0 +1,170 @@
+// server/src/routes/settings.js
+/**
+ * Settings routes
+ * Per-user preferences such as the AI provider and model and the review threshold
+ */
+
+const express = require('express');
+const { User } = require('../config/database');
+const { verifyJWT } = require('../middleware/auth');
+const providers = require('../services/providers');
+const reviewService = require('../services/review');
+
+const router = express.Router();
+
+// Apply JWT verification to all routes
+router.use(verifyJWT);
+
+/**
+ * Build the settings response for a user
+ * @param {object} user - User document
+ * @returns {object} Settings with the provider that will actually be used
+ */
+function formatSettings(user) {
+  const { provider, model } = providers.resolveProvider(user.aiSettings);
+
+  return {
+    ai: {
+      provider: user.aiSettings?.provider || null,
+      model: user.aiSettings?.model || null,
+      effectiveProvider: provider.name,
+      effectiveModel: model,
+    },
+    review: {
+      confidenceThreshold: user.reviewSettings?.confidenceThreshold ?? null,
+      effectiveThreshold: reviewService.getThreshold(user),
+      defaultThreshold: reviewService.DEFAULT_THRESHOLD,
+    },
+    providers: providers.listProviders(),
+    defaultProvider: providers.getDefaultProviderName(),
+  };
+}
+
+/**
+ * Get user settings
+ * GET /api/settings
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('aiSettings reviewSettings');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(formatSettings(user));
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ error: 'Failed to fetch settings' });
+  }
+});
+
+/**
+ * Update AI provider and model
+ * PUT /api/settings/ai
+ * Body: { provider, model } (null resets to the server default)
+ */
+router.put('/ai', async (req, res) => {
+  try {
+    const { provider = null, model = null } = req.body;
+
+    if (provider !== null) {
+      if (!providers.PROVIDER_NAMES.includes(provider)) {
+        return res.status(400).json({
+          error: `provider must be one of: ${providers.PROVIDER_NAMES.join(', ')}`,
+        });
+      }
+      if (!providers.getProvider(provider).isConfigured()) {
+        return res.status(400).json({ error: `Provider "${provider}" is not configured on this server` });
+      }
+    }
+
+    if (model !== null && (typeof model !== 'string' || model.trim().length > 100)) {
+      return res.status(400).json({ error: 'model must be a string of at most 100 characters' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      {
+        aiSettings: {
+          provider: provider || undefined,
+          model: model?.trim() || undefined,
+        },
+        updatedAt: new Date(),
+      },
+      { new: true }
+    ).select('aiSettings reviewSettings');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(formatSettings(user));
+  } catch (error) {
+    console.error('Error updating AI settings:', error);
+    res.status(500).json({ error: 'Failed to update AI settings' });
+  }
+});
+
+/**
+ * Update the review queue threshold
+ * PUT /api/settings/review
+ * Body: { confidenceThreshold } (0-1, null resets to the server default)
+ */
+router.put('/review', async (req, res) => {
+  try {
+    const { confidenceThreshold = null } = req.body;
+
+    if (
+      confidenceThreshold !== null &&
+      (typeof confidenceThreshold !== 'number' || confidenceThreshold < 0 || confidenceThreshold > 1)
+    ) {
+      return res.status(400).json({ error: 'confidenceThreshold must be a number between 0 and 1' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      {
+        reviewSettings: {
+          confidenceThreshold: confidenceThreshold ?? undefined,
+        },
+        updatedAt: new Date(),
+      },
+      { new: true }
+    ).select('aiSettings reviewSettings');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(formatSettings(user));
+  } catch (error) {
+    console.error('Error updating review settings:', error);
+    res.status(500).json({ error: 'Failed to update review settings' });
+  }
+});
+
+/**
+ * Mark the first-login onboarding as done, e.g. when the user skips it
+ * PUT /api/settings/onboarding
+ */
+router.put('/onboarding', async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      { onboardingCompletedAt: new Date(), updatedAt: new Date() },
+      { new: true }
+    ).select('onboardingCompletedAt');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ onboardingCompletedAt: user.onboardingCompletedAt });
+  } catch (error) {
+    console.error('Error completing onboarding:', error);
+    res.status(500).json({ error: 'Failed to complete onboarding' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,266 @@
+// server/src/routes/subscriptions.js
+/**
+ * Subscription routes
+ * Lists the mailing lists a user receives and tracks unsubscribing from them
+ */
+
+const express = require('express');
+const { Subscription, Email } = require('../config/database');
+const { verifyJWT } = require('../middleware/auth');
+const subscriptionService = require('../services/subscriptions');
+const unsubscribeService = require('../services/unsubscribe');
+const emailService = require('../services/email');
+
+const router = express.Router();
+
+// Apply JWT verification to all routes
+router.use(verifyJWT);
+
+const STATUSES = ['active', 'unsubscribe-requested', 'confirmed', 'still-sending'];
+
+const MAX_STATS_WEEKS = 52;
+
+/**
+ * Get all subscriptions
+ * GET /api/subscriptions?status=still-sending
+ * Subscriptions are created from stored emails on first use. Attempts are listed without
+ * their page captures; see GET /api/subscriptions/:id
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+    }
+
+    if (!(await Subscription.exists({ userId: req.userId }))) {
+      await subscriptionService.seedFromStoredEmails(req.userId);
+    }
+
+    const subscriptions = await Subscription.find({
+      userId: req.userId,
+      ...(status && { status }),
+    })
+      .select('-attempts.html -attempts.screenshot')
+      .sort({ lastEmailAt: -1 });
+
+    res.json(subscriptions);
+  } catch (error) {
+    console.error('Error fetching subscriptions:', error);
+    res.status(500).json({ error: 'Failed to fetch subscriptions' });
+  }
+});
+
+/**
+ * Get per-sender statistics for the subscriptions dashboard, highest volume first
+ * GET /api/subscriptions/senders?weeks=8
+ * Each sender has its weekly volume over the window, read rate, emails still in the inbox, last
+ * received date and unsubscribe status
+ */
+router.get('/senders', async (req, res) => {
+  try {
+    const weeks = parseInt(req.query.weeks || 8);
+
+    if (!(weeks >= 1 && weeks <= MAX_STATS_WEEKS)) {
+      return res.status(400).json({ error: `weeks must be between 1 and ${MAX_STATS_WEEKS}` });
+    }
+
+    const senders = await subscriptionService.getSenderStats(req.userId, { weeks });
+
+    res.json(senders);
+  } catch (error) {
+    console.error('Error fetching sender statistics:', error);
+    res.status(500).json({ error: 'Failed to fetch sender statistics' });
+  }
+});
+
+/**
+ * Get single subscription, with screenshots of the pages browser attempts ended on
+ * GET /api/subscriptions/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    }).select('-attempts.html');
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json(subscription);
+  } catch (error) {
+    console.error('Error fetching subscription:', error);
+    res.status(500).json({ error: 'Failed to fetch subscription' });
+  }
+});
+
+/**
+ * Get the HTML of the page an unsubscribe attempt ended on
+ * GET /api/subscriptions/:id/attempts/:attemptId/html
+ */
+router.get('/:id/attempts/:attemptId/html', async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    }).select('attempts._id attempts.html');
+
+    const attempt = subscription?.attempts.id(req.params.attemptId);
+    if (!attempt) {
+      return res.status(404).json({ error: 'Attempt not found' });
+    }
+
+    res.json({ html: attempt.html || '' });
+  } catch (error) {
+    console.error('Error fetching attempt page:', error);
+    res.status(500).json({ error: 'Failed to fetch attempt page' });
+  }
+});
+
+/**
+ * Update a subscription
+ * PUT /api/subscriptions/:id
+ * Body: { autoArchive?, status? } (status can only be reset to 'active', e.g. after
+ *   subscribing again)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { autoArchive, status } = req.body;
+    const update = { updatedAt: new Date() };
+
+    if (autoArchive !== undefined) {
+      update.autoArchive = !!autoArchive;
+    }
+
+    if (status !== undefined) {
+      if (status !== 'active') {
+        return res.status(400).json({ error: "status can only be set to 'active'" });
+      }
+      Object.assign(update, {
+        status,
+        emailsAfterUnsubscribe: 0,
+        $unset: { unsubscribeRequestedAt: 1, confirmedAt: 1, stillSendingAt: 1 },
+      });
+    }
+
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      update,
+      { new: true }
+    ).select('-attempts.html -attempts.screenshot');
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json(subscription);
+  } catch (error) {
+    console.error('Error updating subscription:', error);
+    res.status(500).json({ error: 'Failed to update subscription' });
+  }
+});
+
+/**
+ * Unsubscribe from a subscription, using its most recent email
+ * POST /api/subscriptions/:id/unsubscribe
+ * Retrying is allowed, e.g. when the sender is still sending
+ */
+router.post('/:id/unsubscribe', async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const email = await Email.exists({ _id: subscription.lastEmailId, userId: req.userId });
+    if (!email) {
+      return res.status(404).json({ error: 'No stored email from this sender to unsubscribe with' });
+    }
+
+    const results = await unsubscribeService.unsubscribeFromEmails([email._id]);
+    const updated = await Subscription.findById(subscription._id).select(
+      '-attempts.html -attempts.screenshot'
+    );
+
+    res.json({ result: results.details[0], subscription: updated });
+  } catch (error) {
+    console.error('Error unsubscribing:', error);
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
+
+/**
+ * Archive every inbox email from a subscription
+ * POST /api/subscriptions/:id/archive
+ */
+router.post('/:id/archive', async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const emails = await subscriptionService.findSubscriptionEmails(req.userId, subscription, {
+      isArchived: { $ne: true },
+    });
+    if (emails.length > 0) {
+      await emailService.archiveEmailsByIds(req.userId, emails.map((email) => email._id));
+    }
+
+    res.json({ archived: emails.length });
+  } catch (error) {
+    console.error('Error archiving subscription emails:', error);
+    res.status(500).json({ error: 'Failed to archive emails' });
+  }
+});
+
+/**
+ * Block a subscription: new mail from it goes straight to the trash
+ * POST /api/subscriptions/:id/block
+ * Creates a rule, which shows up (and can be edited) on the rules page; an already blocked
+ * subscription answers with its existing rule
+ */
+router.post('/:id/block', async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const { rule, created } = await subscriptionService.blockSubscription(req.userId, subscription);
+
+    res.status(created ? 201 : 200).json(rule);
+  } catch (error) {
+    console.error('Error blocking subscription:', error);
+    res.status(500).json({ error: 'Failed to block sender' });
+  }
+});
+
+/**
+ * Unblock a subscription, deleting its block rule
+ * DELETE /api/subscriptions/:id/block
+ */
+router.delete('/:id/block', async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({ _id: req.params.id, userId: req.userId });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    await subscriptionService.unblockSubscription(req.userId, subscription);
+
+    res.json({ message: 'Sender unblocked' });
+  } catch (error) {
+    console.error('Error unblocking subscription:', error);
+    res.status(500).json({ error: 'Failed to unblock sender' });
+  }
+});
+
+module.exports = router;
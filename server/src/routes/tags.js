@@ -0,0 +1,163 @@
+// server/src/routes/tags.js
+/**
+ * Tag routes
+ * Handles CRUD operations for email tags
+ */
+
+const express = require('express');
+const { Tag } = require('../config/database');
+const { verifyJWT } = require('../middleware/auth');
+const tagService = require('../services/tags');
+const { exactMatch } = require('../utils/regex');
+
+const router = express.Router();
+
+// Apply JWT verification to all routes
+router.use(verifyJWT);
+
+const MAX_TAG_NAME_LENGTH = 50;
+
+/**
+ * Get all tags for user
+ * GET /api/tags
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tags = await Tag.find({ userId: req.userId }).sort({ name: 1 }).select('-gmailLabels');
+
+    res.json(tags);
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+/**
+ * Create new tag
+ * POST /api/tags
+ * Body: { name, description?, color?, autoApply?, mirrorToGmail? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, color, autoApply, mirrorToGmail } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (name.trim().length > MAX_TAG_NAME_LENGTH) {
+      return res.status(400).json({ error: `Tag names can be at most ${MAX_TAG_NAME_LENGTH} characters` });
+    }
+
+    // Check for duplicate tag names
+    const existing = await Tag.findOne({
+      userId: req.userId,
+      name: exactMatch(name.trim()),
+    });
+
+    if (existing) {
+      return res.status(400).json({ error: 'Tag with this name already exists' });
+    }
+
+    const tag = new Tag({
+      userId: req.userId,
+      name: name.trim(),
+      description: description || '',
+      color: color || '#6b7280',
+      autoApply: autoApply !== false,
+      mirrorToGmail: !!mirrorToGmail,
+    });
+
+    await tag.save();
+
+    res.status(201).json(tag);
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+/**
+ * Update tag
+ * PUT /api/tags/:id
+ * Body: { name?, description?, color?, autoApply?, mirrorToGmail? }
+ * Renaming a mirrored tag creates new Gmail labels on next use; the old ones are kept
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, description, color, autoApply, mirrorToGmail } = req.body;
+
+    const tag = await Tag.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    if (name && name.trim() !== tag.name) {
+      if (name.trim().length > MAX_TAG_NAME_LENGTH) {
+        return res.status(400).json({ error: `Tag names can be at most ${MAX_TAG_NAME_LENGTH} characters` });
+      }
+
+      const existing = await Tag.findOne({
+        userId: req.userId,
+        name: exactMatch(name.trim()),
+        _id: { $ne: req.params.id },
+      });
+
+      if (existing) {
+        return res.status(400).json({ error: 'Tag with this name already exists' });
+      }
+
+      tag.name = name.trim();
+    }
+
+    if (description !== undefined) tag.description = description;
+    if (color) tag.color = color;
+    if (autoApply !== undefined) tag.autoApply = !!autoApply;
+    if (mirrorToGmail !== undefined) tag.mirrorToGmail = !!mirrorToGmail;
+
+    const renamed = tag.isModified('name');
+    tag.updatedAt = new Date();
+    await tag.save();
+
+    // Emails keep their Gmail label, which follows the tag to its new name
+    if (renamed) {
+      await tagService.renameTagLabels(tag);
+    }
+
+    res.json(tag);
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+/**
+ * Delete tag
+ * DELETE /api/tags/:id
+ * Note: The tag is removed from every email; Gmail labels are kept
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await Tag.deleteOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    await tagService.removeTagFromEmails(req.params.id);
+
+    res.json({ message: 'Tag deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+// server/src/routes/webhooks.js
+/**
+ * Webhook routes
+ * Receives Gmail push notifications delivered by Google Cloud Pub/Sub
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const pushService = require('../services/push');
+
+const router = express.Router();
+
+/**
+ * Compare a request token with the configured one in constant time
+ * @param {string} token - Token from the request
+ * @param {string} expected - GMAIL_PUSH_VERIFICATION_TOKEN
+ * @returns {boolean} True when they match
+ */
+function isValidToken(token, expected) {
+  if (typeof token !== 'string') {
+    return false;
+  }
+  const a = crypto.createHash('sha256').update(token).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Gmail push notification receiver
+ * POST /api/webhooks/gmail?token=xxx
+ * Body: Pub/Sub push envelope { message: { data } } where data is base64 JSON
+ *       { emailAddress, historyId }; the decoded JSON is also accepted for local testing
+ * Requires GMAIL_PUSH_VERIFICATION_TOKEN; every accepted notification gets the same 204, so
+ * callers can't tell which addresses have accounts here
+ */
+router.post('/gmail', async (req, res) => {
+  try {
+    // Pub/Sub push subscriptions carry a shared secret in the endpoint URL
+    const expectedToken = process.env.GMAIL_PUSH_VERIFICATION_TOKEN;
+    if (!expectedToken) {
+      console.warn('Gmail notification refused: GMAIL_PUSH_VERIFICATION_TOKEN is not set');
+      return res.status(403).json({ error: 'Gmail push notifications are not enabled' });
+    }
+    if (!isValidToken(req.query.token, expectedToken)) {
+      return res.status(401).json({ error: 'Invalid verification token' });
+    }
+
+    const notification = pushService.parseNotification(req.body);
+    if (!notification) {
+      return res.status(400).json({ error: 'Invalid Gmail notification payload' });
+    }
+
+    await pushService.handleNotification(notification);
+
+    // Any 2xx acknowledges the message so Pub/Sub stops redelivering it
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error handling Gmail notification:', error);
+    // A non-2xx response makes Pub/Sub retry the delivery later
+    res.status(500).json({ error: 'Failed to handle notification' });
+  }
+});
+
+module.exports = router;
@@ -1,248 +1,275 @@
 // server/src/services/ai.js
 /**
  * AI service for email classification and summarization
- * Uses Claude API to categorize emails and generate summaries
+ * Resolves each user's AI provider and model, and turns provider output into
+ * category assignments
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
-const { Category } = require('../config/database');
+const { User, Category } = require('../config/database');
+const { resolveProvider, getProvider } = require('./providers');
+const { ANALYSIS_PROMPT_VERSION, NO_CATEGORY } = require('./providers/shared');
+const { AIResponseError } = require('../utils/aiResponse');
+const { getLeafCategories } = require('../utils/categoryTree');
+const feedbackService = require('./feedback');
+const tagService = require('./tags');
 
-try {
-  if (!process.env.CLAUDE_API_KEY) {
-    throw new Error('CLAUDE_API_KEY is not set in environment variables');
+/**
+ * Resolve the AI provider and model for a user
+ * @param {string} userId - User ID (optional)
+ * @param {object} aiSettings - Settings to use instead of the user's stored ones
+ * @returns {Promise<object>} { provider, model }
+ */
+async function getProviderForUser(userId, aiSettings) {
+  if (!aiSettings && userId) {
+    const user = await User.findById(userId).select('aiSettings');
+    aiSettings = user?.aiSettings;
   }
-  
-  const client = new Anthropic({
-    apiKey: process.env.CLAUDE_API_KEY,
-  });
-  
-  console.log(process.env.CLAUDE_API_KEY);
-  console.log('✅ Anthropic SDK initialized successfully');
-} catch (error) {
-  console.error('❌ Failed to initialize Anthropic SDK:', error.message);
-  console.error('Make sure CLAUDE_API_KEY is set in .env file');
-  client = null;
+  return resolveProvider(aiSettings);
 }
 
 /**
- * Classify email into a category based on AI analysis
- * @param {string} userId - User ID for fetching their categories
- * @param {object} email - Email object with subject, body, from
- * @returns {Promise<object>} Classification result with categoryId and confidence
+ * Load the user's corrections that apply to an email
+ * Failures are logged and ignored so classification still runs without them
+ * @param {string} userId - User ID
+ * @param {object} email - Email object
+ * @param {Array<object>} categories - User categories
+ * @returns {Promise<object>} { examples, override }
  */
-async function classifyEmail(userId, email) {
+async function getFeedback(userId, email, categories) {
   try {
-    const client = new Anthropic({
-        apiKey: process.env.CLAUDE_API_KEY,
-      });
-    // Check if client is initialized
-    if (!client) {
-      console.error('❌ Claude API client not initialized');
-      return {
-        categoryId: null,
-        categoryName: 'Unclassified',
-        confidence: 0,
-        error: 'Claude API not configured',
-      };
-    }
-
-    // Fetch user's categories
-    const categories = await Category.find({ userId });
-
-    if (categories.length === 0) {
-      return {
-        categoryId: null,
-        categoryName: 'Unclassified',
-        confidence: 0,
-      };
-    }
-
-    // Build category descriptions for the prompt
-    const categoryDescriptions = categories
-      .map((cat) => `- ${cat.name}: ${cat.description}`)
-      .join('\n');
-
-    // Build list of exact category names for validation
-    const categoryNames = categories.map((cat) => cat.name).join(', ');
-
-    // Create classification prompt
-    const prompt = `You are an email classification AI. Analyze the following email and classify it into ONE of the provided categories.
-
-Email:
-From: ${email.from}
-Subject: ${email.subject}
-Body (first 500 chars): ${email.body.substring(0, 500)}
-
-Available Categories:
-${categoryDescriptions}
+    const [examples, override] = await Promise.all([
+      feedbackService.getFewShotExamples(userId, email, categories),
+      feedbackService.getSenderOverride(userId, email, categories),
+    ]);
+    return { examples, override };
+  } catch (error) {
+    console.error('Error loading classification feedback:', error.message);
+    return { examples: [], override: null };
+  }
+}
 
-IMPORTANT: You MUST respond with the EXACT category name from this list: ${categoryNames}
-Do not modify, abbreviate, or create new category names. Use only the exact names provided above.
+/**
+ * Build the result for an email that couldn't be classified
+ * These emails stay out of every category until a person reviews them
+ * @param {object} email - Email object
+ * @param {object} details - { summary, reasoning, metadata, error }
+ * @returns {object} Unclassified analysis result
+ */
+function unclassifiedResult(email, { summary, reasoning = null, metadata = null, error }) {
+  return {
+    categoryId: null,
+    categoryName: null,
+    confidence: 0,
+    reasoning,
+    summary: summary || email.snippet || '',
+    metadata,
+    status: 'unclassified',
+    error: {
+      message: error.message,
+      rawResponse: error.rawResponse || null,
+      // The provider failed rather than answering badly, so trying again later can work
+      retryable: !(error instanceof AIResponseError),
+    },
+  };
+}
 
-Respond with a JSON object containing:
-{
-  "categoryName": "the exact category name this email belongs to",
-  "confidence": 0.0 to 1.0 confidence score,
-  "reasoning": "brief explanation of why you chose this category"
+/**
+ * Normalize a validated analysis tool input
+ * @param {object} input - Tool input
+ * @returns {object} Analysis fields
+ */
+function normalizeAnalysis(input) {
+  const metadata = input.metadata || {};
+
+  return {
+    categoryName: input.categoryName.trim(),
+    confidence: input.confidence,
+    reasoning: input.reasoning,
+    summary: input.summary.trim(),
+    tagNames: input.tags || [],
+    metadata: {
+      senderType: metadata.senderType,
+      actionRequired: !!metadata.actionRequired,
+      dueDate: metadata.dueDate || null,
+      keyEntities: metadata.keyEntities || [],
+      language: metadata.language,
+    },
+  };
 }
 
-Only respond with valid JSON, no other text.`;
+/**
+ * Classify, summarize, tag and extract metadata from an email in a single AI call
+ * The provider returns output that follows the analysis tool schema. Only leaf categories are
+ * offered, so nested emails land in the most specific category
+ * @param {string} userId - User ID for fetching their categories, tags and AI settings
+ * @param {object} email - Email object with subject, body, from
+ * @param {object} options - { categories, tags, aiSettings } to skip the lookups
+ * @returns {Promise<object>} { categoryId, categoryName, confidence, reasoning, summary, tagIds, metadata, status, provider, model, decision, error? }
+ */
+async function analyzeEmail(userId, email, options = {}) {
+  let categories = options.categories || [];
+  let tags = options.tags || [];
+  let leaves = [];
+  let provider = null;
+  let model = null;
+  const startedAt = Date.now();
+
+  let feedback = { examples: [], override: null };
+
+  // Audit details recorded with the decision, whatever the outcome
+  const decision = () => ({
+    source: 'ai',
+    provider: provider?.name || null,
+    model,
+    promptVersion: ANALYSIS_PROMPT_VERSION,
+    candidateCategories: leaves.map((cat) => ({ categoryId: cat._id, name: cat.name })),
+    exampleIds: feedback.examples.map((example) => example._id),
+    latencyMs: Date.now() - startedAt,
+  });
 
+  try {
+    if (!options.categories && userId) {
+      categories = await Category.find({ userId });
+    }
+    if (!options.tags && userId) {
+      tags = await tagService.getAutoTags(userId);
+    }
+    leaves = getLeafCategories(categories);
 
-    // Call Claude API
-    const message = await client.messages.create({
-      model: process.env.AI_MODEL || 'claude-sonnet-4-5',
-      max_tokens: 256,
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-    });
+    if (userId && categories.length > 0) {
+      feedback = await getFeedback(userId, email, categories);
+    }
 
-    // Parse response
-    const responseText = message.content[0].text;
-    const classification = JSON.parse(responseText);
+    ({ provider, model } = await getProviderForUser(userId, options.aiSettings));
+    const { output, usage } = await provider.classify(email, leaves, {
+      model,
+      examples: feedback.examples,
+      tags,
+    });
+    const normalized = normalizeAnalysis(output);
+    const analysis = {
+      ...normalized,
+      tagIds: tagService.resolveTagNames(tags, normalized.tagNames).map((tag) => tag._id),
+      provider: provider.name,
+      model,
+      decision: { ...decision(), usage },
+    };
 
-    // Trim and normalize the classification result
-    const normalizedClassificationName = classification.categoryName?.trim();
+    // Repeated corrections for this sender win over the model
+    if (feedback.override) {
+      const { category, corrections } = feedback.override;
+      return {
+        ...analysis,
+        categoryId: category._id,
+        categoryName: category.name,
+        confidence: 1,
+        reasoning: `You moved the last ${corrections.length} emails from this sender to ${category.name}`,
+        status: 'classified',
+        decision: { ...analysis.decision, source: 'sender_override' },
+      };
+    }
 
     // Find category by name (case-insensitive matching with trimmed whitespace)
-    const selectedCategory = categories.find(
-      (cat) => cat.name.trim().toLowerCase() === normalizedClassificationName?.toLowerCase()
+    const selectedCategory = leaves.find(
+      (cat) => cat.name.trim().toLowerCase() === analysis.categoryName.toLowerCase()
     );
 
+    // No categories yet, or the provider found none that fits
+    if (
+      leaves.length === 0 ||
+      (!selectedCategory && analysis.categoryName.toLowerCase() === NO_CATEGORY)
+    ) {
+      return {
+        ...analysis,
+        categoryId: null,
+        categoryName: null,
+        confidence: 0,
+        status: 'unclassified',
+      };
+    }
+
     if (!selectedCategory) {
       console.warn(
-        `⚠️ AI returned category "${classification.categoryName}" which doesn't match any user categories. Available categories: ${categories.map(c => c.name).join(', ')}`
+        `⚠️ AI returned category "${analysis.categoryName}" which doesn't match any user categories. Available categories: ${leaves.map((cat) => cat.name).join(', ')}`
       );
-      console.warn(`⚠️ Falling back to first available category: ${categories[0].name}`);
 
-      // Fallback to first category instead of returning null
       return {
-        categoryId: categories[0]._id,
-        categoryName: categories[0].name,
-        confidence: 0.3, // Lower confidence since it's a fallback
-        reasoning: `No exact match found for "${classification.categoryName}", using fallback category`,
+        ...unclassifiedResult(email, {
+          ...analysis,
+          error: new AIResponseError(`Unknown category "${analysis.categoryName}"`, {
+            rawResponse: JSON.stringify(output),
+          }),
+        }),
+        provider: provider.name,
+        model,
+        decision: analysis.decision,
       };
     }
 
     return {
+      ...analysis,
       categoryId: selectedCategory._id,
       categoryName: selectedCategory.name,
-      confidence: classification.confidence,
-      reasoning: classification.reasoning,
+      status: 'classified',
     };
   } catch (error) {
-    console.error('❌ Error classifying email:', error.message);
-
-    // Try to get categories for fallback
-    try {
-      const categories = await Category.find({ userId });
-      if (categories.length > 0) {
-        console.warn(`⚠️ Using fallback category due to error: ${categories[0].name}`);
-        return {
-          categoryId: categories[0]._id,
-          categoryName: categories[0].name,
-          confidence: 0.1, // Very low confidence due to error
-          error: error.message,
-        };
-      }
-    } catch (fallbackError) {
-      console.error('❌ Failed to fetch categories for fallback:', fallbackError.message);
-    }
-
-    // Last resort: return null if no categories available
+    console.error('❌ Error analyzing email, leaving it unclassified:', error.message);
     return {
-      categoryId: null,
-      categoryName: 'Unclassified',
-      confidence: 0,
-      error: error.message,
+      ...unclassifiedResult(email, { error }),
+      provider: provider?.name || null,
+      model,
+      decision: decision(),
     };
   }
 }
 
+/**
+ * Classify email into a category based on AI analysis
+ * Thin wrapper around analyzeEmail kept for existing callers
+ * @param {string} userId - User ID for fetching their categories
+ * @param {object} email - Email object with subject, body, from
+ * @param {object} options - { categories, aiSettings } to skip the lookups
+ * @returns {Promise<object>} Classification result with categoryId, confidence and the audit decision
+ */
+async function classifyEmail(userId, email, options = {}) {
+  const { categoryId, categoryName, confidence, reasoning, status, decision, error } =
+    await analyzeEmail(userId, email, options);
+  return {
+    categoryId,
+    categoryName,
+    confidence,
+    reasoning,
+    status,
+    decision,
+    ...(error && { error }),
+  };
+}
+
 /**
  * Generate AI summary of email content
+ * Thin wrapper around analyzeEmail kept for existing callers
  * @param {object} email - Email object with subject, body
+ * @param {object} options - { userId } to use that user's AI settings
  * @returns {Promise<string>} AI-generated summary
  */
-async function summarizeEmail(email) {
-  try {
-    const prompt = `Summarize the following email in 1-2 sentences, capturing the main points:
-
-Subject: ${email.subject}
-Body: ${email.body}
-
-Provide a concise summary suitable for quick scanning. Only return the summary text, no other content.`;
-const client = new Anthropic({
-    apiKey: process.env.CLAUDE_API_KEY,
-  });
-  
-    const message = await client.messages.create({
-      model: process.env.AI_MODEL || 'claude-sonnet-4-5',
-      max_tokens: 150,
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-    });
-
-    return message.content[0].text.trim();
-  } catch (error) {
-    console.error('Error summarizing email:', error);
-    throw error;
+async function summarizeEmail(email, options = {}) {
+  const analysis = await analyzeEmail(options.userId, email, { categories: [], tags: [] });
+  if (analysis.error) {
+    throw new Error(analysis.error.message);
   }
+  return analysis.summary;
 }
 
 /**
  * Generate batch summaries for multiple emails
  * @param {Array<object>} emails - Array of email objects
+ * @param {object} options - { userId } to use that user's AI settings
  * @returns {Promise<Array<string>>} Array of summaries
  */
-async function summarizeEmailBatch(emails) {
+async function summarizeEmailBatch(emails, options = {}) {
   try {
-    // Create batch summary request
-    const emailsList = emails
-      .map(
-        (email, idx) =>
-          `Email ${idx + 1}:
-Subject: ${email.subject}
-Body: ${email.body.substring(0, 300)}`
-      )
-      .join('\n\n');
-
-    const prompt = `Summarize each of the following emails in 1 sentence each:
-
-${emailsList}
-
-Respond with a numbered list of summaries, one per line (e.g., "1. Summary here\n2. Summary here")
-Only return the numbered list, no other content.`;
-const client = new Anthropic({
-    apiKey: process.env.CLAUDE_API_KEY,
-  });
-    const message = await client.messages.create({
-      model: process.env.AI_MODEL || 'claude-sonnet-4-5',
-      max_tokens: 500,
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-    });
-
-    // Parse numbered list response
-    const responseText = message.content[0].text;
-    const summaries = responseText
-      .split('\n')
-      .filter((line) => line.match(/^\d+\./))
-      .map((line) => line.replace(/^\d+\.\s*/, '').trim());
-
-    return summaries;
+    const { provider, model } = await getProviderForUser(options.userId);
+    return await provider.summarize(emails, { model });
   } catch (error) {
     console.error('Error summarizing email batch:', error);
     throw error;
@@ -252,49 +279,99 @@ const client = new Anthropic({
 /**
  * Analyze email for spam/phishing characteristics
  * @param {object} email - Email object
+ * @param {object} options - { userId } to use that user's AI settings
  * @returns {Promise<object>} Analysis result
  */
-async function analyzeEmailSafety(email) {
+async function analyzeEmailSafety(email, options = {}) {
   try {
-    const prompt = `Analyze this email for spam and phishing indicators:
-
-From: ${email.from}
-Subject: ${email.subject}
-Body (first 300 chars): ${email.body.substring(0, 300)}
-
-Respond with JSON:
-{
-  "isSpam": true/false,
-  "isPhishing": true/false,
-  "riskLevel": "low" | "medium" | "high",
-  "indicators": ["list", "of", "indicators"]
+    const { provider, model } = await getProviderForUser(options.userId);
+    return await provider.checkSafety(email, { model });
+  } catch (error) {
+    console.error('Error analyzing email safety:', error);
+    throw error;
+  }
 }
 
-Only respond with valid JSON, no other text.`;
-const client = new Anthropic({
-    apiKey: process.env.CLAUDE_API_KEY,
-  });
-    const message = await client.messages.create({
-      model: process.env.AI_MODEL || 'claude-sonnet-4-5',
-      max_tokens: 256,
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
+/**
+ * Propose a category set from a sample of the user's inbox
+ * @param {Array<object>} emails - Sampled emails { from, subject, snippet }
+ * @param {object} options - { userId, existing } (existing: names of current categories)
+ * @returns {Promise<object>} { suggestions, provider }
+ */
+async function suggestCategories(emails, options = {}) {
+  try {
+    const { provider, model } = await getProviderForUser(options.userId);
+    const suggestions = await provider.suggestCategories(emails, {
+      model,
+      existing: options.existing || [],
     });
+    return { suggestions, provider: provider.name };
+  } catch (error) {
+    console.error('Error suggesting categories:', error);
+    throw error;
+  }
+}
 
-    return JSON.parse(message.content[0].text);
+/**
+ * Embed texts with the user's provider
+ * Providers without an embeddings API fall back to the local hashed embeddings
+ * @param {Array<string>} texts - Texts to embed
+ * @param {object} options - { userId } to use that user's AI settings
+ * @returns {Promise<object>} { vectors, provider }
+ */
+async function embedTexts(texts, options = {}) {
+  try {
+    let { provider, model } = await getProviderForUser(options.userId);
+    if (!provider.embed) {
+      provider = getProvider('local');
+      model = provider.defaultModel;
+    }
+
+    const vectors = await provider.embed(texts, { model });
+    return { vectors, provider: provider.name };
   } catch (error) {
-    console.error('Error analyzing email safety:', error);
+    console.error('Error embedding texts:', error);
     throw error;
   }
 }
 
+/**
+ * Judge whether the page a browser unsubscribe ended on confirms it
+ * Pattern rules decide first; pages they can't judge go to the user's provider when useAI is
+ * set. Provider errors fall back to the rules' verdict.
+ * @param {string} pageText - Visible text of the page
+ * @param {object} options - { userId, useAI }
+ * @returns {Promise<object>} { outcome, reason, provider } (outcome: confirmed, failed or
+ *   needs-manual)
+ */
+async function classifyUnsubscribePage(pageText, options = {}) {
+  const local = getProvider('local');
+  const byRules = await local.classifyUnsubscribePage(pageText);
+  if (byRules.outcome !== 'needs-manual' || !options.useAI) {
+    return { ...byRules, provider: local.name };
+  }
+
+  try {
+    const { provider, model } = await getProviderForUser(options.userId);
+    if (provider.name === local.name) {
+      return { ...byRules, provider: local.name };
+    }
+
+    const result = await provider.classifyUnsubscribePage(pageText, { model });
+    return { outcome: result.outcome, reason: result.reason, provider: provider.name };
+  } catch (error) {
+    console.error('Error classifying unsubscribe page:', error.message);
+    return { ...byRules, provider: local.name };
+  }
+}
+
 module.exports = {
+  analyzeEmail,
   classifyEmail,
   summarizeEmail,
   summarizeEmailBatch,
   analyzeEmailSafety,
-};
\ No newline at end of file
+  suggestCategories,
+  embedTexts,
+  classifyUnsubscribePage,
+};
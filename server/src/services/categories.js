@@ -0,0 +1,289 @@
+// server/src/services/categories.js
+/**
+ * Category service
+ * Places categories in the tree, and sets up category sets from templates, AI suggestions
+ * and JSON exports
+ */
+
+const { Category, Email, Account } = require('../config/database');
+const gmailService = require('./gmail');
+const aiService = require('./ai');
+const { CATEGORY_TEMPLATES, STARTER_PACKS } = require('../config/categoryTemplates');
+const { getDescendantIds, flattenTree } = require('../utils/categoryTree');
+
+const EXPORT_VERSION = 1;
+
+const MAX_IMPORT_CATEGORIES = 100;
+const MAX_CATEGORY_NAME_LENGTH = 50;
+
+// Recent emails sampled for suggestions
+const SUGGEST_SAMPLE_DEFAULT = 40;
+const SUGGEST_SAMPLE_MAX = 100;
+
+// With fewer stored emails than this, suggestions read the Gmail inbox directly
+const SUGGEST_MIN_STORED = 10;
+
+// Colors given to suggested categories, in order
+const SUGGESTION_COLORS = [
+  '#3b82f6',
+  '#10b981',
+  '#f59e0b',
+  '#ef4444',
+  '#8b5cf6',
+  '#ec4899',
+  '#06b6d4',
+  '#14b8a6',
+];
+
+/**
+ * Check that a category can be placed under a parent
+ * @param {string} userId - User ID
+ * @param {string|null} parentId - Proposed parent ID (null for top level)
+ * @param {string} categoryId - Category being moved (omit when creating)
+ * @returns {Promise<string|null>} Error message, or null when the parent is valid
+ */
+async function validateParent(userId, parentId, categoryId) {
+  if (!parentId) {
+    return null;
+  }
+
+  const categories = await Category.find({ userId }).select('_id parentId');
+  if (!categories.some((cat) => cat._id.toString() === parentId.toString())) {
+    return 'Parent category not found';
+  }
+
+  if (categoryId) {
+    const invalid = [categoryId.toString(), ...getDescendantIds(categories, categoryId)];
+    if (invalid.includes(parentId.toString())) {
+      return 'A category cannot be moved under itself or one of its subcategories';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the position after the last sibling under a parent
+ * @param {string} userId - User ID
+ * @param {string|null} parentId - Parent ID (null for top level)
+ * @returns {Promise<number>} Position
+ */
+async function nextPosition(userId, parentId) {
+  const last = await Category.findOne({ userId, parentId: parentId || null })
+    .sort({ position: -1 })
+    .select('position');
+  return last ? last.position + 1 : 0;
+}
+
+/**
+ * Get the template library and starter packs
+ * @returns {object} { templates, packs }
+ */
+function listTemplates() {
+  return {
+    templates: CATEGORY_TEMPLATES.map(({ key, name, description, color, icon }) => ({
+      key,
+      name,
+      description,
+      color,
+      icon,
+    })),
+    packs: STARTER_PACKS,
+  };
+}
+
+/**
+ * Sample recent emails for suggestions
+ * New users have nothing stored before their first sync, so the primary inbox is read instead
+ * @param {string} userId - User ID
+ * @param {number} limit - Emails to sample
+ * @returns {Promise<Array<object>>} Emails with from, subject and snippet
+ */
+async function sampleInbox(userId, limit) {
+  const stored = await Email.find({ userId })
+    .sort({ receivedAt: -1 })
+    .limit(limit)
+    .select('from subject snippet');
+  if (stored.length >= Math.min(limit, SUGGEST_MIN_STORED)) {
+    return stored;
+  }
+
+  const account =
+    (await Account.findOne({ userId, isPrimary: true })) || (await Account.findOne({ userId }));
+  if (!account) {
+    return stored;
+  }
+
+  const { messageIds } = await gmailService.listMessagePage(account._id, {
+    query: 'in:inbox',
+    maxResults: limit,
+  });
+  return gmailService.fetchEmailsByIds(account._id, messageIds);
+}
+
+/**
+ * Propose a category set from a sample of the user's inbox
+ * Nothing is saved; the user picks suggestions and imports them
+ * @param {string} userId - User ID
+ * @param {object} options - { limit } emails to sample
+ * @returns {Promise<object>} { sampled, suggestions: [{ name, description, color }], provider }
+ */
+async function suggestCategories(userId, options = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(options.limit) || SUGGEST_SAMPLE_DEFAULT, 1),
+    SUGGEST_SAMPLE_MAX
+  );
+
+  const [emails, existing] = await Promise.all([
+    sampleInbox(userId, limit),
+    Category.find({ userId }).select('name'),
+  ]);
+
+  if (emails.length === 0) {
+    return { sampled: 0, suggestions: [], provider: null };
+  }
+
+  const existingNames = existing.map((cat) => cat.name);
+  const { suggestions, provider } = await aiService.suggestCategories(emails, {
+    userId,
+    existing: existingNames,
+  });
+
+  // Models sometimes repeat a name or propose one the user already has
+  const taken = new Set(existingNames.map((name) => name.toLowerCase()));
+  const unique = [];
+  for (const suggestion of suggestions) {
+    const name = suggestion.name.trim().substring(0, MAX_CATEGORY_NAME_LENGTH);
+    if (!name || !suggestion.description.trim() || taken.has(name.toLowerCase())) continue;
+    taken.add(name.toLowerCase());
+    unique.push({
+      name,
+      description: suggestion.description.trim(),
+      color: SUGGESTION_COLORS[unique.length % SUGGESTION_COLORS.length],
+    });
+  }
+
+  return { sampled: emails.length, suggestions: unique, provider };
+}
+
+/**
+ * Export a user's category set
+ * Parents are referenced by name, which is unique per user
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { version, exportedAt, categories }
+ */
+async function exportCategories(userId) {
+  const categories = await Category.find({ userId }).sort({ position: 1, createdAt: -1 });
+  const nameById = new Map(categories.map((cat) => [cat._id.toString(), cat.name]));
+
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    categories: flattenTree(categories).map(({ category }) => ({
+      name: category.name,
+      description: category.description,
+      color: category.color,
+      icon: category.icon,
+      syncToGmail: category.syncToGmail,
+      parent: category.parentId ? nameById.get(category.parentId.toString()) || null : null,
+    })),
+  };
+}
+
+/**
+ * Validate categories to import
+ * @param {Array<object>} entries - { name, description, color?, icon?, syncToGmail?, parent? }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateImport(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return 'categories must be a non-empty array';
+  }
+
+  if (entries.length > MAX_IMPORT_CATEGORIES) {
+    return `At most ${MAX_IMPORT_CATEGORIES} categories can be imported at once`;
+  }
+
+  for (const [index, entry] of entries.entries()) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      return `Category ${index + 1} needs a name`;
+    }
+    if (entry.name.trim().length > MAX_CATEGORY_NAME_LENGTH) {
+      return `Category names can be at most ${MAX_CATEGORY_NAME_LENGTH} characters`;
+    }
+    if (typeof entry.description !== 'string' || !entry.description.trim()) {
+      return `Category "${entry.name}" needs a description`;
+    }
+    if (entry.parent != null && typeof entry.parent !== 'string') {
+      return `The parent of category "${entry.name}" must be a category name`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create categories from templates, suggestions or an export
+ * Categories whose name already exists are skipped, so importing twice is harmless.
+ * Parents are matched by name against existing and imported categories
+ * @param {string} userId - User ID
+ * @param {Array<object>} entries - Validated entries (see validateImport)
+ * @returns {Promise<object>} { created, skipped } category names
+ */
+async function importCategories(userId, entries) {
+  const existing = await Category.find({ userId });
+  const byName = new Map(existing.map((cat) => [cat.name.toLowerCase(), cat]));
+  const created = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    const name = entry.name.trim();
+    if (byName.has(name.toLowerCase())) {
+      skipped.push(name);
+      continue;
+    }
+
+    const category = new Category({
+      userId,
+      name,
+      description: entry.description.trim(),
+      color: entry.color || SUGGESTION_COLORS[created.length % SUGGESTION_COLORS.length],
+      icon: entry.icon || 'folder',
+      syncToGmail: !!entry.syncToGmail,
+      position: await nextPosition(userId, null),
+    });
+    await category.save();
+
+    byName.set(name.toLowerCase(), category);
+    created.push({ category, parent: entry.parent });
+  }
+
+  // Nest once everything exists, so parents may come after their children in the file
+  const all = Array.from(byName.values());
+  for (const { category, parent } of created) {
+    const parentCategory = parent ? byName.get(parent.trim().toLowerCase()) : null;
+    if (
+      !parentCategory ||
+      parentCategory._id.equals(category._id) ||
+      getDescendantIds(all, category._id).includes(parentCategory._id.toString())
+    ) {
+      continue;
+    }
+
+    category.parentId = parentCategory._id;
+    category.position = await nextPosition(userId, parentCategory._id);
+    await category.save();
+  }
+
+  return { created: created.map(({ category }) => category.name), skipped };
+}
+
+module.exports = {
+  validateParent,
+  nextPosition,
+  listTemplates,
+  suggestCategories,
+  exportCategories,
+  validateImport,
+  importCategories,
+};
@@ -0,0 +1,355 @@
+// server/src/services/categorySuggestions.js
+/**
+ * Category suggestion service
+ * Clusters emails that fit no category (uncategorized, unclassified or sorted with low
+ * confidence) by sender and topic, and proposes a new category for each large cluster
+ */
+
+const { Email, User, Account, Category, CategorySuggestion } = require('../config/database');
+const aiService = require('./ai');
+const reviewService = require('./review');
+const categoryService = require('./categories');
+const emailService = require('./email');
+const feedbackService = require('./feedback');
+const classificationLog = require('./classificationLog');
+const labelService = require('./labels');
+const { parseAddress } = require('../utils/address');
+
+// Emails clustered per run, most recent first
+const MAX_CANDIDATES = 300;
+
+// Smallest cluster worth a category, and most suggestions proposed per run
+const MIN_CLUSTER_SIZE = parseInt(process.env.CATEGORY_SUGGEST_MIN_CLUSTER || 4);
+const MAX_SUGGESTIONS = 5;
+
+// An email joins the closest cluster when its cosine similarity reaches this
+const CLUSTER_SIMILARITY = parseFloat(process.env.CATEGORY_SUGGEST_SIMILARITY || 0.5);
+
+// Added to the similarity when the cluster already has mail from the same sender domain
+const SENDER_BONUS = 0.25;
+
+// Emails sent to the AI to name a cluster, and examples shown to the user
+const NAMING_SAMPLE = 15;
+const EXAMPLE_COUNT = 3;
+
+// Hours between automatic runs per user (0 turns them off)
+const RUN_INTERVAL_HOURS = parseFloat(process.env.CATEGORY_SUGGEST_INTERVAL_HOURS ?? 24);
+
+const SUGGESTION_COLORS = ['#0ea5e9', '#a855f7', '#f97316', '#22c55e', '#e11d48'];
+
+/**
+ * Get the emails that fit none of the user's categories well
+ * Manually categorized emails are settled and never considered
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>} Emails, most recent first
+ */
+async function findCandidates(userId) {
+  const user = await User.findById(userId).select('reviewSettings');
+  const threshold = reviewService.getThreshold(user);
+
+  return Email.find({
+    userId,
+    isArchived: { $ne: true },
+    manuallyCategorized: { $ne: true },
+    $or: [
+      { categoryId: null },
+      { classificationStatus: 'unclassified' },
+      { confidenceScore: { $lt: threshold } },
+    ],
+  })
+    .sort({ receivedAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .select('from subject snippet categoryId accountId gmailId');
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector of the same length
+ * @returns {number} Similarity between -1 and 1 (0 when either vector is empty)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Group emails by topic and sender in one greedy pass
+ * Each email joins the most similar cluster (compared against the cluster's summed vector),
+ * or starts a new one
+ * @param {Array<object>} emails - Emails
+ * @param {Array<Array<number>>} vectors - One embedding per email
+ * @returns {Array<object>} Clusters { emails, senders: Map domain -> count }, largest first,
+ *   without clusters smaller than MIN_CLUSTER_SIZE
+ */
+function clusterEmails(emails, vectors) {
+  const clusters = [];
+
+  emails.forEach((email, index) => {
+    const vector = vectors[index];
+    const domain = parseAddress(email.from).domain;
+
+    let best = null;
+    let bestScore = -Infinity;
+    for (const cluster of clusters) {
+      let score = cosineSimilarity(vector, cluster.sum);
+      if (domain && cluster.senders.has(domain)) score += SENDER_BONUS;
+      if (score > bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+
+    if (!best || bestScore < CLUSTER_SIMILARITY) {
+      best = { emails: [], senders: new Map(), sum: new Array(vector.length).fill(0) };
+      clusters.push(best);
+    }
+
+    best.emails.push(email);
+    vector.forEach((value, i) => {
+      best.sum[i] += value;
+    });
+    if (domain) best.senders.set(domain, (best.senders.get(domain) || 0) + 1);
+  });
+
+  return clusters
+    .filter((cluster) => cluster.emails.length >= MIN_CLUSTER_SIZE)
+    .sort((a, b) => b.emails.length - a.emails.length);
+}
+
+/**
+ * Get the most common sender domains of a cluster
+ * @param {object} cluster - Cluster from clusterEmails
+ * @returns {Array<string>} Up to three domains, most common first
+ */
+function topSenders(cluster) {
+  return Array.from(cluster.senders.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([domain]) => domain);
+}
+
+/**
+ * Name and describe a cluster
+ * Asks the AI for a category fitting the cluster's emails; when it has none (or fails),
+ * the cluster is named after its main sender
+ * @param {string} userId - User ID
+ * @param {object} cluster - Cluster from clusterEmails
+ * @param {Set<string>} taken - Lowercase names that can't be used
+ * @returns {Promise<object|null>} { name, description }, or null when no free name was found
+ */
+async function nameCluster(userId, cluster, taken) {
+  try {
+    const { suggestions } = await aiService.suggestCategories(cluster.emails.slice(0, NAMING_SAMPLE), {
+      userId,
+      existing: Array.from(taken),
+    });
+    const suggestion = suggestions.find(
+      (candidate) =>
+        candidate.name.trim() &&
+        candidate.description.trim() &&
+        !taken.has(candidate.name.trim().toLowerCase())
+    );
+    if (suggestion) {
+      return { name: suggestion.name.trim().substring(0, 50), description: suggestion.description.trim() };
+    }
+  } catch (error) {
+    console.error('Error naming email cluster:', error.message);
+  }
+
+  const senders = topSenders(cluster);
+  if (senders.length === 0) {
+    return null;
+  }
+
+  // Prefer the display name people know the sender by, e.g. "GitHub" over github.com
+  const mainSender = cluster.emails
+    .map((email) => parseAddress(email.from))
+    .find((address) => address.domain === senders[0] && address.name);
+  const name = (mainSender?.name || senders[0]).substring(0, 50);
+  if (taken.has(name.toLowerCase())) {
+    return null;
+  }
+
+  return { name, description: `Emails from ${senders.join(', ')}.` };
+}
+
+/**
+ * Cluster a user's poorly sorted emails and replace their pending suggestions
+ * Names of existing categories and of dismissed suggestions are never proposed
+ * @param {string} userId - User ID
+ * @param {object} options - Optional job hook: shouldStop()
+ * @returns {Promise<object>} Counts { processed, suggested }
+ */
+async function generateSuggestions(userId, options = {}) {
+  const shouldStop = options.shouldStop || (async () => false);
+
+  const [candidates, categories, dismissed] = await Promise.all([
+    findCandidates(userId),
+    Category.find({ userId }).select('name'),
+    CategorySuggestion.find({ userId, status: 'dismissed' }).select('name'),
+  ]);
+
+  const taken = new Set([...categories, ...dismissed].map((item) => item.name.toLowerCase()));
+  const created = [];
+
+  if (candidates.length >= MIN_CLUSTER_SIZE) {
+    const { vectors } = await aiService.embedTexts(
+      candidates.map((email) => `${email.from}\n${email.subject}\n${email.snippet || ''}`),
+      { userId }
+    );
+
+    for (const cluster of clusterEmails(candidates, vectors)) {
+      if (created.length >= MAX_SUGGESTIONS || (await shouldStop())) break;
+
+      const named = await nameCluster(userId, cluster, taken);
+      if (!named) continue;
+      taken.add(named.name.toLowerCase());
+
+      created.push({
+        userId,
+        ...named,
+        color: SUGGESTION_COLORS[created.length % SUGGESTION_COLORS.length],
+        emailIds: cluster.emails.map((email) => email._id),
+        examples: cluster.emails.slice(0, EXAMPLE_COUNT).map((email) => ({
+          emailId: email._id,
+          from: email.from,
+          subject: email.subject,
+        })),
+        senders: topSenders(cluster),
+      });
+    }
+  }
+
+  // Only replace the pending suggestions once the new ones are ready
+  await CategorySuggestion.deleteMany({ userId, status: 'pending' });
+  if (created.length > 0) {
+    await CategorySuggestion.insertMany(created);
+  }
+  await User.updateOne({ _id: userId }, { categorySuggestionsRunAt: new Date() });
+
+  console.log(`💡 Suggested ${created.length} categories from ${candidates.length} emails for user ${userId}`);
+  return { processed: candidates.length, suggested: created.length };
+}
+
+/**
+ * Get a user's pending suggestions
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>} Suggestions, largest cluster first, with an emailCount
+ */
+async function listSuggestions(userId) {
+  const suggestions = await CategorySuggestion.find({ userId, status: 'pending' }).lean();
+  return suggestions
+    .map(({ emailIds, ...suggestion }) => ({ ...suggestion, emailCount: emailIds.length }))
+    .sort((a, b) => b.emailCount - a.emailCount);
+}
+
+/**
+ * Create the category of a suggestion
+ * Moving the emails counts as a manual choice, so it also teaches future sorting.
+ * Emails the user sorted by hand since the suggestion was made stay where they are.
+ * @param {string} userId - User ID
+ * @param {object} suggestion - Pending suggestion document
+ * @param {object} fields - { name, description, color?, parentId?, moveEmails }
+ *   (validated by the caller)
+ * @returns {Promise<object>} { category, moved }
+ */
+async function acceptSuggestion(userId, suggestion, fields) {
+  const category = new Category({
+    userId,
+    name: fields.name,
+    description: fields.description,
+    color: fields.color || suggestion.color || '#3b82f6',
+    icon: 'folder',
+    parentId: fields.parentId || null,
+    position: await categoryService.nextPosition(userId, fields.parentId),
+  });
+  await category.save();
+
+  let moved = 0;
+  if (fields.moveEmails) {
+    const emails = await Email.find({
+      _id: { $in: suggestion.emailIds },
+      userId,
+      manuallyCategorized: { $ne: true },
+    });
+
+    if (emails.length > 0) {
+      const emailIds = emails.map((email) => email._id);
+      await Email.updateMany(
+        { _id: { $in: emailIds } },
+        {
+          categoryId: category._id,
+          aiCategory: category.name,
+          manuallyCategorized: true,
+          reviewedAt: new Date(),
+          classificationStatus: 'classified',
+          $unset: { aiError: 1 },
+        }
+      );
+
+      await feedbackService.recordCorrections(userId, emails, category._id);
+      await classificationLog.recordManualDecisions(userId, emailIds, category);
+      await labelService.mirrorRecategorization(userId, emails, category);
+      await emailService.recountCategories(userId);
+      moved = emails.length;
+    }
+  }
+
+  await CategorySuggestion.updateOne(
+    { _id: suggestion._id },
+    { status: 'accepted', categoryId: category._id, updatedAt: new Date() }
+  );
+
+  return { category, moved };
+}
+
+/**
+ * Dismiss a suggestion so its name isn't proposed again
+ * @param {string} userId - User ID
+ * @param {string} suggestionId - Suggestion ID
+ * @returns {Promise<boolean>} Whether a pending suggestion was dismissed
+ */
+async function dismissSuggestion(userId, suggestionId) {
+  const result = await CategorySuggestion.updateOne(
+    { _id: suggestionId, userId, status: 'pending' },
+    { status: 'dismissed', emailIds: [], examples: [], updatedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Get the users whose automatic suggestion run is due
+ * Only users with a connected account are considered
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<object>>} Users with _id and categorySuggestionsRunAt
+ */
+async function findDueUsers(now = new Date()) {
+  if (!(RUN_INTERVAL_HOURS > 0)) {
+    return [];
+  }
+
+  const dueBefore = new Date(now.getTime() - RUN_INTERVAL_HOURS * 60 * 60 * 1000);
+  const userIds = await Account.distinct('userId');
+  return User.find({
+    _id: { $in: userIds },
+    $or: [{ categorySuggestionsRunAt: null }, { categorySuggestionsRunAt: { $lte: dueBefore } }],
+  }).select('categorySuggestionsRunAt');
+}
+
+module.exports = {
+  cosineSimilarity,
+  clusterEmails,
+  generateSuggestions,
+  listSuggestions,
+  acceptSuggestion,
+  dismissSuggestion,
+  findDueUsers,
+};
@@ -0,0 +1,101 @@
+// server/src/services/classificationLog.js
+/**
+ * Classification audit log service
+ * Records every classification decision with the model, prompt version, candidates,
+ * reasoning, latency and token usage behind it
+ */
+
+const { ClassificationDecision } = require('../config/database');
+
+/**
+ * Record a classification decision for an email
+ * Failures are logged and swallowed so auditing never blocks a sync
+ * @param {string} userId - User ID
+ * @param {string} emailId - Email document ID
+ * @param {object} analysis - Result of aiService.analyzeEmail
+ * @returns {Promise<object|null>} Saved decision or null on failure
+ */
+async function recordDecision(userId, emailId, analysis) {
+  try {
+    const decision = analysis.decision || {};
+
+    return await ClassificationDecision.create({
+      userId,
+      emailId,
+      source: decision.source || 'ai',
+      provider: decision.provider || analysis.provider,
+      model: decision.model || analysis.model,
+      promptVersion: decision.promptVersion,
+      candidateCategories: decision.candidateCategories || [],
+      exampleIds: decision.exampleIds || [],
+      ruleIds: decision.ruleIds || [],
+      categoryId: analysis.categoryId,
+      categoryName: analysis.categoryName,
+      confidence: analysis.confidence,
+      reasoning: analysis.reasoning,
+      status: analysis.status,
+      error: analysis.error?.message,
+      latencyMs: decision.latencyMs,
+      usage: decision.usage,
+    });
+  } catch (error) {
+    console.error(`Error recording classification decision for email ${emailId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Record manual recategorizations in the audit log
+ * @param {string} userId - User ID
+ * @param {Array<string>} emailIds - Email document IDs
+ * @param {object|null} category - Category the emails were moved to (null for uncategorized)
+ * @param {object} options - { accepted } when the user kept the category on review, { viaGmail }
+ *   when the user changed the category label in Gmail
+ * @returns {Promise<void>}
+ */
+async function recordManualDecisions(userId, emailIds, category, options = {}) {
+  let reasoning = category ? `Moved to ${category.name} by hand` : 'Removed from its category by hand';
+  if (options.accepted) {
+    reasoning = `Accepted ${category.name} on review`;
+  } else if (options.viaGmail) {
+    reasoning = category
+      ? `Labeled ${category.name} in Gmail`
+      : 'Category label removed in Gmail';
+  }
+
+  try {
+    await ClassificationDecision.insertMany(
+      emailIds.map((emailId) => ({
+        userId,
+        emailId,
+        source: 'manual',
+        categoryId: category?._id || null,
+        categoryName: category?.name || null,
+        confidence: 1,
+        reasoning,
+        status: 'classified',
+      }))
+    );
+  } catch (error) {
+    console.error('Error recording manual classification decisions:', error.message);
+  }
+}
+
+/**
+ * Get the classification decisions for an email, newest first
+ * @param {string} userId - User ID
+ * @param {string} emailId - Email document ID
+ * @returns {Promise<Array>} Decisions
+ */
+async function getClassificationHistory(userId, emailId) {
+  return ClassificationDecision.find({ userId, emailId })
+    .sort({ createdAt: -1 })
+    .limit(100)
+    .populate('categoryId', 'name color');
+}
+
+module.exports = {
+  recordDecision,
+  recordManualDecisions,
+  getClassificationHistory,
+};
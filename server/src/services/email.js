@@ -4,137 +4,685 @@
  * Orchestrates email fetching, classification, summarization, and archiving
  */
 
-const { Email, Account, Category } = require('../config/database');
+const mongoose = require('mongoose');
+const { Email, Account, Category, User, Tag } = require('../config/database');
 const gmailService = require('./gmail');
 const aiService = require('./ai');
+const classificationLog = require('./classificationLog');
+const rulesService = require('./rules');
+const tagService = require('./tags');
+const labelService = require('./labels');
+const subscriptionService = require('./subscriptions');
+const { mapWithConcurrency } = require('../utils/concurrency');
 
-// In-memory store for tracking stop sync requests
-const stopSyncRequests = new Map();
+// Emails in flight per sync; Gmail and AI calls are further limited by their own limiters
+const pipelineConcurrency = parseInt(process.env.SYNC_PIPELINE_CONCURRENCY || 8);
+
+// Raw AI output kept on emails whose response couldn't be parsed
+const MAX_RAW_RESPONSE_CHARS = 2000;
+
+// Emails loaded from MongoDB at a time by a reclassify job
+const RECLASSIFY_BATCH_SIZE = 100;
+
+// Overlap when catching up after an expired history checkpoint; emails already stored are skipped
+const CATCH_UP_OVERLAP_MS = 60 * 60 * 1000;
+
+// Mail imported by an account's first sync; older mail is imported with a backfill
+const FIRST_SYNC_QUERY = 'in:inbox is:unread';
+
+// Syncs that retry an email that failed to import before it is given up on
+const MAX_IMPORT_ATTEMPTS = 5;
+
+/**
+ * Resolve the optional job hooks passed to processNewEmails
+ * Sync jobs use them to cancel a running sync and to record progress
+ * @param {object} options - { shouldStop, onProgress }
+ * @returns {object} { shouldStop, onProgress } with no-op defaults
+ */
+function getSyncHooks(options = {}) {
+  return {
+    shouldStop: options.shouldStop || (async () => false),
+    onProgress: options.onProgress || (async () => {}),
+  };
+}
+
+/**
+ * Classify an email, letting matched rules override or skip the AI
+ * @param {string} userId - User ID
+ * @param {object} gmailEmail - Parsed Gmail message
+ * @param {Array<object>} matchedRules - Rules that matched the email
+ * @param {object|null} actions - Combined actions of the matched rules
+ * @returns {Promise<object>} Analysis in the shape returned by aiService.analyzeEmail
+ */
+async function classifyWithRules(userId, gmailEmail, matchedRules, actions) {
+  if (!actions) {
+    return aiService.analyzeEmail(userId, gmailEmail);
+  }
+
+  const ruleIds = matchedRules.map((rule) => rule._id);
+  const category = actions.categoryId
+    ? await Category.findOne({ _id: actions.categoryId, userId })
+    : null;
+  const reasoning = `Matched rule "${matchedRules[0].name}"`;
+
+  if (actions.skipAI) {
+    return {
+      categoryId: category?._id || null,
+      categoryName: category?.name || null,
+      confidence: category ? 1 : 0,
+      reasoning,
+      summary: gmailEmail.snippet || '',
+      metadata: null,
+      status: 'classified',
+      decision: { source: 'rule', ruleIds, latencyMs: 0 },
+    };
+  }
+
+  const analysis = await aiService.analyzeEmail(userId, gmailEmail);
+  if (!category) {
+    return { ...analysis, decision: { ...analysis.decision, ruleIds } };
+  }
+
+  // The rule decides the category; the AI still provides the summary and metadata
+  return {
+    ...analysis,
+    categoryId: category._id,
+    categoryName: category.name,
+    confidence: 1,
+    reasoning,
+    status: 'classified',
+    error: null,
+    decision: { ...analysis.decision, source: 'rule', ruleIds },
+  };
+}
+
+/**
+ * Classify, summarize and store a single Gmail message
+ * @param {string} userId - User ID
+ * @param {string} accountId - Account ID
+ * @param {object} gmailEmail - Parsed Gmail message
+ * @param {object} options - { markAsRead, rules } (defaults to marking the email read in Gmail
+ *   and loading the user's active rules)
+ * @returns {Promise<object|null>} Saved email document, or null if it already existed or a rule deleted it
+ */
+async function importEmail(userId, accountId, gmailEmail, options = {}) {
+  const { markAsRead = true } = options;
+
+  // Check if email already exists
+  const existingEmail = await Email.findOne({ gmailId: gmailEmail.gmailId });
+  if (existingEmail) {
+    console.log(`Email ${gmailEmail.gmailId} already exists, skipping`);
+    return null;
+  }
+
+  // User rules run before the AI
+  const rules = options.rules || (await rulesService.getActiveRules(userId));
+  const { matchedRules, actions } = rulesService.evaluateRules(rules, { ...gmailEmail, accountId });
+  await rulesService.recordMatches(matchedRules);
+
+  if (actions?.delete) {
+    await gmailService.deleteEmail(accountId, gmailEmail.gmailId);
+    console.log(`Rule "${matchedRules[0].name}" deleted email ${gmailEmail.gmailId}`);
+    return null;
+  }
+
+  // Classify, summarize and extract metadata in one AI call (unless a rule skips it)
+  const analysis = await classifyWithRules(userId, gmailEmail, matchedRules, actions);
+  if (analysis.status === 'unclassified') {
+    console.warn(`Email "${gmailEmail.subject}" left unclassified for review`);
+  } else {
+    console.log(`Classified email "${gmailEmail.subject}" to category: ${analysis.categoryName}`);
+  }
+
+  // Create email document
+  const emailDoc = new Email({
+    userId,
+    accountId,
+    categoryId: analysis.categoryId,
+    ...gmailEmail,
+    isArchived: !!actions?.archive,
+    isRead: gmailEmail.isRead || !!actions?.markRead,
+    aiSummary: analysis.summary,
+    aiCategory: analysis.categoryName,
+    tagIds: analysis.tagIds || [],
+    confidenceScore: analysis.confidence,
+    aiMetadata: analysis.metadata || undefined,
+    classificationStatus: analysis.status,
+    aiError: analysis.error
+      ? {
+          message: analysis.error.message,
+          rawResponse: analysis.error.rawResponse?.substring(0, MAX_RAW_RESPONSE_CHARS),
+          retryable: !!analysis.error.retryable,
+          at: new Date(),
+        }
+      : undefined,
+  });
+
+  await emailDoc.save();
+  await classificationLog.recordDecision(userId, emailDoc._id, analysis);
+
+  // Mail from a list the user unsubscribed from flags the unsubscribe as failed
+  const { autoArchive } = await subscriptionService.recordEmail(userId, emailDoc);
+  if (autoArchive && !emailDoc.isArchived) {
+    await Email.updateOne({ _id: emailDoc._id }, { isArchived: true });
+    emailDoc.isArchived = true;
+  }
+
+  if (emailDoc.tagIds.length > 0) {
+    const tags = await Tag.find({ _id: { $in: emailDoc.tagIds } });
+    await tagService.mirrorTagChanges(emailDoc, { added: tags });
+  }
+
+  // Update category email count
+  if (analysis.categoryId) {
+    const category = await Category.findByIdAndUpdate(
+      analysis.categoryId,
+      { $inc: { emailCount: 1 } },
+      { new: true }
+    );
+    await labelService.mirrorCategoryChange(emailDoc, { to: category });
+  }
+
+  if (emailDoc.isArchived) {
+    await gmailService.archiveEmail(accountId, gmailEmail.gmailId);
+  }
+
+  // Mark email as read in Gmail to prevent re-processing
+  // (we don't archive so emails remain accessible in Gmail)
+  if (markAsRead || actions?.markRead) {
+    await gmailService.markEmailAsRead(accountId, gmailEmail.gmailId);
+    console.log(`Marked email ${gmailEmail.gmailId} as read in Gmail`);
+  }
+
+  return emailDoc;
+}
 
 /**
- * Request to stop sync for an account
+ * Remove locally stored emails that no longer exist in Gmail
  * @param {string} accountId - Account ID
+ * @param {Array<string>} gmailIds - Gmail message IDs that were deleted or trashed
+ * @returns {Promise<number>} Number of emails removed
  */
-function requestStopSync(accountId) {
-  stopSyncRequests.set(accountId, true);
-  console.log(`Stop sync requested for account ${accountId}`);
+async function removeDeletedEmails(accountId, gmailIds) {
+  if (gmailIds.length === 0) {
+    return 0;
+  }
+
+  const emails = await Email.find({ accountId, gmailId: { $in: gmailIds } });
+  if (emails.length === 0) {
+    return 0;
+  }
+
+  await Email.deleteMany({ _id: { $in: emails.map((e) => e._id) } });
+
+  // Update category counts
+  for (const email of emails) {
+    if (email.categoryId) {
+      await Category.findByIdAndUpdate(
+        email.categoryId,
+        { $inc: { emailCount: -1 } },
+        { new: true }
+      );
+    }
+  }
+
+  return emails.length;
 }
 
 /**
- * Check if stop sync has been requested for an account
+ * Apply mailbox changes from the Gmail history API to stored emails
+ * Handles deletions, read/archive/spam/trash label changes and category labels
  * @param {string} accountId - Account ID
- * @returns {boolean} True if stop sync requested
+ * @param {object} changes - Result of gmailService.fetchHistoryChanges
+ * @returns {Promise<object>} Counts of removed, updated and recategorized emails
  */
-function isStopSyncRequested(accountId) {
-  return stopSyncRequests.get(accountId) === true;
+async function applyHistoryChanges(accountId, changes) {
+  const trashedIds = [];
+  let updated = 0;
+
+  for (const { gmailId, labelsAdded, labelsRemoved } of changes.labelChanges) {
+    if (labelsAdded.includes('TRASH')) {
+      trashedIds.push(gmailId);
+      continue;
+    }
+
+    const update = {};
+    if (labelsAdded.includes('UNREAD')) update.isRead = false;
+    if (labelsRemoved.includes('UNREAD')) update.isRead = true;
+    if (labelsAdded.includes('INBOX')) update.isArchived = false;
+    if (labelsRemoved.includes('INBOX')) update.isArchived = true;
+    if (labelsAdded.includes('SPAM')) update.isSpam = true;
+    if (labelsRemoved.includes('SPAM')) update.isSpam = false;
+
+    if (Object.keys(update).length === 0) {
+      continue;
+    }
+
+    const result = await Email.updateOne({ accountId, gmailId }, update);
+    updated += result.modifiedCount;
+  }
+
+  const removed = await removeDeletedEmails(accountId, [...changes.deletedIds, ...trashedIds]);
+  const recategorized = await labelService.applyCategoryLabelChanges(accountId, changes.labelChanges);
+
+  console.log(
+    `Applied history changes: ${removed} removed, ${updated} updated, ${recategorized} recategorized`
+  );
+  return { removed, updated, recategorized };
 }
 
 /**
- * Clear stop sync request for an account
+ * Find messages moved into the inbox that were never imported
+ * Mail moved in from archive or spam, or by a filter, only shows up as an INBOX label change
  * @param {string} accountId - Account ID
+ * @param {object} changes - Result of gmailService.fetchHistoryChanges
+ * @returns {Promise<Array<string>>} Gmail IDs to import alongside changes.addedIds
  */
-function clearStopSyncRequest(accountId) {
-  stopSyncRequests.delete(accountId);
-  console.log(`Cleared stop sync request for account ${accountId}`);
+async function getMovedInIds(accountId, changes) {
+  const movedIn = changes.labelChanges
+    .filter(({ labelsAdded }) => labelsAdded.includes('INBOX') && !labelsAdded.includes('TRASH'))
+    .map(({ gmailId }) => gmailId)
+    .filter((gmailId) => !changes.addedIds.includes(gmailId));
+
+  if (movedIn.length === 0) {
+    return [];
+  }
+
+  const known = await Email.find({ accountId, gmailId: { $in: movedIn } }).distinct('gmailId');
+  return movedIn.filter((gmailId) => !known.includes(gmailId));
 }
 
 /**
- * Process and import new emails for a user account
- * Fetches unread emails from Gmail, classifies them, summarizes them, and archives them
+ * Import a batch of Gmail messages with bounded concurrency
+ * Stops starting new emails once a stop is requested; emails already in flight finish
  * @param {string} userId - User ID
  * @param {string} accountId - Account ID
- * @returns {Promise<Array>} Array of processed email objects
+ * @param {Array} gmailEmails - Parsed Gmail messages
+ * @param {object} context - { counts, hooks, importOptions }
+ * @returns {Promise<object>} { emailDocs, stopped, failures } where failures are { gmailId, error }
  */
-async function processNewEmails(userId, accountId) {
-  try {
-    console.log(`Processing emails for user ${userId}, account ${accountId}`);
+async function importEmailBatch(userId, accountId, gmailEmails, { counts, hooks, importOptions }) {
+  const emailDocs = [];
+  const failures = [];
+  let stopped = false;
 
-    // Clear any previous stop sync request
-    clearStopSyncRequest(accountId);
+  // Load the rules once for the whole batch
+  const rules = await rulesService.getActiveRules(userId);
 
-    // Update account sync status
-    await Account.updateOne({ _id: accountId }, { syncStatus: 'syncing' });
+  await mapWithConcurrency(gmailEmails, pipelineConcurrency, async (gmailEmail) => {
+    // Check if stop sync has been requested
+    if (stopped || (await hooks.shouldStop())) {
+      stopped = true;
+      return;
+    }
+
+    try {
+      const emailDoc = await importEmail(userId, accountId, gmailEmail, {
+        ...importOptions,
+        rules,
+      });
+      if (emailDoc) {
+        emailDocs.push(emailDoc);
+        counts.processed++;
+      } else {
+        counts.skipped++;
+      }
+      await hooks.onProgress(counts);
+    } catch (error) {
+      // Continue with next email even if one fails
+      console.error(`Error processing email ${gmailEmail.gmailId}:`, error);
+      counts.failed++;
+      failures.push({ gmailId: gmailEmail.gmailId, error: error.message });
+      await hooks.onProgress(counts, { gmailId: gmailEmail.gmailId, message: error.message });
+    }
+  });
 
-    // Fetch unread emails from Gmail
-    const gmailEmails = await gmailService.fetchUnreadEmails(userId, accountId);
-    console.log(`Fetched ${gmailEmails.length} unread emails from Gmail`);
+  return { emailDocs, stopped, failures };
+}
 
-    if (gmailEmails.length === 0) {
-      await Account.updateOne({ _id: accountId }, { syncStatus: 'completed', lastSyncAt: new Date() });
-      return [];
+/**
+ * Import every message matching a Gmail search query, page by page
+ * @param {string} userId - User ID
+ * @param {string} accountId - Account ID
+ * @param {string} query - Gmail search query
+ * @param {object} context - { counts, hooks }
+ * @returns {Promise<object>} { emailDocs, stopped, failures }
+ */
+async function importMessagePages(userId, accountId, query, { counts, hooks }) {
+  const emailDocs = [];
+  const failures = [];
+  let pageToken = null;
+
+  do {
+    const page = await gmailService.listMessagePage(accountId, { query, pageToken });
+    const gmailEmails = await gmailService.fetchEmailsByIds(accountId, page.messageIds);
+    const batch = await importEmailBatch(userId, accountId, gmailEmails, { counts, hooks });
+    emailDocs.push(...batch.emailDocs);
+    failures.push(...batch.failures);
+    if (batch.stopped) {
+      return { emailDocs, stopped: true, failures };
     }
+    pageToken = page.nextPageToken;
+  } while (pageToken);
 
-    // Process each email
-    const processedEmails = [];
-    for (const gmailEmail of gmailEmails) {
-      try {
-        // Check if stop sync has been requested
-        if (isStopSyncRequested(accountId)) {
-          console.log(`Stop sync requested for account ${accountId}, stopping email processing`);
-          await Account.updateOne(
-            { _id: accountId },
-            { syncStatus: 'completed', lastSyncAt: new Date() }
-          );
-          clearStopSyncRequest(accountId);
-          return processedEmails;
-        }
+  return { emailDocs, stopped: false, failures };
+}
 
-        // Check if email already exists
-        const existingEmail = await Email.findOne({ gmailId: gmailEmail.gmailId });
-        if (existingEmail) {
-          console.log(`Email ${gmailEmail.gmailId} already exists, skipping`);
-          continue;
-        }
+/**
+ * Import every inbox message received since a point in time, page by page
+ * Used when there is no usable history checkpoint, so a long gap isn't cut down to the
+ * latest unread emails
+ * @param {string} userId - User ID
+ * @param {string} accountId - Account ID
+ * @param {Date} since - Last successful sync
+ * @param {object} context - { counts, hooks }
+ * @returns {Promise<object>} { emailDocs, stopped, failures }
+ */
+async function importMessagesSince(userId, accountId, since, context) {
+  const after = Math.floor((new Date(since).getTime() - CATCH_UP_OVERLAP_MS) / 1000);
+  return importMessagePages(userId, accountId, `in:inbox after:${after}`, context);
+}
+
+/**
+ * Format a date for a Gmail search query (YYYY/MM/DD)
+ * @param {string|Date} value - Date value
+ * @returns {string} Formatted date
+ */
+function formatQueryDate(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}`;
+}
+
+/**
+ * Build the Gmail search query for a backfill
+ * @param {object} options - { after, before, query }
+ * @returns {string} Gmail search query
+ */
+function buildBackfillQuery({ after, before, query } = {}) {
+  const parts = [query ? query.trim() : 'in:inbox'];
+  if (after) parts.push(`after:${formatQueryDate(after)}`);
+  if (before) parts.push(`before:${formatQueryDate(before)}`);
+  return parts.join(' ');
+}
+
+/**
+ * Check whether an account has an interrupted backfill to resume
+ * @param {object} account - Account document
+ * @returns {boolean} True when the backfill was running, stopped or failed
+ */
+function canResumeBackfill(account) {
+  return ['running', 'stopped', 'error'].includes(account?.backfill?.status);
+}
+
+/**
+ * Import historical mail page by page
+ * The page token of the page being imported is stored on the account after every page,
+ * so an interrupted backfill can continue where it left off
+ * @param {string} userId - User ID
+ * @param {string} accountId - Account ID
+ * @param {object} options - { after, before, query, resume, shouldStop, onProgress }
+ * @returns {Promise<object>} Final backfill progress
+ */
+async function runBackfill(userId, accountId, options = {}) {
+  const hooks = getSyncHooks(options);
+  const counts = { processed: 0, skipped: 0, failed: 0 };
 
-        // Classify email
-        const classification = await aiService.classifyEmail(userId, gmailEmail);
-        console.log(
-          `Classified email "${gmailEmail.subject}" to category: ${classification.categoryName}`
+  const account = await Account.findById(accountId);
+  if (!account) {
+    throw new Error('Account not found');
+  }
+
+  const previous = account.backfill || {};
+  const resuming = options.resume && canResumeBackfill(account);
+
+  const progress = resuming
+    ? {
+        query: previous.query,
+        pageToken: previous.pageToken || null,
+        pagesProcessed: previous.pagesProcessed || 0,
+        processed: previous.processed || 0,
+        estimatedTotal: previous.estimatedTotal,
+        startedAt: previous.startedAt || new Date(),
+      }
+    : {
+        query: buildBackfillQuery(options),
+        pageToken: null,
+        pagesProcessed: 0,
+        processed: 0,
+        estimatedTotal: null,
+        startedAt: new Date(),
+      };
+
+  console.log(
+    `${resuming ? 'Resuming' : 'Starting'} backfill for account ${accountId} with query "${progress.query}"`
+  );
+
+  await Account.updateOne(
+    { _id: accountId },
+    {
+      syncStatus: 'syncing',
+      backfill: { ...progress, status: 'running', error: null, completedAt: null },
+    }
+  );
+
+  try {
+    do {
+      const page = await gmailService.listMessagePage(accountId, {
+        query: progress.query,
+        pageToken: progress.pageToken,
+      });
+
+      if (progress.pagesProcessed === 0) {
+        progress.estimatedTotal = page.resultSizeEstimate;
+      }
+
+      const gmailEmails = await gmailService.fetchEmailsByIds(accountId, page.messageIds);
+
+      const { emailDocs, stopped } = await importEmailBatch(userId, accountId, gmailEmails, {
+        counts,
+        hooks,
+        importOptions: { markAsRead: false },
+      });
+      progress.processed += emailDocs.length;
+
+      if (stopped) {
+        // The cursor stays on this page; emails already imported are skipped on resume
+        console.log(`Stop sync requested for account ${accountId}, pausing backfill`);
+        await Account.updateOne(
+          { _id: accountId },
+          {
+            syncStatus: 'completed',
+            'backfill.status': 'stopped',
+            'backfill.processed': progress.processed,
+          }
         );
+        return { ...progress, counts, status: 'stopped' };
+      }
 
-        // Summarize email
-        const summary = await aiService.summarizeEmail(gmailEmail);
-        console.log(`Summarized email "${gmailEmail.subject}"`);
-
-        // Create email document
-        const emailDoc = new Email({
-          userId,
-          accountId,
-          categoryId: classification.categoryId,
-          ...gmailEmail,
-          aiSummary: summary,
-          aiCategory: classification.categoryName,
-          confidenceScore: classification.confidence,
-        });
-
-        await emailDoc.save();
-
-        // Update category email count
-        if (classification.categoryId) {
-          await Category.findByIdAndUpdate(
-            classification.categoryId,
-            { $inc: { emailCount: 1 } },
-            { new: true }
-          );
+      // Page finished - advance the cursor
+      progress.pageToken = page.nextPageToken;
+      progress.pagesProcessed++;
+      await Account.updateOne(
+        { _id: accountId },
+        {
+          'backfill.pageToken': progress.pageToken,
+          'backfill.pagesProcessed': progress.pagesProcessed,
+          'backfill.processed': progress.processed,
+          'backfill.estimatedTotal': progress.estimatedTotal,
         }
+      );
+      console.log(
+        `Backfill page ${progress.pagesProcessed} done for account ${accountId} (${progress.processed} imported)`
+      );
+    } while (progress.pageToken);
+
+    const completedAt = new Date();
+    await Account.updateOne(
+      { _id: accountId },
+      {
+        syncStatus: 'completed',
+        lastSyncAt: completedAt,
+        'backfill.status': 'completed',
+        'backfill.completedAt': completedAt,
+      }
+    );
+
+    console.log(`Backfill completed for account ${accountId}: ${progress.processed} emails imported`);
+    return { ...progress, counts, status: 'completed', completedAt };
+  } catch (error) {
+    console.error('Error during backfill:', error);
+    await Account.updateOne(
+      { _id: accountId },
+      { syncStatus: 'error', 'backfill.status': 'error', 'backfill.error': error.message }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Work out which failed emails later syncs should retry
+ * @param {Array<object>} previous - The account's importRetries before this sync
+ * @param {Array<object>} failures - { gmailId, error } of emails that failed in this sync
+ * @returns {Array<object>} { gmailId, attempts, error } still worth retrying
+ */
+function nextImportRetries(previous, failures) {
+  const attempts = new Map(previous.map((retry) => [retry.gmailId, retry.attempts]));
+  const seen = new Set();
+  const retries = [];
+
+  for (const { gmailId, error } of failures) {
+    // A retried email can fail again when the same sync also sees it as new
+    if (seen.has(gmailId)) {
+      continue;
+    }
+    seen.add(gmailId);
+
+    const attempt = (attempts.get(gmailId) || 0) + 1;
+    if (attempt >= MAX_IMPORT_ATTEMPTS) {
+      console.warn(`Giving up on email ${gmailId} after ${attempt} failed imports: ${error}`);
+      continue;
+    }
+    retries.push({ gmailId, attempts: attempt, error });
+  }
 
-        // Mark email as read in Gmail to prevent re-processing
-        // (we don't archive so emails remain accessible in Gmail)
-        await gmailService.markEmailAsRead(accountId, gmailEmail.gmailId);
-        console.log(`Marked email ${gmailEmail.gmailId} as read in Gmail`);
+  return retries;
+}
+
+/**
+ * Process and import new emails for a user account
+ * Uses the stored Gmail history checkpoint to pull only changes since the last sync.
+ * Without a usable checkpoint, everything in the inbox since the last sync is imported,
+ * or all unread inbox mail on an account's first sync
+ * With `options.mode === 'backfill'` historical mail matching a date range or query is
+ * imported instead (see runBackfill)
+ * @param {string} userId - User ID
+ * @param {string} accountId - Account ID
+ * @param {object} options - { mode, after, before, query, resume } plus optional job hooks:
+ *   shouldStop() resolving true to stop early, onProgress(counts, error) after every email
+ * @returns {Promise<Array|object>} Array of processed email objects, or the final
+ *   backfill progress in backfill mode
+ */
+async function processNewEmails(userId, accountId, options = {}) {
+  if (options.mode === 'backfill') {
+    return runBackfill(userId, accountId, options);
+  }
+
+  const hooks = getSyncHooks(options);
+  const counts = { processed: 0, skipped: 0, failed: 0 };
+
+  try {
+    console.log(`Processing emails for user ${userId}, account ${accountId}`);
+
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    // Update account sync status
+    await Account.updateOne({ _id: accountId }, { syncStatus: 'syncing' });
 
-        processedEmails.push(emailDoc);
+    let changes = null;
+    if (account.historyId) {
+      try {
+        changes = await gmailService.fetchHistoryChanges(accountId, account.historyId);
       } catch (error) {
-        console.error(`Error processing email ${gmailEmail.gmailId}:`, error);
-        // Continue with next email even if one fails
-        continue;
+        if (!error.historyExpired) {
+          throw error;
+        }
       }
     }
 
+    // Emails that failed on earlier syncs go first
+    const previousRetries = account.importRetries || [];
+    let retryBatch = { emailDocs: [], stopped: false, failures: [] };
+    if (previousRetries.length > 0) {
+      const retryEmails = await gmailService.fetchEmailsByIds(
+        accountId,
+        previousRetries.map((retry) => retry.gmailId)
+      );
+      console.log(`Retrying ${retryEmails.length} emails that failed to import before`);
+      retryBatch = await importEmailBatch(userId, accountId, retryEmails, { counts, hooks });
+    }
+
+    let historyId;
+    let batch;
+    // Set while catching up after an expired checkpoint; lastSyncAt only moves once that's done
+    let catchUpSince = null;
+
+    if (retryBatch.stopped) {
+      batch = { emailDocs: [], stopped: true, failures: [] };
+    } else if (changes) {
+      // Incremental sync
+      await applyHistoryChanges(accountId, changes);
+      const movedInIds = await getMovedInIds(accountId, changes);
+      const gmailEmails = await gmailService.fetchEmailsByIds(accountId, [
+        ...changes.addedIds,
+        ...movedInIds,
+      ]);
+      historyId = changes.historyId;
+      console.log(`Fetched ${gmailEmails.length} new emails from Gmail history`);
+      batch = await importEmailBatch(userId, accountId, gmailEmails, { counts, hooks });
+    } else if (account.lastSyncAt) {
+      // The checkpoint expired or was never stored - take a new one first, then page through
+      // everything since the last sync so nothing in the gap is missed
+      historyId = await gmailService.getCurrentHistoryId(accountId);
+      catchUpSince = account.lastSyncAt;
+      console.log(`No usable Gmail history, importing emails since ${catchUpSince.toISOString()}`);
+      batch = await importMessagesSince(userId, accountId, catchUpSince, { counts, hooks });
+    } else {
+      // First sync - take the checkpoint first so nothing arriving meanwhile is missed, then
+      // page through all unread inbox mail
+      historyId = await gmailService.getCurrentHistoryId(accountId);
+      console.log(`First sync of account ${accountId}, importing unread inbox emails`);
+      batch = await importMessagePages(userId, accountId, FIRST_SYNC_QUERY, { counts, hooks });
+    }
+
+    const processedEmails = [...retryBatch.emailDocs, ...batch.emailDocs];
+
+    if (batch.stopped) {
+      // Keep the old checkpoint so the remaining emails are picked up next time
+      console.log(`Stop sync requested for account ${accountId}, stopping email processing`);
+      await Account.updateOne(
+        { _id: accountId },
+        { syncStatus: 'completed', ...(!catchUpSince && { lastSyncAt: new Date() }) }
+      );
+      return processedEmails;
+    }
+
     // Update account sync status
+    // The checkpoint always moves on; failed emails are retried by the next syncs instead
     await Account.updateOne(
       { _id: accountId },
-      { syncStatus: 'completed', lastSyncAt: new Date() }
+      {
+        syncStatus: 'completed',
+        historyId,
+        lastSyncAt: new Date(),
+        importRetries: nextImportRetries(previousRetries, [...retryBatch.failures, ...batch.failures]),
+      }
     );
 
     console.log(`Processed ${processedEmails.length} emails successfully`);
@@ -146,6 +694,199 @@ async function processNewEmails(userId, accountId) {
   }
 }
 
+/**
+ * Build the MongoDB query for a reclassify filter
+ * Manually categorized emails are never matched, so corrections are never overwritten
+ * @param {string} userId - User ID
+ * @param {object} filter - { categoryId, after, before, accountId, confidenceBelow, retryable }
+ *   (categoryId may also be 'uncategorized' or 'unclassified'; retryable matches only emails
+ *   left unclassified because the AI provider was unavailable)
+ * @returns {object} Email query
+ */
+function buildReclassifyQuery(userId, filter = {}) {
+  const { categoryId, after, before, accountId, confidenceBelow, retryable } = filter;
+  const query = { userId, manuallyCategorized: { $ne: true } };
+
+  if (retryable) {
+    query.classificationStatus = 'unclassified';
+    query['aiError.retryable'] = true;
+  }
+
+  if (categoryId === 'uncategorized') {
+    query.categoryId = null;
+  } else if (categoryId === 'unclassified') {
+    query.classificationStatus = 'unclassified';
+  } else if (categoryId) {
+    query.categoryId = categoryId;
+  }
+
+  if (after || before) {
+    query.receivedAt = {};
+    if (after) query.receivedAt.$gte = new Date(after);
+    if (before) query.receivedAt.$lt = new Date(before);
+  }
+
+  if (accountId) {
+    query.accountId = accountId;
+  }
+
+  if (confidenceBelow != null) {
+    query.confidenceScore = { $lt: confidenceBelow };
+  }
+
+  return query;
+}
+
+/**
+ * Re-run classification for one stored email and save the result
+ * Rules that set a category still win over the AI; emails the AI fails on are left as they are
+ * @param {string} userId - User ID
+ * @param {object} email - Email document
+ * @param {object} context - { rules, categories, aiSettings }
+ * @returns {Promise<string>} 'moved', 'unchanged' or 'failed'
+ */
+async function reclassifyEmail(userId, email, { rules, categories, aiSettings }) {
+  const { matchedRules, actions } = rulesService.evaluateRules(rules, email);
+
+  let analysis;
+  if (actions?.categoryId) {
+    const category = categories.find((cat) => cat._id.toString() === actions.categoryId.toString());
+    analysis = {
+      categoryId: category?._id || null,
+      categoryName: category?.name || null,
+      confidence: 1,
+      reasoning: `Matched rule "${matchedRules[0].name}"`,
+      status: 'classified',
+      decision: { source: 'rule', ruleIds: matchedRules.map((rule) => rule._id), latencyMs: 0 },
+    };
+  } else if (actions?.skipAI) {
+    return 'unchanged';
+  } else {
+    analysis = await aiService.classifyEmail(userId, email, { categories, aiSettings });
+  }
+
+  await classificationLog.recordDecision(userId, email._id, analysis);
+
+  if (analysis.status === 'unclassified') {
+    return 'failed';
+  }
+
+  const previousId = email.categoryId ? email.categoryId.toString() : null;
+  const nextId = analysis.categoryId ? analysis.categoryId.toString() : null;
+  const findCategory = (id) => categories.find((cat) => cat._id.toString() === id) || null;
+
+  await Email.updateOne(
+    { _id: email._id },
+    {
+      categoryId: analysis.categoryId,
+      aiCategory: analysis.categoryName,
+      confidenceScore: analysis.confidence,
+      classificationStatus: 'classified',
+      $unset: { aiError: 1 },
+    }
+  );
+
+  if (previousId === nextId) {
+    return 'unchanged';
+  }
+
+  await labelService.mirrorCategoryChange(email, {
+    from: findCategory(previousId),
+    to: findCategory(nextId),
+  });
+  return 'moved';
+}
+
+/**
+ * Recompute the email count of every category from the stored emails
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function recountCategories(userId) {
+  const [categories, totals] = await Promise.all([
+    Category.find({ userId }).select('_id'),
+    Email.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), categoryId: { $ne: null } } },
+      { $group: { _id: '$categoryId', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countById = new Map(totals.map((total) => [total._id.toString(), total.count]));
+  await Promise.all(
+    categories.map((category) =>
+      Category.updateOne(
+        { _id: category._id },
+        { emailCount: countById.get(category._id.toString()) || 0 }
+      )
+    )
+  );
+}
+
+/**
+ * Re-classify stored emails that match a filter
+ * Used after categories are added, renamed or reworded. Emails are read in _id order in
+ * batches, and category counts are recomputed at the end (also when stopped early)
+ * @param {string} userId - User ID
+ * @param {object} filter - See buildReclassifyQuery
+ * @param {object} options - Optional job hooks: shouldStop(), onProgress(counts, error)
+ * @returns {Promise<object>} Final counts { processed, moved, unchanged, failed }
+ */
+async function reclassifyEmails(userId, filter = {}, options = {}) {
+  const hooks = getSyncHooks(options);
+  const counts = { processed: 0, skipped: 0, failed: 0, moved: 0, unchanged: 0 };
+  const query = buildReclassifyQuery(userId, filter);
+
+  const [rules, categories, user] = await Promise.all([
+    rulesService.getActiveRules(userId),
+    Category.find({ userId }),
+    User.findById(userId).select('aiSettings'),
+  ]);
+  const context = { rules, categories, aiSettings: user?.aiSettings };
+
+  console.log(`Re-classifying emails for user ${userId}`);
+
+  try {
+    let lastId = null;
+    let stopped = false;
+
+    while (!stopped) {
+      const batch = await Email.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+        .sort({ _id: 1 })
+        .limit(RECLASSIFY_BATCH_SIZE);
+
+      if (batch.length === 0) {
+        break;
+      }
+      lastId = batch[batch.length - 1]._id;
+
+      await mapWithConcurrency(batch, pipelineConcurrency, async (email) => {
+        if (stopped || (await hooks.shouldStop())) {
+          stopped = true;
+          return;
+        }
+
+        try {
+          const outcome = await reclassifyEmail(userId, email, context);
+          counts[outcome]++;
+          if (outcome !== 'failed') counts.processed++;
+          await hooks.onProgress(counts);
+        } catch (error) {
+          console.error(`Error re-classifying email ${email._id}:`, error);
+          counts.failed++;
+          await hooks.onProgress(counts, { gmailId: email.gmailId, message: error.message });
+        }
+      });
+    }
+  } finally {
+    await recountCategories(userId);
+  }
+
+  console.log(
+    `Re-classified ${counts.processed} emails: ${counts.moved} moved, ${counts.unchanged} unchanged, ${counts.failed} failed`
+  );
+  return counts;
+}
+
 /**
  * Get emails in a specific category with summaries
  * @param {string} userId - User ID
@@ -195,7 +936,7 @@ async function getEmailById(userId, emailId) {
     const email = await Email.findOne({
       _id: emailId,
       userId,
-    });
+    }).populate('tagIds', 'name color');
 
     if (!email) {
       throw new Error('Email not found');
@@ -362,12 +1103,13 @@ async function searchEmails(userId, query, options = {}) {
 
 module.exports = {
   processNewEmails,
+  buildBackfillQuery,
+  canResumeBackfill,
+  reclassifyEmails,
+  recountCategories,
   getEmailsByCategory,
   getEmailById,
   deleteEmailsByIds,
   archiveEmailsByIds,
   searchEmails,
-  requestStopSync,
-  isStopSyncRequested,
-  clearStopSyncRequest,
 };
\ No newline at end of file
@@ -0,0 +1,182 @@
+// server/src/services/feedback.js
+/**
+ * Classification feedback service
+ * Stores manual recategorizations as labeled examples and feeds them back into
+ * classification as few-shot examples and sender-level overrides
+ */
+
+const { CategoryCorrection } = require('../config/database');
+const { parseAddress } = require('../utils/address');
+
+// Corrections scanned when picking few-shot examples
+const CANDIDATE_POOL_SIZE = 200;
+
+const MAX_EXAMPLES = parseInt(process.env.AI_FEW_SHOT_EXAMPLES || 5);
+
+// A sender is pinned to a category once this many of its latest corrections agree
+const SENDER_OVERRIDE_MIN_CORRECTIONS = parseInt(process.env.SENDER_OVERRIDE_MIN_CORRECTIONS || 2);
+
+const MAX_SNIPPET_CHARS = 200;
+
+/**
+ * Split a subject into lowercase words for overlap scoring
+ * @param {string} text - Text to tokenize
+ * @returns {Set<string>} Words of three or more characters
+ */
+function subjectWords(text) {
+  return new Set(
+    (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length >= 3)
+  );
+}
+
+/**
+ * Store manual recategorizations as labeled examples
+ * @param {string} userId - User ID
+ * @param {Array<object>} emails - Email documents as they were before the change
+ * @param {string} categoryId - Category the user chose
+ * @param {object} options - { confirmed } to also store emails whose category was accepted on review
+ * @returns {Promise<number>} Number of corrections stored
+ */
+async function recordCorrections(userId, emails, categoryId, options = {}) {
+  try {
+    // Moving an email to the category it's already in teaches nothing, unless the user
+    // explicitly confirmed a category the model was unsure about
+    const changed = options.confirmed
+      ? emails
+      : emails.filter((email) => email.categoryId?.toString() !== categoryId.toString());
+    if (changed.length === 0) {
+      return 0;
+    }
+
+    const corrections = changed.map((email) => {
+      const sender = parseAddress(email.from);
+      return {
+        userId,
+        emailId: email._id,
+        categoryId,
+        previousCategoryId: email.categoryId || null,
+        from: email.from,
+        senderAddress: sender.address,
+        senderDomain: sender.domain,
+        subject: email.subject,
+        snippet: (email.snippet || email.aiSummary || '').substring(0, MAX_SNIPPET_CHARS),
+      };
+    });
+
+    await CategoryCorrection.insertMany(corrections);
+    return corrections.length;
+  } catch (error) {
+    console.error('Error recording category corrections:', error);
+    return 0;
+  }
+}
+
+/**
+ * Find a sender-level override for an email
+ * Applies when the latest corrections for the sender all chose the same category
+ * @param {string} userId - User ID
+ * @param {object} email - Email object with from
+ * @param {Array<object>} categories - User categories
+ * @returns {Promise<object|null>} { category, corrections } or null
+ */
+async function getSenderOverride(userId, email, categories) {
+  const { address } = parseAddress(email.from);
+  if (!address) {
+    return null;
+  }
+
+  const latest = await CategoryCorrection.find({ userId, senderAddress: address })
+    .sort({ createdAt: -1 })
+    .limit(SENDER_OVERRIDE_MIN_CORRECTIONS);
+
+  if (latest.length < SENDER_OVERRIDE_MIN_CORRECTIONS) {
+    return null;
+  }
+
+  const categoryId = latest[0].categoryId.toString();
+  if (!latest.every((correction) => correction.categoryId.toString() === categoryId)) {
+    return null;
+  }
+
+  const category = categories.find((cat) => cat._id.toString() === categoryId);
+  return category ? { category, corrections: latest } : null;
+}
+
+/**
+ * Pick the most relevant recent corrections to show the model as examples
+ * Same sender ranks above same domain, then subject word overlap, then recency
+ * @param {string} userId - User ID
+ * @param {object} email - Email object with from and subject
+ * @param {Array<object>} categories - User categories (corrections to deleted ones are skipped)
+ * @returns {Promise<Array<object>>} Examples { _id, from, subject, snippet, categoryName }
+ */
+async function getFewShotExamples(userId, email, categories) {
+  if (MAX_EXAMPLES <= 0) {
+    return [];
+  }
+
+  const sender = parseAddress(email.from);
+  const words = subjectWords(email.subject);
+  const categoryNames = new Map(categories.map((cat) => [cat._id.toString(), cat.name]));
+
+  const pool = await CategoryCorrection.find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_POOL_SIZE);
+
+  const seenEmails = new Set();
+  const scored = [];
+
+  pool.forEach((correction, index) => {
+    const categoryName = categoryNames.get(correction.categoryId.toString());
+    const emailKey = correction.emailId?.toString();
+    // Only the latest correction of each email counts
+    if (!categoryName || (emailKey && seenEmails.has(emailKey))) {
+      return;
+    }
+    if (emailKey) seenEmails.add(emailKey);
+
+    let score = 0;
+    if (sender.address && correction.senderAddress === sender.address) {
+      score += 10;
+    } else if (sender.domain && correction.senderDomain === sender.domain) {
+      score += 5;
+    }
+    for (const word of subjectWords(correction.subject)) {
+      if (words.has(word)) score += 1;
+    }
+
+    if (score > 0) {
+      scored.push({ correction, categoryName, score, index });
+    }
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, MAX_EXAMPLES)
+    .map(({ correction, categoryName }) => ({
+      _id: correction._id,
+      from: correction.from,
+      subject: correction.subject,
+      snippet: correction.snippet,
+      categoryName,
+    }));
+}
+
+/**
+ * Remove the corrections that point at a deleted category
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<void>}
+ */
+async function removeCategoryCorrections(categoryId) {
+  await CategoryCorrection.deleteMany({ categoryId });
+}
+
+module.exports = {
+  recordCorrections,
+  getSenderOverride,
+  getFewShotExamples,
+  removeCategoryCorrections,
+};
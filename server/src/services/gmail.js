@@ -6,6 +6,61 @@
 
 const { google } = require('googleapis');
 const { Account, Email } = require('../config/database');
+const { createLimiter, withRetry } = require('../utils/concurrency');
+
+// Quota units charged per Gmail API method
+const QUOTA_UNITS = {
+  'messages.list': 5,
+  'messages.get': 5,
+  'messages.modify': 5,
+  'messages.batchModify': 50,
+  'messages.trash': 5,
+  'messages.send': 100,
+  'labels.list': 1,
+  'labels.create': 5,
+  'labels.patch': 5,
+  'labels.delete': 5,
+  'history.list': 2,
+  getProfile: 1,
+  watch: 100,
+  stop: 50,
+};
+
+// Gmail allows 250 quota units per user per second
+const gmailConcurrency = parseInt(process.env.GMAIL_CONCURRENCY || 10);
+const gmailUnitsPerSecond = parseInt(process.env.GMAIL_QUOTA_UNITS_PER_SECOND || 250);
+
+// One limiter per account, since Gmail quotas are per mailbox
+const gmailLimiters = new Map();
+
+// Gmail accepts at most this many message IDs per batchModify call
+const MAX_BATCH_MODIFY_IDS = 1000;
+
+// Trace and signature headers that are large and useless for rules
+const BULKY_HEADERS = /^(received|x-received|received-spf|dkim-signature|arc-|authentication-results|x-google-)/i;
+
+/**
+ * Call the Gmail API through the account's rate limiter
+ * Retries 429/5xx responses with exponential backoff
+ * @param {string} accountId - Account ID in database
+ * @param {string} method - Gmail method name, used for quota units
+ * @param {Function} fn - Function performing the API call
+ * @returns {Promise<any>} API response
+ */
+function callGmail(accountId, method, fn) {
+  const key = String(accountId);
+  if (!gmailLimiters.has(key)) {
+    gmailLimiters.set(
+      key,
+      createLimiter({ concurrency: gmailConcurrency, unitsPerSecond: gmailUnitsPerSecond })
+    );
+  }
+  const limiter = gmailLimiters.get(key);
+
+  return withRetry(() => limiter.schedule(fn, QUOTA_UNITS[method] || 5), {
+    label: `Gmail ${method}`,
+  });
+}
 
 /**
  * Create Gmail client with user's OAuth token
@@ -50,78 +105,209 @@ function createGmailClient(accessToken, refreshToken = null, account = null) {
 }
 
 /**
- * Fetch unread emails from Gmail inbox
- * @param {string} userId - User ID in database
+ * List one page of message IDs matching a Gmail search query
  * @param {string} accountId - Account ID in database
- * @param {number} maxResults - Maximum emails to fetch
- * @returns {Promise<Array>} Array of email objects
+ * @param {object} options - { query, pageToken, maxResults }
+ * @returns {Promise<object>} { messageIds, nextPageToken, resultSizeEstimate }
  */
-async function fetchUnreadEmails(userId, accountId, maxResults = 50) {
+async function listMessagePage(accountId, { query, pageToken, maxResults = 100 } = {}) {
   try {
-    // Get account with access token
     const account = await Account.findById(accountId);
     if (!account) {
       throw new Error('Account not found');
     }
 
-    console.log('📧 Fetching emails for account:', account.email);
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
+    const response = await callGmail(accountId, 'messages.list', () =>
+      gmail.users.messages.list({
+        userId: 'me',
+        q: query,
+        pageToken: pageToken || undefined,
+        maxResults,
+      })
+    );
 
-    // Check if tokens exist
-    if (!account.accessToken) {
-      console.error('❌ No access token found - user needs to re-authorize Gmail');
-      throw new Error('Access token missing - user needs to re-authorize');
+    const data = response.data || {};
+    return {
+      messageIds: (data.messages || []).map((msg) => msg.id),
+      nextPageToken: data.nextPageToken || null,
+      resultSizeEstimate: data.resultSizeEstimate || 0,
+    };
+  } catch (error) {
+    console.error('Error listing messages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the current history ID of the mailbox
+ * Used as the starting checkpoint for incremental sync
+ * @param {string} accountId - Account ID in database
+ * @returns {Promise<string>} Current Gmail history ID
+ */
+async function getCurrentHistoryId(accountId) {
+  try {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
     }
 
-    // Create Gmail client with refresh token support (NOT async)
-    const gmail = createGmailClient(
-      account.accessToken,
-      account.refreshToken,
-      account
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
+    const response = await callGmail(accountId, 'getProfile', () =>
+      gmail.users.getProfile({
+        userId: 'me',
+      })
     );
 
-    // Query for unread emails
-    console.log('🔍 Querying for unread emails...');
-    const response = await gmail.users.messages.list({
-      userId: 'me',
-      q: 'is:unread -label:archived',
-      maxResults: maxResults,
-    });
+    return response.data.historyId;
+  } catch (error) {
+    console.error('Error getting current history ID:', error);
+    throw error;
+  }
+}
 
-    // Verify response structure
-    if (!response || !response.data) {
-      console.log('⚠️  No response data from Gmail API');
-      return [];
+/**
+ * Fetch mailbox changes since a history checkpoint
+ * Walks every page of users.history.list and collapses the records into
+ * added, deleted and relabeled messages
+ * @param {string} accountId - Account ID in database
+ * @param {string} startHistoryId - History ID to start from
+ * @returns {Promise<object>} { historyId, addedIds, deletedIds, labelChanges }
+ *   Throws an error with `historyExpired: true` when Gmail no longer has the checkpoint
+ */
+async function fetchHistoryChanges(accountId, startHistoryId) {
+  try {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
     }
 
-    if (!response.data.messages || response.data.messages.length === 0) {
-      console.log('✅ No unread emails found');
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
+
+    const added = new Set();
+    const deleted = new Set();
+    // gmailId -> { added: Set, removed: Set }
+    const labelChanges = new Map();
+    let historyId = startHistoryId;
+    let pageToken;
+
+    const trackLabels = (gmailId, labelIds, key) => {
+      if (!labelChanges.has(gmailId)) {
+        labelChanges.set(gmailId, { added: new Set(), removed: new Set() });
+      }
+      const change = labelChanges.get(gmailId);
+      const opposite = key === 'added' ? 'removed' : 'added';
+      for (const labelId of labelIds || []) {
+        change[opposite].delete(labelId);
+        change[key].add(labelId);
+      }
+    };
+
+    do {
+      const response = await callGmail(accountId, 'history.list', () =>
+        gmail.users.history.list({
+          userId: 'me',
+          startHistoryId,
+          historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+          pageToken,
+        })
+      );
+
+      const data = response.data || {};
+      for (const record of data.history || []) {
+        for (const { message } of record.messagesAdded || []) {
+          // Only inbox mail is imported; sent mail and drafts also show up here. Mail moved
+          // into the inbox later arrives as an INBOX label change instead
+          if (message.labelIds && message.labelIds.includes('INBOX')) {
+            added.add(message.id);
+            deleted.delete(message.id);
+          }
+        }
+        for (const { message } of record.messagesDeleted || []) {
+          deleted.add(message.id);
+          added.delete(message.id);
+          labelChanges.delete(message.id);
+        }
+        for (const { message, labelIds } of record.labelsAdded || []) {
+          if (!deleted.has(message.id)) trackLabels(message.id, labelIds, 'added');
+        }
+        for (const { message, labelIds } of record.labelsRemoved || []) {
+          if (!deleted.has(message.id)) trackLabels(message.id, labelIds, 'removed');
+        }
+      }
+
+      if (data.historyId) {
+        historyId = data.historyId;
+      }
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    console.log(
+      `📜 History since ${startHistoryId}: ${added.size} added, ${deleted.size} deleted, ${labelChanges.size} relabeled`
+    );
+
+    return {
+      historyId,
+      addedIds: Array.from(added),
+      deletedIds: Array.from(deleted),
+      labelChanges: Array.from(labelChanges, ([gmailId, change]) => ({
+        gmailId,
+        labelsAdded: Array.from(change.added),
+        labelsRemoved: Array.from(change.removed),
+      })),
+    };
+  } catch (error) {
+    // Gmail answers 404 when the start history ID is too old
+    if (error.code === 404 || error.response?.status === 404) {
+      console.warn(`⚠️  History ID ${startHistoryId} expired, a full resync is needed`);
+      error.historyExpired = true;
+    } else {
+      console.error('Error fetching history changes:', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch full email details for a list of Gmail message IDs
+ * Messages that no longer exist are skipped
+ * @param {string} accountId - Account ID in database
+ * @param {Array<string>} gmailIds - Array of Gmail message IDs
+ * @returns {Promise<Array>} Array of parsed email objects
+ */
+async function fetchEmailsByIds(accountId, gmailIds) {
+  try {
+    if (gmailIds.length === 0) {
       return [];
     }
 
-    console.log(`📨 Found ${response.data.messages.length} unread emails`);
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
 
-    // Fetch full message details for each email
     const emails = await Promise.all(
-      response.data.messages.map((msg) =>
-        gmail.users.messages.get({
-          userId: 'me',
-          id: msg.id,
-          format: 'full',
+      gmailIds.map((id) =>
+        callGmail(accountId, 'messages.get', () =>
+          gmail.users.messages.get({
+            userId: 'me',
+            id,
+            format: 'full',
+          })
+        ).catch((error) => {
+          if (error.code === 404 || error.response?.status === 404) {
+            return null;
+          }
+          throw error;
         })
       )
     );
 
-    console.log(`✅ Fetched ${emails.length} email details`);
-    return emails.map((email) => parseEmailMessage(email.data));
+    return emails.filter(Boolean).map((email) => parseEmailMessage(email.data));
   } catch (error) {
-    console.error('❌ Error fetching emails from Gmail:', error.message);
-    
-    // If it's an auth error, provide helpful message
-    if (error.message.includes('Invalid Credentials')) {
-      console.error('⚠️  Invalid credentials - user may need to re-authenticate');
-      console.error('💡 Have user click "Re-authorize Gmail" to refresh tokens');
-    }
-    
+    console.error('Error fetching emails by ID:', error);
     throw error;
   }
 }
@@ -160,9 +346,13 @@ function parseEmailMessage(message) {
     }
   }
 
-  // Extract unsubscribe link from headers
+  // Extract unsubscribe options from headers
   const listUnsubscribe = getHeader('List-Unsubscribe');
   const unsubscribeUrl = extractUnsubscribeUrl(listUnsubscribe);
+  const unsubscribeOptions = parseUnsubscribeOptions(
+    listUnsubscribe,
+    getHeader('List-Unsubscribe-Post')
+  );
 
   return {
     gmailId: message.id,
@@ -174,8 +364,13 @@ function parseEmailMessage(message) {
     body: body,
     htmlBody: htmlBody,
     receivedAt: new Date(parseInt(message.internalDate)),
+    isRead: !(message.labelIds || []).includes('UNREAD'),
     unsubscribeUrl: unsubscribeUrl,
+    unsubscribeOptions,
     hasUnsubscribeLink: !!unsubscribeUrl,
+    headers: headers
+      .filter((h) => !BULKY_HEADERS.test(h.name))
+      .map((h) => ({ name: h.name.toLowerCase(), value: (h.value || '').substring(0, 1000) })),
   };
 }
 
@@ -203,6 +398,59 @@ function extractUnsubscribeUrl(header) {
   return null;
 }
 
+/**
+ * Parse a mailto: URI from List-Unsubscribe
+ * @param {string} uri - URI such as mailto:leave@example.com?subject=unsubscribe
+ * @returns {object|null} { address, subject, body }, or null when there is no address
+ */
+function parseMailto(uri) {
+  try {
+    const url = new URL(uri);
+    const address = decodeURIComponent(url.pathname).split(',')[0].trim();
+    if (!address.includes('@')) {
+      return null;
+    }
+    return {
+      address,
+      subject: url.searchParams.get('subject') || null,
+      body: url.searchParams.get('body') || null,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get every unsubscribe option an email offers
+ * Senders supporting RFC 8058 add "List-Unsubscribe-Post: List-Unsubscribe=One-Click",
+ * meaning a single POST to their HTTP URL unsubscribes without a browser
+ * @param {string} listUnsubscribe - List-Unsubscribe header value, e.g.
+ *   "<https://example.com/u/1>, <mailto:leave@example.com?subject=stop>"
+ * @param {string} listUnsubscribePost - List-Unsubscribe-Post header value
+ * @returns {object} { httpUrls, mailto: [{ address, subject, body }], oneClick }
+ */
+function parseUnsubscribeOptions(listUnsubscribe, listUnsubscribePost) {
+  const options = { httpUrls: [], mailto: [], oneClick: false };
+  if (!listUnsubscribe) {
+    return options;
+  }
+
+  for (const [, uri] of listUnsubscribe.matchAll(/<([^>]+)>/g)) {
+    const value = uri.trim();
+    if (/^https?:\/\//i.test(value)) {
+      options.httpUrls.push(value);
+    } else if (/^mailto:/i.test(value)) {
+      const mailto = parseMailto(value);
+      if (mailto) options.mailto.push(mailto);
+    }
+  }
+
+  options.oneClick =
+    options.httpUrls.length > 0 &&
+    /List-Unsubscribe=One-Click/i.test(listUnsubscribePost || '');
+  return options;
+}
+
 /**
  * Mark email as read in Gmail
  * @param {string} accountId - Account ID in database
@@ -219,13 +467,15 @@ async function markEmailAsRead(accountId, gmailId) {
     const gmail = createGmailClient(account.accessToken);
 
     // Mark as read by removing UNREAD label
-    await gmail.users.messages.modify({
-      userId: 'me',
-      id: gmailId,
-      requestBody: {
-        removeLabelIds: ['UNREAD'],
-      },
-    });
+    await callGmail(accountId, 'messages.modify', () =>
+      gmail.users.messages.modify({
+        userId: 'me',
+        id: gmailId,
+        requestBody: {
+          removeLabelIds: ['UNREAD'],
+        },
+      })
+    );
 
     return true;
   } catch (error) {
@@ -250,13 +500,15 @@ async function archiveEmail(accountId, gmailId) {
     const gmail = createGmailClient(account.accessToken);
 
     // Remove from inbox, add to archive (done by removing INBOX label)
-    await gmail.users.messages.modify({
-      userId: 'me',
-      id: gmailId,
-      requestBody: {
-        removeLabelIds: ['INBOX'],
-      },
-    });
+    await callGmail(accountId, 'messages.modify', () =>
+      gmail.users.messages.modify({
+        userId: 'me',
+        id: gmailId,
+        requestBody: {
+          removeLabelIds: ['INBOX'],
+        },
+      })
+    );
 
     return true;
   } catch (error) {
@@ -265,6 +517,271 @@ async function archiveEmail(accountId, gmailId) {
   }
 }
 
+/**
+ * Find a user label by name, creating it if it doesn't exist
+ * @param {string} accountId - Account ID in database
+ * @param {string} name - Label name ("Parent/Child" creates a nested label)
+ * @returns {Promise<object>} { id, created } where created is false for a label that already existed
+ */
+async function ensureLabel(accountId, name) {
+  try {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
+
+    const findLabel = async () => {
+      const response = await callGmail(accountId, 'labels.list', () =>
+        gmail.users.labels.list({ userId: 'me' })
+      );
+      return (response.data.labels || []).find(
+        (label) => label.name.toLowerCase() === name.toLowerCase()
+      );
+    };
+
+    const existing = await findLabel();
+    if (existing) {
+      return { id: existing.id, created: false };
+    }
+
+    try {
+      const created = await callGmail(accountId, 'labels.create', () =>
+        gmail.users.labels.create({
+          userId: 'me',
+          requestBody: {
+            name,
+            labelListVisibility: 'labelShow',
+            messageListVisibility: 'show',
+          },
+        })
+      );
+      return { id: created.data.id, created: true };
+    } catch (error) {
+      // Gmail answers 409 when the label was created since we listed; adopt that one
+      if (error.code !== 409 && error.response?.status !== 409) {
+        throw error;
+      }
+      const conflicting = await findLabel();
+      if (!conflicting) {
+        throw error;
+      }
+      return { id: conflicting.id, created: false };
+    }
+  } catch (error) {
+    console.error(`Error ensuring Gmail label "${name}":`, error);
+    throw error;
+  }
+}
+
+/**
+ * Rename a user label
+ * @param {string} accountId - Account ID in database
+ * @param {string} labelId - Gmail label ID
+ * @param {string} name - New label name
+ * @returns {Promise<boolean>} Success status
+ */
+async function renameLabel(accountId, labelId, name) {
+  try {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
+
+    await callGmail(accountId, 'labels.patch', () =>
+      gmail.users.labels.patch({
+        userId: 'me',
+        id: labelId,
+        requestBody: { name },
+      })
+    );
+
+    return true;
+  } catch (error) {
+    console.error(`Error renaming Gmail label to "${name}":`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a user label
+ * Gmail removes the label from every message; the messages themselves are kept
+ * @param {string} accountId - Account ID in database
+ * @param {string} labelId - Gmail label ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteLabel(accountId, labelId) {
+  try {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
+
+    await callGmail(accountId, 'labels.delete', () =>
+      gmail.users.labels.delete({
+        userId: 'me',
+        id: labelId,
+      })
+    );
+
+    return true;
+  } catch (error) {
+    console.error('Error deleting Gmail label:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add and remove labels on an email in Gmail
+ * @param {string} accountId - Account ID in database
+ * @param {string} gmailId - Gmail message ID
+ * @param {object} changes - { add, remove } arrays of Gmail label IDs
+ * @returns {Promise<boolean>} Success status
+ */
+async function modifyLabels(accountId, gmailId, { add = [], remove = [] }) {
+  if (add.length === 0 && remove.length === 0) {
+    return true;
+  }
+
+  try {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
+
+    await callGmail(accountId, 'messages.modify', () =>
+      gmail.users.messages.modify({
+        userId: 'me',
+        id: gmailId,
+        requestBody: {
+          addLabelIds: add,
+          removeLabelIds: remove,
+        },
+      })
+    );
+
+    return true;
+  } catch (error) {
+    console.error('Error modifying email labels:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add and remove labels on many emails in Gmail
+ * @param {string} accountId - Account ID in database
+ * @param {Array<string>} gmailIds - Gmail message IDs
+ * @param {object} changes - { add, remove } arrays of Gmail label IDs
+ * @returns {Promise<boolean>} Success status
+ */
+async function batchModifyLabels(accountId, gmailIds, { add = [], remove = [] }) {
+  if (gmailIds.length === 0 || (add.length === 0 && remove.length === 0)) {
+    return true;
+  }
+
+  try {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
+
+    for (let i = 0; i < gmailIds.length; i += MAX_BATCH_MODIFY_IDS) {
+      await callGmail(accountId, 'messages.batchModify', () =>
+        gmail.users.messages.batchModify({
+          userId: 'me',
+          requestBody: {
+            ids: gmailIds.slice(i, i + MAX_BATCH_MODIFY_IDS),
+            addLabelIds: add,
+            removeLabelIds: remove,
+          },
+        })
+      );
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error modifying labels of emails:', error);
+    throw error;
+  }
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it isn't plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Value safe to put in a header
+ */
+function encodeHeader(value) {
+  const clean = value.replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(clean)
+    ? clean
+    : `=?UTF-8?B?${Buffer.from(clean, 'utf-8').toString('base64')}?=`;
+}
+
+/**
+ * Build a plain text message for users.messages.send
+ * @param {object} message - { from, to, subject, text }
+ * @returns {string} RFC 2822 message, base64url encoded
+ */
+function buildRawMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text || '', 'utf-8')
+    .toString('base64')
+    .replace(/.{76}/g, '$&\r\n');
+
+  const lines = [
+    `From: ${encodeHeader(from)}`,
+    `To: ${encodeHeader(to)}`,
+    `Subject: ${encodeHeader(subject || '')}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ];
+
+  return Buffer.from(lines.join('\r\n'), 'utf-8').toString('base64url');
+}
+
+/**
+ * Send a plain text email from an account
+ * Needs the gmail.send scope; accounts connected before it was requested must sign in again
+ * @param {string} accountId - Account ID in database
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<string>} Gmail ID of the sent message
+ */
+async function sendMessage(accountId, { to, subject, text }) {
+  try {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
+
+    const response = await callGmail(accountId, 'messages.send', () =>
+      gmail.users.messages.send({
+        userId: 'me',
+        requestBody: {
+          raw: buildRawMessage({ from: account.email, to, subject, text }),
+        },
+      })
+    );
+
+    return response.data.id;
+  } catch (error) {
+    console.error('Error sending email:', error);
+    throw error;
+  }
+}
+
 /**
  * Archive multiple emails
  * @param {string} accountId - Account ID in database
@@ -283,13 +800,15 @@ async function archiveEmails(accountId, gmailIds) {
     // Archive each email
     await Promise.all(
       gmailIds.map((gmailId) =>
-        gmail.users.messages.modify({
-          userId: 'me',
-          id: gmailId,
-          requestBody: {
-            removeLabelIds: ['INBOX'],
-          },
-        })
+        callGmail(accountId, 'messages.modify', () =>
+          gmail.users.messages.modify({
+            userId: 'me',
+            id: gmailId,
+            requestBody: {
+              removeLabelIds: ['INBOX'],
+            },
+          })
+        )
       )
     );
 
@@ -316,10 +835,12 @@ async function deleteEmail(accountId, gmailId) {
     const gmail = createGmailClient(account.accessToken);
 
     // Move to trash
-    await gmail.users.messages.trash({
-      userId: 'me',
-      id: gmailId,
-    });
+    await callGmail(accountId, 'messages.trash', () =>
+      gmail.users.messages.trash({
+        userId: 'me',
+        id: gmailId,
+      })
+    );
 
     return true;
   } catch (error) {
@@ -346,10 +867,12 @@ async function deleteEmails(accountId, gmailIds) {
     // Delete each email
     await Promise.all(
       gmailIds.map((gmailId) =>
-        gmail.users.messages.trash({
-          userId: 'me',
-          id: gmailId,
-        })
+        callGmail(accountId, 'messages.trash', () =>
+          gmail.users.messages.trash({
+            userId: 'me',
+            id: gmailId,
+          })
+        )
       )
     );
 
@@ -360,6 +883,68 @@ async function deleteEmails(accountId, gmailIds) {
   }
 }
 
+/**
+ * Register Gmail push notifications for the account's inbox
+ * Gmail publishes mailbox changes to the configured Pub/Sub topic until the watch expires
+ * @param {string} accountId - Account ID in database
+ * @param {string} topicName - Full Pub/Sub topic name (projects/<project>/topics/<topic>)
+ * @returns {Promise<object>} { historyId, expiration }
+ */
+async function watchMailbox(accountId, topicName) {
+  try {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
+    const response = await callGmail(accountId, 'watch', () =>
+      gmail.users.watch({
+        userId: 'me',
+        requestBody: {
+          topicName,
+          labelIds: ['INBOX'],
+          labelFilterBehavior: 'include',
+        },
+      })
+    );
+
+    return {
+      historyId: response.data.historyId,
+      expiration: new Date(parseInt(response.data.expiration)),
+    };
+  } catch (error) {
+    console.error('Error registering Gmail watch:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop Gmail push notifications for the account
+ * @param {string} accountId - Account ID in database
+ * @returns {Promise<boolean>} Success status
+ */
+async function stopWatch(accountId) {
+  try {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const gmail = createGmailClient(account.accessToken, account.refreshToken, account);
+    await callGmail(accountId, 'stop', () =>
+      gmail.users.stop({
+        userId: 'me',
+      })
+    );
+
+    return true;
+  } catch (error) {
+    console.error('Error stopping Gmail watch:', error);
+    throw error;
+  }
+}
+
 /**
  * Get user profile from Gmail
  * @param {string} accessToken - User's access token
@@ -368,9 +953,13 @@ async function deleteEmails(accountId, gmailIds) {
 async function getUserProfile(accessToken) {
   try {
     const gmail = createGmailClient(accessToken);
-    const response = await gmail.users.getProfile({
-      userId: 'me',
-    });
+    const response = await withRetry(
+      () =>
+        gmail.users.getProfile({
+          userId: 'me',
+        }),
+      { label: 'Gmail getProfile' }
+    );
     return response.data;
   } catch (error) {
     console.error('Error getting user profile:', error);
@@ -380,13 +969,26 @@ async function getUserProfile(accessToken) {
 
 module.exports = {
   createGmailClient,
-  fetchUnreadEmails,
+  callGmail,
+  listMessagePage,
+  getCurrentHistoryId,
+  fetchHistoryChanges,
+  fetchEmailsByIds,
   parseEmailMessage,
   extractUnsubscribeUrl,
+  parseUnsubscribeOptions,
   markEmailAsRead,
   archiveEmail,
   archiveEmails,
+  ensureLabel,
+  renameLabel,
+  deleteLabel,
+  modifyLabels,
+  batchModifyLabels,
+  sendMessage,
   deleteEmail,
   deleteEmails,
+  watchMailbox,
+  stopWatch,
   getUserProfile,
 };
\ No newline at end of file
@@ -0,0 +1,364 @@
+// server/src/services/jobs.js
+/**
+ * Sync job queue service
+ * Persists sync, backfill, reclassify and suggest jobs in MongoDB and runs them in a background worker loop
+ */
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { SyncJob, Email } = require('../config/database');
+const emailService = require('./email');
+const suggestionService = require('./categorySuggestions');
+
+const ACTIVE_STATES = ['queued', 'running'];
+
+// Job types that work across all of a user's accounts
+const USER_JOB_TYPES = ['reclassify', 'suggest'];
+const MAX_ERROR_LOG = 50;
+
+// Identifies this server instance on the jobs it claims
+const workerId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+
+const config = {
+  pollIntervalMs: parseInt(process.env.SYNC_WORKER_POLL_MS || 5000),
+  heartbeatIntervalMs: parseInt(process.env.SYNC_WORKER_HEARTBEAT_MS || 30000),
+  // Running jobs without a heartbeat for this long are assumed to be orphaned by a crash
+  staleAfterMs: parseInt(process.env.SYNC_WORKER_STALE_MS || 120000),
+};
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Queue a sync job for an account
+ * Only one job per account can be active; an existing one is returned instead.
+ * Reclassify and suggest jobs have no account and are limited to one of each type per user
+ * @param {string} userId - User ID
+ * @param {string|null} accountId - Account ID (null for reclassify and suggest jobs)
+ * @param {object} options - { type: 'sync' | 'backfill' | 'reclassify' | 'suggest', options }
+ * @returns {Promise<object>} { job, created }
+ */
+async function enqueueJob(userId, accountId, { type = 'sync', options = {} } = {}) {
+  const isUserJob = USER_JOB_TYPES.includes(type);
+  const filter = {
+    ...(isUserJob ? { userId, type } : { accountId }),
+    state: { $in: ACTIVE_STATES },
+  };
+  const lockKey = isUserJob ? `${type}:${userId}` : `account:${accountId}`;
+
+  try {
+    let result;
+    try {
+      // One upsert instead of a find followed by a save; the unique lockKey index turns a
+      // parallel insert into a duplicate key error
+      result = await SyncJob.findOneAndUpdate(
+        filter,
+        { $setOnInsert: { userId, accountId, type, options, state: 'queued', lockKey } },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      const existing = await SyncJob.findOne(filter);
+      if (!existing) {
+        throw error;
+      }
+      return { job: existing, created: false };
+    }
+    const job = result.value;
+
+    if (result.lastErrorObject?.updatedExisting) {
+      return { job, created: false };
+    }
+
+    console.log(`Queued ${type} job ${job._id} for ${accountId ? `account ${accountId}` : `user ${userId}`}`);
+    return { job, created: true };
+  } catch (error) {
+    console.error('Error queueing sync job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Request cancellation of active jobs
+ * Queued jobs are cancelled right away; running jobs stop at the next email
+ * @param {object} filter - Job filter, e.g. { userId, accountId } or { _id }
+ * @returns {Promise<Array>} Jobs that were asked to stop
+ */
+async function requestCancel(filter) {
+  try {
+    const jobs = await SyncJob.find({ ...filter, state: { $in: ACTIVE_STATES } });
+
+    for (const job of jobs) {
+      if (job.state === 'queued') {
+        await SyncJob.updateOne(
+          { _id: job._id, state: 'queued' },
+          { state: 'cancelled', cancelRequested: true, finishedAt: new Date() }
+        );
+      } else {
+        await SyncJob.updateOne({ _id: job._id }, { cancelRequested: true });
+      }
+      console.log(`Cancel requested for job ${job._id}`);
+    }
+
+    return jobs;
+  } catch (error) {
+    console.error('Error cancelling sync jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a job belonging to a user
+ * @param {string} userId - User ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} Job document
+ */
+async function getJob(userId, jobId) {
+  return SyncJob.findOne({ _id: jobId, userId }).select('-workerId');
+}
+
+/**
+ * Put orphaned running jobs back in the queue
+ * Backfills are requeued in resume mode so they continue from their stored cursor
+ * @returns {Promise<number>} Number of jobs requeued
+ */
+async function requeueStaleJobs() {
+  const staleBefore = new Date(Date.now() - config.staleAfterMs);
+  const staleJobs = await SyncJob.find({
+    state: 'running',
+    heartbeatAt: { $lt: staleBefore },
+  });
+
+  let requeued = 0;
+  for (const job of staleJobs) {
+    const update = job.cancelRequested
+      ? { state: 'cancelled', finishedAt: new Date() }
+      : { state: 'queued', workerId: null };
+    if (!job.cancelRequested && job.type === 'backfill') {
+      update.options = { ...job.options, resume: true };
+    }
+
+    // Guard on the heartbeat so two workers don't both requeue the job
+    const result = await SyncJob.updateOne(
+      { _id: job._id, state: 'running', heartbeatAt: job.heartbeatAt },
+      update
+    );
+    if (result.modifiedCount > 0) {
+      console.warn(`Requeued stale job ${job._id} (last heartbeat ${job.heartbeatAt.toISOString()})`);
+      requeued++;
+    }
+  }
+
+  return requeued;
+}
+
+/**
+ * Atomically claim the oldest queued job
+ * @returns {Promise<object|null>} Claimed job or null if the queue is empty
+ */
+async function claimNextJob() {
+  const now = new Date();
+  return SyncJob.findOneAndUpdate(
+    { state: 'queued' },
+    { state: 'running', workerId, startedAt: now, heartbeatAt: now },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Queue a reclassify of emails an AI provider outage left unclassified
+ * Only once a sync got through without new provider errors, so the retry isn't spent while
+ * the provider is still down
+ * @param {object} job - Finished sync or backfill job
+ * @returns {Promise<void>}
+ */
+async function queueProviderRetry(job) {
+  const retryable = { userId: job.userId, classificationStatus: 'unclassified', 'aiError.retryable': true };
+
+  const stillFailing = await Email.exists({ ...retryable, 'aiError.at': { $gte: job.startedAt } });
+  if (stillFailing || !(await Email.exists(retryable))) {
+    return;
+  }
+
+  const { created } = await enqueueJob(job.userId, null, {
+    type: 'reclassify',
+    options: { retryable: true },
+  });
+  if (created) {
+    console.log(`Queued a retry of emails left unclassified by an AI provider error for user ${job.userId}`);
+  }
+}
+
+/**
+ * Run a claimed job to completion
+ * @param {object} job - Claimed job document
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  let cancelRequested = false;
+  let lastCancelCheck = 0;
+  let lastCounts = null;
+
+  // Re-read the cancel flag between emails, at most every couple of seconds
+  const shouldStop = async () => {
+    if (!cancelRequested && Date.now() - lastCancelCheck > 2000) {
+      lastCancelCheck = Date.now();
+      cancelRequested = !!(await SyncJob.exists({ _id: job._id, cancelRequested: true }));
+    }
+    return cancelRequested;
+  };
+
+  // Heartbeat keeps the job claimed and picks up cancel requests from other instances
+  const heartbeat = setInterval(async () => {
+    try {
+      const update = { heartbeatAt: new Date() };
+      if (lastCounts) update.counts = lastCounts;
+      const current = await SyncJob.findByIdAndUpdate(job._id, update, { new: true }).select(
+        'cancelRequested'
+      );
+      cancelRequested = !!current?.cancelRequested;
+    } catch (error) {
+      console.error(`Error updating heartbeat for job ${job._id}:`, error);
+    }
+  }, config.heartbeatIntervalMs);
+
+  const onProgress = async (counts, failure) => {
+    lastCounts = { ...counts };
+    if (failure) {
+      await SyncJob.updateOne(
+        { _id: job._id },
+        {
+          counts: lastCounts,
+          $push: { errorLog: { $each: [failure], $slice: -MAX_ERROR_LOG } },
+        }
+      );
+    }
+  };
+
+  try {
+    let result;
+
+    if (job.type === 'reclassify') {
+      console.log(`Running reclassify job ${job._id} for user ${job.userId}`);
+      result = await emailService.reclassifyEmails(job.userId.toString(), job.options, {
+        shouldStop,
+        onProgress,
+      });
+    } else if (job.type === 'suggest') {
+      console.log(`Running suggest job ${job._id} for user ${job.userId}`);
+      result = await suggestionService.generateSuggestions(job.userId.toString(), { shouldStop });
+    } else {
+      console.log(`Running ${job.type} job ${job._id} for account ${job.accountId}`);
+      result = await emailService.processNewEmails(
+        job.userId.toString(),
+        job.accountId.toString(),
+        {
+          ...job.options,
+          mode: job.type === 'backfill' ? 'backfill' : undefined,
+          shouldStop,
+          onProgress,
+        }
+      );
+    }
+
+    const counts =
+      USER_JOB_TYPES.includes(job.type)
+        ? result
+        : lastCounts || { processed: Array.isArray(result) ? result.length : 0 };
+    await SyncJob.updateOne(
+      { _id: job._id },
+      {
+        state: cancelRequested ? 'cancelled' : 'completed',
+        counts,
+        finishedAt: new Date(),
+      }
+    );
+    console.log(`Job ${job._id} ${cancelRequested ? 'cancelled' : 'completed'}`);
+
+    if (!cancelRequested && !USER_JOB_TYPES.includes(job.type)) {
+      await queueProviderRetry(job).catch((error) =>
+        console.error(`Error queueing AI retry after job ${job._id}:`, error)
+      );
+    }
+  } catch (error) {
+    console.error(`Job ${job._id} failed:`, error);
+    await SyncJob.updateOne(
+      { _id: job._id },
+      {
+        state: 'failed',
+        error: error.message,
+        ...(lastCounts && { counts: lastCounts }),
+        finishedAt: new Date(),
+      }
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Process queued jobs until the queue is empty
+ * @returns {Promise<number>} Number of jobs run
+ */
+async function processQueue() {
+  let ran = 0;
+  await requeueStaleJobs();
+
+  let job = await claimNextJob();
+  while (job) {
+    await runJob(job);
+    ran++;
+    job = await claimNextJob();
+  }
+
+  return ran;
+}
+
+/**
+ * Start the background worker loop
+ * Polls MongoDB for queued jobs; safe to run on several server instances
+ */
+function startWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  const tick = async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      await processQueue();
+    } catch (error) {
+      console.error('Sync worker error:', error);
+    } finally {
+      workerRunning = false;
+    }
+  };
+
+  workerTimer = setInterval(tick, config.pollIntervalMs);
+  tick();
+  console.log(`🛠️  Sync worker ${workerId} started (polling every ${config.pollIntervalMs}ms)`);
+}
+
+/**
+ * Stop the background worker loop
+ * A job that is already running finishes on its own
+ */
+function stopWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+module.exports = {
+  enqueueJob,
+  requestCancel,
+  getJob,
+  requeueStaleJobs,
+  processQueue,
+  startWorker,
+  stopWorker,
+};
@@ -0,0 +1,351 @@
+// server/src/services/labels.js
+/**
+ * Gmail label sync service
+ * Keeps a Gmail label per synced category in step with our categories, in both directions
+ */
+
+const { Category, Email, Account } = require('../config/database');
+const gmailService = require('./gmail');
+const feedbackService = require('./feedback');
+const classificationLog = require('./classificationLog');
+
+// Synced categories are created as nested Gmail labels under this prefix
+const CATEGORY_LABEL_PREFIX = process.env.GMAIL_CATEGORY_LABEL_PREFIX ?? 'Sorted/';
+
+// Label lookups in flight per owner and account, so parallel syncs share one
+const pendingLabels = new Map();
+
+/**
+ * Find or create the Gmail label for an owner and store it on the owner
+ * @param {object} Model - Mongoose model of the owner (Category or Tag)
+ * @param {object} owner - Owner document with gmailLabels
+ * @param {string} accountId - Account ID
+ * @param {string} name - Label name
+ * @returns {Promise<object>} The owner's { accountId, labelId, created } entry for the account
+ */
+async function storeOwnedLabel(Model, owner, accountId, name) {
+  const { id, created } = await gmailService.ensureLabel(accountId, name);
+  const entry = { accountId, labelId: id, created };
+
+  // Only added when the owner has no label on the account yet; otherwise the stored one wins
+  const result = await Model.updateOne(
+    { _id: owner._id, 'gmailLabels.accountId': { $ne: accountId } },
+    { $push: { gmailLabels: entry } }
+  );
+  if (result.modifiedCount > 0) {
+    return entry;
+  }
+
+  const stored = await Model.findById(owner._id).select('gmailLabels');
+  const storedEntry = (stored?.gmailLabels || []).find(
+    (label) => label.accountId.toString() === accountId.toString()
+  );
+  return storedEntry || entry;
+}
+
+/**
+ * Get the Gmail label a category or tag owns on an account, creating it on first use
+ * A label that already exists in Gmail under the same name is adopted
+ * @param {object} Model - Mongoose model of the owner (Category or Tag)
+ * @param {object} owner - Owner document with gmailLabels
+ * @param {string} accountId - Account ID
+ * @param {string} name - Label name to create when the owner has none on the account
+ * @returns {Promise<string>} Gmail label ID
+ */
+async function getOwnedLabelId(Model, owner, accountId, name) {
+  const known = (owner.gmailLabels || []).find(
+    (label) => label.accountId.toString() === accountId.toString()
+  );
+  if (known) {
+    return known.labelId;
+  }
+
+  const key = `${owner._id}:${accountId}`;
+  if (!pendingLabels.has(key)) {
+    pendingLabels.set(
+      key,
+      storeOwnedLabel(Model, owner, accountId, name).finally(() => pendingLabels.delete(key))
+    );
+  }
+  const entry = await pendingLabels.get(key);
+
+  if (!(owner.gmailLabels || []).some((label) => label.accountId.toString() === accountId.toString())) {
+    owner.gmailLabels = [...(owner.gmailLabels || []), entry];
+  }
+  return entry.labelId;
+}
+
+/**
+ * Get the Gmail label name of a category
+ * @param {object} category - Category document
+ * @returns {string} Label name
+ */
+function getCategoryLabelName(category) {
+  return `${CATEGORY_LABEL_PREFIX}${category.name}`;
+}
+
+/**
+ * Get the Gmail label of a synced category on an account
+ * @param {object|null} category - Category document
+ * @param {string} accountId - Account ID
+ * @returns {Promise<string|null>} Gmail label ID, or null when the category isn't synced
+ */
+async function getCategoryLabelId(category, accountId) {
+  if (!category?.syncToGmail) {
+    return null;
+  }
+  return getOwnedLabelId(Category, category, accountId, getCategoryLabelName(category));
+}
+
+/**
+ * Move emails of one account from one category label to another in Gmail
+ * Failures are logged so sorting never fails on Gmail
+ * @param {string} accountId - Account ID
+ * @param {Array<string>} gmailIds - Gmail message IDs
+ * @param {object} change - { from, to } category documents (either may be null)
+ * @returns {Promise<void>}
+ */
+async function moveCategoryLabel(accountId, gmailIds, { from = null, to = null }) {
+  if (from?._id && to?._id && from._id.toString() === to._id.toString()) {
+    return;
+  }
+
+  try {
+    const [removeId, addId] = await Promise.all([
+      getCategoryLabelId(from, accountId),
+      getCategoryLabelId(to, accountId),
+    ]);
+    await gmailService.batchModifyLabels(accountId, gmailIds, {
+      add: addId ? [addId] : [],
+      remove: removeId ? [removeId] : [],
+    });
+  } catch (error) {
+    console.error(`Error moving category labels of ${gmailIds.length} email(s) in Gmail:`, error.message);
+  }
+}
+
+/**
+ * Mirror a category change of one email to Gmail
+ * @param {object} email - Email document with accountId and gmailId
+ * @param {object} change - { from, to } category documents (either may be null)
+ * @returns {Promise<void>}
+ */
+async function mirrorCategoryChange(email, change) {
+  await moveCategoryLabel(email.accountId, [email.gmailId], change);
+}
+
+/**
+ * Mirror a bulk recategorization to Gmail
+ * Emails are grouped by account and previous category so each group is one batch call
+ * @param {string} userId - User ID
+ * @param {Array<object>} emails - Email documents as they were before the move
+ * @param {object|null} to - Category the emails were moved to
+ * @returns {Promise<void>}
+ */
+async function mirrorRecategorization(userId, emails, to) {
+  const previousIds = [...new Set(emails.map((email) => email.categoryId?.toString()).filter(Boolean))];
+  const previous = await Category.find({ _id: { $in: previousIds }, userId, syncToGmail: true });
+  if (!to?.syncToGmail && previous.length === 0) {
+    return;
+  }
+
+  const byId = new Map(previous.map((category) => [category._id.toString(), category]));
+  const groups = new Map();
+  for (const email of emails) {
+    const from = byId.get(email.categoryId?.toString()) || null;
+    const key = `${email.accountId}:${from?._id || ''}`;
+    if (!groups.has(key)) groups.set(key, { accountId: email.accountId, from, gmailIds: [] });
+    groups.get(key).gmailIds.push(email.gmailId);
+  }
+
+  for (const { accountId, from, gmailIds } of groups.values()) {
+    await moveCategoryLabel(accountId, gmailIds, { from, to });
+  }
+}
+
+/**
+ * Label every stored email of a category that was just synced to Gmail
+ * @param {object} category - Category document with syncToGmail set
+ * @returns {Promise<number>} Number of emails labeled
+ */
+async function labelCategoryEmails(category) {
+  const emails = await Email.find({ categoryId: category._id }).select('accountId gmailId');
+
+  const byAccount = new Map();
+  for (const email of emails) {
+    const key = email.accountId.toString();
+    if (!byAccount.has(key)) byAccount.set(key, []);
+    byAccount.get(key).push(email.gmailId);
+  }
+
+  for (const [accountId, gmailIds] of byAccount) {
+    await moveCategoryLabel(accountId, gmailIds, { to: category });
+  }
+
+  return emails.length;
+}
+
+/**
+ * Rename the Gmail labels a category or tag owns
+ * Labels that can no longer be renamed (e.g. deleted in Gmail) are forgotten and
+ * created again on next use
+ * @param {object} Model - Mongoose model of the owner (Category or Tag)
+ * @param {object} owner - Owner document with gmailLabels
+ * @param {string} name - New label name
+ * @returns {Promise<void>}
+ */
+async function renameOwnedLabels(Model, owner, name) {
+  const kept = [];
+  for (const label of owner.gmailLabels || []) {
+    try {
+      await gmailService.renameLabel(label.accountId, label.labelId, name);
+      kept.push(label);
+    } catch (error) {
+      console.error(`Error renaming Gmail label of ${Model.modelName.toLowerCase()} ${owner._id}:`, error.message);
+    }
+  }
+
+  if (kept.length !== (owner.gmailLabels || []).length) {
+    await Model.updateOne({ _id: owner._id }, { gmailLabels: kept });
+    owner.gmailLabels = kept;
+  }
+}
+
+/**
+ * Rename the Gmail labels of a renamed category
+ * @param {object} category - Category document with its new name
+ * @returns {Promise<void>}
+ */
+async function renameCategoryLabels(category) {
+  await renameOwnedLabels(Category, category, getCategoryLabelName(category));
+}
+
+/**
+ * Delete the Gmail labels of a category
+ * Gmail removes the label from every message; the messages stay where they are. Labels that
+ * existed in Gmail before the category adopted them are only forgotten.
+ * @param {object} category - Category document
+ * @returns {Promise<void>}
+ */
+async function deleteCategoryLabels(category) {
+  for (const label of category.gmailLabels || []) {
+    if (!label.created) {
+      continue;
+    }
+    try {
+      await gmailService.deleteLabel(label.accountId, label.labelId);
+    } catch (error) {
+      console.error(`Error deleting Gmail label of category ${category._id}:`, error.message);
+    }
+  }
+
+  await Category.updateOne({ _id: category._id }, { gmailLabels: [] });
+  category.gmailLabels = [];
+}
+
+/**
+ * Pull category label changes made in Gmail back into our categories
+ * Adding a category label moves the email to that category; removing the label of its
+ * current category leaves it uncategorized. Either counts as a manual correction.
+ * @param {string} accountId - Account ID
+ * @param {Array<object>} labelChanges - labelChanges from gmailService.fetchHistoryChanges
+ * @returns {Promise<number>} Number of emails moved
+ */
+async function applyCategoryLabelChanges(accountId, labelChanges) {
+  if (labelChanges.length === 0) {
+    return 0;
+  }
+
+  const account = await Account.findById(accountId).select('userId');
+  if (!account) {
+    return 0;
+  }
+  const { userId } = account;
+
+  const categories = await Category.find({ userId, syncToGmail: true, 'gmailLabels.accountId': accountId });
+  const categoryByLabel = new Map();
+  for (const category of categories) {
+    for (const label of category.gmailLabels) {
+      if (label.accountId.toString() === accountId.toString()) {
+        categoryByLabel.set(label.labelId, category);
+      }
+    }
+  }
+  if (categoryByLabel.size === 0) {
+    return 0;
+  }
+
+  let moved = 0;
+
+  for (const { gmailId, labelsAdded, labelsRemoved } of labelChanges) {
+    const added = labelsAdded.map((labelId) => categoryByLabel.get(labelId)).filter(Boolean);
+    const removed = labelsRemoved.map((labelId) => categoryByLabel.get(labelId)).filter(Boolean);
+    if (added.length === 0 && removed.length === 0) {
+      continue;
+    }
+
+    const email = await Email.findOne({ accountId, gmailId });
+    if (!email) {
+      continue;
+    }
+
+    const currentId = email.categoryId?.toString() || null;
+    let target;
+    if (added.length > 0) {
+      // Our own label changes come back through history too; they match the current category
+      target = added.find((category) => category._id.toString() !== currentId);
+      if (!target) continue;
+    } else if (removed.some((category) => category._id.toString() === currentId)) {
+      target = null;
+    } else {
+      continue;
+    }
+
+    await Email.updateOne(
+      { _id: email._id },
+      target
+        ? {
+            categoryId: target._id,
+            aiCategory: target.name,
+            manuallyCategorized: true,
+            reviewedAt: new Date(),
+            classificationStatus: 'classified',
+            $unset: { aiError: 1 },
+          }
+        : { categoryId: null, manuallyCategorized: true, reviewedAt: new Date() }
+    );
+
+    if (target) {
+      await feedbackService.recordCorrections(userId, [email], target._id);
+    }
+    await classificationLog.recordManualDecisions(userId, [email._id], target, { viaGmail: true });
+
+    if (currentId) {
+      await Category.updateOne({ _id: currentId }, { $inc: { emailCount: -1 } });
+    }
+    if (target) {
+      await Category.updateOne({ _id: target._id }, { $inc: { emailCount: 1 } });
+    }
+
+    // An email has one category, so drop the old category label if it's still there
+    const current = categories.find((category) => category._id.toString() === currentId);
+    if (target && current && !removed.includes(current)) {
+      await moveCategoryLabel(accountId, [gmailId], { from: current });
+    }
+
+    moved++;
+  }
+
+  return moved;
+}
+
+module.exports = {
+  getOwnedLabelId,
+  renameOwnedLabels,
+  mirrorCategoryChange,
+  mirrorRecategorization,
+  labelCategoryEmails,
+  renameCategoryLabels,
+  deleteCategoryLabels,
+  applyCategoryLabelChanges,
+};
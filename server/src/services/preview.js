@@ -0,0 +1,218 @@
+// server/src/services/preview.js
+/**
+ * Preview service
+ * Dry-runs draft rules and category descriptions over already-imported emails and reports
+ * which emails would move between categories, without saving anything
+ */
+
+const mongoose = require('mongoose');
+const { Email, Category, User } = require('../config/database');
+const aiService = require('./ai');
+const rulesService = require('./rules');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+// Rule matching is cheap, so rule previews look at many more emails than AI previews
+const RULE_SAMPLE_DEFAULT = 200;
+const RULE_SAMPLE_MAX = 1000;
+const CATEGORY_SAMPLE_DEFAULT = 20;
+const CATEGORY_SAMPLE_MAX = parseInt(process.env.PREVIEW_MAX_AI_SAMPLE || 50);
+
+const PREVIEW_CONCURRENCY = 4;
+
+/**
+ * Clamp a requested sample size
+ * @param {number} requested - Requested size
+ * @param {number} fallback - Size used when none is requested
+ * @param {number} max - Largest allowed size
+ * @returns {number} Sample size
+ */
+function sampleSize(requested, fallback, max) {
+  const size = parseInt(requested) || fallback;
+  return Math.max(1, Math.min(size, max));
+}
+
+/**
+ * Load the most recent emails to preview against
+ * Manually categorized emails are left out since automatic sorting never moves them
+ * @param {string} userId - User ID
+ * @param {number} limit - Number of emails
+ * @returns {Promise<Array>} Email documents
+ */
+async function loadSample(userId, limit) {
+  return Email.find({ userId, manuallyCategorized: { $ne: true } })
+    .sort({ receivedAt: -1 })
+    .limit(limit)
+    .select('subject from to body snippet headers hasUnsubscribeLink accountId categoryId receivedAt');
+}
+
+/**
+ * Turn per-email outcomes into a preview report
+ * @param {Array<object>} outcomes - { email, after, confidence, reasoning, actions }
+ * @param {Map<string, object>} categoryById - Categories (including drafts) by ID
+ * @returns {object} { sampled, changed, moves, emails }
+ */
+function buildReport(outcomes, categoryById) {
+  const describe = (categoryId) => {
+    if (!categoryId) {
+      return { _id: null, name: 'Uncategorized' };
+    }
+    const category = categoryById.get(categoryId.toString());
+    return { _id: categoryId, name: category ? category.name : 'Unknown category' };
+  };
+
+  const moves = new Map();
+  const emails = [];
+
+  for (const { email, after, confidence, reasoning, actions } of outcomes) {
+    const beforeKey = email.categoryId ? email.categoryId.toString() : null;
+    const afterKey = after ? after.toString() : null;
+    const moved = beforeKey !== afterKey;
+
+    // Emails that stay put are only listed when a rule would still act on them
+    if (!moved && !actions) {
+      continue;
+    }
+
+    if (moved) {
+      const key = `${beforeKey}:${afterKey}`;
+      const move = moves.get(key) || { from: describe(beforeKey), to: describe(afterKey), count: 0 };
+      move.count++;
+      moves.set(key, move);
+    }
+
+    emails.push({
+      _id: email._id,
+      subject: email.subject,
+      from: email.from,
+      receivedAt: email.receivedAt,
+      before: describe(beforeKey),
+      after: describe(afterKey),
+      moved,
+      confidence,
+      reasoning,
+      actions: actions || null,
+    });
+  }
+
+  return {
+    sampled: outcomes.length,
+    changed: emails.filter((email) => email.moved).length,
+    moves: [...moves.values()].sort((a, b) => b.count - a.count),
+    emails,
+  };
+}
+
+/**
+ * Preview a draft rule against recent emails
+ * The draft replaces the saved rule it edits and runs alongside the user's other enabled rules
+ * @param {string} userId - User ID
+ * @param {object} draft - Validated rule fields
+ * @param {object} options - { ruleId, limit }
+ * @returns {Promise<object>} Preview report with matched count
+ */
+async function previewRule(userId, draft, options = {}) {
+  const limit = sampleSize(options.limit, RULE_SAMPLE_DEFAULT, RULE_SAMPLE_MAX);
+  const draftRule = { ...draft, _id: options.ruleId || 'draft' };
+
+  const [activeRules, categories, emails] = await Promise.all([
+    rulesService.getActiveRules(userId),
+    Category.find({ userId }),
+    loadSample(userId, limit),
+  ]);
+
+  // The draft is previewed even while disabled, so a rule can be checked before it is turned on
+  const rules = [
+    ...activeRules.filter((rule) => rule._id.toString() !== String(options.ruleId)),
+    draftRule,
+  ].sort((a, b) => a.priority - b.priority);
+
+  let matched = 0;
+  const outcomes = emails.map((email) => {
+    const { matchedRules, actions } = rulesService.evaluateRules(rules, email);
+    const matchesDraft = matchedRules.includes(draftRule);
+    if (matchesDraft) matched++;
+
+    return {
+      email,
+      // Without a rule category the email keeps whatever the AI gave it
+      after: actions?.categoryId || email.categoryId,
+      confidence: actions?.categoryId ? 1 : null,
+      reasoning: matchedRules.length > 0 ? `Matched rule "${matchedRules[0].name}"` : null,
+      actions: matchesDraft ? actions : null,
+    };
+  });
+
+  const categoryById = new Map(categories.map((cat) => [cat._id.toString(), cat]));
+  return { ...buildReport(outcomes, categoryById), matched };
+}
+
+/**
+ * Preview a draft category name and description by re-classifying recent emails
+ * Nothing is saved: no emails move, no decisions are logged and no rules record matches
+ * @param {string} userId - User ID
+ * @param {object} draft - { categoryId?, name, description, parentId? }
+ * @param {object} options - { limit }
+ * @returns {Promise<object>} Preview report
+ */
+async function previewCategory(userId, draft, options = {}) {
+  const limit = sampleSize(options.limit, CATEGORY_SAMPLE_DEFAULT, CATEGORY_SAMPLE_MAX);
+
+  const [saved, rules, user, emails] = await Promise.all([
+    Category.find({ userId }),
+    rulesService.getActiveRules(userId),
+    User.findById(userId).select('aiSettings'),
+    loadSample(userId, limit),
+  ]);
+
+  // New categories get a throwaway ID so moves into them can be reported
+  const draftId = draft.categoryId || new mongoose.Types.ObjectId();
+  const draftCategory = {
+    _id: draftId,
+    name: draft.name.trim(),
+    description: draft.description.trim(),
+    parentId: draft.parentId || null,
+  };
+  const categories = [
+    ...saved
+      .filter((cat) => cat._id.toString() !== draftId.toString())
+      .map((cat) => ({
+        _id: cat._id,
+        name: cat.name,
+        description: cat.description,
+        parentId: cat.parentId,
+      })),
+    draftCategory,
+  ];
+
+  const outcomes = await mapWithConcurrency(emails, PREVIEW_CONCURRENCY, async (email) => {
+    // Rules that set a category win over any description
+    const { matchedRules, actions } = rulesService.evaluateRules(rules, email);
+    if (actions?.categoryId) {
+      return {
+        email,
+        after: actions.categoryId,
+        confidence: 1,
+        reasoning: `Matched rule "${matchedRules[0].name}"`,
+      };
+    }
+
+    const analysis = await aiService.analyzeEmail(userId, email, {
+      categories,
+      aiSettings: user?.aiSettings,
+    });
+    return {
+      email,
+      after: analysis.categoryId,
+      confidence: analysis.confidence,
+      reasoning: analysis.reasoning || analysis.error?.message || null,
+    };
+  });
+
+  const categoryById = new Map(categories.map((cat) => [cat._id.toString(), cat]));
+  return { ...buildReport(outcomes, categoryById), draftCategoryId: draftId };
+}
+
+module.exports = {
+  previewRule,
+  previewCategory,
+};
@@ -0,0 +1,287 @@
+// server/src/services/providers/anthropic.js
+/**
+ * Anthropic AI provider
+ * Classifies with a forced tool call and parses JSON text responses, repairing
+ * invalid output once before giving up
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { withRetry } = require('../../utils/concurrency');
+const { AIResponseError, parseJsonResponse, validateResponse } = require('../../utils/aiResponse');
+const {
+  aiLimiter,
+  ANALYSIS_TOOL_NAME,
+  SAFETY_SCHEMA,
+  SUGGESTION_SCHEMA,
+  UNSUBSCRIBE_PAGE_SCHEMA,
+  buildAnalysisTool,
+  buildAnalysisPrompt,
+  buildBatchSummaryPrompt,
+  parseNumberedList,
+  buildSafetyPrompt,
+  buildSuggestionPrompt,
+  buildUnsubscribePagePrompt,
+} = require('./shared');
+
+const name = 'anthropic';
+const label = 'Anthropic Claude';
+const defaultModel = process.env.AI_MODEL || 'claude-sonnet-4-5';
+
+let client = null;
+
+/**
+ * Check whether the provider has credentials
+ * @returns {boolean} True if CLAUDE_API_KEY is set
+ */
+function isConfigured() {
+  return !!process.env.CLAUDE_API_KEY;
+}
+
+/**
+ * Get the shared Anthropic client
+ * @returns {object} Anthropic client
+ */
+function getClient() {
+  if (!isConfigured()) {
+    throw new Error('CLAUDE_API_KEY is not set in environment variables');
+  }
+
+  if (!client) {
+    client = new Anthropic({
+      apiKey: process.env.CLAUDE_API_KEY,
+      // Retries are handled by createMessage
+      maxRetries: 0,
+    });
+  }
+  return client;
+}
+
+/**
+ * Send a Claude request through the shared limiter
+ * Retries 429/5xx responses with exponential backoff
+ * @param {object} params - messages.create parameters
+ * @returns {Promise<object>} Claude message
+ */
+function createMessage(params) {
+  const anthropic = getClient();
+  return withRetry(() => aiLimiter.schedule(() => anthropic.messages.create(params)), {
+    label: 'Claude API',
+  });
+}
+
+/**
+ * Ask Claude for a forced tool call and validate its input against the tool schema
+ * An invalid call is sent back once as an error tool_result so the model can repair it
+ * @param {object} params - messages.create parameters with a single tool
+ * @returns {Promise<object>} { output, usage } with the validated tool input and total token usage
+ * @throws {AIResponseError} If the repaired response is still invalid
+ */
+async function requestToolInput(params) {
+  const tool = params.tools[0];
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let messages = params.messages;
+
+  for (let attempt = 0; ; attempt++) {
+    const message = await createMessage({ ...params, messages });
+    usage.inputTokens += message.usage?.input_tokens || 0;
+    usage.outputTokens += message.usage?.output_tokens || 0;
+
+    const toolUse = message.content.find(
+      (block) => block.type === 'tool_use' && block.name === tool.name
+    );
+
+    try {
+      if (!toolUse) {
+        throw new AIResponseError(`AI response did not call ${tool.name}`, {
+          rawResponse: JSON.stringify(message.content),
+        });
+      }
+      return { output: validateResponse(toolUse.input, tool.input_schema), usage };
+    } catch (error) {
+      if (attempt >= 1 || !(error instanceof AIResponseError)) {
+        throw error;
+      }
+
+      console.warn(`⚠️ Invalid ${tool.name} response, asking for a repair: ${error.message}`);
+      const repairText = `${error.message}. Call ${tool.name} again with input that matches the schema exactly.`;
+      messages = [
+        ...params.messages,
+        { role: 'assistant', content: message.content },
+        {
+          role: 'user',
+          content: toolUse
+            ? [{ type: 'tool_result', tool_use_id: toolUse.id, is_error: true, content: repairText }]
+            : repairText,
+        },
+      ];
+    }
+  }
+}
+
+/**
+ * Ask Claude for a JSON text response and validate it against a schema
+ * A response that can't be parsed is sent back once with a repair prompt
+ * @param {object} params - messages.create parameters
+ * @param {object} schema - Schema the JSON object must match
+ * @returns {Promise<object>} Parsed and validated object
+ * @throws {AIResponseError} If the repaired response is still invalid
+ */
+async function requestJson(params, schema) {
+  let messages = params.messages;
+
+  for (let attempt = 0; ; attempt++) {
+    const message = await createMessage({ ...params, messages });
+    const text = message.content
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+
+    try {
+      return parseJsonResponse(text, schema);
+    } catch (error) {
+      if (attempt >= 1 || !(error instanceof AIResponseError)) {
+        throw error;
+      }
+
+      console.warn(`⚠️ Invalid JSON response, asking for a repair: ${error.message}`);
+      messages = [
+        ...params.messages,
+        { role: 'assistant', content: text || '(empty response)' },
+        {
+          role: 'user',
+          content: `Your previous response could not be used: ${error.message}. Respond again with only the corrected JSON object and no other text.`,
+        },
+      ];
+    }
+  }
+}
+
+/**
+ * Classify, summarize and extract metadata from an email
+ * @param {object} email - Email object with subject, body, from
+ * @param {Array<object>} categories - User categories
+ * @param {object} options - { model, examples, tags }
+ * @returns {Promise<object>} { output, usage } where output is the validated analysis tool input
+ */
+async function classify(email, categories, { model, examples = [], tags = [] } = {}) {
+  return requestToolInput({
+    model: model || defaultModel,
+    max_tokens: 600,
+    tools: [
+      buildAnalysisTool(
+        categories.map((cat) => cat.name),
+        tags.map((tag) => tag.name)
+      ),
+    ],
+    tool_choice: { type: 'tool', name: ANALYSIS_TOOL_NAME },
+    messages: [
+      {
+        role: 'user',
+        content: buildAnalysisPrompt(email, categories, examples, tags),
+      },
+    ],
+  });
+}
+
+/**
+ * Summarize several emails in one request
+ * @param {Array<object>} emails - Array of email objects
+ * @param {object} options - { model }
+ * @returns {Promise<Array<string>>} One summary per email
+ */
+async function summarize(emails, { model } = {}) {
+  const message = await createMessage({
+    model: model || defaultModel,
+    max_tokens: 500,
+    messages: [
+      {
+        role: 'user',
+        content: buildBatchSummaryPrompt(emails),
+      },
+    ],
+  });
+
+  return parseNumberedList(message.content[0].text);
+}
+
+/**
+ * Analyze an email for spam/phishing characteristics
+ * @param {object} email - Email object
+ * @param {object} options - { model }
+ * @returns {Promise<object>} { isSpam, isPhishing, riskLevel, indicators }
+ */
+async function checkSafety(email, { model } = {}) {
+  return requestJson(
+    {
+      model: model || defaultModel,
+      max_tokens: 256,
+      messages: [
+        {
+          role: 'user',
+          content: buildSafetyPrompt(email),
+        },
+      ],
+    },
+    SAFETY_SCHEMA
+  );
+}
+
+/**
+ * Propose a category set from a sample of the inbox
+ * @param {Array<object>} emails - Sampled emails { from, subject, snippet }
+ * @param {object} options - { model, existing } (existing: names of current categories)
+ * @returns {Promise<Array<object>>} { name, description } suggestions
+ */
+async function suggestCategories(emails, { model, existing = [] } = {}) {
+  const output = await requestJson(
+    {
+      model: model || defaultModel,
+      max_tokens: 1000,
+      messages: [
+        {
+          role: 'user',
+          content: buildSuggestionPrompt(emails, existing),
+        },
+      ],
+    },
+    SUGGESTION_SCHEMA
+  );
+
+  return output.categories;
+}
+
+/**
+ * Judge whether the page a browser unsubscribe ended on confirms it
+ * @param {string} pageText - Visible text of the page
+ * @param {object} options - { model }
+ * @returns {Promise<object>} { outcome, reason } (outcome: confirmed, failed or needs-manual)
+ */
+async function classifyUnsubscribePage(pageText, { model } = {}) {
+  return requestJson(
+    {
+      model: model || defaultModel,
+      max_tokens: 256,
+      messages: [
+        {
+          role: 'user',
+          content: buildUnsubscribePagePrompt(pageText),
+        },
+      ],
+    },
+    UNSUBSCRIBE_PAGE_SCHEMA
+  );
+}
+
+module.exports = {
+  name,
+  label,
+  defaultModel,
+  isConfigured,
+  classify,
+  summarize,
+  checkSafety,
+  suggestCategories,
+  classifyUnsubscribePage,
+  // Anthropic has no embeddings endpoint
+  embed: null,
+};
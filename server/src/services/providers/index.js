@@ -0,0 +1,89 @@
+// server/src/services/providers/index.js
+/**
+ * AI provider registry
+ * Every provider implements the same interface:
+ *   classify(email, categories, { model }) -> { output, usage }; output matches the analysis tool schema
+ *   summarize(emails, { model })           -> one summary per email
+ *   checkSafety(email, { model })          -> { isSpam, isPhishing, riskLevel, indicators }
+ *   suggestCategories(emails, { model, existing }) -> [{ name, description }] for a category set
+ *   embed(texts, { model })                -> one vector per text (null if unsupported)
+ *   classifyUnsubscribePage(pageText, { model }) -> { outcome, reason } for a page an unsubscribe ended on
+ */
+
+const anthropic = require('./anthropic');
+const openai = require('./openai');
+const local = require('./local');
+
+const PROVIDERS = {
+  [anthropic.name]: anthropic,
+  [openai.name]: openai,
+  [local.name]: local,
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Get the provider used when a user hasn't picked one
+ * @returns {string} Provider name from AI_PROVIDER (defaults to anthropic)
+ */
+function getDefaultProviderName() {
+  const configured = process.env.AI_PROVIDER;
+  return PROVIDERS[configured] ? configured : anthropic.name;
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {object} Provider
+ */
+function getProvider(name) {
+  const provider = PROVIDERS[name || getDefaultProviderName()];
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Resolve a user's AI settings to a provider and model
+ * Falls back to the server default when the chosen provider isn't configured
+ * @param {object} aiSettings - User aiSettings ({ provider, model }) or null
+ * @returns {object} { provider, model }
+ */
+function resolveProvider(aiSettings = {}) {
+  let provider = getProvider(aiSettings?.provider);
+  let model = aiSettings?.model || null;
+
+  if (!provider.isConfigured()) {
+    console.warn(`⚠️ AI provider "${provider.name}" is not configured, using the default provider`);
+    provider = getProvider();
+    model = null;
+  }
+
+  return { provider, model: model || provider.defaultModel };
+}
+
+/**
+ * Describe the available providers for the settings UI
+ * @returns {Array<object>} { name, label, defaultModel, configured, supportsEmbeddings }
+ */
+function listProviders() {
+  return PROVIDER_NAMES.map((name) => {
+    const provider = PROVIDERS[name];
+    return {
+      name,
+      label: provider.label,
+      defaultModel: provider.defaultModel,
+      configured: provider.isConfigured(),
+      supportsEmbeddings: !!provider.embed,
+    };
+  });
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  getDefaultProviderName,
+  getProvider,
+  resolveProvider,
+  listProviders,
+};
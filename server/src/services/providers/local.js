@@ -0,0 +1,354 @@
+// server/src/services/providers/local.js
+/**
+ * Local rule-based AI provider
+ * Deterministic keyword heuristics with no network access, so the whole sync
+ * pipeline can run in CI and on developer machines without API keys
+ */
+
+const { MAX_BODY_CHARS, MAX_SUGGESTED_CATEGORIES, NO_CATEGORY } = require('./shared');
+const { CATEGORY_TEMPLATES } = require('../../config/categoryTemplates');
+
+const name = 'local';
+const label = 'Local rules (offline)';
+const defaultModel = 'rules-v1';
+
+const EMBEDDING_DIMENSIONS = 256;
+
+const EXAMPLE_SENDER_WEIGHT = 5;
+
+// Keyword hits a tag needs outside the subject (a subject hit alone is enough)
+const TAG_MIN_BODY_MATCHES = 2;
+
+// Sampled emails a template must match before it is suggested
+const SUGGESTION_MIN_EMAILS = 2;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'had',
+  'her', 'was', 'one', 'our', 'out', 'has', 'have', 'this', 'that', 'with', 'from',
+  'they', 'will', 'would', 'there', 'their', 'what', 'about', 'which', 'when', 'them',
+  'been', 'were', 'into', 'more', 'than', 'then', 'some', 'could', 'also', 'just',
+  'emails', 'email', 'like', 'such', 'other', 'these', 'those', 'here',
+]);
+
+const AUTOMATED_SENDER = /no-?reply|do-?not-?reply|notifications?@|mailer|bounce|alerts?@|updates?@/i;
+const ACTION_PATTERNS = /\b(please (reply|respond|confirm|review|complete|sign)|action required|rsvp|respond by|due (on|by)|deadline|confirm your|verify your)\b/i;
+const UNSUBSCRIBE_PATTERN = /unsubscribe/i;
+
+const SAFETY_RULES = [
+  { pattern: /verify your (account|identity|password)/i, indicator: 'Asks to verify account details', phishing: true },
+  { pattern: /(password|social security|bank account|credit card) (number|details|expired)/i, indicator: 'Requests sensitive information', phishing: true },
+  { pattern: /https?:\/\/\d{1,3}(\.\d{1,3}){3}/i, indicator: 'Links to a bare IP address', phishing: true },
+  { pattern: /\b(urgent|immediately|within 24 hours|account (will be )?(suspended|closed))\b/i, indicator: 'Urgent or threatening language', phishing: true },
+  { pattern: /\b(winner|you('ve| have) won|claim your prize|free money|act now)\b/i, indicator: 'Prize or too-good-to-be-true offer', spam: true },
+  { pattern: /\b(viagra|crypto(currency)? investment|double your)\b/i, indicator: 'Common spam keywords', spam: true },
+];
+
+// Checked in order against the page an unsubscribe ended on; the first match decides.
+// Confirmations go first so help-center or profile boilerplate on a success page can't turn it
+// into a failure, and failures must be about the unsubscribe itself
+const UNSUBSCRIBE_PAGE_RULES = [
+  { pattern: /\b(you('ve| have)?|(has|have)) been (\w+ ){0,2}(unsubscribed|removed|opted out)/i, outcome: 'confirmed', reason: 'The page confirms the unsubscribe' },
+  { pattern: /\byou('re| are) (now )?(successfully )?(unsubscribed|opted out)\b|\b(successfully|now) (unsubscribed|opted out)\b/i, outcome: 'confirmed', reason: 'The page confirms the unsubscribe' },
+  { pattern: /\b(unsubscribe|unsubscription|opt[- ]out|removal) (request )?(was |is |has been )?(successful|complete|completed|confirmed|processed)/i, outcome: 'confirmed', reason: 'The page confirms the unsubscribe' },
+  { pattern: /\bno longer (receive|get|be sent)|won't (receive|get|be sent)/i, outcome: 'confirmed', reason: 'The page confirms the unsubscribe' },
+  { pattern: /\bsubscriptions? (has |have )?been (cancell?ed|removed)/i, outcome: 'confirmed', reason: 'The page confirms the unsubscribe' },
+  { pattern: /captcha|not a robot|verify (that )?you('re| are) (a )?human/i, outcome: 'needs-manual', reason: 'The page asks for a CAPTCHA' },
+  { pattern: /\b(log ?in|sign ?in) to (manage|update|change|unsubscribe)/i, outcome: 'needs-manual', reason: 'The page asks to sign in' },
+  { pattern: /\b(could ?n[o']t|unable to|failed to|cannot|can't|were not able to) (\w+ ){0,2}(unsubscribe|opt (you )?out|remove (you|your (email|address))|process (your|the|this) (unsubscribe|request|opt[- ]out))/i, outcome: 'failed', reason: 'The page says the unsubscribe failed' },
+  { pattern: /\b(unsubscribe|opt[- ]out|this) (link|token|request|url) (has |is )?(expired|invalid|no longer valid)/i, outcome: 'failed', reason: 'The unsubscribe link has expired or is invalid' },
+  { pattern: /\b(unsubscribe|opt[- ]out|your request) (has )?failed|\berror (while |when )?(processing|completing) your (unsubscribe|request)/i, outcome: 'failed', reason: 'The page shows an error' },
+];
+
+// Sentences that describe an unsubscribe still to come ("You are about to be unsubscribed",
+// "Click below and you will no longer receive...") can't confirm one
+const PENDING_SENTENCE = /\b(about to|going to|will be|to be|once|if|when|after|click|tap|press|confirm below|are you sure)\b/i;
+
+/**
+ * Split text into lowercase keyword tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens of three or more letters, without stop words
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length >= 3 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Reduce a token to a crude stem so "invoices" matches "invoice"
+ * @param {string} token - Lowercase token
+ * @returns {string} Stem
+ */
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 5 && /(ing|ed)$/.test(token)) return token.replace(/(ing|ed)$/, '');
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+/**
+ * Build a short summary from the first sentences of the body
+ * @param {object} email - Email object
+ * @returns {string} Summary
+ */
+function buildSummary(email) {
+  const text = (email.body || email.snippet || '').replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return email.subject || '(no content)';
+  }
+
+  const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
+  let summary = sentences
+    .slice(0, 2)
+    .map((sentence) => sentence.trim())
+    .join(' ');
+  if (summary.length > 240) {
+    summary = `${summary.substring(0, 237).trim()}...`;
+  }
+  return summary;
+}
+
+/**
+ * Extract metadata with simple patterns
+ * @param {object} email - Email object
+ * @param {string} text - Subject and body
+ * @returns {object} Analysis metadata
+ */
+function extractMetadata(email, text) {
+  let senderType = 'person';
+  if (AUTOMATED_SENDER.test(email.from || '')) {
+    senderType = 'automated';
+  } else if (UNSUBSCRIBE_PATTERN.test(text)) {
+    senderType = 'company';
+  }
+
+  const dueDate = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  const entities = ((email.subject || '').match(/\b[A-Z][a-zA-Z0-9]{2,}\b/g) || []).filter(
+    (word) => !STOP_WORDS.has(word.toLowerCase())
+  );
+
+  return {
+    senderType,
+    actionRequired: ACTION_PATTERNS.test(text),
+    dueDate: dueDate ? dueDate[1] : null,
+    keyEntities: [...new Set(entities)].slice(0, 5),
+    language: 'en',
+  };
+}
+
+/**
+ * Pick the tags whose name or description keywords appear in the email
+ * @param {Array<object>} tags - User tags
+ * @param {Set<string>} subjectStems - Stems of the subject
+ * @param {Array<string>} textStems - Stems of the sender, subject and body
+ * @returns {Array<string>} Tag names
+ */
+function matchTags(tags, subjectStems, textStems) {
+  return tags
+    .filter((tag) => {
+      const keywords = new Set(tokenize(`${tag.name} ${tag.description || ''}`).map(stem));
+      if ([...subjectStems].some((token) => keywords.has(token))) {
+        return true;
+      }
+      return textStems.filter((token) => keywords.has(token)).length >= TAG_MIN_BODY_MATCHES;
+    })
+    .map((tag) => tag.name);
+}
+
+/**
+ * Classify an email by keyword overlap with category names and descriptions
+ * Subject matches count double, past corrections from the same sender add
+ * EXAMPLE_SENDER_WEIGHT; ties go to the earlier category
+ * @param {object} email - Email object with subject, body, from
+ * @param {Array<object>} categories - User categories
+ * @param {object} options - { examples, tags }
+ * @returns {Promise<object>} { output, usage } where output has the same shape as the AI tool input
+ */
+async function classify(email, categories, { examples = [], tags = [] } = {}) {
+  const body = (email.body || email.snippet || '').substring(0, MAX_BODY_CHARS);
+  const text = `${email.subject || ''}\n${body}`;
+  const subjectStems = new Set(tokenize(email.subject).map(stem));
+  const textStems = tokenize(`${email.from || ''} ${text}`).map(stem);
+
+  const scores = categories.map((category) => {
+    const keywords = new Set(tokenize(`${category.name} ${category.description}`).map(stem));
+    const matched = new Set();
+    let score = 0;
+
+    for (const token of textStems) {
+      if (keywords.has(token)) {
+        score += subjectStems.has(token) ? 2 : 1;
+        matched.add(token);
+      }
+    }
+    const senderExamples = examples.filter(
+      (example) => example.categoryName === category.name && example.from === email.from
+    );
+    if (senderExamples.length > 0) {
+      score += EXAMPLE_SENDER_WEIGHT * senderExamples.length;
+      matched.add('past corrections for this sender');
+    }
+
+    return { category, score, matched: [...matched] };
+  });
+
+  const ranked = [...scores].sort((a, b) => b.score - a.score);
+  const best = ranked[0];
+  const runnerUp = ranked[1];
+
+  let categoryName = NO_CATEGORY;
+  let confidence = 0;
+  let reasoning = 'No categories to choose from';
+
+  // Without a single keyword hit there is nothing to go on, so the email stays unclassified
+  if (best && best.score > 0) {
+    const margin = best.score - (runnerUp ? runnerUp.score : 0);
+    categoryName = best.category.name;
+    confidence = Math.round(Math.min(0.95, 0.4 + (0.5 * margin) / best.score) * 100) / 100;
+    reasoning = `Matched: ${best.matched.slice(0, 5).join(', ')}`;
+  } else if (best) {
+    reasoning = 'No category keywords found in the email';
+  }
+
+  return {
+    output: {
+      categoryName,
+      confidence,
+      reasoning,
+      summary: buildSummary(email),
+      tags: matchTags(tags, subjectStems, textStems),
+      metadata: extractMetadata(email, text),
+    },
+    // No tokens are spent locally
+    usage: { inputTokens: 0, outputTokens: 0 },
+  };
+}
+
+/**
+ * Summarize several emails
+ * @param {Array<object>} emails - Array of email objects
+ * @returns {Promise<Array<string>>} One summary per email
+ */
+async function summarize(emails) {
+  return emails.map(buildSummary);
+}
+
+/**
+ * Flag spam/phishing with pattern rules
+ * @param {object} email - Email object
+ * @returns {Promise<object>} { isSpam, isPhishing, riskLevel, indicators }
+ */
+async function checkSafety(email) {
+  const text = `${email.subject || ''}\n${email.body || ''}`;
+  const hits = SAFETY_RULES.filter((rule) => rule.pattern.test(text));
+
+  const isPhishing = hits.some((rule) => rule.phishing);
+  const isSpam = hits.some((rule) => rule.spam);
+
+  let riskLevel = 'low';
+  if (isPhishing || hits.length >= 2) {
+    riskLevel = 'high';
+  } else if (hits.length === 1) {
+    riskLevel = 'medium';
+  }
+
+  return {
+    isSpam,
+    isPhishing,
+    riskLevel,
+    indicators: hits.map((rule) => rule.indicator),
+  };
+}
+
+/**
+ * Judge the page an unsubscribe ended on with pattern rules
+ * @param {string} pageText - Visible text of the page
+ * @returns {Promise<object>} { outcome, reason }; needs-manual when no rule matches
+ */
+async function classifyUnsubscribePage(pageText) {
+  const sentences = (pageText || '')
+    .split(/\n+|(?<=[.!?])\s+/)
+    .map((sentence) => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  const text = sentences.join(' ');
+  const settled = sentences.filter((sentence) => !PENDING_SENTENCE.test(sentence)).join(' ');
+
+  const rule = UNSUBSCRIBE_PAGE_RULES.find(({ pattern, outcome }) =>
+    pattern.test(outcome === 'confirmed' ? settled : text)
+  );
+
+  return rule
+    ? { outcome: rule.outcome, reason: rule.reason }
+    : { outcome: 'needs-manual', reason: 'The page does not confirm the unsubscribe' };
+}
+
+/**
+ * Suggest category templates that match a sample of the inbox
+ * An email matches a template when its subject or snippet contains one of the template keywords
+ * @param {Array<object>} emails - Sampled emails { from, subject, snippet }
+ * @param {object} options - { existing } names of current categories
+ * @returns {Promise<Array<object>>} { name, description } suggestions, best match first
+ */
+async function suggestCategories(emails, { existing = [] } = {}) {
+  const taken = new Set(existing.map((categoryName) => categoryName.toLowerCase()));
+  const emailStems = emails.map(
+    (email) => new Set(tokenize(`${email.subject} ${email.snippet || ''}`).map(stem))
+  );
+
+  return CATEGORY_TEMPLATES.filter((template) => !taken.has(template.name.toLowerCase()))
+    .map((template) => {
+      const keywords = template.keywords.map(stem);
+      const matches = emailStems.filter((stems) => keywords.some((keyword) => stems.has(keyword)));
+      return { template, matches: matches.length };
+    })
+    .filter(({ matches }) => matches >= SUGGESTION_MIN_EMAILS)
+    .sort((a, b) => b.matches - a.matches)
+    .slice(0, MAX_SUGGESTED_CATEGORIES)
+    .map(({ template }) => ({ name: template.name, description: template.description }));
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} value - String to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashToken(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Embed texts as L2-normalized hashed bag-of-words vectors
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+async function embed(texts) {
+  return texts.map((text) => {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    for (const token of tokenize(text)) {
+      vector[hashToken(stem(token)) % EMBEDDING_DIMENSIONS] += 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map((value) => value / norm) : vector;
+  });
+}
+
+module.exports = {
+  name,
+  label,
+  defaultModel,
+  // Needs no credentials
+  isConfigured: () => true,
+  classify,
+  summarize,
+  checkSafety,
+  suggestCategories,
+  classifyUnsubscribePage,
+  embed,
+};
@@ -0,0 +1,285 @@
+// server/src/services/providers/openai.js
+/**
+ * OpenAI-compatible AI provider
+ * Talks plain HTTP to any /chat/completions and /embeddings API (OpenAI, vLLM,
+ * Ollama, LM Studio, llama.cpp server...) configured with OPENAI_BASE_URL
+ */
+
+const axios = require('axios');
+const { withRetry } = require('../../utils/concurrency');
+const { AIResponseError, parseJsonResponse } = require('../../utils/aiResponse');
+const {
+  aiLimiter,
+  ANALYSIS_TOOL_NAME,
+  SAFETY_SCHEMA,
+  SUGGESTION_SCHEMA,
+  UNSUBSCRIBE_PAGE_SCHEMA,
+  buildAnalysisTool,
+  buildAnalysisPrompt,
+  buildBatchSummaryPrompt,
+  parseNumberedList,
+  buildSafetyPrompt,
+  buildSuggestionPrompt,
+  buildUnsubscribePagePrompt,
+} = require('./shared');
+
+const name = 'openai';
+const label = 'OpenAI-compatible';
+const defaultModel = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const embeddingModel = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const timeoutMs = parseInt(process.env.AI_HTTP_TIMEOUT_MS || 60000);
+
+/**
+ * Check whether the provider is configured
+ * Self-hosted servers usually don't need a key, so a base URL is enough
+ * @returns {boolean} True if an API key or a custom base URL is set
+ */
+function isConfigured() {
+  return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+}
+
+/**
+ * POST to the API through the shared limiter, retrying 429/5xx responses
+ * @param {string} path - API path, e.g. /chat/completions
+ * @param {object} body - Request body
+ * @returns {Promise<object>} Response body
+ */
+async function post(path, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.OPENAI_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+  }
+
+  const response = await withRetry(
+    () =>
+      aiLimiter.schedule(() =>
+        axios.post(`${baseUrl}${path}`, body, { headers, timeout: timeoutMs })
+      ),
+    { label: 'OpenAI-compatible API' }
+  );
+  return response.data;
+}
+
+/**
+ * Run a chat completion and return the first choice's message
+ * @param {object} params - Chat completion parameters
+ * @param {object} usage - Optional { inputTokens, outputTokens } totals to add to
+ * @returns {Promise<object>} Assistant message
+ */
+async function chat(params, usage = null) {
+  const data = await post('/chat/completions', params);
+  if (usage) {
+    usage.inputTokens += data.usage?.prompt_tokens || 0;
+    usage.outputTokens += data.usage?.completion_tokens || 0;
+  }
+
+  const message = data.choices?.[0]?.message;
+  if (!message) {
+    throw new AIResponseError('AI response had no choices', { rawResponse: JSON.stringify(data) });
+  }
+  return message;
+}
+
+/**
+ * Ask for a forced function call and validate its arguments against the tool schema
+ * Invalid arguments are sent back once as a tool message so the model can repair them
+ * @param {object} params - Chat completion parameters
+ * @param {object} tool - Tool definition { name, description, input_schema }
+ * @returns {Promise<object>} { output, usage } with the validated arguments and total token usage
+ * @throws {AIResponseError} If the repaired response is still invalid
+ */
+async function requestToolInput(params, tool) {
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let messages = params.messages;
+
+  for (let attempt = 0; ; attempt++) {
+    const request = {
+      ...params,
+      messages,
+      tools: [
+        {
+          type: 'function',
+          function: { name: tool.name, description: tool.description, parameters: tool.input_schema },
+        },
+      ],
+      tool_choice: { type: 'function', function: { name: tool.name } },
+    };
+    const message = await chat(request, usage);
+    const toolCall = message.tool_calls?.find((call) => call.function?.name === tool.name);
+
+    try {
+      if (!toolCall) {
+        // Some local servers ignore tool_choice and answer with plain JSON
+        return { output: parseJsonResponse(message.content, tool.input_schema), usage };
+      }
+      return { output: parseJsonResponse(toolCall.function.arguments, tool.input_schema), usage };
+    } catch (error) {
+      if (attempt >= 1 || !(error instanceof AIResponseError)) {
+        throw error;
+      }
+
+      console.warn(`⚠️ Invalid ${tool.name} response, asking for a repair: ${error.message}`);
+      const repairText = `${error.message}. Call ${tool.name} again with arguments that match the schema exactly.`;
+      messages = [
+        ...params.messages,
+        message,
+        toolCall
+          ? { role: 'tool', tool_call_id: toolCall.id, content: repairText }
+          : { role: 'user', content: repairText },
+      ];
+    }
+  }
+}
+
+/**
+ * Ask for a JSON text response and validate it against a schema
+ * A response that can't be parsed is sent back once with a repair prompt
+ * @param {object} params - Chat completion parameters
+ * @param {object} schema - Schema the JSON object must match
+ * @returns {Promise<object>} Parsed and validated object
+ * @throws {AIResponseError} If the repaired response is still invalid
+ */
+async function requestJson(params, schema) {
+  let messages = params.messages;
+
+  for (let attempt = 0; ; attempt++) {
+    const message = await chat({ ...params, messages });
+
+    try {
+      return parseJsonResponse(message.content, schema);
+    } catch (error) {
+      if (attempt >= 1 || !(error instanceof AIResponseError)) {
+        throw error;
+      }
+
+      console.warn(`⚠️ Invalid JSON response, asking for a repair: ${error.message}`);
+      messages = [
+        ...params.messages,
+        { role: 'assistant', content: message.content || '(empty response)' },
+        {
+          role: 'user',
+          content: `Your previous response could not be used: ${error.message}. Respond again with only the corrected JSON object and no other text.`,
+        },
+      ];
+    }
+  }
+}
+
+/**
+ * Classify, summarize and extract metadata from an email
+ * @param {object} email - Email object with subject, body, from
+ * @param {Array<object>} categories - User categories
+ * @param {object} options - { model, examples, tags }
+ * @returns {Promise<object>} { output, usage } where output is the validated analysis arguments
+ */
+async function classify(email, categories, { model, examples = [], tags = [] } = {}) {
+  return requestToolInput(
+    {
+      model: model || defaultModel,
+      max_tokens: 600,
+      messages: [
+        { role: 'user', content: buildAnalysisPrompt(email, categories, examples, tags) },
+      ],
+    },
+    buildAnalysisTool(
+      categories.map((cat) => cat.name),
+      tags.map((tag) => tag.name)
+    )
+  );
+}
+
+/**
+ * Summarize several emails in one request
+ * @param {Array<object>} emails - Array of email objects
+ * @param {object} options - { model }
+ * @returns {Promise<Array<string>>} One summary per email
+ */
+async function summarize(emails, { model } = {}) {
+  const message = await chat({
+    model: model || defaultModel,
+    max_tokens: 500,
+    messages: [{ role: 'user', content: buildBatchSummaryPrompt(emails) }],
+  });
+
+  return parseNumberedList(message.content || '');
+}
+
+/**
+ * Analyze an email for spam/phishing characteristics
+ * @param {object} email - Email object
+ * @param {object} options - { model }
+ * @returns {Promise<object>} { isSpam, isPhishing, riskLevel, indicators }
+ */
+async function checkSafety(email, { model } = {}) {
+  return requestJson(
+    {
+      model: model || defaultModel,
+      max_tokens: 256,
+      messages: [{ role: 'user', content: buildSafetyPrompt(email) }],
+    },
+    SAFETY_SCHEMA
+  );
+}
+
+/**
+ * Propose a category set from a sample of the inbox
+ * @param {Array<object>} emails - Sampled emails { from, subject, snippet }
+ * @param {object} options - { model, existing } (existing: names of current categories)
+ * @returns {Promise<Array<object>>} { name, description } suggestions
+ */
+async function suggestCategories(emails, { model, existing = [] } = {}) {
+  const output = await requestJson(
+    {
+      model: model || defaultModel,
+      max_tokens: 1000,
+      messages: [
+        { role: 'user', content: buildSuggestionPrompt(emails, existing) },
+      ],
+    },
+    SUGGESTION_SCHEMA
+  );
+
+  return output.categories;
+}
+
+/**
+ * Judge whether the page a browser unsubscribe ended on confirms it
+ * @param {string} pageText - Visible text of the page
+ * @param {object} options - { model }
+ * @returns {Promise<object>} { outcome, reason } (outcome: confirmed, failed or needs-manual)
+ */
+async function classifyUnsubscribePage(pageText, { model } = {}) {
+  return requestJson(
+    {
+      model: model || defaultModel,
+      max_tokens: 256,
+      messages: [{ role: 'user', content: buildUnsubscribePagePrompt(pageText) }],
+    },
+    UNSUBSCRIBE_PAGE_SCHEMA
+  );
+}
+
+/**
+ * Embed texts with the /embeddings endpoint
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+async function embed(texts) {
+  const data = await post('/embeddings', { model: embeddingModel, input: texts });
+  return data.data.sort((a, b) => a.index - b.index).map((item) => item.embedding);
+}
+
+module.exports = {
+  name,
+  label,
+  defaultModel,
+  isConfigured,
+  classify,
+  summarize,
+  checkSafety,
+  suggestCategories,
+  classifyUnsubscribePage,
+  embed,
+};
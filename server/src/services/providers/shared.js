@@ -0,0 +1,343 @@
+// server/src/services/providers/shared.js
+/**
+ * Shared pieces of the AI providers
+ * Prompts, output schemas and the request limiter used by every provider
+ */
+
+const { createLimiter } = require('../../utils/concurrency');
+
+// Shared limiter so concurrent syncs don't exceed the provider rate limit
+const aiLimiter = createLimiter({
+  concurrency: parseInt(process.env.AI_CONCURRENCY || 4),
+});
+
+// Body characters sent to the model; long newsletters are cut here once
+const MAX_BODY_CHARS = parseInt(process.env.AI_MAX_BODY_CHARS || 4000);
+
+const ANALYSIS_TOOL_NAME = 'record_email_analysis';
+
+// Recorded with every classification decision; bump when the analysis prompt or schema changes
+const ANALYSIS_PROMPT_VERSION = 'analysis-v4';
+
+// categoryName for an email that fits none of the categories
+const NO_CATEGORY = 'none';
+
+const SAFETY_SCHEMA = {
+  type: 'object',
+  properties: {
+    isSpam: { type: 'boolean' },
+    isPhishing: { type: 'boolean' },
+    riskLevel: { type: 'string', enum: ['low', 'medium', 'high'] },
+    indicators: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['isSpam', 'isPhishing', 'riskLevel', 'indicators'],
+};
+
+// Categories proposed per suggestion request
+const MAX_SUGGESTED_CATEGORIES = 8;
+
+const SUGGESTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    categories: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+        },
+        required: ['name', 'description'],
+      },
+    },
+  },
+  required: ['categories'],
+};
+
+// Outcomes of a browser unsubscribe, judged from the page it ended on
+const UNSUBSCRIBE_OUTCOMES = ['confirmed', 'failed', 'needs-manual'];
+
+const UNSUBSCRIBE_PAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    outcome: { type: 'string', enum: UNSUBSCRIBE_OUTCOMES },
+    reason: { type: 'string' },
+  },
+  required: ['outcome', 'reason'],
+};
+
+// Page text sent to the model when judging an unsubscribe page
+const MAX_PAGE_TEXT_CHARS = 3000;
+
+/**
+ * Build the tool definition used to get structured analysis output
+ * @param {Array<string>} categoryNames - Allowed category names (may be empty)
+ * @param {Array<string>} tagNames - Allowed tag names (may be empty)
+ * @returns {object} Tool definition { name, description, input_schema }
+ */
+function buildAnalysisTool(categoryNames, tagNames = []) {
+  const categoryProperty = {
+    type: 'string',
+    description: 'The exact name of the category this email belongs to',
+  };
+  if (categoryNames.length > 0) {
+    categoryProperty.enum = categoryNames;
+  }
+
+  const tagItems = { type: 'string' };
+  if (tagNames.length > 0) {
+    tagItems.enum = tagNames;
+  }
+
+  return {
+    name: ANALYSIS_TOOL_NAME,
+    description: 'Record the classification, summary and metadata of an email',
+    input_schema: {
+      type: 'object',
+      properties: {
+        categoryName: categoryProperty,
+        confidence: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1,
+          description: 'Confidence in the chosen category, from 0.0 to 1.0',
+        },
+        reasoning: {
+          type: 'string',
+          description: 'Brief explanation of why this category was chosen',
+        },
+        summary: {
+          type: 'string',
+          description: '1-2 sentence summary of the email suitable for quick scanning',
+        },
+        tags: {
+          type: 'array',
+          items: tagItems,
+          description: 'Exact names of every tag that also applies to the email (may be empty)',
+        },
+        metadata: {
+          type: 'object',
+          properties: {
+            senderType: {
+              type: 'string',
+              enum: ['person', 'company', 'automated'],
+            },
+            actionRequired: {
+              type: 'boolean',
+              description: 'Whether the recipient is expected to do something',
+            },
+            dueDate: {
+              type: ['string', 'null'],
+              description: 'Deadline mentioned in the email as YYYY-MM-DD, or null',
+            },
+            keyEntities: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Important organizations, products, people or amounts',
+            },
+            language: {
+              type: 'string',
+              description: 'ISO 639-1 language code of the email',
+            },
+          },
+        },
+      },
+      required: ['categoryName', 'confidence', 'reasoning', 'summary'],
+    },
+  };
+}
+
+/**
+ * Build the classify-and-summarize prompt
+ * @param {object} email - Email object with subject, body, from
+ * @param {Array<object>} categories - User categories; nested ones carry their `path`
+ * @param {Array<object>} examples - Past corrections { from, subject, snippet, categoryName }
+ * @param {Array<object>} tags - User tags { name, description }
+ * @returns {string} Prompt
+ */
+function buildAnalysisPrompt(email, categories, examples = [], tags = []) {
+  const categoryDescriptions = categories
+    .map((cat) =>
+      cat.path && cat.path !== cat.name
+        ? `- ${cat.name} (${cat.path}): ${cat.description}`
+        : `- ${cat.name}: ${cat.description}`
+    )
+    .join('\n');
+
+  const exampleList = examples
+    .map(
+      (example) =>
+        `- From: ${example.from}\n  Subject: ${example.subject}\n  Snippet: ${example.snippet}\n  Category: ${example.categoryName}`
+    )
+    .join('\n');
+  const examplesSection =
+    examples.length > 0
+      ? `\n\nThe user moved these similar emails to the category shown. Follow their preferences:\n${exampleList}`
+      : '';
+
+  const tagList = tags
+    .map((tag) => (tag.description ? `- ${tag.name}: ${tag.description}` : `- ${tag.name}`))
+    .join('\n');
+  const tagsSection =
+    tags.length > 0
+      ? `\n\nAvailable Tags (an email can have any number of these, including none):\n${tagList}\n\nList every tag that applies using its EXACT name.`
+      : '\nSet tags to an empty list.';
+
+  const body = (email.body || email.snippet || '').substring(0, MAX_BODY_CHARS);
+
+  return `You are an email assistant. Analyze the following email, then record your analysis with the ${ANALYSIS_TOOL_NAME} tool.
+
+Email:
+From: ${email.from}
+Subject: ${email.subject}
+Body: ${body}
+
+${
+  categories.length > 0
+    ? `Available Categories:
+${categoryDescriptions}
+
+Classify the email into ONE of these categories using its EXACT name.${examplesSection}`
+    : `There are no categories yet; set categoryName to "${NO_CATEGORY}" and confidence to 0.`
+}${tagsSection}
+Write a concise 1-2 sentence summary capturing the main points.`;
+}
+
+/**
+ * Build the batch summary prompt
+ * @param {Array<object>} emails - Array of email objects
+ * @returns {string} Prompt
+ */
+function buildBatchSummaryPrompt(emails) {
+  const emailsList = emails
+    .map(
+      (email, idx) =>
+        `Email ${idx + 1}:
+Subject: ${email.subject}
+Body: ${(email.body || '').substring(0, 300)}`
+    )
+    .join('\n\n');
+
+  return `Summarize each of the following emails in 1 sentence each:
+
+${emailsList}
+
+Respond with a numbered list of summaries, one per line (e.g., "1. Summary here\n2. Summary here")
+Only return the numbered list, no other content.`;
+}
+
+/**
+ * Parse a numbered list response ("1. ...\n2. ...")
+ * @param {string} text - Model output
+ * @returns {Array<string>} List items
+ */
+function parseNumberedList(text) {
+  return text
+    .split('\n')
+    .filter((line) => line.match(/^\d+\./))
+    .map((line) => line.replace(/^\d+\.\s*/, '').trim());
+}
+
+/**
+ * Build the spam/phishing analysis prompt
+ * @param {object} email - Email object
+ * @returns {string} Prompt
+ */
+function buildSafetyPrompt(email) {
+  return `Analyze this email for spam and phishing indicators:
+
+From: ${email.from}
+Subject: ${email.subject}
+Body (first 300 chars): ${(email.body || '').substring(0, 300)}
+
+Respond with JSON:
+{
+  "isSpam": true/false,
+  "isPhishing": true/false,
+  "riskLevel": "low" | "medium" | "high",
+  "indicators": ["list", "of", "indicators"]
+}
+
+Only respond with valid JSON, no other text.`;
+}
+
+/**
+ * Build the prompt that proposes a category set from a sample of the inbox
+ * @param {Array<object>} emails - Sampled emails { from, subject, snippet }
+ * @param {Array<string>} existing - Names of the user's current categories
+ * @returns {string} Prompt
+ */
+function buildSuggestionPrompt(emails, existing = []) {
+  const emailsList = emails
+    .map(
+      (email, idx) =>
+        `${idx + 1}. From: ${email.from}\n   Subject: ${email.subject}\n   Snippet: ${(email.snippet || '').substring(0, 150)}`
+    )
+    .join('\n');
+
+  const existingSection =
+    existing.length > 0
+      ? `\n\nThe user already has these categories; don't propose them again:\n${existing.map((name) => `- ${name}`).join('\n')}`
+      : '';
+
+  return `Here is a sample of recent emails from a user's inbox:
+
+${emailsList}${existingSection}
+
+Propose up to ${MAX_SUGGESTED_CATEGORIES} email categories that would sort this inbox well. Prefer a few broad, clearly separated categories over many narrow ones, and only propose a category if several sampled emails would belong in it.
+
+For each category give a short name (1-3 words) and a description of 1-2 sentences that an email classifier can follow: say what belongs in the category and what does not.
+
+Respond with JSON:
+{
+  "categories": [{ "name": "Category name", "description": "What belongs here" }]
+}
+
+Only respond with valid JSON, no other text.`;
+}
+
+/**
+ * Build the prompt that judges the page a browser unsubscribe ended on
+ * @param {string} pageText - Visible text of the page
+ * @returns {string} Prompt
+ */
+function buildUnsubscribePagePrompt(pageText) {
+  return `We tried to unsubscribe from a mailing list by opening its unsubscribe link and completing the page. This is the visible text of the page we ended on:
+
+---
+${pageText.substring(0, MAX_PAGE_TEXT_CHARS)}
+---
+
+Did the unsubscribe work?
+- "confirmed": the page says the address was unsubscribed, removed or opted out
+- "failed": the page reports an error, an expired or invalid link, or that the unsubscribe didn't go through
+- "needs-manual": anything else, e.g. a login, a CAPTCHA, a form that still needs input, or a page that doesn't say
+
+Respond with JSON:
+{
+  "outcome": "confirmed" | "failed" | "needs-manual",
+  "reason": "One short sentence based on the page text"
+}
+
+Only respond with valid JSON, no other text.`;
+}
+
+module.exports = {
+  aiLimiter,
+  MAX_BODY_CHARS,
+  ANALYSIS_TOOL_NAME,
+  ANALYSIS_PROMPT_VERSION,
+  NO_CATEGORY,
+  SAFETY_SCHEMA,
+  MAX_SUGGESTED_CATEGORIES,
+  SUGGESTION_SCHEMA,
+  UNSUBSCRIBE_OUTCOMES,
+  UNSUBSCRIBE_PAGE_SCHEMA,
+  buildAnalysisTool,
+  buildAnalysisPrompt,
+  buildBatchSummaryPrompt,
+  parseNumberedList,
+  buildSafetyPrompt,
+  buildSuggestionPrompt,
+  buildUnsubscribePagePrompt,
+};
@@ -0,0 +1,205 @@
+// server/src/services/push.js
+/**
+ * Gmail push notification service
+ * Registers and renews users.watch per account and turns Pub/Sub notifications into sync jobs
+ */
+
+const { Account } = require('../config/database');
+const gmailService = require('./gmail');
+const jobService = require('./jobs');
+const { exactMatch } = require('../utils/regex');
+
+// Renew watches this long before they expire (Gmail watches last 7 days)
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+const renewIntervalMs = parseInt(process.env.GMAIL_WATCH_RENEW_INTERVAL_MS || 15 * 60 * 1000);
+
+let renewTimer = null;
+
+/**
+ * Check whether push notifications are configured
+ * @returns {boolean} True if a Pub/Sub topic is set
+ */
+function isPushEnabled() {
+  return !!process.env.GMAIL_PUBSUB_TOPIC;
+}
+
+/**
+ * Register (or re-register) the Gmail watch for an account
+ * @param {string} accountId - Account ID
+ * @returns {Promise<object|null>} Watch details, or null when push is not configured
+ */
+async function registerWatch(accountId) {
+  if (!isPushEnabled()) {
+    return null;
+  }
+
+  try {
+    const watch = await gmailService.watchMailbox(accountId, process.env.GMAIL_PUBSUB_TOPIC);
+
+    await Account.updateOne(
+      { _id: accountId },
+      {
+        'watch.expiration': watch.expiration,
+        'watch.historyId': watch.historyId,
+        'watch.error': null,
+      }
+    );
+
+    console.log(`📡 Gmail watch registered for account ${accountId} until ${watch.expiration.toISOString()}`);
+    return watch;
+  } catch (error) {
+    await Account.updateOne({ _id: accountId }, { 'watch.error': error.message });
+    throw error;
+  }
+}
+
+/**
+ * Register watches that are missing or about to expire
+ * @returns {Promise<number>} Number of watches renewed
+ */
+async function renewExpiringWatches() {
+  if (!isPushEnabled()) {
+    return 0;
+  }
+
+  const renewBefore = new Date(Date.now() + RENEW_BEFORE_MS);
+  const accounts = await Account.find({
+    accessToken: { $ne: null },
+    $or: [{ 'watch.expiration': null }, { 'watch.expiration': { $lte: renewBefore } }],
+  }).select('_id');
+
+  let renewed = 0;
+  for (const account of accounts) {
+    try {
+      await registerWatch(account._id);
+      renewed++;
+    } catch (error) {
+      console.error(`Error renewing Gmail watch for account ${account._id}:`, error.message);
+    }
+  }
+
+  return renewed;
+}
+
+/**
+ * Decode a Gmail push notification
+ * Accepts the Pub/Sub push envelope ({ message: { data: base64 JSON } }) or, for local
+ * testing, the decoded payload itself ({ emailAddress, historyId })
+ * @param {object} body - Request body
+ * @returns {object|null} { emailAddress, historyId } or null if malformed
+ */
+function parseNotification(body) {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+
+  let payload = body;
+  if (body.message) {
+    if (!body.message.data) {
+      return null;
+    }
+    try {
+      payload = JSON.parse(Buffer.from(body.message.data, 'base64').toString('utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!payload.emailAddress || !payload.historyId) {
+    return null;
+  }
+
+  return {
+    emailAddress: String(payload.emailAddress).toLowerCase(),
+    historyId: String(payload.historyId),
+  };
+}
+
+/**
+ * Compare two Gmail history IDs
+ * @param {string} a - History ID
+ * @param {string} b - History ID
+ * @returns {boolean} True if a is newer than b
+ */
+function isNewerHistoryId(a, b) {
+  if (!b) return true;
+  try {
+    return BigInt(a) > BigInt(b);
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Handle a Gmail push notification
+ * Queues an incremental sync for every account with that address that is behind
+ * @param {object} notification - { emailAddress, historyId }
+ * @returns {Promise<number>} Number of syncs queued
+ */
+async function handleNotification({ emailAddress, historyId }) {
+  const accounts = await Account.find({ email: exactMatch(emailAddress) });
+
+  if (accounts.length === 0) {
+    console.warn(`Gmail notification for unknown address ${emailAddress}`);
+    return 0;
+  }
+
+  let queued = 0;
+  for (const account of accounts) {
+    await Account.updateOne({ _id: account._id }, { 'watch.lastNotificationAt': new Date() });
+
+    if (!isNewerHistoryId(historyId, account.historyId)) {
+      continue;
+    }
+
+    const { created } = await jobService.enqueueJob(account.userId, account._id);
+    if (created) {
+      queued++;
+    }
+  }
+
+  console.log(`📬 Gmail notification for ${emailAddress} (history ${historyId}), queued ${queued} sync(s)`);
+  return queued;
+}
+
+/**
+ * Start the watch renewal loop
+ * Does nothing unless GMAIL_PUBSUB_TOPIC is set
+ */
+function startWatchRenewal() {
+  if (renewTimer || !isPushEnabled()) {
+    return;
+  }
+
+  const tick = () =>
+    renewExpiringWatches().catch((error) => console.error('Gmail watch renewal error:', error));
+
+  if (!process.env.GMAIL_PUSH_VERIFICATION_TOKEN) {
+    console.warn('⚠️ GMAIL_PUSH_VERIFICATION_TOKEN is not set; Gmail notifications will be refused');
+  }
+
+  renewTimer = setInterval(tick, renewIntervalMs);
+  tick();
+  console.log(`📡 Gmail watch renewal started (topic ${process.env.GMAIL_PUBSUB_TOPIC})`);
+}
+
+/**
+ * Stop the watch renewal loop
+ */
+function stopWatchRenewal() {
+  if (renewTimer) {
+    clearInterval(renewTimer);
+    renewTimer = null;
+  }
+}
+
+module.exports = {
+  isPushEnabled,
+  registerWatch,
+  renewExpiringWatches,
+  parseNotification,
+  handleNotification,
+  startWatchRenewal,
+  stopWatchRenewal,
+};
@@ -0,0 +1,107 @@
+// server/src/services/review.js
+/**
+ * Review queue service
+ * Collects emails sorted with low confidence, or left unclassified, for a person to
+ * accept or reassign
+ */
+
+const { Email, User, Category } = require('../config/database');
+const feedbackService = require('./feedback');
+const classificationLog = require('./classificationLog');
+
+const DEFAULT_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD || 0.6);
+
+/**
+ * Get the confidence threshold below which a user's emails need review
+ * @param {object|null} user - User document with reviewSettings
+ * @returns {number} Threshold between 0 and 1
+ */
+function getThreshold(user) {
+  const threshold = user?.reviewSettings?.confidenceThreshold;
+  return threshold != null ? threshold : DEFAULT_THRESHOLD;
+}
+
+/**
+ * Build the query for a user's review queue
+ * Manually categorized emails never need review
+ * @param {string} userId - User ID
+ * @param {number} threshold - Confidence threshold
+ * @returns {object} Email query
+ */
+function buildReviewQuery(userId, threshold) {
+  return {
+    userId,
+    isArchived: { $ne: true },
+    manuallyCategorized: { $ne: true },
+    $or: [{ classificationStatus: 'unclassified' }, { confidenceScore: { $lt: threshold } }],
+  };
+}
+
+/**
+ * Get the review queue query for a user, loading their threshold
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { query, threshold }
+ */
+async function getReviewQuery(userId) {
+  const user = await User.findById(userId).select('reviewSettings');
+  const threshold = getThreshold(user);
+  return { query: buildReviewQuery(userId, threshold), threshold };
+}
+
+/**
+ * Count the emails waiting for review
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { count, threshold }
+ */
+async function getReviewSummary(userId) {
+  const { query, threshold } = await getReviewQuery(userId);
+  const count = await Email.countDocuments(query);
+  return { count, threshold };
+}
+
+/**
+ * Accept the category of reviewed emails
+ * Accepted emails are treated like manual choices: they leave the queue, are protected from
+ * re-classification and are stored as confirmed examples for future sorting
+ * @param {string} userId - User ID
+ * @param {Array<object>} emails - Email documents belonging to the user, each with a category
+ * @returns {Promise<number>} Number of emails accepted
+ */
+async function acceptEmails(userId, emails) {
+  const now = new Date();
+
+  await Email.updateMany(
+    { _id: { $in: emails.map((email) => email._id) } },
+    { manuallyCategorized: true, reviewedAt: now }
+  );
+
+  // Group by category so feedback and the audit log get the right category for each email
+  const byCategory = new Map();
+  for (const email of emails) {
+    const key = email.categoryId.toString();
+    if (!byCategory.has(key)) byCategory.set(key, []);
+    byCategory.get(key).push(email);
+  }
+
+  const categories = await Category.find({ _id: { $in: [...byCategory.keys()] }, userId });
+  for (const category of categories) {
+    const group = byCategory.get(category._id.toString());
+    await feedbackService.recordCorrections(userId, group, category._id, { confirmed: true });
+    await classificationLog.recordManualDecisions(
+      userId,
+      group.map((email) => email._id),
+      category,
+      { accepted: true }
+    );
+  }
+
+  return emails.length;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  getThreshold,
+  getReviewQuery,
+  getReviewSummary,
+  acceptEmails,
+};
@@ -0,0 +1,333 @@
+// server/src/services/rules.js
+/**
+ * Sorting rules service
+ * Validates user-defined rules and evaluates them against emails before the AI runs
+ */
+
+const vm = require('vm');
+const { Rule, Category, Account } = require('../config/database');
+const { parseAddress } = require('../utils/address');
+
+const FIELDS = ['from', 'to', 'subject', 'body', 'header', 'hasUnsubscribe', 'account'];
+const OPERATORS = ['contains', 'equals', 'regex', 'domain'];
+const MAX_CONDITIONS = 20;
+const MAX_VALUE_LENGTH = 500;
+
+// Regular expressions are user-supplied, so they only run on short fields, with a capped
+// pattern and input, patterns prone to catastrophic backtracking are refused up front and
+// every match runs under a hard timeout, since no static check catches them all
+const REGEX_FIELDS = ['from', 'to', 'subject', 'header'];
+const MAX_REGEX_LENGTH = 200;
+const MAX_REGEX_INPUT_LENGTH = 1000;
+const REGEX_TIMEOUT_MS = 20;
+// A quantified group that itself contains a quantifier, e.g. (a+)+ or (\w*x?)*, or a backreference
+const UNSAFE_REGEX = /\((?:[^()\\]|\\.)*[*+}](?:[^()\\]|\\.)*\)\s*[*+{]|\\[1-9]/;
+
+/**
+ * Get the value of an email field a condition looks at
+ * @param {object} email - Parsed Gmail message or Email document
+ * @param {object} condition - Rule condition
+ * @returns {string} Field value ('' when missing)
+ */
+function getFieldValue(email, condition) {
+  switch (condition.field) {
+    case 'from':
+    case 'to':
+    case 'subject':
+      return email[condition.field] || '';
+    case 'body':
+      return email.body || email.snippet || '';
+    case 'header': {
+      const name = (condition.header || '').toLowerCase();
+      const header = (email.headers || []).find((h) => h.name === name);
+      return header ? header.value : '';
+    }
+    case 'account':
+      return email.accountId ? email.accountId.toString() : '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Check whether a regex condition's pattern is safe to run
+ * @param {string} pattern - User-supplied pattern
+ * @returns {string|null} Why the pattern is refused, or null when it may run
+ */
+function checkRegex(pattern) {
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    return `Regular expressions can be at most ${MAX_REGEX_LENGTH} characters`;
+  }
+  if (UNSAFE_REGEX.test(pattern)) {
+    return 'Regular expressions cannot repeat a group that contains a repetition or use backreferences';
+  }
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return `Invalid regular expression: ${pattern}`;
+  }
+  return null;
+}
+
+// Matches run in a separate context so V8 can interrupt them when the timeout expires
+const regexContext = vm.createContext({});
+const regexScript = new vm.Script('pattern.test(input)');
+
+/**
+ * Test a user-supplied regex against a value, giving up after REGEX_TIMEOUT_MS
+ * @param {string} pattern - Pattern that passed checkRegex
+ * @param {string} value - Field value
+ * @returns {boolean} True if the pattern matched in time (a timed-out match counts as no match)
+ */
+function testRegex(pattern, value) {
+  regexContext.pattern = new RegExp(pattern, 'i');
+  regexContext.input = value.substring(0, MAX_REGEX_INPUT_LENGTH);
+
+  try {
+    return regexScript.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS }) === true;
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw error;
+    }
+    console.error(`Regex condition timed out after ${REGEX_TIMEOUT_MS}ms: ${pattern}`);
+    return false;
+  } finally {
+    regexContext.pattern = null;
+    regexContext.input = null;
+  }
+}
+
+/**
+ * Check whether a single condition matches an email
+ * @param {object} email - Parsed Gmail message or Email document
+ * @param {object} condition - Rule condition
+ * @returns {boolean} True if the condition matches
+ */
+function matchCondition(email, condition) {
+  let matched;
+
+  if (condition.field === 'hasUnsubscribe') {
+    matched = !!email.hasUnsubscribeLink === (condition.value !== 'false');
+  } else {
+    const actual = getFieldValue(email, condition);
+    const expected = condition.value || '';
+
+    switch (condition.operator) {
+      case 'equals':
+        // From/To match the bare address too, so "billing@vendor.com" matches "Vendor <billing@vendor.com>"
+        matched =
+          actual.trim().toLowerCase() === expected.trim().toLowerCase() ||
+          (['from', 'to'].includes(condition.field) &&
+            parseAddress(actual).address === expected.trim().toLowerCase());
+        break;
+      case 'regex':
+        // Rules saved before the regex limits existed are checked again here
+        matched =
+          REGEX_FIELDS.includes(condition.field) &&
+          !checkRegex(expected) &&
+          testRegex(expected, actual);
+        break;
+      case 'domain': {
+        const domain = parseAddress(actual).domain;
+        const wanted = expected.trim().toLowerCase().replace(/^@/, '');
+        matched = !!domain && (domain === wanted || domain.endsWith(`.${wanted}`));
+        break;
+      }
+      case 'contains':
+      default:
+        matched = actual.toLowerCase().includes(expected.toLowerCase());
+    }
+  }
+
+  return condition.negate ? !matched : matched;
+}
+
+/**
+ * Check whether a rule matches an email
+ * @param {object} rule - Rule document
+ * @param {object} email - Parsed Gmail message or Email document
+ * @returns {boolean} True if the rule matches
+ */
+function matchRule(rule, email) {
+  if (!rule.conditions || rule.conditions.length === 0) {
+    return false;
+  }
+
+  return rule.matchType === 'any'
+    ? rule.conditions.some((condition) => matchCondition(email, condition))
+    : rule.conditions.every((condition) => matchCondition(email, condition));
+}
+
+/**
+ * Evaluate rules against an email in priority order
+ * Actions of all matching rules are combined; the first rule that sets a category wins
+ * @param {Array<object>} rules - Enabled rules sorted by priority
+ * @param {object} email - Parsed Gmail message or Email document
+ * @returns {object} { matchedRules, actions } (actions is null when nothing matched)
+ */
+function evaluateRules(rules, email) {
+  const matchedRules = [];
+  let actions = null;
+
+  for (const rule of rules) {
+    if (!matchRule(rule, email)) {
+      continue;
+    }
+
+    matchedRules.push(rule);
+    actions = actions || { categoryId: null, archive: false, markRead: false, skipAI: false, delete: false };
+
+    if (!actions.categoryId && rule.actions?.categoryId) {
+      actions.categoryId = rule.actions.categoryId;
+    }
+    for (const flag of ['archive', 'markRead', 'skipAI', 'delete']) {
+      actions[flag] = actions[flag] || !!rule.actions?.[flag];
+    }
+
+    if (rule.stopProcessing) {
+      break;
+    }
+  }
+
+  return { matchedRules, actions };
+}
+
+/**
+ * Get a user's enabled rules in evaluation order
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Rules
+ */
+async function getActiveRules(userId) {
+  return Rule.find({ userId, enabled: true }).sort({ priority: 1, createdAt: 1 });
+}
+
+/**
+ * Record that rules matched an email
+ * @param {Array<object>} rules - Matched rules
+ * @returns {Promise<void>}
+ */
+async function recordMatches(rules) {
+  if (rules.length === 0) {
+    return;
+  }
+
+  try {
+    await Rule.updateMany(
+      { _id: { $in: rules.map((rule) => rule._id) } },
+      { $inc: { matchCount: 1 }, lastMatchedAt: new Date() }
+    );
+  } catch (error) {
+    console.error('Error recording rule matches:', error.message);
+  }
+}
+
+/**
+ * Validate and normalize a rule from a request body
+ * @param {string} userId - User ID
+ * @param {object} body - { name, enabled, priority, matchType, conditions, actions, stopProcessing }
+ * @returns {Promise<object>} { rule } with normalized fields, or { error } with a message
+ */
+async function validateRule(userId, body) {
+  const { name, enabled = true, priority = 0, matchType = 'all', conditions, actions = {}, stopProcessing = false } = body;
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: 'Rule name is required' };
+  }
+
+  if (!['all', 'any'].includes(matchType)) {
+    return { error: "matchType must be 'all' or 'any'" };
+  }
+
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    return { error: 'At least one condition is required' };
+  }
+
+  if (conditions.length > MAX_CONDITIONS) {
+    return { error: `A rule can have at most ${MAX_CONDITIONS} conditions` };
+  }
+
+  const normalizedConditions = [];
+  for (const condition of conditions) {
+    const { field, header, operator = 'contains', value = '', negate = false } = condition || {};
+
+    if (!FIELDS.includes(field)) {
+      return { error: `Condition field must be one of: ${FIELDS.join(', ')}` };
+    }
+    if (field !== 'hasUnsubscribe' && !OPERATORS.includes(operator)) {
+      return { error: `Condition operator must be one of: ${OPERATORS.join(', ')}` };
+    }
+    if (field === 'header' && !header) {
+      return { error: 'Header conditions need a header name' };
+    }
+    if (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH) {
+      return { error: `Condition values must be strings of at most ${MAX_VALUE_LENGTH} characters` };
+    }
+    if (field !== 'hasUnsubscribe' && !value.trim()) {
+      return { error: 'Condition values cannot be empty' };
+    }
+    if (operator === 'regex' && field !== 'hasUnsubscribe') {
+      if (!REGEX_FIELDS.includes(field)) {
+        return { error: `Regular expressions can only match: ${REGEX_FIELDS.join(', ')}` };
+      }
+      const regexError = checkRegex(value);
+      if (regexError) {
+        return { error: regexError };
+      }
+    }
+    if (field === 'account') {
+      const account = await Account.exists({ _id: value, userId });
+      if (!account) {
+        return { error: 'Account condition refers to an unknown account' };
+      }
+    }
+
+    normalizedConditions.push({
+      field,
+      header: field === 'header' ? header.toLowerCase() : undefined,
+      operator: field === 'hasUnsubscribe' ? 'equals' : operator,
+      value: field === 'hasUnsubscribe' ? String(value !== 'false') : value,
+      negate: !!negate,
+    });
+  }
+
+  if (actions.categoryId) {
+    const category = await Category.exists({ _id: actions.categoryId, userId });
+    if (!category) {
+      return { error: 'Category not found' };
+    }
+  }
+
+  const normalizedActions = {
+    categoryId: actions.categoryId || null,
+    archive: !!actions.archive,
+    markRead: !!actions.markRead,
+    skipAI: !!actions.skipAI,
+    delete: !!actions.delete,
+  };
+
+  if (!normalizedActions.categoryId && !Object.values(normalizedActions).some(Boolean)) {
+    return { error: 'At least one action is required' };
+  }
+
+  return {
+    rule: {
+      name: name.trim(),
+      enabled: !!enabled,
+      priority: parseInt(priority) || 0,
+      matchType,
+      conditions: normalizedConditions,
+      actions: normalizedActions,
+      stopProcessing: !!stopProcessing,
+    },
+  };
+}
+
+module.exports = {
+  FIELDS,
+  OPERATORS,
+  matchRule,
+  evaluateRules,
+  getActiveRules,
+  recordMatches,
+  validateRule,
+};
@@ -0,0 +1,192 @@
+// server/src/services/scheduler.js
+/**
+ * Sync scheduler service
+ * Queues sync jobs for accounts whose automatic sync schedule is due and the periodic
+ * category suggestion runs, and confirms unsubscribes whose sender went quiet
+ */
+
+const cronParser = require('cron-parser');
+const { Account, User } = require('../config/database');
+const jobService = require('./jobs');
+const suggestionService = require('./categorySuggestions');
+const subscriptionService = require('./subscriptions');
+
+// Fixed schedule intervals in milliseconds
+const SCHEDULE_INTERVALS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+};
+
+const tickIntervalMs = parseInt(process.env.SYNC_SCHEDULER_TICK_MS || 30000);
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+/**
+ * Compute the next run time of a schedule
+ * @param {object} schedule - { interval, cron }
+ * @param {Date} from - Time to compute from (defaults to now)
+ * @returns {Date|null} Next run time, or null when the schedule is off
+ */
+function computeNextRunAt(schedule, from = new Date()) {
+  const { interval, cron } = schedule || {};
+
+  if (!interval || interval === 'off') {
+    return null;
+  }
+
+  if (interval === 'cron') {
+    if (!cron) {
+      throw new Error('A cron expression is required for a cron schedule');
+    }
+    try {
+      return cronParser.parseExpression(cron, { currentDate: from }).next().toDate();
+    } catch (error) {
+      throw new Error(`Invalid cron expression: ${cron}`);
+    }
+  }
+
+  if (!SCHEDULE_INTERVALS[interval]) {
+    throw new Error(`Unknown schedule interval: ${interval}`);
+  }
+
+  return new Date(from.getTime() + SCHEDULE_INTERVALS[interval]);
+}
+
+/**
+ * Queue syncs for every account whose schedule is due
+ * Each due account is claimed by moving its nextRunAt forward first,
+ * so only one server instance queues it
+ * @returns {Promise<number>} Number of syncs queued
+ */
+async function runDueSchedules() {
+  const now = new Date();
+  const accounts = await Account.find({
+    'syncSchedule.interval': { $nin: [null, 'off'] },
+    'syncSchedule.nextRunAt': { $lte: now },
+  });
+
+  let queued = 0;
+  for (const account of accounts) {
+    try {
+      let nextRunAt;
+      try {
+        nextRunAt = computeNextRunAt(account.syncSchedule, now);
+      } catch (error) {
+        // A schedule that can't be computed is switched off instead of retried every tick
+        console.error(`Invalid sync schedule for account ${account._id}:`, error.message);
+        await Account.updateOne({ _id: account._id }, { 'syncSchedule.nextRunAt': null });
+        continue;
+      }
+
+      const claimed = await Account.updateOne(
+        { _id: account._id, 'syncSchedule.nextRunAt': account.syncSchedule.nextRunAt },
+        { 'syncSchedule.nextRunAt': nextRunAt }
+      );
+      if (claimed.modifiedCount === 0) {
+        continue;
+      }
+
+      if (account.syncStatus === 'syncing') {
+        console.log(`Account ${account._id} is already syncing, skipping scheduled sync`);
+        continue;
+      }
+
+      const { created } = await jobService.enqueueJob(account.userId, account._id);
+      if (created) {
+        queued++;
+      }
+    } catch (error) {
+      console.error(`Error scheduling sync for account ${account._id}:`, error);
+    }
+  }
+
+  if (queued > 0) {
+    console.log(`⏰ Queued ${queued} scheduled sync(s)`);
+  }
+  return queued;
+}
+
+/**
+ * Queue category suggestion runs for every user whose last run is old enough
+ * Each user is claimed by stamping categorySuggestionsRunAt first, as with sync schedules
+ * @returns {Promise<number>} Number of suggest jobs queued
+ */
+async function queueDueSuggestions() {
+  const now = new Date();
+  const users = await suggestionService.findDueUsers(now);
+
+  let queued = 0;
+  for (const user of users) {
+    try {
+      const claimed = await User.updateOne(
+        { _id: user._id, categorySuggestionsRunAt: user.categorySuggestionsRunAt ?? null },
+        { categorySuggestionsRunAt: now }
+      );
+      if (claimed.modifiedCount === 0) {
+        continue;
+      }
+
+      const { created } = await jobService.enqueueJob(user._id, null, { type: 'suggest' });
+      if (created) {
+        queued++;
+      }
+    } catch (error) {
+      console.error(`Error scheduling category suggestions for user ${user._id}:`, error);
+    }
+  }
+
+  if (queued > 0) {
+    console.log(`⏰ Queued ${queued} category suggestion run(s)`);
+  }
+  return queued;
+}
+
+/**
+ * Start the in-process scheduler loop
+ */
+function startScheduler() {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const tick = async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+      await runDueSchedules();
+      await queueDueSuggestions();
+      await subscriptionService.confirmQuietSubscriptions();
+    } catch (error) {
+      console.error('Sync scheduler error:', error);
+    } finally {
+      schedulerRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, tickIntervalMs);
+  tick();
+  console.log(`⏰ Sync scheduler started (checking every ${tickIntervalMs}ms)`);
+}
+
+/**
+ * Stop the scheduler loop
+ */
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  SCHEDULE_INTERVALS,
+  computeNextRunAt,
+  runDueSchedules,
+  queueDueSuggestions,
+  startScheduler,
+  stopScheduler,
+};
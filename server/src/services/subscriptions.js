@@ -0,0 +1,496 @@
+// server/src/services/subscriptions.js
+/**
+ * Subscription tracking service
+ * Follows every mailing list a user receives, records unsubscribe attempts, and checks that
+ * the mail actually stops afterwards
+ */
+
+const mongoose = require('mongoose');
+const { Subscription, Email, Rule } = require('../config/database');
+const { parseAddress } = require('../utils/address');
+const { escapeRegex } = require('../utils/regex');
+const rulesService = require('./rules');
+
+// Senders may keep mailing for a little while after an unsubscribe (RFC 8058 allows two days)
+const GRACE_HOURS = parseFloat(process.env.UNSUBSCRIBE_GRACE_HOURS || 48);
+
+// An unsubscribe is confirmed once nothing arrived for this long
+const CONFIRM_AFTER_DAYS = parseFloat(process.env.UNSUBSCRIBE_CONFIRM_DAYS || 7);
+
+// Attempts kept per subscription, and how much of a final page is stored
+const MAX_ATTEMPTS = 5;
+const MAX_PAGE_HTML_CHARS = 200000;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Emails that belong to some subscription
+const LIST_EMAIL_FILTER = { $or: [{ hasUnsubscribeLink: true }, { 'headers.name': 'list-id' }] };
+
+/**
+ * Identify the subscription an email belongs to
+ * @param {object} email - Email with from and headers
+ * @returns {object|null} { key, listId, address, name, domain }, or null without a sender
+ */
+function getSubscriptionKey(email) {
+  const listIdHeader = (email.headers || []).find((header) => header.name === 'list-id')?.value;
+  const listId = listIdHeader
+    ? (listIdHeader.match(/<([^>]+)>/)?.[1] || listIdHeader).trim().toLowerCase()
+    : null;
+  const { name, address, domain } = parseAddress(email.from);
+
+  if (!listId && !address) {
+    return null;
+  }
+
+  return {
+    key: listId ? `list:${listId}` : `from:${address}`,
+    listId,
+    address,
+    name,
+    domain,
+  };
+}
+
+/**
+ * Whether an email comes from a mailing list
+ * @param {object} email - Email with hasUnsubscribeLink and headers
+ * @param {object} identity - Result of getSubscriptionKey
+ * @returns {boolean} True for emails with an unsubscribe link or a List-Id
+ */
+function isListEmail(email, identity) {
+  return !!identity && (!!email.hasUnsubscribeLink || !!identity.listId);
+}
+
+/**
+ * Count a newly imported email towards its subscription
+ * Mail arriving after an unsubscribe's grace period flags the subscription as still sending
+ * @param {string} userId - User ID
+ * @param {object} email - Saved email document
+ * @returns {Promise<object>} { subscription, autoArchive } where autoArchive says the email
+ *   should be archived because the user unsubscribed from its sender
+ */
+async function recordEmail(userId, email) {
+  try {
+    const identity = getSubscriptionKey(email);
+    if (!isListEmail(email, identity)) {
+      return { subscription: null, autoArchive: false };
+    }
+
+    const receivedAt = email.receivedAt || new Date();
+    const subscription = await Subscription.findOneAndUpdate(
+      { userId, key: identity.key },
+      {
+        $inc: { emailCount: 1 },
+        $min: { firstEmailAt: receivedAt },
+        $max: { lastEmailAt: receivedAt },
+        $set: {
+          listId: identity.listId,
+          senderAddress: identity.address,
+          senderDomain: identity.domain,
+          ...(identity.name && { senderName: identity.name }),
+          accountId: email.accountId,
+          lastEmailId: email._id,
+          updatedAt: new Date(),
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    const graceEndsAt = subscription.unsubscribeRequestedAt
+      ? new Date(subscription.unsubscribeRequestedAt.getTime() + GRACE_HOURS * 60 * 60 * 1000)
+      : null;
+    if (!graceEndsAt || receivedAt <= graceEndsAt) {
+      return { subscription, autoArchive: false };
+    }
+
+    console.warn(`📬 ${identity.key} is still sending after an unsubscribe (user ${userId})`);
+    const flagged = await Subscription.findByIdAndUpdate(
+      subscription._id,
+      {
+        status: 'still-sending',
+        $min: { stillSendingAt: receivedAt },
+        $inc: { emailsAfterUnsubscribe: 1 },
+        $unset: { confirmedAt: 1 },
+      },
+      { new: true }
+    );
+    return { subscription: flagged, autoArchive: flagged.autoArchive };
+  } catch (error) {
+    // Tracking must never fail an import
+    console.error(`Error recording subscription of email ${email._id}:`, error);
+    return { subscription: null, autoArchive: false };
+  }
+}
+
+/**
+ * Record the unsubscribe attempts made for an email's subscription
+ * A successful attempt starts the wait for the mail to stop
+ * @param {object} email - Email document that was unsubscribed from
+ * @param {Array<object>} attempts - { method, success, error?, finalUrl?, html?, screenshot? }
+ * @param {boolean} requested - Whether one of the attempts went through
+ * @returns {Promise<object|null>} Updated subscription, or null when the email has no sender
+ */
+async function recordAttempts(email, attempts, requested) {
+  const identity = getSubscriptionKey(email);
+  if (!identity) {
+    return null;
+  }
+
+  const now = new Date();
+  const update = {
+    $push: {
+      attempts: {
+        $each: attempts.map((attempt) => ({
+          ...attempt,
+          at: now,
+          html: attempt.html?.substring(0, MAX_PAGE_HTML_CHARS),
+        })),
+        $slice: -MAX_ATTEMPTS,
+      },
+    },
+    $set: { updatedAt: now },
+    // Emails imported before subscriptions were tracked create their subscription here
+    $setOnInsert: {
+      listId: identity.listId,
+      senderAddress: identity.address,
+      senderName: identity.name,
+      senderDomain: identity.domain,
+      accountId: email.accountId,
+      lastEmailId: email._id,
+      emailCount: 1,
+      firstEmailAt: email.receivedAt,
+      lastEmailAt: email.receivedAt,
+    },
+  };
+
+  if (requested) {
+    Object.assign(update.$set, {
+      status: 'unsubscribe-requested',
+      unsubscribeRequestedAt: now,
+      emailsAfterUnsubscribe: 0,
+    });
+    update.$unset = { confirmedAt: 1, stillSendingAt: 1 };
+  }
+
+  return Subscription.findOneAndUpdate({ userId: email.userId, key: identity.key }, update, {
+    upsert: true,
+    new: true,
+  });
+}
+
+/**
+ * Confirm unsubscribes whose sender stayed quiet long enough
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of subscriptions confirmed
+ */
+async function confirmQuietSubscriptions(now = new Date()) {
+  const requestedBefore = new Date(now.getTime() - CONFIRM_AFTER_DAYS * 24 * 60 * 60 * 1000);
+  const result = await Subscription.updateMany(
+    { status: 'unsubscribe-requested', unsubscribeRequestedAt: { $lte: requestedBefore } },
+    { status: 'confirmed', confirmedAt: now, updatedAt: now }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`✅ Confirmed ${result.modifiedCount} unsubscribe(s)`);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Create subscriptions from emails stored before they were tracked
+ * Existing subscriptions are left untouched
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of subscriptions created
+ */
+async function seedFromStoredEmails(userId) {
+  const emails = await Email.find({ userId, ...LIST_EMAIL_FILTER })
+    .sort({ receivedAt: 1 })
+    .select('from headers hasUnsubscribeLink receivedAt accountId');
+
+  const byKey = new Map();
+  for (const email of emails) {
+    const identity = getSubscriptionKey(email);
+    if (!isListEmail(email, identity)) continue;
+
+    const entry = byKey.get(identity.key) || {
+      userId,
+      key: identity.key,
+      listId: identity.listId,
+      senderAddress: identity.address,
+      senderDomain: identity.domain,
+      emailCount: 0,
+      firstEmailAt: email.receivedAt,
+    };
+    entry.emailCount++;
+    entry.lastEmailAt = email.receivedAt;
+    entry.lastEmailId = email._id;
+    entry.accountId = email.accountId;
+    if (identity.name) entry.senderName = identity.name;
+    byKey.set(identity.key, entry);
+  }
+
+  if (byKey.size === 0) {
+    return 0;
+  }
+
+  const result = await Subscription.bulkWrite(
+    Array.from(byKey.values()).map((entry) => ({
+      updateOne: {
+        filter: { userId, key: entry.key },
+        update: { $setOnInsert: entry },
+        upsert: true,
+      },
+    }))
+  );
+  return result.upsertedCount;
+}
+
+/**
+ * Aggregate stored list emails per subscription, for the subscriptions dashboard
+ * @param {string} userId - User ID
+ * @param {object} options - { weeks } window that weekly volume is measured over
+ * @returns {Promise<Array>} Senders sorted by volume, each with { subscription fields, weekly,
+ *   perWeek, readRate, inboxCount, canUnsubscribe, blocked }; weekly lists email counts
+ *   oldest week first
+ */
+async function getSenderStats(userId, { weeks = 8 } = {}) {
+  const now = new Date();
+  const since = new Date(now.getTime() - weeks * WEEK_MS);
+
+  // Group by raw From and List-Id in the database; several From spellings can share a key
+  const groups = await Email.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), ...LIST_EMAIL_FILTER } },
+    {
+      $project: {
+        from: 1,
+        isRead: 1,
+        isArchived: 1,
+        hasUnsubscribeLink: 1,
+        receivedAt: 1,
+        listHeader: {
+          $arrayElemAt: [
+            { $filter: { input: '$headers', cond: { $eq: ['$$this.name', 'list-id'] } } },
+            0,
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          from: '$from',
+          listId: '$listHeader.value',
+          week: {
+            $cond: [
+              { $gte: ['$receivedAt', since] },
+              { $floor: { $divide: [{ $subtract: [now, '$receivedAt'] }, WEEK_MS] } },
+              null,
+            ],
+          },
+        },
+        count: { $sum: 1 },
+        read: { $sum: { $cond: ['$isRead', 1, 0] } },
+        inInbox: { $sum: { $cond: ['$isArchived', 0, 1] } },
+        canUnsubscribe: { $max: { $ifNull: ['$hasUnsubscribeLink', false] } },
+        firstEmailAt: { $min: '$receivedAt' },
+        lastEmailAt: { $max: '$receivedAt' },
+      },
+    },
+  ]);
+
+  const byKey = new Map();
+  for (const group of groups) {
+    const { from, listId, week } = group._id;
+    const email = {
+      from,
+      hasUnsubscribeLink: group.canUnsubscribe,
+      headers: listId ? [{ name: 'list-id', value: listId }] : [],
+    };
+    const identity = getSubscriptionKey(email);
+    if (!isListEmail(email, identity)) continue;
+
+    const entry = byKey.get(identity.key) || {
+      key: identity.key,
+      weekly: new Array(weeks).fill(0),
+      emailCount: 0,
+      readCount: 0,
+      inboxCount: 0,
+      canUnsubscribe: false,
+      firstEmailAt: group.firstEmailAt,
+      lastEmailAt: group.lastEmailAt,
+    };
+    entry.emailCount += group.count;
+    entry.readCount += group.read;
+    entry.inboxCount += group.inInbox;
+    entry.canUnsubscribe = entry.canUnsubscribe || group.canUnsubscribe;
+    if (group.firstEmailAt < entry.firstEmailAt) entry.firstEmailAt = group.firstEmailAt;
+    if (group.lastEmailAt > entry.lastEmailAt) entry.lastEmailAt = group.lastEmailAt;
+    if (week !== null && week < weeks) entry.weekly[weeks - 1 - week] += group.count;
+    byKey.set(identity.key, entry);
+  }
+
+  let subscriptions = await Subscription.find({ userId }).select('-attempts');
+  if (Array.from(byKey.keys()).some((key) => !subscriptions.find((s) => s.key === key))) {
+    await seedFromStoredEmails(userId);
+    subscriptions = await Subscription.find({ userId }).select('-attempts');
+  }
+
+  // Block rules the user deleted on the rules page no longer block
+  const blockRuleIds = subscriptions.map((s) => s.blockRuleId).filter(Boolean);
+  const existingRules = await Rule.find({ _id: { $in: blockRuleIds }, userId }).select('_id');
+  const liveRuleIds = new Set(existingRules.map((rule) => rule._id.toString()));
+
+  return subscriptions
+    .filter((subscription) => byKey.has(subscription.key))
+    .map((subscription) => {
+      const entry = byKey.get(subscription.key);
+      return {
+        ...subscription.toObject(),
+        ...entry,
+        perWeek: entry.weekly.reduce((sum, count) => sum + count, 0) / weeks,
+        readRate: entry.emailCount > 0 ? entry.readCount / entry.emailCount : 0,
+        blocked: !!subscription.blockRuleId && liveRuleIds.has(subscription.blockRuleId.toString()),
+      };
+    })
+    .sort((a, b) => b.perWeek - a.perWeek || b.emailCount - a.emailCount);
+}
+
+/**
+ * Find the stored emails of a subscription
+ * @param {string} userId - User ID
+ * @param {object} subscription - Subscription document
+ * @param {object} filter - Extra email filter, e.g. { isArchived: false }
+ * @returns {Promise<Array>} Emails whose subscription key matches
+ */
+async function findSubscriptionEmails(userId, subscription, filter = {}) {
+  // Narrow down in the database, then match keys exactly (a From can also send list mail)
+  const candidates = await Email.find({
+    userId,
+    ...filter,
+    ...(subscription.listId
+      ? {
+          headers: {
+            $elemMatch: { name: 'list-id', value: new RegExp(escapeRegex(subscription.listId), 'i') },
+          },
+        }
+      : { from: new RegExp(escapeRegex(subscription.senderAddress), 'i') }),
+  }).select('from headers hasUnsubscribeLink gmailId accountId receivedAt');
+
+  return candidates.filter((email) => getSubscriptionKey(email)?.key === subscription.key);
+}
+
+/**
+ * Block a subscription with a rule that trashes its new mail
+ * Blocking twice keeps the first rule as long as it still exists
+ * @param {string} userId - User ID
+ * @param {object} subscription - Subscription document
+ * @returns {Promise<object>} { rule, created } where created is false for an existing block rule
+ */
+async function blockSubscription(userId, subscription) {
+  const findBlockRule = (ruleId) => (ruleId ? Rule.findOne({ _id: ruleId, userId }) : null);
+
+  const existing = await findBlockRule(subscription.blockRuleId);
+  if (existing) {
+    return { rule: existing, created: false };
+  }
+
+  const condition = subscription.listId
+    ? { field: 'header', header: 'list-id', operator: 'contains', value: subscription.listId }
+    : { field: 'from', operator: 'equals', value: subscription.senderAddress };
+
+  const { rule, error } = await rulesService.validateRule(userId, {
+    name: `Block ${subscription.senderName || subscription.listId || subscription.senderAddress}`,
+    conditions: [condition],
+    actions: { delete: true },
+    stopProcessing: true,
+  });
+  if (error) {
+    throw new Error(error);
+  }
+
+  const created = await Rule.create({ userId, ...rule });
+
+  // Only replaces the block rule we looked at, so a parallel block keeps a single rule
+  const claimed = await Subscription.updateOne(
+    { _id: subscription._id, blockRuleId: subscription.blockRuleId || null },
+    { blockRuleId: created._id, updatedAt: new Date() }
+  );
+  if (claimed.modifiedCount === 0) {
+    const current = await Subscription.findById(subscription._id).select('blockRuleId');
+    const winner = await findBlockRule(current?.blockRuleId);
+    if (winner) {
+      await Rule.deleteOne({ _id: created._id });
+      return { rule: winner, created: false };
+    }
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { blockRuleId: created._id, updatedAt: new Date() }
+    );
+  }
+
+  return { rule: created, created: true };
+}
+
+/**
+ * Remove the block rule of a subscription
+ * @param {string} userId - User ID
+ * @param {object} subscription - Subscription document
+ * @returns {Promise<void>}
+ */
+async function unblockSubscription(userId, subscription) {
+  if (subscription.blockRuleId) {
+    await Rule.deleteOne({ _id: subscription.blockRuleId, userId });
+  }
+  await Subscription.updateOne(
+    { _id: subscription._id },
+    { $unset: { blockRuleId: 1 }, updatedAt: new Date() }
+  );
+}
+
+/**
+ * Detach subscriptions from a disconnected account
+ * Runs after the account's emails are deleted: subscriptions with mail left in other accounts
+ * move to their newest remaining email, the rest are removed
+ * @param {string} userId - User ID
+ * @param {string} accountId - Disconnected account ID
+ * @returns {Promise<number>} Number of subscriptions removed
+ */
+async function forgetAccount(userId, accountId) {
+  const subscriptions = await Subscription.find({ userId, accountId });
+
+  let removed = 0;
+  for (const subscription of subscriptions) {
+    const emails = await findSubscriptionEmails(userId, subscription);
+    if (emails.length === 0) {
+      await Subscription.deleteOne({ _id: subscription._id });
+      removed++;
+      continue;
+    }
+
+    const latest = emails.reduce((newest, email) => (email.receivedAt > newest.receivedAt ? email : newest));
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      {
+        accountId: latest.accountId,
+        lastEmailId: latest._id,
+        emailCount: emails.length,
+        updatedAt: new Date(),
+      }
+    );
+  }
+
+  return removed;
+}
+
+module.exports = {
+  getSubscriptionKey,
+  recordEmail,
+  recordAttempts,
+  confirmQuietSubscriptions,
+  seedFromStoredEmails,
+  getSenderStats,
+  findSubscriptionEmails,
+  blockSubscription,
+  unblockSubscription,
+  forgetAccount,
+};
@@ -0,0 +1,136 @@
+// server/src/services/tags.js
+/**
+ * Tag service
+ * Applies tags to emails alongside their single category and mirrors tags to Gmail labels
+ */
+
+const { Tag, Email } = require('../config/database');
+const gmailService = require('./gmail');
+const labelService = require('./labels');
+
+// Mirrored tags are created as nested Gmail labels under this prefix
+const TAG_LABEL_PREFIX = process.env.GMAIL_TAG_LABEL_PREFIX ?? 'Tags/';
+
+/**
+ * Get the tags the AI may apply during sorting
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Tags
+ */
+async function getAutoTags(userId) {
+  return Tag.find({ userId, autoApply: true }).sort({ name: 1 });
+}
+
+/**
+ * Map tag names chosen by the AI to tag IDs
+ * Unknown names are dropped
+ * @param {Array<object>} tags - Tags the AI could choose from
+ * @param {Array<string>} names - Tag names
+ * @returns {Array<object>} Matching tags
+ */
+function resolveTagNames(tags, names = []) {
+  const wanted = new Set(names.map((name) => name.trim().toLowerCase()));
+  return tags.filter((tag) => wanted.has(tag.name.trim().toLowerCase()));
+}
+
+/**
+ * Get the Gmail label of a mirrored tag on an account, creating it on first use
+ * @param {object} tag - Tag document
+ * @param {string} accountId - Account ID
+ * @returns {Promise<string>} Gmail label ID
+ */
+async function getTagLabelId(tag, accountId) {
+  return labelService.getOwnedLabelId(Tag, tag, accountId, `${TAG_LABEL_PREFIX}${tag.name}`);
+}
+
+/**
+ * Rename the Gmail labels of a renamed tag, so emails keep their label under the new name
+ * @param {object} tag - Tag document with its new name
+ * @returns {Promise<void>}
+ */
+async function renameTagLabels(tag) {
+  await labelService.renameOwnedLabels(Tag, tag, `${TAG_LABEL_PREFIX}${tag.name}`);
+}
+
+/**
+ * Mirror tag changes on an email to Gmail labels
+ * Only tags with mirrorToGmail are mirrored; failures are logged so tagging never fails on Gmail
+ * @param {object} email - Email document with accountId and gmailId
+ * @param {object} changes - { added, removed } arrays of tag documents
+ * @returns {Promise<void>}
+ */
+async function mirrorTagChanges(email, { added = [], removed = [] }) {
+  const mirrored = (tags) => tags.filter((tag) => tag.mirrorToGmail);
+  if (mirrored(added).length === 0 && mirrored(removed).length === 0) {
+    return;
+  }
+
+  try {
+    const add = await Promise.all(mirrored(added).map((tag) => getTagLabelId(tag, email.accountId)));
+    const remove = await Promise.all(
+      mirrored(removed).map((tag) => getTagLabelId(tag, email.accountId))
+    );
+    await gmailService.modifyLabels(email.accountId, email.gmailId, { add, remove });
+  } catch (error) {
+    console.error(`Error mirroring tags of email ${email.gmailId} to Gmail:`, error.message);
+  }
+}
+
+/**
+ * Add and remove tags on emails
+ * @param {string} userId - User ID
+ * @param {Array<object>} emails - Email documents belonging to the user
+ * @param {object} changes - { add, remove } arrays of tag IDs
+ * @returns {Promise<object>} { error } when a tag doesn't belong to the user, otherwise {}
+ */
+async function updateEmailTags(userId, emails, { add = [], remove = [] }) {
+  const tags = await Tag.find({ _id: { $in: [...add, ...remove] }, userId });
+  if (tags.length !== new Set([...add, ...remove].map(String)).size) {
+    return { error: 'Tag not found' };
+  }
+
+  const addTags = tags.filter((tag) => add.map(String).includes(tag._id.toString()));
+  const removeTags = tags.filter((tag) => remove.map(String).includes(tag._id.toString()));
+  const emailIds = emails.map((email) => email._id);
+
+  if (addTags.length > 0) {
+    await Email.updateMany(
+      { _id: { $in: emailIds } },
+      { $addToSet: { tagIds: { $each: addTags.map((tag) => tag._id) } } }
+    );
+  }
+  if (removeTags.length > 0) {
+    await Email.updateMany(
+      { _id: { $in: emailIds } },
+      { $pull: { tagIds: { $in: removeTags.map((tag) => tag._id) } } }
+    );
+  }
+
+  for (const email of emails) {
+    const current = new Set((email.tagIds || []).map(String));
+    await mirrorTagChanges(email, {
+      added: addTags.filter((tag) => !current.has(tag._id.toString())),
+      removed: removeTags.filter((tag) => current.has(tag._id.toString())),
+    });
+  }
+
+  return {};
+}
+
+/**
+ * Remove a deleted tag from every email
+ * The Gmail labels it created are left in place
+ * @param {string} tagId - Tag ID
+ * @returns {Promise<void>}
+ */
+async function removeTagFromEmails(tagId) {
+  await Email.updateMany({ tagIds: tagId }, { $pull: { tagIds: tagId } });
+}
+
+module.exports = {
+  getAutoTags,
+  resolveTagNames,
+  mirrorTagChanges,
+  renameTagLabels,
+  updateEmailTags,
+  removeTagFromEmails,
+};
@@ -1,32 +1,149 @@
 // server/src/services/unsubscribe.js
 /**
  * Unsubscribe service
- * Handles automated unsubscribe operations via HTTP links and email
+ * Handles automated unsubscribe operations: RFC 8058 one-click POSTs, mailto requests and,
+ * as a last resort, browser automation on the unsubscribe page
  */
 
+const axios = require('axios');
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const nodemailer = require('nodemailer');
-const { Email } = require('../config/database');
+const { Email, Account } = require('../config/database');
+const gmailService = require('./gmail');
+const subscriptionService = require('./subscriptions');
+const unsubscribePage = require('./unsubscribePage');
+const { parseAddress } = require('../utils/address');
+const { assertPublicUrl, getPublicRequestOptions } = require('../utils/publicUrl');
 
 // Use stealth plugin to avoid detection
 puppeteer.use(StealthPlugin());
 
+const ONE_CLICK_TIMEOUT_MS = parseInt(process.env.UNSUBSCRIBE_ONE_CLICK_TIMEOUT_MS || 10000);
+
+// Sends mailto unsubscribes from the Gmail account that received the email, so the sender
+// removes the address that is actually subscribed
+const gmailTransport = {
+  send: (email, message) => gmailService.sendMessage(email.accountId, message),
+};
+
+let mailTransport = gmailTransport;
+
+/**
+ * Replace the transport used for mailto unsubscribes, e.g. with a nodemailer transport in tests
+ * @param {object|null} transport - { send(email, { to, subject, text }) }; null restores Gmail
+ */
+function setMailTransport(transport) {
+  mailTransport = transport || gmailTransport;
+}
+
+/**
+ * Create a mailto transport backed by nodemailer instead of Gmail
+ * @param {object} transportOptions - nodemailer transport options, e.g. { jsonTransport: true }
+ * @returns {object} Transport for setMailTransport; messages are sent from the email's recipient
+ */
+function createNodemailerTransport(transportOptions) {
+  const transporter = nodemailer.createTransport(transportOptions);
+  return {
+    send: async (email, message) => {
+      const info = await transporter.sendMail({ from: parseAddress(email.to).address, ...message });
+      return info.messageId;
+    },
+  };
+}
+
+/**
+ * Get the unsubscribe options of an email
+ * Emails stored before the options were parsed fall back to their stored headers, then to
+ * unsubscribeUrl
+ * @param {object} email - Email document
+ * @returns {object} { httpUrls, mailto: [{ address, subject, body }], oneClick }
+ */
+function getUnsubscribeOptions(email) {
+  const stored = email.unsubscribeOptions;
+  if (stored && (stored.httpUrls?.length > 0 || stored.mailto?.length > 0)) {
+    return stored;
+  }
+
+  const getHeader = (name) =>
+    (email.headers || []).find((header) => header.name === name)?.value || '';
+  const listUnsubscribe =
+    getHeader('list-unsubscribe') || (email.unsubscribeUrl ? `<${email.unsubscribeUrl}>` : '');
+  return gmailService.parseUnsubscribeOptions(listUnsubscribe, getHeader('list-unsubscribe-post'));
+}
+
+/**
+ * Unsubscribe with an RFC 8058 one-click POST
+ * The request carries no cookies or credentials, redirects are not followed, and hosts that
+ * resolve to non-public addresses are refused (see utils/publicUrl)
+ * @param {string} unsubscribeUrl - HTTP(S) URL from List-Unsubscribe
+ * @param {string} emailId - Email ID for logging
+ * @returns {Promise<object>} Attempt { method, success, error?, finalUrl }
+ */
+async function unsubscribeViaOneClick(unsubscribeUrl, emailId) {
+  try {
+    const requestOptions = await getPublicRequestOptions(unsubscribeUrl);
+    console.log(`Sending one-click unsubscribe to: ${unsubscribeUrl}`);
+
+    const response = await axios.post(unsubscribeUrl, 'List-Unsubscribe=One-Click', {
+      ...requestOptions,
+      // Connect directly so the address check applies to the sender's host
+      proxy: false,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: ONE_CLICK_TIMEOUT_MS,
+      maxRedirects: 0,
+      // A redirect after the POST still means the request was accepted
+      validateStatus: (status) => status < 400,
+    });
+
+    console.log(`One-click unsubscribe for email ${emailId} answered ${response.status}`);
+    return { method: 'one-click', success: true, finalUrl: unsubscribeUrl };
+  } catch (error) {
+    const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+    console.error(`One-click unsubscribe failed for ${unsubscribeUrl}:`, reason);
+    return { method: 'one-click', success: false, error: reason, finalUrl: unsubscribeUrl };
+  }
+}
+
+/**
+ * Capture the page a browser unsubscribe ended on, as evidence of the outcome
+ * @param {object} page - Puppeteer page
+ * @returns {Promise<object>} { finalUrl, html, screenshot } (base64 JPEG); fields that
+ *   couldn't be captured are left out
+ */
+async function capturePage(page) {
+  const evidence = {};
+  try {
+    evidence.finalUrl = page.url();
+    evidence.html = await page.content();
+    evidence.screenshot = await page.screenshot({ type: 'jpeg', quality: 50, encoding: 'base64' });
+  } catch (error) {
+    console.error('Error capturing unsubscribe page:', error.message);
+  }
+  return evidence;
+}
+
 /**
  * Attempt to unsubscribe from email via web link
- * Uses browser automation to navigate to unsubscribe URL and complete the process
+ * Opens the unsubscribe page in a browser, completes it (see unsubscribePage) and judges the
+ * page it ends on
  * @param {string} unsubscribeUrl - URL of the unsubscribe link
- * @param {string} emailId - Email ID for logging
- * @returns {Promise<boolean>} Success status
+ * @param {object} options - { emailId, address, userId } where address is the subscribed
+ *   address, entered into email fields
+ * @returns {Promise<object>} Attempt { method, success, outcome, steps, error?, finalUrl?,
+ *   html?, screenshot? } where outcome is confirmed, failed or needs-manual
  */
-async function unsubscribeViaWeb(unsubscribeUrl, emailId) {
+async function unsubscribeViaWeb(unsubscribeUrl, { emailId, address, userId } = {}) {
   let browser = null;
+  let page = null;
+  const attempt = { method: 'browser', success: false };
 
   try {
     if (!unsubscribeUrl || !unsubscribeUrl.startsWith('http')) {
       console.log(`Invalid unsubscribe URL for email ${emailId}: ${unsubscribeUrl}`);
-      return false;
+      return { ...attempt, outcome: 'failed', error: 'Invalid unsubscribe URL' };
     }
+    await assertPublicUrl(unsubscribeUrl);
 
     console.log(`Attempting to unsubscribe from: ${unsubscribeUrl}`);
 
@@ -37,7 +154,23 @@ async function unsubscribeViaWeb(unsubscribeUrl, emailId) {
     });
 
     // Create new page
-    const page = await browser.newPage();
+    page = await browser.newPage();
+
+    // Redirects and everything the page loads must stay on public hosts too
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (!/^https?:/i.test(request.url())) {
+        request.continue();
+        return;
+      }
+      assertPublicUrl(request.url()).then(
+        () => request.continue(),
+        (error) => {
+          console.warn(`Blocked unsubscribe page request: ${error.message}`);
+          request.abort('blockedbyclient');
+        }
+      );
+    });
 
     // Set user agent to look like a real browser
     await page.setUserAgent(
@@ -47,65 +180,28 @@ async function unsubscribeViaWeb(unsubscribeUrl, emailId) {
     // Navigate to unsubscribe URL
     await page.goto(unsubscribeUrl, { waitUntil: 'networkidle2', timeout: 15000 });
 
-    // Wait for page to stabilize
-    await page.waitForTimeout(2000);
-
-    // Look for common unsubscribe button patterns and click them
-    const unsubscribeSelectors = [
-      'button:has-text("Unsubscribe")',
-      'button:has-text("unsubscribe")',
-      'input[type="button"][value*="nsubscribe"]',
-      'a:has-text("Unsubscribe")',
-      'a:has-text("unsubscribe")',
-      '[role="button"]:has-text("Unsubscribe")',
-      '.unsubscribe-btn',
-      '.unsubscribe-button',
-      '#unsubscribe',
-    ];
-
-    let clicked = false;
-
-    for (const selector of unsubscribeSelectors) {
-      try {
-        const elements = await page.$$(selector);
-        if (elements.length > 0) {
-          // Click the first unsubscribe element
-          await elements[0].click();
-          clicked = true;
-          console.log(`Clicked unsubscribe button using selector: ${selector}`);
-          break;
-        }
-      } catch (e) {
-        // Continue to next selector
-        continue;
-      }
-    }
-
-    // If we found and clicked a button, wait for confirmation
-    if (clicked) {
-      try {
-        await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 5000 });
-      } catch (e) {
-        // Page might not navigate, which is okay
-      }
-
-      console.log(`Successfully unsubscribed from email ${emailId}`);
-      return true;
-    }
-
-    // If no button found, try clicking any form submit buttons
-    const submitButtons = await page.$$('button[type="submit"], input[type="submit"]');
-    if (submitButtons.length > 0) {
-      await submitButtons[0].click();
-      console.log(`Clicked submit button for email ${emailId}`);
-      return true;
-    }
+    const { outcome, reason, steps } = await unsubscribePage.completeUnsubscribe(page, {
+      address,
+      userId,
+    });
+    console.log(`Unsubscribe page for email ${emailId}: ${outcome} (${reason})`);
 
-    console.log(`Could not find unsubscribe button for email ${emailId}`);
-    return false;
+    return {
+      ...attempt,
+      success: outcome === 'confirmed',
+      outcome,
+      steps,
+      ...(outcome !== 'confirmed' && { error: reason }),
+      ...(await capturePage(page)),
+    };
   } catch (error) {
     console.error(`Error unsubscribing from ${unsubscribeUrl}:`, error);
-    return false;
+    return {
+      ...attempt,
+      outcome: 'failed',
+      error: error.message,
+      ...(page ? await capturePage(page) : {}),
+    };
   } finally {
     if (browser) {
       try {
@@ -119,40 +215,85 @@ async function unsubscribeViaWeb(unsubscribeUrl, emailId) {
 
 /**
  * Unsubscribe via mailto link
- * Sends an email to the unsubscribe address
- * @param {string} emailAddress - Email address to send unsubscribe request to
- * @returns {Promise<boolean>} Success status
+ * Sends an email to the unsubscribe address from the account that received the email, with
+ * the subject and body the sender asked for
+ * @param {object} email - Email document with accountId and to
+ * @param {object} mailto - { address, subject?, body? } from List-Unsubscribe
+ * @returns {Promise<object>} Attempt { method, success, error? }
  */
-async function unsubscribeViaEmail(emailAddress) {
+async function unsubscribeViaEmail(email, { address, subject, body }) {
   try {
-    // Configure nodemailer (using Gmail for this example)
-    // In production, use your own email service
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.UNSUBSCRIBE_EMAIL,
-        pass: process.env.UNSUBSCRIBE_EMAIL_PASSWORD,
-      },
+    await mailTransport.send(email, {
+      to: address,
+      subject: subject || 'Unsubscribe',
+      text: body || 'Please unsubscribe me from your mailing list.',
     });
 
-    await transporter.sendMail({
-      from: process.env.UNSUBSCRIBE_EMAIL,
-      to: emailAddress,
-      subject: 'Unsubscribe',
-      text: 'Please unsubscribe me from your mailing list.',
-    });
-
-    console.log(`Sent unsubscribe email to ${emailAddress}`);
-    return true;
+    console.log(`Sent unsubscribe email to ${address}`);
+    return { method: 'mailto', success: true };
   } catch (error) {
-    console.error(`Error sending unsubscribe email to ${emailAddress}:`, error);
-    return false;
+    if (error.code === 403 || error.response?.status === 403) {
+      console.error(
+        `Account ${email.accountId} can't send mail yet; sign in again to grant the send permission`
+      );
+    } else {
+      console.error(`Error sending unsubscribe email to ${address}:`, error);
+    }
+    return { method: 'mailto', success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the address an email was delivered to, which unsubscribe pages ask for
+ * @param {object} email - Email document with accountId and to
+ * @returns {Promise<string|null>} The receiving account's address, else the first To address
+ */
+async function getSubscribedAddress(email) {
+  const account = email.accountId ? await Account.findById(email.accountId).select('email') : null;
+  return account?.email || parseAddress(email.to).address;
+}
+
+/**
+ * Unsubscribe from one email's list, trying the cheapest reliable option first:
+ * a one-click POST, then a mailto request, then the unsubscribe page in a browser
+ * @param {object} email - Email document
+ * @returns {Promise<object>} { method, attempts } where method is the one that worked
+ *   ('one-click', 'mailto' or 'browser', null when every option failed) and attempts lists
+ *   every option tried
+ */
+async function unsubscribeEmail(email) {
+  const options = getUnsubscribeOptions(email);
+  const web = {
+    emailId: email._id,
+    address: await getSubscribedAddress(email),
+    userId: email.userId,
+  };
+  const tries = [
+    ...(options.oneClick
+      ? options.httpUrls.map((url) => () => unsubscribeViaOneClick(url, email._id))
+      : []),
+    ...options.mailto.map((mailto) => () => unsubscribeViaEmail(email, mailto)),
+    ...options.httpUrls.map((url) => () => unsubscribeViaWeb(url, web)),
+  ];
+
+  const attempts = [];
+  for (const attempt of tries) {
+    const result = await attempt();
+    attempts.push(result);
+    if (result.success) {
+      return { method: result.method, attempts };
+    }
   }
+
+  return { method: null, attempts };
 }
 
 /**
  * Attempt to unsubscribe from a list of emails
- * Tries web unsubscribe first, falls back to email unsubscribe
+ * See unsubscribeEmail for the order in which options are tried. Each list is unsubscribed
+ * from once, however many of its emails are selected, and every attempt is recorded on its
+ * subscription. A success means the request went through; the subscription is confirmed once
+ * the mail actually stops.
  * @param {Array<string>} emailIds - Array of email document IDs
  * @returns {Promise<object>} Results object with success/failure counts
  */
@@ -170,47 +311,57 @@ async function unsubscribeFromEmails(emailIds) {
       _id: { $in: emailIds },
     });
 
+    // Subscription key -> result of the first email of that list
+    const handled = new Map();
+
     for (const email of emails) {
       try {
-        if (!email.unsubscribeUrl) {
+        const key = subscriptionService.getSubscriptionKey(email)?.key;
+        if (key && handled.has(key)) {
+          const first = handled.get(key);
           results.skipped++;
           results.details.push({
             emailId: email._id,
             status: 'skipped',
-            reason: 'No unsubscribe link found',
+            reason: `Same list as email ${first.emailId}`,
           });
+          if (first.status === 'success') {
+            await Email.findByIdAndUpdate(email._id, { unsubscribeAttempted: true });
+          }
           continue;
         }
 
-        let success = false;
-
-        // Try web unsubscribe if URL is HTTP(S)
-        if (email.unsubscribeUrl.startsWith('http')) {
-          success = await unsubscribeViaWeb(email.unsubscribeUrl, email._id);
-        }
-        // Try email unsubscribe if URL is mailto
-        else if (email.unsubscribeUrl.startsWith('mailto:')) {
-          const emailAddr = email.unsubscribeUrl.replace('mailto:', '').split('?')[0];
-          success = await unsubscribeViaEmail(emailAddr);
-        }
-
-        if (success) {
-          results.succeeded++;
+        const options = getUnsubscribeOptions(email);
+        if (options.httpUrls.length === 0 && options.mailto.length === 0) {
+          results.skipped++;
           results.details.push({
             emailId: email._id,
-            status: 'success',
+            status: 'skipped',
+            reason: 'No unsubscribe link found',
           });
+          continue;
+        }
+
+        const { method, attempts } = await unsubscribeEmail(email);
+        await subscriptionService.recordAttempts(email, attempts, !!method);
+
+        let detail;
+        if (method) {
+          results.succeeded++;
+          detail = { emailId: email._id, status: 'success', method };
 
           // Mark email as unsubscribe attempted
           await Email.findByIdAndUpdate(email._id, { unsubscribeAttempted: true });
         } else {
           results.failed++;
-          results.details.push({
+          detail = {
             emailId: email._id,
             status: 'failed',
-            reason: 'Could not find unsubscribe button/link',
-          });
+            reason: attempts.map((attempt) => `${attempt.method}: ${attempt.error}`).join('; '),
+          };
         }
+        results.details.push(detail);
+        if (key) handled.set(key, detail);
       } catch (error) {
         results.failed++;
         results.details.push({
@@ -229,7 +380,12 @@ async function unsubscribeFromEmails(emailIds) {
 }
 
 module.exports = {
+  setMailTransport,
+  createNodemailerTransport,
+  getUnsubscribeOptions,
+  unsubscribeViaOneClick,
   unsubscribeViaWeb,
   unsubscribeViaEmail,
+  unsubscribeEmail,
   unsubscribeFromEmails,
 };
\ No newline at end of file
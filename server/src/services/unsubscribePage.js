@@ -0,0 +1,277 @@
+// server/src/services/unsubscribePage.js
+/**
+ * Unsubscribe page automation
+ * Works through an unsubscribe page in a browser: fills in the subscribed address, picks
+ * "unsubscribe from all" options, submits, follows confirmation pages and finally judges from
+ * the page text whether the unsubscribe went through
+ */
+
+const aiService = require('./ai');
+
+// Pages (the unsubscribe page plus confirmation pages) worked through before giving up
+const MAX_STEPS = parseInt(process.env.UNSUBSCRIBE_MAX_STEPS || 4);
+
+// How long to wait for a click to navigate, then for the page to settle
+const NAVIGATION_TIMEOUT_MS = 5000;
+const SETTLE_TIMEOUT_MS = parseInt(process.env.UNSUBSCRIBE_SETTLE_TIMEOUT_MS || 10000);
+
+// Ask the AI provider about pages the pattern rules can't judge
+const USE_AI = process.env.UNSUBSCRIBE_PAGE_AI !== 'false';
+
+/**
+ * Find what to do on the current page
+ * Runs inside the page (so it must not use anything from this module). Marks the elements
+ * to act on with data-unsubscribe-* attributes: the button or link to click, email fields
+ * to fill, and checkboxes/radios to set.
+ * @returns {object} { target, emailFields, choices, captcha, login, text } where target
+ *   describes the element to click (null when there is nothing worth clicking)
+ */
+function analyzePage() {
+  const STRONG =
+    /unsubscribe|opt[\s-]?out|remove (me|my)|stop (sending|receiving|all|emails)|cancel (my )?sub/i;
+  const WEAK = /confirm|^\s*yes|submit|save|update|continue|proceed/i;
+  // Never clicked, e.g. "No, keep me subscribed"
+  const REFUSE = /re-?subscribe|keep|^\s*(no\b|cancel\s*$)|don'?t|do not/i;
+  // Not clicked unless they also say unsubscribe
+  const UNRELATED =
+    /\bsubscribe|go back|home|privacy|terms|help|contact|log ?in|sign ?(in|up)|manage/i;
+  const ALL = /\ball\b/i;
+  const UNSUBSCRIBE_OPTION = /unsubscribe|opt[\s-]?out|remove|stop|none|no (more )?emails|never/i;
+  const EMAIL_FIELD = /e-?mail/i;
+
+  const isVisible = (el) => {
+    const style = window.getComputedStyle(el);
+    return (
+      el.getClientRects().length > 0 && style.visibility !== 'hidden' && style.display !== 'none'
+    );
+  };
+
+  const labelOf = (el) => {
+    const labels = Array.from(el.labels || []).map((label) => label.innerText);
+    const wrapping = el.closest('label')?.innerText;
+    return [
+      ...labels,
+      wrapping,
+      el.getAttribute('aria-label'),
+      el.getAttribute('title'),
+      el.name,
+      el.id,
+      el.getAttribute('placeholder'),
+      el.getAttribute('autocomplete'),
+    ]
+      .filter(Boolean)
+      .join(' ');
+  };
+
+  const textOf = (el) =>
+    (
+      el.innerText ||
+      el.value ||
+      el.getAttribute('aria-label') ||
+      el.getAttribute('title') ||
+      el.getAttribute('alt') ||
+      ''
+    ).trim();
+
+  document
+    .querySelectorAll('[data-unsubscribe-click], [data-unsubscribe-fill], [data-unsubscribe-check]')
+    .forEach((el) => {
+      el.removeAttribute('data-unsubscribe-click');
+      el.removeAttribute('data-unsubscribe-fill');
+      el.removeAttribute('data-unsubscribe-check');
+    });
+
+  // Score everything clickable; unsubscribe wording beats generic confirm/submit wording
+  const clickables = document.querySelectorAll(
+    'button, input[type="submit"], input[type="button"], input[type="image"], a[href], ' +
+      '[role="button"]'
+  );
+  let target = null;
+  for (const el of clickables) {
+    if (!isVisible(el) || el.disabled) continue;
+    if (el.tagName === 'A' && /^mailto:/i.test(el.getAttribute('href'))) continue;
+
+    const label = textOf(el);
+    if (REFUSE.test(label) || (UNRELATED.test(label) && !STRONG.test(label))) continue;
+
+    const text = `${label} ${el.id} ${el.getAttribute('class') || ''}`;
+
+    let score = 0;
+    if (STRONG.test(text)) score += 10;
+    else if (WEAK.test(text)) score += 4;
+    else if (el.type === 'submit' && el.form) score += 1;
+    if (score === 0) continue;
+
+    if (ALL.test(text)) score += 3;
+    if (el.tagName !== 'A') score += 2;
+
+    if (!target || score > target.score) {
+      target = { el, score, text: label.substring(0, 80) };
+    }
+  }
+
+  // Fields to complete live in the target's form, or anywhere when it isn't in one
+  const scope = target?.el.closest('form') || document;
+  const inputs = Array.from(scope.querySelectorAll('input')).filter(isVisible);
+
+  const emailFields = inputs.filter(
+    (el) =>
+      !el.value &&
+      (el.type === 'email' || (['text', ''].includes(el.type) && EMAIL_FIELD.test(labelOf(el))))
+  );
+  emailFields.forEach((el) => el.setAttribute('data-unsubscribe-fill', 'email'));
+
+  const choices = [];
+
+  // Checkboxes that mean "unsubscribe" get checked; without any, checked ones are topics the
+  // address is subscribed to and get unchecked
+  const checkboxes = inputs.filter((el) => el.type === 'checkbox');
+  const unsubscribeBoxes = checkboxes.filter((el) => UNSUBSCRIBE_OPTION.test(labelOf(el)));
+  const boxChoices = unsubscribeBoxes.length
+    ? unsubscribeBoxes.map((el) => ({ el, checked: true }))
+    : checkboxes.filter((el) => el.checked).map((el) => ({ el, checked: false }));
+  for (const { el, checked } of boxChoices) {
+    if (el.checked !== checked) {
+      el.setAttribute('data-unsubscribe-check', checked ? 'on' : 'off');
+      choices.push(`${checked ? 'Check' : 'Uncheck'} "${labelOf(el).substring(0, 60)}"`);
+    }
+  }
+
+  // In each radio group prefer "unsubscribe from all", then any unsubscribe option
+  const groups = {};
+  inputs
+    .filter((el) => el.type === 'radio')
+    .forEach((el) => {
+      (groups[el.name] = groups[el.name] || []).push(el);
+    });
+  for (const radios of Object.values(groups)) {
+    const unsubscribeRadios = radios.filter((el) => UNSUBSCRIBE_OPTION.test(labelOf(el)));
+    const radio = unsubscribeRadios.find((el) => ALL.test(labelOf(el))) || unsubscribeRadios[0];
+    if (radio && !radio.checked) {
+      radio.setAttribute('data-unsubscribe-check', 'on');
+      choices.push(`Select "${labelOf(radio).substring(0, 60)}"`);
+    }
+  }
+
+  if (target) {
+    target.el.setAttribute('data-unsubscribe-click', 'true');
+  }
+
+  return {
+    target: target && { text: target.text, score: target.score, tag: target.el.tagName },
+    emailFields: emailFields.length,
+    choices,
+    captcha: !!document.querySelector(
+      '.g-recaptcha, .h-captcha, iframe[src*="recaptcha"], iframe[src*="hcaptcha"], ' +
+        'iframe[src*="turnstile"]'
+    ),
+    login: inputs.some((el) => el.type === 'password'),
+    text: (document.body?.innerText || '').trim(),
+  };
+}
+
+/**
+ * Apply the checkbox and radio choices analyzePage marked
+ * Runs inside the page; clicking (rather than setting checked) fires the page's own handlers
+ */
+function applyChoices() {
+  document.querySelectorAll('[data-unsubscribe-check]').forEach((el) => {
+    const wanted = el.getAttribute('data-unsubscribe-check') === 'on';
+    if (el.checked !== wanted) {
+      el.click();
+    }
+  });
+}
+
+/**
+ * Click the marked target and wait for whatever it triggers
+ * @param {object} page - Puppeteer page
+ * @returns {Promise<void>}
+ */
+async function clickTarget(page) {
+  const target = await page.$('[data-unsubscribe-click]');
+  await Promise.all([
+    page
+      .waitForNavigation({ waitUntil: 'networkidle2', timeout: NAVIGATION_TIMEOUT_MS })
+      .catch(() => null),
+    target.click(),
+  ]);
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: SETTLE_TIMEOUT_MS }).catch(() => null);
+}
+
+/**
+ * Judge the final page from its text
+ * @param {string} text - Visible page text
+ * @param {string} userId - User whose AI settings to use (optional)
+ * @returns {Promise<object>} { outcome, reason }
+ */
+async function classifyFinalPage(text, userId) {
+  if (!text) {
+    return { outcome: 'needs-manual', reason: 'The page is empty' };
+  }
+  const { outcome, reason } = await aiService.classifyUnsubscribePage(text, {
+    userId,
+    useAI: USE_AI,
+  });
+  return { outcome, reason };
+}
+
+/**
+ * Complete the unsubscribe page open in a browser
+ * Each step fills in the page and clicks its best unsubscribe/confirm control; steps repeat
+ * for confirmation pages until nothing is left to click or the page stops changing
+ * @param {object} page - Puppeteer page on the unsubscribe URL
+ * @param {object} options - { address, userId } where address is the subscribed email address
+ *   used for email fields
+ * @returns {Promise<object>} { outcome, reason, steps } where outcome is confirmed, failed or
+ *   needs-manual and steps describes what was done
+ */
+async function completeUnsubscribe(page, { address, userId } = {}) {
+  const steps = [];
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    const analysis = await page.evaluate(analyzePage);
+
+    if (analysis.captcha) {
+      return { outcome: 'needs-manual', reason: 'The page asks for a CAPTCHA', steps };
+    }
+    if (analysis.login) {
+      return { outcome: 'needs-manual', reason: 'The page asks to sign in', steps };
+    }
+    if (!analysis.target) {
+      break;
+    }
+    if (analysis.emailFields > 0 && !address) {
+      return { outcome: 'needs-manual', reason: 'The page asks for the subscribed address', steps };
+    }
+
+    for (const field of await page.$$('[data-unsubscribe-fill="email"]')) {
+      await field.type(address);
+    }
+    if (analysis.emailFields > 0) {
+      steps.push(`Enter ${address}`);
+    }
+    if (analysis.choices.length > 0) {
+      await page.evaluate(applyChoices);
+      steps.push(...analysis.choices);
+    }
+
+    const before = `${page.url()}\n${analysis.text}`;
+    await clickTarget(page);
+    steps.push(`Click "${analysis.target.text || analysis.target.tag.toLowerCase()}"`);
+
+    const after = await page.evaluate(() => (document.body?.innerText || '').trim());
+    if (`${page.url()}\n${after}` === before) {
+      // The click did nothing visible; clicking again won't either
+      break;
+    }
+  }
+
+  const text = await page.evaluate(() => (document.body?.innerText || '').trim());
+  return { ...(await classifyFinalPage(text, userId)), steps };
+}
+
+module.exports = {
+  analyzePage,
+  completeUnsubscribe,
+};
@@ -0,0 +1,35 @@
+// server/src/utils/address.js
+/**
+ * Email address helpers
+ * Parses From/To header values like "Jane Doe <jane@example.com>"
+ */
+
+/**
+ * Parse a single address header value
+ * @param {string} value - Header value, e.g. "Jane Doe <jane@example.com>"
+ * @returns {object} { name, address, domain } (address and domain are lowercase, null if missing)
+ */
+function parseAddress(value) {
+  if (!value) {
+    return { name: null, address: null, domain: null };
+  }
+
+  const angle = value.match(/<([^>]+)>/);
+  const bare = value.match(/[^\s<>"',;]+@[^\s<>"',;]+/);
+  const address = (angle ? angle[1] : bare ? bare[0] : '').trim().toLowerCase() || null;
+
+  let name = angle ? value.slice(0, angle.index).trim().replace(/^"|"$/g, '') : null;
+  if (!name) {
+    name = null;
+  }
+
+  return {
+    name,
+    address,
+    domain: address && address.includes('@') ? address.split('@').pop() : null,
+  };
+}
+
+module.exports = {
+  parseAddress,
+};
@@ -0,0 +1,201 @@
+// server/src/utils/aiResponse.js
+/**
+ * AI response parsing helpers
+ * Extracts JSON from model output (code fences, preambles) and validates it
+ * against a small JSON-schema subset: type, properties, required, enum,
+ * minimum, maximum and items
+ */
+
+/**
+ * Error raised when a model response can't be parsed or fails validation
+ * Keeps the raw response so it can be stored for review
+ */
+class AIResponseError extends Error {
+  constructor(message, { rawResponse = null, errors = [] } = {}) {
+    super(message);
+    this.name = 'AIResponseError';
+    this.rawResponse = rawResponse;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Remove a surrounding markdown code fence (```json ... ```)
+ * @param {string} text - Model output
+ * @returns {string} Text without the fence
+ */
+function stripCodeFences(text) {
+  const fenced = text.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)```/);
+  return fenced ? fenced[1].trim() : text.trim();
+}
+
+/**
+ * Find the first balanced JSON object in a string
+ * Skips braces inside string literals
+ * @param {string} text - Text that contains a JSON object
+ * @returns {string|null} JSON object source or null if none was found
+ */
+function extractFirstJsonObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the JSON-schema type name of a value
+ * @param {any} value - Value to check
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {any} value - Value to validate
+ * @param {object} schema - JSON-schema subset
+ * @param {string} path - Path used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, path = 'response') {
+  const errors = [];
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const matches = allowed.some(
+      (type) => type === actual || (type === 'number' && actual === 'integer')
+    );
+    if (!matches) {
+      errors.push(`${path} should be ${allowed.join(' or ')} but is ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, idx) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${idx}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate a JSON object from model output
+ * @param {string} text - Model output
+ * @param {object} schema - Schema the object must match
+ * @returns {object} Parsed object
+ * @throws {AIResponseError} If no valid object could be parsed
+ */
+function parseJsonResponse(text, schema) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new AIResponseError('AI response was empty', { rawResponse: text || null });
+  }
+
+  const source = extractFirstJsonObject(stripCodeFences(text));
+  if (!source) {
+    throw new AIResponseError('AI response did not contain a JSON object', { rawResponse: text });
+  }
+
+  let value;
+  try {
+    value = JSON.parse(source);
+  } catch (error) {
+    throw new AIResponseError(`AI response contained invalid JSON: ${error.message}`, {
+      rawResponse: text,
+    });
+  }
+
+  return validateResponse(value, schema, text);
+}
+
+/**
+ * Validate an already-parsed response (e.g. tool use input)
+ * @param {any} value - Parsed response
+ * @param {object} schema - Schema the value must match
+ * @param {string} rawResponse - Raw response kept on the error
+ * @returns {any} The value
+ * @throws {AIResponseError} If validation fails
+ */
+function validateResponse(value, schema, rawResponse = null) {
+  const errors = validateSchema(value, schema);
+  if (errors.length > 0) {
+    throw new AIResponseError(`AI response failed validation: ${errors.join('; ')}`, {
+      rawResponse: rawResponse ?? JSON.stringify(value),
+      errors,
+    });
+  }
+  return value;
+}
+
+module.exports = {
+  AIResponseError,
+  stripCodeFences,
+  extractFirstJsonObject,
+  validateSchema,
+  parseJsonResponse,
+  validateResponse,
+};
@@ -0,0 +1,145 @@
+// server/src/utils/categoryTree.js
+/**
+ * Category tree helpers
+ * Work on a user's flat list of categories linked by parentId
+ */
+
+const PATH_SEPARATOR = ' > ';
+
+/**
+ * Get the ID of a category's parent as a string
+ * @param {object} category - Category document or plain object
+ * @returns {string|null} Parent ID, or null for top-level categories
+ */
+function parentKey(category) {
+  return category.parentId ? category.parentId.toString() : null;
+}
+
+/**
+ * Group categories by parent
+ * @param {Array<object>} categories - All of the user's categories
+ * @returns {Map<string|null, Array<object>>} Parent ID (null for top level) -> children
+ */
+function buildChildrenMap(categories) {
+  const children = new Map();
+  for (const category of categories) {
+    const key = parentKey(category);
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(category);
+  }
+  return children;
+}
+
+/**
+ * Flatten the tree depth-first, so every category follows its parent
+ * Siblings keep the order they have in the list
+ * @param {Array<object>} categories - All of the user's categories
+ * @returns {Array<object>} { category, depth } entries
+ */
+function flattenTree(categories) {
+  const children = buildChildrenMap(categories);
+  const entries = [];
+  const visit = (parentId, depth) => {
+    for (const category of children.get(parentId) || []) {
+      entries.push({ category, depth });
+      visit(category._id.toString(), depth + 1);
+    }
+  };
+  visit(null, 0);
+  return entries;
+}
+
+/**
+ * Get the IDs of every category below a category
+ * @param {Array<object>} categories - All of the user's categories
+ * @param {string} categoryId - Category ID
+ * @returns {Array<string>} Descendant IDs, not including categoryId
+ */
+function getDescendantIds(categories, categoryId) {
+  const children = buildChildrenMap(categories);
+  const ids = [];
+  const stack = [categoryId.toString()];
+
+  while (stack.length > 0) {
+    for (const child of children.get(stack.pop()) || []) {
+      const id = child._id.toString();
+      // Guard against cycles left by concurrent moves
+      if (ids.includes(id) || id === categoryId.toString()) continue;
+      ids.push(id);
+      stack.push(id);
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Get the full path of a category, e.g. "Finance > Invoices"
+ * @param {Array<object>} categories - All of the user's categories
+ * @param {object} category - Category
+ * @returns {string} Path from the top-level category down to this one
+ */
+function getCategoryPath(categories, category) {
+  const byId = new Map(categories.map((cat) => [cat._id.toString(), cat]));
+  const names = [category.name];
+  const seen = new Set([category._id.toString()]);
+
+  let parent = byId.get(parentKey(category));
+  while (parent && !seen.has(parent._id.toString())) {
+    names.unshift(parent.name);
+    seen.add(parent._id.toString());
+    parent = byId.get(parentKey(parent));
+  }
+
+  return names.join(PATH_SEPARATOR);
+}
+
+/**
+ * Get the categories emails can be sorted into: those without children
+ * Each leaf gets its path so the AI can use the parent for context
+ * @param {Array<object>} categories - All of the user's categories
+ * @returns {Array<object>} Leaf categories as plain objects with a `path`
+ */
+function getLeafCategories(categories) {
+  const children = buildChildrenMap(categories);
+  return categories
+    .filter((category) => !children.has(category._id.toString()))
+    .map((category) => ({
+      ...(category.toObject ? category.toObject() : category),
+      path: getCategoryPath(categories, category),
+    }));
+}
+
+/**
+ * Add the path and the aggregated email count to every category
+ * @param {Array<object>} categories - All of the user's categories
+ * @returns {Array<object>} Plain objects with `path` and `totalEmailCount`
+ *   (emails in the category and all categories below it)
+ */
+function withTreeInfo(categories) {
+  const countById = new Map(
+    categories.map((category) => [category._id.toString(), category.emailCount || 0])
+  );
+
+  return categories.map((category) => {
+    const descendantIds = getDescendantIds(categories, category._id);
+    const totalEmailCount = descendantIds.reduce(
+      (total, id) => total + (countById.get(id) || 0),
+      category.emailCount || 0
+    );
+    return {
+      ...(category.toObject ? category.toObject() : category),
+      path: getCategoryPath(categories, category),
+      totalEmailCount,
+    };
+  });
+}
+
+module.exports = {
+  buildChildrenMap,
+  flattenTree,
+  getDescendantIds,
+  getCategoryPath,
+  getLeafCategories,
+  withTreeInfo,
+};
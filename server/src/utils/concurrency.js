@@ -0,0 +1,188 @@
+// server/src/utils/concurrency.js
+/**
+ * Concurrency helpers
+ * Bounded-concurrency limiters with optional quota-unit rate limiting, and retries with
+ * exponential backoff for rate-limit and server errors
+ */
+
+// Network errors worth retrying
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// Gmail answers some quota errors with 403 instead of 429
+const RETRYABLE_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once and, when
+ * `unitsPerSecond` is set, spends at most that many quota units per second
+ * (token bucket with a one-second burst)
+ * @param {object} options - { concurrency, unitsPerSecond }
+ * @returns {object} Limiter with schedule(fn, units)
+ */
+function createLimiter({ concurrency = Infinity, unitsPerSecond = null } = {}) {
+  const queue = [];
+  let active = 0;
+  let tokens = unitsPerSecond || 0;
+  let lastRefill = Date.now();
+  let timer = null;
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(unitsPerSecond, tokens + ((now - lastRefill) / 1000) * unitsPerSecond);
+    lastRefill = now;
+  };
+
+  const next = () => {
+    while (queue.length > 0 && active < concurrency) {
+      const task = queue[0];
+
+      if (unitsPerSecond) {
+        refill();
+        if (tokens < task.units) {
+          // Wake up once enough units have been refilled
+          if (!timer) {
+            const waitMs = Math.ceil(((task.units - tokens) / unitsPerSecond) * 1000);
+            timer = setTimeout(() => {
+              timer = null;
+              next();
+            }, waitMs);
+          }
+          return;
+        }
+        tokens -= task.units;
+      }
+
+      queue.shift();
+      active++;
+      Promise.resolve()
+        .then(task.fn)
+        .then(task.resolve, task.reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Run a task through the limiter
+     * @param {Function} fn - Async task
+     * @param {number} units - Quota units the task costs
+     * @returns {Promise<any>} Task result
+     */
+    schedule(fn, units = 1) {
+      return new Promise((resolve, reject) => {
+        // A single task can never need more than a full bucket
+        const cost = unitsPerSecond ? Math.min(units, unitsPerSecond) : units;
+        queue.push({ fn, units: cost, resolve, reject });
+        next();
+      });
+    },
+    get active() {
+      return active;
+    },
+    get pending() {
+      return queue.length;
+    },
+  };
+}
+
+/**
+ * Get the HTTP status of an API error (googleapis, Anthropic SDK or axios)
+ * @param {Error} error - Error thrown by an API client
+ * @returns {number|null} HTTP status code
+ */
+function getErrorStatus(error) {
+  const status = error?.status || error?.response?.status || error?.code;
+  const parsed = parseInt(status);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Check if an API error is worth retrying (429, 5xx, quota 403s, transient network errors)
+ * @param {Error} error - Error thrown by an API client
+ * @returns {boolean} True if the call should be retried
+ */
+function isRetryableError(error) {
+  const status = getErrorStatus(error);
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return true;
+  }
+
+  if (status === 403) {
+    const reasons = (error.errors || error.response?.data?.error?.errors || []).map((e) => e.reason);
+    return reasons.some((reason) => RETRYABLE_REASONS.includes(reason));
+  }
+
+  return RETRYABLE_NETWORK_CODES.includes(error?.code);
+}
+
+/**
+ * Read a Retry-After header from an API error
+ * @param {Error} error - Error thrown by an API client
+ * @returns {number|null} Delay in milliseconds
+ */
+function getRetryAfterMs(error) {
+  const headers = error?.headers || error?.response?.headers;
+  if (!headers) return null;
+
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseFloat(value);
+  return isNaN(seconds) ? null : seconds * 1000;
+}
+
+/**
+ * Run an async function, retrying retryable errors with exponential backoff and jitter
+ * @param {Function} fn - Async function to run
+ * @param {object} options - { retries, baseDelayMs, maxDelayMs, label }
+ * @returns {Promise<any>} Function result
+ */
+async function withRetry(fn, { retries = 4, baseDelayMs = 500, maxDelayMs = 30000, label = 'API call' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delayMs = getRetryAfterMs(error) ?? backoff / 2 + Math.random() * (backoff / 2);
+      console.warn(
+        `⚠️  ${label} failed (${getErrorStatus(error) || error.code}), retry ${attempt + 1}/${retries} in ${Math.round(delayMs)}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Map over items with at most `concurrency` callbacks in flight
+ * Results keep the order of the input
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum callbacks in flight
+ * @param {Function} fn - Async callback (item, index)
+ * @returns {Promise<Array>} Results
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  createLimiter,
+  isRetryableError,
+  withRetry,
+  mapWithConcurrency,
+};
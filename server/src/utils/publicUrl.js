@@ -0,0 +1,164 @@
+// server/src/utils/publicUrl.js
+/**
+ * Outbound request guards
+ * Unsubscribe links come from sender-controlled headers, so requests to them must never reach
+ * the server's own network: loopback, private, link-local (cloud metadata), unique-local and
+ * other non-public addresses are refused. Hosts are checked when the URL is resolved and again
+ * when the connection is made, so a DNS answer that changes in between doesn't get through.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error raised when a URL points somewhere the server must not send requests to
+ */
+class UnsafeUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeUrlError';
+  }
+}
+
+/**
+ * Check whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local, unique-local and reserved addresses
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check whether a URL is on the development allowlist
+ * UNSUBSCRIBE_ALLOWED_HOSTS lists "host" or "host:port" entries (e.g. the local one-click
+ * stand-in at "127.0.0.1:8058") that may be reached even though they aren't public. It is
+ * ignored in production.
+ * @param {URL} url - Parsed URL
+ * @returns {boolean} True when the URL's host is allowlisted
+ */
+function isAllowlisted(url) {
+  if (process.env.NODE_ENV === 'production') {
+    return false;
+  }
+
+  const entries = (process.env.UNSUBSCRIBE_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+
+  return entries.some((entry) => entry === hostname || entry === `${hostname}:${port}`);
+}
+
+/**
+ * DNS lookup that fails for non-public addresses, used by the guarded agents at connect time
+ * @param {string} hostname - Host to resolve
+ * @param {object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) {
+      callback(new UnsafeUrlError(`${hostname} resolves to non-public address ${blocked}`));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+const guardedAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+/**
+ * Make sure a URL may be requested by the server
+ * @param {string} value - URL from a sender-controlled header
+ * @returns {Promise<object>} { url, allowlisted } where url is the parsed URL
+ * @throws {UnsafeUrlError} For non-HTTP(S) URLs and hosts that resolve to non-public addresses
+ */
+async function assertPublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new UnsafeUrlError(`Invalid URL: ${value}`);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new UnsafeUrlError(`Only HTTP(S) URLs are allowed, got ${url.protocol}`);
+  }
+  if (isAllowlisted(url)) {
+    return { url, allowlisted: true };
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new UnsafeUrlError(`Could not resolve ${hostname}: ${error.code || error.message}`);
+  }
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw new UnsafeUrlError(`${hostname} resolves to non-public address ${blocked.address}`);
+  }
+  return { url, allowlisted: false };
+}
+
+/**
+ * Get axios options that send a request only to a public address
+ * @param {string} value - URL to request
+ * @returns {Promise<object>} { httpAgent, httpsAgent } re-checking the address on connect (empty
+ *   for allowlisted hosts)
+ * @throws {UnsafeUrlError} See assertPublicUrl
+ */
+async function getPublicRequestOptions(value) {
+  const { allowlisted } = await assertPublicUrl(value);
+  return allowlisted ? {} : guardedAgents;
+}
+
+module.exports = {
+  UnsafeUrlError,
+  isBlockedAddress,
+  assertPublicUrl,
+  getPublicRequestOptions,
+};
@@ -0,0 +1,27 @@
+// server/src/utils/regex.js
+/**
+ * Regular expression helpers
+ */
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a MongoDB condition matching a whole value case-insensitively
+ * @param {string} value - Raw string, e.g. a category name from a request
+ * @returns {object} { $regex, $options } that matches only the exact value
+ */
+function exactMatch(value) {
+  return { $regex: `^${escapeRegex(value)}$`, $options: 'i' };
+}
+
+module.exports = {
+  escapeRegex,
+  exactMatch,
+};
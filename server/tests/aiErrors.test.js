@@ -0,0 +1,64 @@
+// server/tests/aiErrors.test.js
+/**
+ * Classification error tests
+ * Emails the provider couldn't classify because it was down are marked for a retry; a bad
+ * answer or "no category fits" is not
+ */
+
+jest.mock('../src/services/providers', () => ({
+  resolveProvider: jest.fn(),
+  getProvider: jest.fn(),
+}));
+
+const { resolveProvider } = require('../src/services/providers');
+const { AIResponseError } = require('../src/utils/aiResponse');
+const aiService = require('../src/services/ai');
+
+const categories = [{ _id: 'cat-1', name: 'Receipts', description: 'Invoices' }];
+const email = { from: 'shop@example.com', subject: 'Invoice', body: 'Thanks', snippet: 'Thanks' };
+
+/**
+ * Analyze the test email with a provider whose classify() does what the test needs
+ */
+const analyzeWith = (classify) => {
+  resolveProvider.mockReturnValue({ provider: { name: 'test', classify }, model: 'test-1' });
+  return aiService.analyzeEmail(null, email, { categories, tags: [] });
+};
+
+describe('analyzeEmail errors', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('marks provider outages as retryable', async () => {
+    const analysis = await analyzeWith(async () => {
+      throw Object.assign(new Error('Service unavailable'), { status: 503 });
+    });
+
+    expect(analysis.status).toBe('unclassified');
+    expect(analysis.error.retryable).toBe(true);
+  });
+
+  test('does not retry responses that could not be used', async () => {
+    const analysis = await analyzeWith(async () => {
+      throw new AIResponseError('Response is not valid JSON', { rawResponse: 'nope' });
+    });
+
+    expect(analysis.status).toBe('unclassified');
+    expect(analysis.error.retryable).toBe(false);
+  });
+
+  test('leaves "no category fits" unclassified without an error', async () => {
+    const analysis = await analyzeWith(async () => ({
+      output: { categoryName: 'none', confidence: 0, reasoning: 'Nothing matched', summary: 'Hi' },
+    }));
+
+    expect(analysis.status).toBe('unclassified');
+    expect(analysis.error).toBeUndefined();
+  });
+});
@@ -0,0 +1,97 @@
+// server/tests/categories.test.js
+/**
+ * Category deletion tests
+ * Rules that only moved emails to a deleted category are disabled instead of left doing nothing
+ */
+
+const express = require('express');
+
+jest.mock('../src/middleware/auth', () => ({
+  verifyJWT: (req, res, next) => {
+    req.userId = '64b000000000000000000001';
+    next();
+  },
+}));
+jest.mock('../src/services/feedback', () => ({ removeCategoryCorrections: jest.fn() }));
+jest.mock('../src/services/labels', () => ({
+  deleteCategoryLabels: jest.fn(),
+  labelCategoryEmails: jest.fn(),
+}));
+jest.mock('../src/services/email', () => ({ recountCategories: jest.fn() }));
+jest.mock('../src/services/categories', () => ({
+  ...jest.requireActual('../src/services/categories'),
+  nextPosition: jest.fn(async () => 0),
+}));
+
+const { Category, Rule, Email } = require('../src/config/database');
+const categoryRoutes = require('../src/routes/categories');
+
+describe('DELETE /api/categories/:id', () => {
+  const categoryId = '64b000000000000000000010';
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use('/api/categories', categoryRoutes);
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Category, 'findOne').mockResolvedValue({ _id: categoryId, parentId: null });
+    jest.spyOn(Category, 'find').mockReturnValue({ sort: async () => [] });
+    jest.spyOn(Category, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Email, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Rule, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('disables rules left without an action and lists them', async () => {
+    const find = jest
+      .spyOn(Rule, 'find')
+      .mockReturnValue({ select: async () => [{ _id: 'rule-1', name: 'Newsletters' }] });
+
+    const response = await fetch(`${baseUrl}/api/categories/${categoryId}`, { method: 'DELETE' });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).disabledRules).toEqual([{ _id: 'rule-1', name: 'Newsletters' }]);
+    expect(find).toHaveBeenCalledWith(
+      expect.objectContaining({
+        'actions.archive': { $ne: true },
+        'actions.markRead': { $ne: true },
+        'actions.skipAI': { $ne: true },
+        'actions.delete': { $ne: true },
+      })
+    );
+    expect(Rule.updateMany).toHaveBeenCalledWith({ _id: { $in: ['rule-1'] } }, { enabled: false });
+  });
+
+  test('keeps rules enabled when emails move to the parent category', async () => {
+    const parentId = '64b000000000000000000011';
+    Category.findOne
+      .mockResolvedValueOnce({ _id: categoryId, parentId })
+      .mockResolvedValueOnce({ _id: parentId, syncToGmail: false });
+    const find = jest.spyOn(Rule, 'find');
+
+    const response = await fetch(`${baseUrl}/api/categories/${categoryId}`, { method: 'DELETE' });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).disabledRules).toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+    expect(Rule.updateMany).toHaveBeenCalledTimes(1);
+    expect(Rule.updateMany).toHaveBeenCalledWith(
+      expect.anything(),
+      { 'actions.categoryId': parentId }
+    );
+  });
+});
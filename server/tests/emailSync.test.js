@@ -0,0 +1,223 @@
+// server/tests/emailSync.test.js
+/**
+ * Incremental sync tests
+ * Without a usable Gmail history checkpoint, sync pages through everything since the last
+ * sync (or all unread inbox mail on a first sync), not just the latest 50 unread emails.
+ * Emails that fail to import never hold the checkpoint back; later syncs retry them, and mail
+ * moved into the inbox is imported when it was never seen before
+ */
+
+jest.mock('../src/config/database', () => ({
+  Account: { findById: jest.fn(), updateOne: jest.fn() },
+  Email: { findOne: jest.fn(async () => null), find: jest.fn(), updateOne: jest.fn() },
+  Category: {},
+  User: {},
+  Tag: {},
+}));
+jest.mock('../src/services/gmail', () => ({
+  fetchHistoryChanges: jest.fn(),
+  getCurrentHistoryId: jest.fn(),
+  listMessagePage: jest.fn(),
+  fetchEmailsByIds: jest.fn(),
+}));
+jest.mock('../src/services/labels', () => ({ applyCategoryLabelChanges: jest.fn(async () => 0) }));
+jest.mock('../src/services/rules', () => ({
+  getActiveRules: jest.fn(async () => []),
+  evaluateRules: jest.fn(),
+}));
+
+const { Account, Email } = require('../src/config/database');
+const gmailService = require('../src/services/gmail');
+const rulesService = require('../src/services/rules');
+const emailService = require('../src/services/email');
+
+describe('processNewEmails after the history checkpoint expired', () => {
+  const lastSyncAt = new Date('2026-01-10T12:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Account.findById.mockResolvedValue({ _id: 'acc-1', historyId: '100', lastSyncAt });
+    gmailService.fetchHistoryChanges.mockRejectedValue(
+      Object.assign(new Error('History expired'), { historyExpired: true })
+    );
+    gmailService.getCurrentHistoryId.mockResolvedValue('900');
+    gmailService.listMessagePage
+      .mockReset()
+      .mockResolvedValueOnce({ messageIds: ['a', 'b'], nextPageToken: 'page-2' })
+      .mockResolvedValueOnce({ messageIds: ['c'], nextPageToken: null });
+    gmailService.fetchEmailsByIds.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('pages through every message since the last sync', async () => {
+    await emailService.processNewEmails('user-1', 'acc-1');
+
+    const after = Math.floor((lastSyncAt.getTime() - 60 * 60 * 1000) / 1000);
+    expect(gmailService.listMessagePage).toHaveBeenCalledTimes(2);
+    expect(gmailService.listMessagePage).toHaveBeenNthCalledWith(1, 'acc-1', {
+      query: `in:inbox after:${after}`,
+      pageToken: null,
+    });
+    expect(gmailService.listMessagePage).toHaveBeenNthCalledWith(2, 'acc-1', {
+      query: `in:inbox after:${after}`,
+      pageToken: 'page-2',
+    });
+    expect(gmailService.fetchEmailsByIds).toHaveBeenCalledWith('acc-1', ['a', 'b']);
+    expect(gmailService.fetchEmailsByIds).toHaveBeenCalledWith('acc-1', ['c']);
+  });
+
+  test('moves the checkpoint only after the catch-up finished', async () => {
+    await emailService.processNewEmails('user-1', 'acc-1');
+
+    expect(Account.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'acc-1' },
+      expect.objectContaining({ syncStatus: 'completed', historyId: '900', lastSyncAt: expect.any(Date) })
+    );
+  });
+
+  test('keeps the checkpoint and last sync time when stopped part way', async () => {
+    gmailService.fetchEmailsByIds.mockResolvedValue([{ gmailId: 'a' }]);
+
+    await emailService.processNewEmails('user-1', 'acc-1', { shouldStop: async () => true });
+
+    expect(gmailService.listMessagePage).toHaveBeenCalledTimes(1);
+    expect(Account.updateOne).toHaveBeenLastCalledWith({ _id: 'acc-1' }, { syncStatus: 'completed' });
+  });
+});
+
+describe('processNewEmails on a first sync', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Account.findById.mockResolvedValue({ _id: 'acc-1' });
+    gmailService.getCurrentHistoryId.mockResolvedValue('900');
+    gmailService.listMessagePage
+      .mockReset()
+      .mockResolvedValueOnce({ messageIds: ['a', 'b'], nextPageToken: 'page-2' })
+      .mockResolvedValueOnce({ messageIds: ['c'], nextPageToken: null });
+    gmailService.fetchEmailsByIds.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('pages through all unread inbox mail and stores the checkpoint', async () => {
+    await emailService.processNewEmails('user-1', 'acc-1');
+
+    expect(gmailService.fetchHistoryChanges).not.toHaveBeenCalled();
+    expect(gmailService.listMessagePage).toHaveBeenCalledTimes(2);
+    expect(gmailService.listMessagePage).toHaveBeenLastCalledWith('acc-1', {
+      query: 'in:inbox is:unread',
+      pageToken: 'page-2',
+    });
+    expect(gmailService.fetchEmailsByIds).toHaveBeenCalledWith('acc-1', ['c']);
+    expect(Account.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'acc-1' },
+      expect.objectContaining({ syncStatus: 'completed', historyId: '900' })
+    );
+  });
+});
+
+describe('processNewEmails with emails that fail to import', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    rulesService.evaluateRules.mockImplementation(() => {
+      throw new Error('Import failed');
+    });
+    gmailService.fetchHistoryChanges.mockResolvedValue({
+      historyId: '200',
+      addedIds: ['new-1'],
+      deletedIds: [],
+      labelChanges: [],
+    });
+    gmailService.fetchEmailsByIds.mockImplementation(async (accountId, ids) =>
+      ids.map((gmailId) => ({ gmailId }))
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('moves the checkpoint on and stores the failed emails for a retry', async () => {
+    Account.findById.mockResolvedValue({ _id: 'acc-1', historyId: '100', lastSyncAt: new Date() });
+
+    await emailService.processNewEmails('user-1', 'acc-1');
+
+    expect(Account.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'acc-1' },
+      expect.objectContaining({
+        historyId: '200',
+        importRetries: [{ gmailId: 'new-1', attempts: 1, error: 'Import failed' }],
+      })
+    );
+  });
+
+  test('retries stored failures and gives up after the last attempt', async () => {
+    Account.findById.mockResolvedValue({
+      _id: 'acc-1',
+      historyId: '100',
+      lastSyncAt: new Date(),
+      importRetries: [
+        { gmailId: 'old-1', attempts: 1, error: 'Import failed' },
+        { gmailId: 'old-2', attempts: 4, error: 'Import failed' },
+      ],
+    });
+
+    await emailService.processNewEmails('user-1', 'acc-1');
+
+    expect(gmailService.fetchEmailsByIds).toHaveBeenCalledWith('acc-1', ['old-1', 'old-2']);
+    expect(Account.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'acc-1' },
+      expect.objectContaining({
+        importRetries: [
+          { gmailId: 'old-1', attempts: 2, error: 'Import failed' },
+          { gmailId: 'new-1', attempts: 1, error: 'Import failed' },
+        ],
+      })
+    );
+  });
+});
+
+describe('processNewEmails with mail moved into the inbox', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Account.findById.mockResolvedValue({ _id: 'acc-1', historyId: '100', lastSyncAt: new Date() });
+    Email.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    Email.find.mockReturnValue({ distinct: async () => ['known-1'] });
+    gmailService.fetchHistoryChanges.mockResolvedValue({
+      historyId: '200',
+      addedIds: ['new-1'],
+      deletedIds: [],
+      labelChanges: [
+        { gmailId: 'known-1', labelsAdded: ['INBOX'], labelsRemoved: [] },
+        { gmailId: 'moved-1', labelsAdded: ['INBOX'], labelsRemoved: ['SPAM'] },
+        { gmailId: 'read-1', labelsAdded: [], labelsRemoved: ['UNREAD'] },
+      ],
+    });
+    gmailService.fetchEmailsByIds.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('imports unknown messages that gained the INBOX label', async () => {
+    await emailService.processNewEmails('user-1', 'acc-1');
+
+    expect(Email.find).toHaveBeenCalledWith({
+      accountId: 'acc-1',
+      gmailId: { $in: ['known-1', 'moved-1'] },
+    });
+    expect(gmailService.fetchEmailsByIds).toHaveBeenCalledWith('acc-1', ['new-1', 'moved-1']);
+  });
+});
@@ -0,0 +1,82 @@
+// server/tests/labels.test.js
+/**
+ * Gmail label sync tests
+ * Labels are created once per owner and account, and only labels we created are deleted
+ */
+
+jest.mock('../src/services/gmail', () => ({
+  ensureLabel: jest.fn(),
+  deleteLabel: jest.fn(),
+}));
+jest.mock('../src/config/database', () => ({
+  Category: { updateOne: jest.fn(), findById: jest.fn() },
+  Email: {},
+  Account: {},
+}));
+
+const gmailService = require('../src/services/gmail');
+const { Category } = require('../src/config/database');
+const labelService = require('../src/services/labels');
+
+describe('getOwnedLabelId', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('creates the label once for parallel callers', async () => {
+    gmailService.ensureLabel.mockResolvedValue({ id: 'Label_1', created: true });
+    Category.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    const category = { _id: 'cat-1', gmailLabels: [] };
+
+    const ids = await Promise.all([
+      labelService.getOwnedLabelId(Category, category, 'acc-1', 'Sorted/Work'),
+      labelService.getOwnedLabelId(Category, category, 'acc-1', 'Sorted/Work'),
+    ]);
+
+    expect(ids).toEqual(['Label_1', 'Label_1']);
+    expect(gmailService.ensureLabel).toHaveBeenCalledTimes(1);
+    expect(Category.updateOne).toHaveBeenCalledWith(
+      { _id: 'cat-1', 'gmailLabels.accountId': { $ne: 'acc-1' } },
+      { $push: { gmailLabels: { accountId: 'acc-1', labelId: 'Label_1', created: true } } }
+    );
+    expect(category.gmailLabels).toHaveLength(1);
+  });
+
+  test('uses the label another instance stored first', async () => {
+    gmailService.ensureLabel.mockResolvedValue({ id: 'Label_2', created: false });
+    Category.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    Category.findById.mockReturnValue({
+      select: () =>
+        Promise.resolve({ gmailLabels: [{ accountId: 'acc-1', labelId: 'Label_1', created: true }] }),
+    });
+
+    const id = await labelService.getOwnedLabelId(
+      Category,
+      { _id: 'cat-2', gmailLabels: [] },
+      'acc-1',
+      'Sorted/Work'
+    );
+
+    expect(id).toBe('Label_1');
+  });
+});
+
+describe('deleteCategoryLabels', () => {
+  test('deletes created labels and only forgets adopted ones', async () => {
+    jest.clearAllMocks();
+    const category = {
+      _id: 'cat-1',
+      gmailLabels: [
+        { accountId: 'acc-1', labelId: 'Label_1', created: true },
+        { accountId: 'acc-2', labelId: 'Label_9', created: false },
+      ],
+    };
+
+    await labelService.deleteCategoryLabels(category);
+
+    expect(gmailService.deleteLabel).toHaveBeenCalledTimes(1);
+    expect(gmailService.deleteLabel).toHaveBeenCalledWith('acc-1', 'Label_1');
+    expect(Category.updateOne).toHaveBeenCalledWith({ _id: 'cat-1' }, { gmailLabels: [] });
+    expect(category.gmailLabels).toEqual([]);
+  });
+});
@@ -0,0 +1,36 @@
+// server/tests/localProvider.test.js
+/**
+ * Local provider tests
+ * Keyword classification of emails against the user's categories
+ */
+
+const local = require('../src/services/providers/local');
+const { NO_CATEGORY } = require('../src/services/providers/shared');
+
+const categories = [
+  { name: 'Receipts', description: 'Order confirmations, invoices and payment receipts' },
+  { name: 'Travel', description: 'Flight bookings, hotel reservations and itineraries' },
+];
+
+describe('classify', () => {
+  test('picks the category whose keywords match', async () => {
+    const { output } = await local.classify(
+      { from: 'shop@example.com', subject: 'Your invoice', body: 'Payment receipt for order 12' },
+      categories
+    );
+
+    expect(output.categoryName).toBe('Receipts');
+    expect(output.confidence).toBeGreaterThan(0.4);
+  });
+
+  test('leaves the email unclassified when no keyword matches', async () => {
+    const { output } = await local.classify(
+      { from: 'friend@example.com', subject: 'Lunch?', body: 'Are you free on Thursday' },
+      categories
+    );
+
+    expect(output.categoryName).toBe(NO_CATEGORY);
+    expect(output.confidence).toBe(0);
+    expect(output.reasoning).toMatch(/No category keywords/);
+  });
+});
@@ -0,0 +1,117 @@
+// server/tests/oneClickUnsubscribe.test.js
+/**
+ * One-click unsubscribe tests
+ * Sends RFC 8058 POSTs to the local stand-in, and checks that links pointing into the server's
+ * own network are refused
+ */
+
+const { startStandIn } = require('../scripts/oneClickStandIn');
+const { unsubscribeViaOneClick } = require('../src/services/unsubscribe');
+const { isBlockedAddress } = require('../src/utils/publicUrl');
+
+describe('unsubscribeViaOneClick', () => {
+  let standIn;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    standIn = await startStandIn();
+  });
+
+  afterAll(async () => {
+    await standIn.close();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    standIn.requests.length = 0;
+    delete process.env.UNSUBSCRIBE_ALLOWED_HOSTS;
+  });
+
+  test('POSTs the one-click body to an allowlisted host', async () => {
+    process.env.UNSUBSCRIBE_ALLOWED_HOSTS = new URL(standIn.url).host;
+
+    const attempt = await unsubscribeViaOneClick(`${standIn.url}/weekly`, 'email-1');
+
+    expect(attempt).toEqual({
+      method: 'one-click',
+      success: true,
+      finalUrl: `${standIn.url}/weekly`,
+    });
+    expect(standIn.requests).toHaveLength(1);
+    expect(standIn.requests[0]).toMatchObject({
+      method: 'POST',
+      path: '/unsubscribe/weekly',
+      body: 'List-Unsubscribe=One-Click',
+    });
+  });
+
+  test('refuses loopback hosts that are not allowlisted', async () => {
+    const attempt = await unsubscribeViaOneClick(`${standIn.url}/weekly`, 'email-1');
+
+    expect(attempt.success).toBe(false);
+    expect(attempt.error).toMatch(/non-public address 127\.0\.0\.1/);
+    expect(standIn.requests).toHaveLength(0);
+  });
+
+  test('refuses hosts that resolve to loopback', async () => {
+    const port = new URL(standIn.url).port;
+
+    const attempt = await unsubscribeViaOneClick(`http://localhost:${port}/unsubscribe/x`, 'e');
+
+    expect(attempt.success).toBe(false);
+    expect(attempt.error).toMatch(/non-public address/);
+    expect(standIn.requests).toHaveLength(0);
+  });
+
+  test('refuses cloud metadata and private addresses', async () => {
+    for (const url of [
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.8/unsubscribe',
+      'https://192.168.1.1/unsubscribe',
+      'http://[::1]/unsubscribe',
+      'http://[fd00::1]/unsubscribe',
+    ]) {
+      const attempt = await unsubscribeViaOneClick(url, 'email-1');
+      expect(attempt.success).toBe(false);
+      expect(attempt.error).toMatch(/non-public address/);
+    }
+  });
+
+  test('ignores the allowlist in production', async () => {
+    process.env.UNSUBSCRIBE_ALLOWED_HOSTS = new URL(standIn.url).host;
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+
+    try {
+      const attempt = await unsubscribeViaOneClick(`${standIn.url}/weekly`, 'email-1');
+      expect(attempt.success).toBe(false);
+      expect(standIn.requests).toHaveLength(0);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
+
+describe('isBlockedAddress', () => {
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '192.168.0.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    'fe80::1',
+    'fc00::1',
+    '::ffff:127.0.0.1',
+    '::ffff:a9fe:a9fe',
+  ])('blocks %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(true);
+  });
+
+  test.each(['93.184.216.34', '8.8.8.8', '::ffff:8.8.8.8', '2606:4700::6810:85e5'])('allows %s', (address) => {
+    expect(isBlockedAddress(address)).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+// server/tests/rules.test.js
+/**
+ * Sorting rule tests
+ * Regex conditions are user-supplied, so they must stay on short fields, refuse patterns
+ * that backtrack catastrophically and give up on any match that runs too long
+ */
+
+const { matchRule, validateRule } = require('../src/services/rules');
+
+const rule = (condition) => ({ conditions: [{ negate: false, ...condition }] });
+
+describe('regex conditions', () => {
+  test('match the subject case-insensitively', () => {
+    const email = { subject: 'Your Invoice #1234' };
+
+    expect(matchRule(rule({ field: 'subject', operator: 'regex', value: 'invoice #\\d+' }), email)).toBe(
+      true
+    );
+  });
+
+  test('never run on the body', () => {
+    const email = { body: 'weekly digest' };
+
+    expect(matchRule(rule({ field: 'body', operator: 'regex', value: 'digest' }), email)).toBe(false);
+  });
+
+  test('skip stored patterns with nested quantifiers without hanging', () => {
+    const email = { subject: `${'a'.repeat(5000)}!` };
+
+    expect(matchRule(rule({ field: 'subject', operator: 'regex', value: '(a+)+$' }), email)).toBe(
+      false
+    );
+  });
+
+  test.each([
+    ['(a|a)*b', `${'a'.repeat(27)}!`],
+    ['(a|aa)+$', `${'a'.repeat(40)}!`],
+  ])('give up on %s instead of blocking the server', (value, subject) => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const started = Date.now();
+
+    expect(matchRule(rule({ field: 'subject', operator: 'regex', value }), { subject })).toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/timed out/));
+
+    errorSpy.mockRestore();
+  });
+
+  test.each([
+    ['on the body', 'body', 'digest', /only match/],
+    ['with a repeated quantified group', 'subject', '(a+)+$', /cannot repeat a group/],
+    ['with a nested star', 'subject', '(\\w*x?)*y', /cannot repeat a group/],
+    ['with a backreference', 'subject', '(a)\\1', /backreferences/],
+    ['when too long', 'subject', 'a'.repeat(201), /at most 200/],
+    ['when invalid', 'subject', '(', /Invalid regular expression/],
+  ])('are refused %s', async (label, field, value, message) => {
+    const result = await validateRule('user-1', {
+      name: 'Test',
+      conditions: [{ field, operator: 'regex', value }],
+      actions: { archive: true },
+    });
+
+    expect(result.error).toMatch(message);
+  });
+
+  test('are accepted on short fields with a simple pattern', async () => {
+    const result = await validateRule('user-1', {
+      name: 'Invoices',
+      conditions: [{ field: 'subject', operator: 'regex', value: '^(re: )?invoice' }],
+      actions: { archive: true },
+    });
+
+    expect(result.error).toBeUndefined();
+  });
+});
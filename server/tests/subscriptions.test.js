@@ -0,0 +1,109 @@
+// server/tests/subscriptions.test.js
+/**
+ * Subscription tests
+ * Blocking is idempotent: a subscription keeps one live block rule. Disconnecting an account
+ * moves its subscriptions to mail left in other accounts or drops them
+ */
+
+jest.mock('../src/config/database', () => ({
+  Subscription: { updateOne: jest.fn(), findById: jest.fn(), find: jest.fn(), deleteOne: jest.fn() },
+  Rule: { findOne: jest.fn(), create: jest.fn(), deleteOne: jest.fn() },
+  Email: { find: jest.fn() },
+  Account: {},
+}));
+jest.mock('../src/services/rules', () => ({
+  validateRule: jest.fn(async (userId, body) => ({ rule: body })),
+}));
+
+const { Subscription, Rule, Email } = require('../src/config/database');
+const subscriptionService = require('../src/services/subscriptions');
+
+describe('blockSubscription', () => {
+  const subscription = { _id: 'sub-1', senderAddress: 'news@example.com', senderName: 'News' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Rule.create.mockResolvedValue({ _id: 'rule-2' });
+    Subscription.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  test('returns the live block rule instead of creating another', async () => {
+    Rule.findOne.mockResolvedValue({ _id: 'rule-1' });
+
+    const result = await subscriptionService.blockSubscription('user-1', {
+      ...subscription,
+      blockRuleId: 'rule-1',
+    });
+
+    expect(result).toEqual({ rule: { _id: 'rule-1' }, created: false });
+    expect(Rule.create).not.toHaveBeenCalled();
+  });
+
+  test('replaces a block rule that was deleted', async () => {
+    Rule.findOne.mockResolvedValue(null);
+
+    const result = await subscriptionService.blockSubscription('user-1', {
+      ...subscription,
+      blockRuleId: 'rule-gone',
+    });
+
+    expect(result).toEqual({ rule: { _id: 'rule-2' }, created: true });
+    expect(Subscription.updateOne).toHaveBeenCalledWith(
+      { _id: 'sub-1', blockRuleId: 'rule-gone' },
+      expect.objectContaining({ blockRuleId: 'rule-2' })
+    );
+  });
+
+  test('keeps the rule of a parallel block and drops its own', async () => {
+    Rule.findOne.mockImplementation(async ({ _id }) => (_id === 'rule-3' ? { _id: 'rule-3' } : null));
+    Subscription.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    Subscription.findById.mockReturnValue({ select: async () => ({ blockRuleId: 'rule-3' }) });
+
+    const result = await subscriptionService.blockSubscription('user-1', subscription);
+
+    expect(result).toEqual({ rule: { _id: 'rule-3' }, created: false });
+    expect(Rule.deleteOne).toHaveBeenCalledWith({ _id: 'rule-2' });
+  });
+});
+
+describe('forgetAccount', () => {
+  const storedEmails = (emails) => Email.find.mockReturnValue({ select: async () => emails });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Subscription.find.mockResolvedValue([
+      { _id: 'sub-1', key: 'from:news@example.com', senderAddress: 'news@example.com' },
+    ]);
+  });
+
+  test('drops subscriptions with no mail left', async () => {
+    storedEmails([]);
+
+    const removed = await subscriptionService.forgetAccount('user-1', 'account-2');
+
+    expect(removed).toBe(1);
+    expect(Subscription.find).toHaveBeenCalledWith({ userId: 'user-1', accountId: 'account-2' });
+    expect(Subscription.deleteOne).toHaveBeenCalledWith({ _id: 'sub-1' });
+  });
+
+  test('moves subscriptions to the newest email left in another account', async () => {
+    const email = (id, day) => ({
+      _id: id,
+      from: 'News <news@example.com>',
+      headers: [],
+      hasUnsubscribeLink: true,
+      accountId: 'account-1',
+      receivedAt: new Date(2024, 0, day),
+    });
+    storedEmails([email('email-1', 1), email('email-3', 3), email('email-2', 2)]);
+
+    const removed = await subscriptionService.forgetAccount('user-1', 'account-2');
+
+    expect(removed).toBe(0);
+    expect(Subscription.deleteOne).not.toHaveBeenCalled();
+    expect(Subscription.updateOne).toHaveBeenCalledWith(
+      { _id: 'sub-1' },
+      expect.objectContaining({ accountId: 'account-1', lastEmailId: 'email-3', emailCount: 3 })
+    );
+  });
+});
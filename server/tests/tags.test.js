@@ -0,0 +1,91 @@
+// server/tests/tags.test.js
+/**
+ * Tag tests
+ * Renaming a tag renames its Gmail labels, and malformed tag IDs are rejected up front
+ */
+
+const express = require('express');
+
+jest.mock('../src/middleware/auth', () => ({
+  verifyJWT: (req, res, next) => {
+    req.userId = '64b000000000000000000001';
+    next();
+  },
+}));
+jest.mock('../src/services/gmail', () => ({
+  ...jest.requireActual('../src/services/gmail'),
+  renameLabel: jest.fn(),
+}));
+
+const { Tag } = require('../src/config/database');
+const gmailService = require('../src/services/gmail');
+const tagService = require('../src/services/tags');
+const emailRoutes = require('../src/routes/emails');
+
+describe('renameTagLabels', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('renames every label and forgets the ones Gmail no longer has', async () => {
+    gmailService.renameLabel.mockResolvedValueOnce(true).mockRejectedValueOnce(new Error('Not Found'));
+    const updateOne = jest.spyOn(Tag, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const tag = {
+      _id: 'tag-1',
+      name: 'Travel',
+      gmailLabels: [
+        { accountId: 'acc-1', labelId: 'Label_1' },
+        { accountId: 'acc-2', labelId: 'Label_2' },
+      ],
+    };
+
+    await tagService.renameTagLabels(tag);
+
+    expect(gmailService.renameLabel).toHaveBeenCalledWith('acc-1', 'Label_1', 'Tags/Travel');
+    expect(gmailService.renameLabel).toHaveBeenCalledWith('acc-2', 'Label_2', 'Tags/Travel');
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: 'tag-1' },
+      { gmailLabels: [{ accountId: 'acc-1', labelId: 'Label_1' }] }
+    );
+  });
+});
+
+describe('tag IDs in email routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/emails', emailRoutes);
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test('PUT /tags rejects malformed tag IDs with 400', async () => {
+    const response = await fetch(`${baseUrl}/api/emails/tags`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ emailIds: ['64b000000000000000000002'], add: ['not-an-id'] }),
+    });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Invalid tag ID' });
+  });
+
+  test('GET / rejects a malformed tag filter with 400', async () => {
+    const response = await fetch(`${baseUrl}/api/emails?tagIds=64b000000000000000000003,oops`);
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,92 @@
+// server/tests/unsubscribePage.test.js
+/**
+ * Unsubscribe page tests
+ * The pattern judge for final pages, and the browser flow against the local fixture pages
+ * (skipped when Chrome can't be started on this machine)
+ */
+
+const { spawnSync } = require('child_process');
+const puppeteer = require('puppeteer');
+const local = require('../src/services/providers/local');
+const { FIXTURES, FIXTURE_ADDRESS, startFixtures } = require('../scripts/unsubscribeFixtures');
+
+/**
+ * Check whether Puppeteer's Chrome is installed and starts
+ * @returns {boolean} True when a headless Chrome can run here
+ */
+function chromeStarts() {
+  try {
+    const result = spawnSync(
+      puppeteer.executablePath(),
+      ['--headless=new', '--no-sandbox', '--dump-dom', 'about:blank'],
+      { timeout: 30000, stdio: 'ignore' }
+    );
+    return result.status === 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+describe('classifyUnsubscribePage', () => {
+  test.each([
+    'You have been unsubscribed. Can\'t find what you need? Visit our help center.',
+    'Unsubscribe successful. If you cannot complete your profile, contact support.',
+    "You've been successfully unsubscribed. It may take a few days for emails to stop.",
+    'Unsubscribed\nYou have been unsubscribed\nYou will no longer receive emails from this list.',
+    'Done! You have been removed from the new arrivals list.',
+    'Your subscription has been cancelled.',
+  ])('confirms "%s"', async (text) => {
+    expect((await local.classifyUnsubscribePage(text)).outcome).toBe('confirmed');
+  });
+
+  test.each([
+    'You are about to be unsubscribed from Weekly News. Confirm below.',
+    'Click below and you will no longer receive the Weekly Digest.',
+    'Are you sure? You will stop receiving the Company Newsletter.',
+    'Sign in to manage your email settings',
+    'Please confirm you want to unsubscribe. [reCAPTCHA]',
+    'Something went wrong. Try again later.',
+  ])('does not confirm "%s"', async (text) => {
+    expect((await local.classifyUnsubscribePage(text)).outcome).toBe('needs-manual');
+  });
+
+  test.each([
+    "Something went wrong\nWe couldn't process your request. Please try again later.",
+    'This unsubscribe link has expired. Please use the link in a more recent email.',
+    'We were unable to unsubscribe you at this time.',
+  ])('fails "%s"', async (text) => {
+    expect((await local.classifyUnsubscribePage(text)).outcome).toBe('failed');
+  });
+});
+
+const describeWithChrome = chromeStarts() ? describe : describe.skip;
+
+describeWithChrome('unsubscribeViaWeb on the fixture pages', () => {
+  let fixtures;
+  let unsubscribeViaWeb;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.UNSUBSCRIBE_PAGE_AI = 'false';
+    process.env.UNSUBSCRIBE_SETTLE_TIMEOUT_MS = '2000';
+    ({ unsubscribeViaWeb } = require('../src/services/unsubscribe'));
+    fixtures = await startFixtures();
+    process.env.UNSUBSCRIBE_ALLOWED_HOSTS = new URL(fixtures.url).host;
+  });
+
+  afterAll(async () => {
+    delete process.env.UNSUBSCRIBE_ALLOWED_HOSTS;
+    jest.restoreAllMocks();
+    await fixtures.close();
+  });
+
+  test.each(FIXTURES)('$name ends $expected', async ({ name, expected }) => {
+    const attempt = await unsubscribeViaWeb(`${fixtures.url}/${name}`, {
+      emailId: name,
+      address: FIXTURE_ADDRESS,
+    });
+
+    expect(attempt.outcome).toBe(expected);
+  }, 60000);
+});
@@ -0,0 +1,80 @@
+// server/tests/webhooks.test.js
+/**
+ * Gmail push webhook tests
+ * The receiver needs the shared token and answers every accepted notification the same way
+ */
+
+const express = require('express');
+
+jest.mock('../src/services/push', () => ({
+  parseNotification: jest.fn((body) => body),
+  handleNotification: jest.fn(),
+}));
+
+const pushService = require('../src/services/push');
+const webhookRoutes = require('../src/routes/webhooks');
+
+describe('POST /api/webhooks/gmail', () => {
+  let server;
+  let baseUrl;
+
+  const notify = (query, body = { emailAddress: 'user@example.com', historyId: '42' }) =>
+    fetch(`${baseUrl}/api/webhooks/gmail${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+  beforeAll((done) => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const app = express();
+    app.use(express.json());
+    app.use('/api/webhooks', webhookRoutes);
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    jest.restoreAllMocks();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    process.env.GMAIL_PUSH_VERIFICATION_TOKEN = 'secret';
+    pushService.handleNotification.mockReset();
+  });
+
+  afterEach(() => {
+    delete process.env.GMAIL_PUSH_VERIFICATION_TOKEN;
+  });
+
+  test('refuses notifications when no token is configured', async () => {
+    delete process.env.GMAIL_PUSH_VERIFICATION_TOKEN;
+
+    const response = await notify('?token=anything');
+
+    expect(response.status).toBe(403);
+    expect(pushService.handleNotification).not.toHaveBeenCalled();
+  });
+
+  test.each(['', '?token=wrong'])('refuses a missing or wrong token (%s)', async (query) => {
+    const response = await notify(query);
+
+    expect(response.status).toBe(401);
+    expect(pushService.handleNotification).not.toHaveBeenCalled();
+  });
+
+  test('answers known and unknown addresses the same way', async () => {
+    pushService.handleNotification.mockResolvedValueOnce(1).mockResolvedValueOnce(0);
+
+    const known = await notify('?token=secret');
+    const unknown = await notify('?token=secret', { emailAddress: 'nobody@example.com', historyId: '1' });
+
+    expect(known.status).toBe(204);
+    expect(unknown.status).toBe(204);
+    expect(await known.text()).toBe(await unknown.text());
+    expect(pushService.handleNotification).toHaveBeenCalledTimes(2);
+  });
+});